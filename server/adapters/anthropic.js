@@ -1,5 +1,6 @@
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 const { getPath, setPath } = require('../utils/nested');
+const { readSSE, parseEventData } = require('./sse');
 let fetchFn = globalThis.fetch;
 try {
   if (!fetchFn) {
@@ -7,18 +8,109 @@ try {
   }
 } catch (e) {}
 
-async function sendAnthropic({ model, system, messages, options, providerState }) {
+// Map chat messages (including tool-loop turns) to Messages API content
+// blocks. Tool results go back as tool_result blocks in a user turn;
+// consecutive results share one turn, as the API expects. Images
+// ({ mediaType, data }) become base64 image blocks ahead of the text.
+function toAnthropicMessages(messages) {
+  const mapped = [];
+  for (const m of messages || []) {
+    if (!m || !m.role) continue;
+    if (m.role === 'tool') {
+      const block = { type: 'tool_result', tool_use_id: m.toolCallId, content: String(m.content || '') };
+      if (m.isError) block.is_error = true;
+      const prev = mapped[mapped.length - 1];
+      if (prev && prev.role === 'user' && prev.content.every((b) => b.type === 'tool_result')) prev.content.push(block);
+      else mapped.push({ role: 'user', content: [block] });
+      continue;
+    }
+    if (m.role === 'assistant' && Array.isArray(m.toolCalls)) {
+      // Returned blocks are replayed verbatim so thinking blocks stay attached
+      let content = Array.isArray(m.providerContent) ? m.providerContent : null;
+      if (!content) {
+        content = m.content ? [{ type: 'text', text: String(m.content) }] : [];
+        for (const call of m.toolCalls) content.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} });
+      }
+      mapped.push({ role: 'assistant', content });
+      continue;
+    }
+    const images = Array.isArray(m.images) ? m.images : [];
+    const content = images.map((img) => ({ type: 'image', source: { type: 'base64', media_type: img.mediaType, data: img.data } }));
+    content.push({ type: 'text', text: String(m.content || '') });
+    mapped.push({ role: m.role, content });
+  }
+  return mapped;
+}
+
+// Rebuild the Messages API response object from its stream events so the
+// non-streaming extraction below applies unchanged. Text deltas are forwarded
+// as they arrive; tool_use input is reassembled from its JSON deltas.
+async function readAnthropicStream(resp, onDelta) {
+  let message = { content: [] };
+  const partialInputs = {};
+  for await (const { data } of readSSE(resp)) {
+    const evt = parseEventData(data);
+    if (!evt) continue;
+    switch (evt.type) {
+      case 'message_start':
+        message = { ...(evt.message || {}), content: [] };
+        break;
+      case 'content_block_start':
+        message.content[evt.index] = { ...(evt.content_block || {}) };
+        if (message.content[evt.index].type === 'text') message.content[evt.index].text = '';
+        break;
+      case 'content_block_delta': {
+        const block = message.content[evt.index];
+        const delta = evt.delta || {};
+        if (!block) break;
+        if (delta.type === 'text_delta' && typeof delta.text === 'string') {
+          block.text = (block.text || '') + delta.text;
+          onDelta(delta.text);
+        } else if (delta.type === 'input_json_delta' && typeof delta.partial_json === 'string') {
+          partialInputs[evt.index] = (partialInputs[evt.index] || '') + delta.partial_json;
+        } else if (delta.type === 'thinking_delta' && typeof delta.thinking === 'string') {
+          block.thinking = (block.thinking || '') + delta.thinking;
+        } else if (delta.type === 'signature_delta' && typeof delta.signature === 'string') {
+          block.signature = delta.signature;
+        }
+        break;
+      }
+      case 'content_block_stop': {
+        const block = message.content[evt.index];
+        if (block && block.type === 'tool_use') {
+          if (partialInputs[evt.index]) {
+            try { block.input = JSON.parse(partialInputs[evt.index]); } catch { }
+          }
+        }
+        break;
+      }
+      case 'message_delta':
+        if (evt.delta && evt.delta.stop_reason) message.stop_reason = evt.delta.stop_reason;
+        if (evt.usage) message.usage = { ...(message.usage || {}), ...evt.usage };
+        break;
+      case 'error': {
+        const err = evt.error || {};
+        throw new Error(`Anthropic stream error: ${err.message || JSON.stringify(err)}`);
+      }
+      default:
+        break;
+    }
+  }
+  message.content = message.content.filter(Boolean);
+  return message;
+}
+
+// Pass onDelta(textChunk) to stream; the resolved value is the same either way.
+async function sendAnthropic({ model, system, messages, options, providerState, onDelta, signal }) {
   if (!ANTHROPIC_API_KEY) throw new Error('ANTHROPIC_API_KEY not set');
 
   // Anthropic Messages API expects content blocks.
-  const mapped = (messages || []).map((m) => ({
-    role: m.role,
-    content: [{ type: 'text', text: String(m.content || '') }],
-  }));
+  const mapped = toAnthropicMessages(messages);
   const payload = {
     model,
     ...(system ? { system } : {}),
     messages: mapped,
+    ...(typeof onDelta === 'function' ? { stream: true } : {}),
     ...(options && options.extraBody ? options.extraBody : {}),
   };
 
@@ -47,9 +139,9 @@ async function sendAnthropic({ model, system, messages, options, providerState }
     setPath(payload, STATE_REQ_PATH, providerState);
   }
 
-  // Add tools if provided
+  // Add tools if provided, after any from extraBody
   if (options && options.tools && Array.isArray(options.tools) && options.tools.length > 0) {
-    payload.tools = options.tools;
+    payload.tools = [...(Array.isArray(payload.tools) ? payload.tools : []), ...options.tools];
   }
 
   const headers = {
@@ -77,6 +169,7 @@ async function sendAnthropic({ model, system, messages, options, providerState }
   const resp = await (fetchFn || fetch)('https://api.anthropic.com/v1/messages', {
     method: 'POST',
     headers,
+    signal,
     body: JSON.stringify(payload),
   });
 
@@ -84,18 +177,15 @@ async function sendAnthropic({ model, system, messages, options, providerState }
     const text = await resp.text().catch(() => '');
     throw new Error(`Anthropic error ${resp.status}: ${text}`);
   }
-  const json = await resp.json();
+  const json = typeof onDelta === 'function' ? await readAnthropicStream(resp, onDelta) : await resp.json();
   let text = '';
+  const toolCalls = [];
   if (Array.isArray(json.content)) {
     for (const block of json.content) {
       if (block && block.type === 'text' && block.text) {
         text += block.text;
       } else if (block && block.type === 'tool_use') {
-        // Include tool usage information in the output
-        text += `\n\n[Tool: ${block.name}]\n`;
-        if (block.input) {
-          text += JSON.stringify(block.input, null, 2) + '\n';
-        }
+        toolCalls.push({ id: block.id, name: block.name, arguments: block.input || {} });
       }
     }
   }
@@ -109,6 +199,9 @@ async function sendAnthropic({ model, system, messages, options, providerState }
   } else {
     providerStateOut = (json && (json.reasoning || (json.usage && json.usage.thinking_tokens))) || undefined;
   }
+  if (toolCalls.length) {
+    return { text, usage: json.usage, providerState: providerStateOut, meta, toolCalls, providerContent: json.content };
+  }
   return { text, usage: json.usage, providerState: providerStateOut, meta }; // usage may vary by API version
 }
 
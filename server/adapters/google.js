@@ -1,10 +1,11 @@
 const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
+const { readSSE, parseEventData } = require('./sse');
 let fetchFn = globalThis.fetch;
 try {
   if (!fetchFn) fetchFn = require('undici').fetch;
 } catch {}
 
-// Accepts { model, system, messages, options, providerState }
+// Accepts { model, system, messages, options, providerState, onDelta?, signal? }
 // messages: array of { role: 'user'|'assistant', content: string }
 function extractCitations(json) {
   const citations = [];
@@ -39,17 +40,94 @@ function extractCitations(json) {
   }
   return uniq;
 }
-async function sendGoogle({ model, system, messages, options, providerState }) {
-  if (!GOOGLE_API_KEY) throw new Error('GOOGLE_API_KEY not set');
+// Text for a list of content parts, including code execution output
+function partsToText(parts) {
+  let text = '';
+  for (const p of parts || []) {
+    if (!p) continue;
+    if (typeof p.text === 'string') text += p.text;
+    else if (p.executableCode) {
+      text += '\n\n[Code Execution]\n```\n' + (p.executableCode.code || '') + '\n```\n';
+    } else if (p.codeExecutionResult) {
+      text += '\n[Execution Result]\n' + (p.codeExecutionResult.output || '') + '\n';
+    }
+  }
+  return text;
+}
 
+// Map chat messages to Gemini contents. Tool-loop turns become functionCall
+// parts on the model side and functionResponse parts in a user turn (one
+// turn for all the responses to a step). Images ({ mediaType, data }) become
+// inline_data parts ahead of the text.
+function toGoogleContents(messages) {
   const contents = [];
-  if (Array.isArray(messages)) {
-    for (const m of messages) {
-      if (!m || !m.role) continue;
-      const role = m.role === 'assistant' ? 'model' : 'user';
-      contents.push({ role, parts: [{ text: String(m.content || '') }] });
+  for (const m of messages || []) {
+    if (!m || !m.role) continue;
+    if (m.role === 'tool') {
+      const part = { functionResponse: { name: m.name, response: m.isError ? { error: String(m.content || '') } : { content: String(m.content || '') } } };
+      const prev = contents[contents.length - 1];
+      if (prev && prev.role === 'user' && prev.parts.every((p) => p.functionResponse)) prev.parts.push(part);
+      else contents.push({ role: 'user', parts: [part] });
+      continue;
     }
+    if (m.role === 'assistant' && Array.isArray(m.toolCalls)) {
+      // Returned parts are replayed verbatim so thought signatures survive
+      let parts = Array.isArray(m.providerContent) ? m.providerContent : null;
+      if (!parts) {
+        parts = m.content ? [{ text: String(m.content) }] : [];
+        for (const call of m.toolCalls) parts.push({ functionCall: { name: call.name, args: call.arguments || {} } });
+      }
+      contents.push({ role: 'model', parts });
+      continue;
+    }
+    const role = m.role === 'assistant' ? 'model' : 'user';
+    const images = Array.isArray(m.images) ? m.images : [];
+    const parts = images.map((img) => ({ inline_data: { mime_type: img.mediaType, data: img.data } }));
+    parts.push({ text: String(m.content || '') });
+    contents.push({ role, parts });
   }
+  return contents;
+}
+
+function extractFunctionCalls(parts) {
+  return (parts || [])
+    .filter((p) => p && p.functionCall && p.functionCall.name)
+    .map((p, i) => ({ id: p.functionCall.id || `${p.functionCall.name}_${i}`, name: p.functionCall.name, arguments: p.functionCall.args || {} }));
+}
+
+// streamGenerateContent (alt=sse) emits a series of partial
+// GenerateContentResponse objects. Merge them into one response shaped like
+// generateContent's so the extraction in sendGoogle applies unchanged.
+async function readGoogleStream(resp, onDelta) {
+  const parts = [];
+  const merged = { candidates: [{ content: { role: 'model', parts } }] };
+  const cand = merged.candidates[0];
+  for await (const { data } of readSSE(resp)) {
+    const chunk = parseEventData(data);
+    if (!chunk) continue;
+    if (chunk.error) {
+      throw new Error(`Google stream error: ${chunk.error.message || JSON.stringify(chunk.error)}`);
+    }
+    const first = Array.isArray(chunk.candidates) ? chunk.candidates[0] : undefined;
+    const chunkParts = first && first.content && Array.isArray(first.content.parts) ? first.content.parts : [];
+    if (chunkParts.length) {
+      parts.push(...chunkParts);
+      const text = partsToText(chunkParts);
+      if (text) onDelta(text);
+    }
+    if (first && first.finishReason) cand.finishReason = first.finishReason;
+    if (first && first.groundingMetadata) cand.groundingMetadata = first.groundingMetadata;
+    if (chunk.usageMetadata) merged.usageMetadata = chunk.usageMetadata;
+    if (chunk.promptFeedback) merged.promptFeedback = chunk.promptFeedback;
+  }
+  return merged;
+}
+
+// Pass onDelta(textChunk) to stream; the resolved value is the same either way.
+async function sendGoogle({ model, system, messages, options, providerState, onDelta, signal }) {
+  if (!GOOGLE_API_KEY) throw new Error('GOOGLE_API_KEY not set');
+
+  const contents = toGoogleContents(messages);
 
   const body = {
     contents,
@@ -57,9 +135,10 @@ async function sendGoogle({ model, system, messages, options, providerState }) {
     ...(options && options.extraBody ? options.extraBody : {}),
   };
 
-  // Add tools if provided (googleSearch, codeExecution)
+  // Add tools if provided (googleSearch, codeExecution, functionDeclarations),
+  // after any from extraBody
   if (options && options.tools && Array.isArray(options.tools) && options.tools.length > 0) {
-    body.tools = options.tools;
+    body.tools = [...(Array.isArray(body.tools) ? body.tools : []), ...options.tools];
   }
 
   if (options && options.maxTokens !== undefined) {
@@ -86,7 +165,9 @@ async function sendGoogle({ model, system, messages, options, providerState }) {
     cur[parts[parts.length - 1]] = providerState;
   }
 
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent?key=${encodeURIComponent(GOOGLE_API_KEY)}`;
+  const streaming = typeof onDelta === 'function';
+  const method = streaming ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+  const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:${method}key=${encodeURIComponent(GOOGLE_API_KEY)}`;
   const headers = {
     'Content-Type': 'application/json',
     ...(options && options.extraHeaders ? options.extraHeaders : {}),
@@ -94,29 +175,21 @@ async function sendGoogle({ model, system, messages, options, providerState }) {
   const resp = await (fetchFn || fetch)(url, {
     method: 'POST',
     headers,
+    signal,
     body: JSON.stringify(body),
   });
   if (!resp.ok) {
     const text = await resp.text().catch(() => '');
     throw new Error(`Google error ${resp.status}: ${text}`);
   }
-  const json = await resp.json();
+  const json = streaming ? await readGoogleStream(resp, onDelta) : await resp.json();
   let text = '';
   const cands = Array.isArray(json.candidates) ? json.candidates : [];
   const first = cands[0] || {};
   const content = first && first.content;
-  // Primary path: content.parts[].text
+  // Primary path: content.parts[].text (plus code execution results)
   if (content && Array.isArray(content.parts)) {
-    for (const p of content.parts) {
-      if (!p) continue;
-      if (typeof p.text === 'string') text += p.text;
-      // Handle code execution results
-      else if (p.executableCode) {
-        text += '\n\n[Code Execution]\n```\n' + (p.executableCode.code || '') + '\n```\n';
-      } else if (p.codeExecutionResult) {
-        text += '\n[Execution Result]\n' + (p.codeExecutionResult.output || '') + '\n';
-      }
-    }
+    text += partsToText(content.parts);
   }
   // Fallback path: some SDKs emit candidates[0].content as array of Parts
   if (!text && Array.isArray(content)) {
@@ -140,6 +213,10 @@ async function sendGoogle({ model, system, messages, options, providerState }) {
     for (const p of parts) cur = cur && cur[p];
     providerStateOut = cur;
   }
+  const toolCalls = content && Array.isArray(content.parts) ? extractFunctionCalls(content.parts) : [];
+  if (toolCalls.length) {
+    return { text, usage: json.usageMetadata, providerState: providerStateOut, meta, toolCalls, providerContent: content.parts };
+  }
   return { text, usage: json.usageMetadata, providerState: providerStateOut, meta };
 }
 
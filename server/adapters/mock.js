@@ -4,28 +4,94 @@
 
 const LOREM_IPSUM = "Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed do eiusmod tempor incididunt ut labore et dolore magna aliqua. Ut enim ad minim veniam, quis nostrud exercitation ullamco laboris nisi ut aliquip ex ea commodo consequat.";
 
-async function sendMock({ model, messages, options }) {
+// Per-chunk delay when streaming (onDelta supplied)
+const STREAM_CHUNK_DELAY_MS = 30;
+
+// setTimeout that rejects like an aborted fetch when the signal fires
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const abortError = () => {
+            const err = new Error('This operation was aborted');
+            err.name = 'AbortError';
+            return err;
+        };
+        if (signal && signal.aborted) return reject(abortError());
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(abortError());
+            }, { once: true });
+        }
+    });
+}
+
+// mock-tools: while the last message is a user message, call the offered tool
+// named in it (else the first one) with the first {...} JSON in the message as
+// arguments; once results come back, answer with them.
+function mockToolTurn(messages, options) {
+    const results = [];
+    for (let i = messages.length - 1; i >= 0 && messages[i].role === 'tool'; i--) {
+        results.unshift(`${messages[i].name}: ${messages[i].content}`);
+    }
+    if (results.length) return { text: `Tool results: ${results.join(' | ')}` };
+
+    const offered = options && Array.isArray(options.tools) ? options.tools.filter(t => t && t.name) : [];
+    if (!offered.length) return { text: 'No tools offered.' };
+    const lastMsg = messages[messages.length - 1];
+    const content = lastMsg ? String(lastMsg.content || '') : '';
+    const tool = offered.find(t => content.includes(t.name)) || offered[0];
+    let args = {};
+    const json = /\{[\s\S]*\}/.exec(content);
+    if (json) {
+        try { args = JSON.parse(json[0]); } catch { }
+    }
+    const step = messages.filter(m => m.role === 'assistant' && m.toolCalls).length + 1;
+    return {
+        text: `Calling ${tool.name}.`,
+        toolCalls: [{ id: `mock_call_${step}`, name: tool.name, arguments: args }]
+    };
+}
+
+async function sendMock({ model, messages, options, onDelta, signal }) {
     const modelId = model || 'mock-echo';
 
     // Simulate latency (default 500ms, or 2000ms for mock-slow)
     const delay = modelId === 'mock-slow' ? 2000 : 500;
-    await new Promise(resolve => setTimeout(resolve, delay));
+    await sleep(delay, signal);
 
     if (modelId === 'mock-error') {
         throw new Error('Simulated mock error');
     }
 
     let text = '';
+    let toolCalls;
+    let meta;
     const lastMsg = messages[messages.length - 1];
     const userContent = lastMsg && lastMsg.role === 'user' ? lastMsg.content : '';
 
     switch (modelId) {
+        case 'mock-tools':
+            ({ text, toolCalls } = mockToolTurn(messages, options));
+            break;
         case 'mock-echo':
             text = `Echo: ${userContent}`;
             break;
+        case 'mock-vision': {
+            // Lists the images in the view, as a vision model would see them
+            const images = messages.flatMap(m => (Array.isArray(m.images) ? m.images : []));
+            const seen = images.map(img => `${img.mediaType} ${Buffer.from(img.data || '', 'base64').length}B`);
+            text = `Saw ${images.length} image(s)${seen.length ? `: ${seen.join(', ')}` : ''}`;
+            break;
+        }
         case 'mock-lorem':
             text = LOREM_IPSUM;
             break;
+        case 'mock-cited':
+            // Shaped like a grounded reply: the sources it cites come in meta
+            text = `Cited: ${userContent}`;
+            meta = { citations: [{ uri: 'https://example.test/source', title: 'Example source' }] };
+            break;
         case 'mock-slow':
             text = `Sorry for the wait! I processed: "${userContent.substring(0, 20)}..."`;
             break;
@@ -33,8 +99,19 @@ async function sendMock({ model, messages, options }) {
             text = `Mock response from ${modelId}`;
     }
 
+    if (typeof onDelta === 'function') {
+        // Emit word-sized chunks so the UI/SSE path can be exercised offline
+        const pieces = text.match(/\S+\s*|\s+/g) || [];
+        for (const piece of pieces) {
+            await sleep(STREAM_CHUNK_DELAY_MS, signal);
+            onDelta(piece);
+        }
+    }
+
     return {
         text,
+        ...(toolCalls ? { toolCalls } : {}),
+        ...(meta ? { meta } : {}),
         usage: {
             input_tokens: 10,
             output_tokens: 20,
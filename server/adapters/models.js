@@ -113,6 +113,9 @@ async function listMockModels() {
       { id: 'mock-lorem', displayName: 'Mock Lorem Ipsum' },
       { id: 'mock-slow', displayName: 'Mock Slow (2s)' },
       { id: 'mock-error', displayName: 'Mock Error' },
+      { id: 'mock-tools', displayName: 'Mock Tool Caller' },
+      { id: 'mock-cited', displayName: 'Mock Cited Answer' },
+      { id: 'mock-vision', displayName: 'Mock Vision (lists images)' },
     ]
   };
 }
@@ -1,5 +1,6 @@
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const { getPath, setPath } = require('../utils/nested');
+const { readSSE, parseEventData } = require('./sse');
 // Prefer undici fetch to be explicit in Node
 let fetchFn = globalThis.fetch;
 try {
@@ -10,6 +11,10 @@ try {
   // ignore; rely on global fetch if present
 }
 
+// Tool-loop turns arrive as { role: 'assistant', content, toolCalls, providerContent? }
+// and { role: 'tool', toolCallId, name, content } and map to function_call /
+// function_call_output items. User messages with images ({ mediaType, data })
+// become input_text plus input_image parts.
 function toResponsesInput(messages, providerState) {
   const input = [];
   if (providerState) {
@@ -21,11 +26,49 @@ function toResponsesInput(messages, providerState) {
   for (const m of messages || []) {
     if (!m || !m.role) continue;
     if (m.role === 'system') continue; // system handled via instructions
+    if (m.role === 'tool') {
+      input.push({ type: 'function_call_output', call_id: m.toolCallId, output: String(m.content || '') });
+      continue;
+    }
+    if (m.role === 'assistant' && Array.isArray(m.toolCalls)) {
+      // Replay the output items as returned (keeps reasoning items paired
+      // with their calls); rebuild them when they came from elsewhere
+      if (Array.isArray(m.providerContent)) {
+        input.push(...m.providerContent);
+        continue;
+      }
+      if (m.content) input.push({ role: 'assistant', content: String(m.content) });
+      for (const call of m.toolCalls) {
+        input.push({ type: 'function_call', call_id: call.id, name: call.name, arguments: JSON.stringify(call.arguments || {}) });
+      }
+      continue;
+    }
+    if (m.role === 'user' && Array.isArray(m.images) && m.images.length) {
+      const content = [{ type: 'input_text', text: String(m.content || '') }];
+      for (const img of m.images) content.push({ type: 'input_image', image_url: `data:${img.mediaType};base64,${img.data}` });
+      input.push({ role: 'user', content });
+      continue;
+    }
     input.push({ role: m.role, content: String(m.content || '') });
   }
   return input;
 }
 
+// Parse a tool call's JSON arguments; unparseable input is passed on as the
+// raw string so the executor can report it
+function parseArguments(raw) {
+  if (raw && typeof raw === 'object') return raw;
+  if (typeof raw !== 'string' || !raw.trim()) return {};
+  try { return JSON.parse(raw); } catch { return raw; }
+}
+
+function extractOpenAIToolCalls(json) {
+  const out = Array.isArray(json && json.output) ? json.output : [];
+  return out
+    .filter((item) => item && item.type === 'function_call')
+    .map((item) => ({ id: item.call_id || item.id, name: item.name, arguments: parseArguments(item.arguments) }));
+}
+
 function extractInstructions(messages) {
   const systems = (messages || []).filter(m => m.role === 'system').map(m => String(m.content || ''));
   return systems.length ? systems.join('\n\n') : undefined;
@@ -41,13 +84,6 @@ function extractOpenAIText(json) {
     for (const block of content) {
       if (block?.type === 'output_text' && typeof block.text === 'string') parts.push(block.text);
       else if (block?.type === 'text' && typeof block.text === 'string') parts.push(block.text);
-      else if (block?.type === 'tool_use') {
-        // Include tool usage information in the output
-        parts.push(`\n\n[Tool: ${block.name || 'unknown'}]\n`);
-        if (block.input) {
-          parts.push(JSON.stringify(block.input, null, 2) + '\n');
-        }
-      }
     }
   }
   return parts.join('');
@@ -66,7 +102,33 @@ function extractOpenAIProviderState(json) {
   return undefined;
 }
 
-async function sendOpenAI({ model, messages, options, providerState }) {
+// Consume a Responses API stream, forwarding text deltas. The terminal
+// response.completed event carries the same object a non-streaming call
+// returns, so the caller can extract text/usage/state from it unchanged.
+async function readOpenAIStream(resp, onDelta) {
+  let text = '';
+  let final;
+  for await (const { data } of readSSE(resp)) {
+    const evt = parseEventData(data);
+    if (!evt) continue;
+    if (evt.type === 'response.output_text.delta' && typeof evt.delta === 'string') {
+      text += evt.delta;
+      onDelta(evt.delta);
+    } else if (evt.type === 'response.completed' || evt.type === 'response.incomplete') {
+      final = evt.response;
+    } else if (evt.type === 'response.failed' || evt.type === 'error') {
+      const err = (evt.response && evt.response.error) || evt.error || evt;
+      throw new Error(`OpenAI stream error: ${err.message || JSON.stringify(err)}`);
+    }
+  }
+  if (!final) return { output_text: text };
+  if (!extractOpenAIText(final) && text) final.output_text = text;
+  return final;
+}
+
+// Pass onDelta(textChunk) to stream; the resolved value is the same either way.
+// An aborted signal rejects with the fetch AbortError (also mid-stream).
+async function sendOpenAI({ model, messages, options, providerState, onDelta, signal }) {
   if (!OPENAI_API_KEY) throw new Error('OPENAI_API_KEY not set');
 
   const instructions = extractInstructions(messages);
@@ -76,14 +138,14 @@ async function sendOpenAI({ model, messages, options, providerState }) {
     model,
     ...(instructions ? { instructions } : {}),
     input,
-    stream: false,
+    stream: typeof onDelta === 'function',
     ...(options && options.reasoning ? { reasoning: options.reasoning } : {}),
     ...(options && options.extraBody ? options.extraBody : {}),
   };
 
-  // Add tools if provided (Responses API)
+  // Add tools if provided (Responses API), after any from extraBody
   if (options && options.tools && Array.isArray(options.tools) && options.tools.length > 0) {
-    body.tools = options.tools;
+    body.tools = [...(Array.isArray(body.tools) ? body.tools : []), ...options.tools];
   }
 
   if (options && options.maxTokens !== undefined && body.max_output_tokens === undefined) {
@@ -106,6 +168,7 @@ async function sendOpenAI({ model, messages, options, providerState }) {
   const resp = await (fetchFn || fetch)('https://api.openai.com/v1/responses', {
     method: 'POST',
     headers,
+    signal,
     body: JSON.stringify(body),
   });
 
@@ -113,7 +176,7 @@ async function sendOpenAI({ model, messages, options, providerState }) {
     const text = await resp.text().catch(() => '');
     throw new Error(`OpenAI error ${resp.status}: ${text}`);
   }
-  const json = await resp.json();
+  const json = typeof onDelta === 'function' ? await readOpenAIStream(resp, onDelta) : await resp.json();
   const text = extractOpenAIText(json);
   const meta = {
     status: json && json.status,
@@ -124,6 +187,10 @@ async function sendOpenAI({ model, messages, options, providerState }) {
   const STATE_RESP_PATH = process.env.OPENAI_STATE_RESPONSE_PATH;
   let providerStateOut = STATE_RESP_PATH ? getPath(json, STATE_RESP_PATH) : undefined;
   if (!providerStateOut) providerStateOut = extractOpenAIProviderState(json);
+  const toolCalls = extractOpenAIToolCalls(json);
+  if (toolCalls.length) {
+    return { text, usage: json.usage, providerState: providerStateOut, meta, toolCalls, providerContent: json.output };
+  }
   return { text, usage: json.usage, providerState: providerStateOut, meta };
 }
 
@@ -0,0 +1,59 @@
+/**
+ * Minimal Server-Sent Events reader shared by the streaming adapters.
+ * Providers all speak the same wire format (blank-line separated events with
+ * optional `event:` and one or more `data:` lines); only the JSON payloads
+ * differ, so each adapter interprets the events itself.
+ */
+
+async function* readSSE(resp) {
+  if (!resp || !resp.body) return;
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of resp.body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    let match;
+    while ((match = /\r?\n\r?\n/.exec(buffer))) {
+      const raw = buffer.slice(0, match.index);
+      buffer = buffer.slice(match.index + match[0].length);
+      const evt = parseEvent(raw);
+      if (evt) yield evt;
+    }
+  }
+
+  buffer += decoder.decode();
+  const tail = parseEvent(buffer);
+  if (tail) yield tail;
+}
+
+function parseEvent(raw) {
+  if (!raw || !raw.trim()) return null;
+  let event;
+  const data = [];
+  for (const line of raw.split(/\r?\n/)) {
+    if (!line || line.startsWith(':')) continue; // comment / keep-alive
+    const idx = line.indexOf(':');
+    const field = idx === -1 ? line : line.slice(0, idx);
+    let value = idx === -1 ? '' : line.slice(idx + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+    if (field === 'event') event = value;
+    else if (field === 'data') data.push(value);
+  }
+  if (!data.length) return null;
+  return { event, data: data.join('\n') };
+}
+
+/**
+ * Parse an event's data as JSON; returns undefined for the OpenAI-style
+ * `[DONE]` sentinel or anything that is not JSON.
+ */
+function parseEventData(data) {
+  if (!data || data === '[DONE]') return undefined;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return undefined;
+  }
+}
+
+module.exports = { readSSE, parseEventData };
@@ -0,0 +1,78 @@
+/**
+ * Offline test for image attachments: each adapter must send a user
+ * message's images ({ mediaType, data }) in its provider's format next to
+ * the text, and leave messages without images as they were.
+ *
+ * Usage: node server/adapters/test-images.js
+ */
+
+process.env.OPENAI_API_KEY = 'test';
+process.env.ANTHROPIC_API_KEY = 'test';
+process.env.GOOGLE_API_KEY = 'test';
+process.env.XAI_API_KEY = 'test';
+
+// Adapters capture globalThis.fetch at require time, so install the fake first
+let nextReply = null;
+let lastRequest = null;
+globalThis.fetch = async (url, init) => {
+  lastRequest = { url, body: JSON.parse(init.body) };
+  return new Response(JSON.stringify(nextReply), { status: 200, headers: { 'Content-Type': 'application/json' } });
+};
+
+const { sendOpenAI } = require('./openai');
+const { sendAnthropic } = require('./anthropic');
+const { sendGoogle } = require('./google');
+const { sendXAI } = require('./xai');
+const { sendMock } = require('./mock');
+const { check, done } = require('../test-helpers');
+
+const image = { mediaType: 'image/png', data: 'iVBORw0KGgo=' };
+const view = [
+  { role: 'user', content: '[User attached 1 image(s): attachments/a.png]', images: [image] },
+  { role: 'user', content: 'User: what is this?' },
+];
+
+async function main() {
+  // --- OpenAI Responses ---
+  nextReply = { status: 'completed', output: [{ type: 'message', content: [{ type: 'output_text', text: 'ok' }] }] };
+  await sendOpenAI({ model: 'gpt-test', messages: view });
+  let input = lastRequest.body.input;
+  check('openai: input_text + input_image with a data URL', input[0].content[0].type === 'input_text' &&
+    input[0].content[1].type === 'input_image' && input[0].content[1].image_url === 'data:image/png;base64,iVBORw0KGgo=');
+  check('openai: text-only message stays a string', input[1].content === 'User: what is this?');
+
+  // --- Anthropic Messages ---
+  nextReply = { content: [{ type: 'text', text: 'ok' }], stop_reason: 'end_turn' };
+  await sendAnthropic({ model: 'claude-test', messages: view });
+  const msgs = lastRequest.body.messages;
+  check('anthropic: base64 image block before the text', msgs[0].content[0].type === 'image' &&
+    msgs[0].content[0].source.type === 'base64' && msgs[0].content[0].source.media_type === 'image/png' &&
+    msgs[0].content[0].source.data === image.data && msgs[0].content[1].type === 'text');
+  check('anthropic: text-only message is one text block', msgs[1].content.length === 1 && msgs[1].content[0].type === 'text');
+
+  // --- Gemini ---
+  nextReply = { candidates: [{ content: { role: 'model', parts: [{ text: 'ok' }] }, finishReason: 'STOP' }] };
+  await sendGoogle({ model: 'gemini-test', messages: view });
+  const contents = lastRequest.body.contents;
+  check('google: inline_data part before the text', contents[0].parts[0].inline_data.mime_type === 'image/png' &&
+    contents[0].parts[0].inline_data.data === image.data && typeof contents[0].parts[1].text === 'string');
+
+  // --- xAI chat completions ---
+  nextReply = { choices: [{ message: { content: 'ok' }, finish_reason: 'stop' }] };
+  await sendXAI({ model: 'grok-test', messages: view });
+  const chat = lastRequest.body.messages;
+  check('xai: image_url part with a data URL', chat[0].content[0].type === 'image_url' &&
+    chat[0].content[0].image_url.url === 'data:image/png;base64,iVBORw0KGgo=' && chat[0].content[1].type === 'text' && !chat[0].images);
+  check('xai: text-only message unchanged', chat[1].content === 'User: what is this?');
+
+  // --- Mock vision ---
+  const r = await sendMock({ model: 'mock-vision', messages: view });
+  check('mock-vision: lists the images it was sent', r.text === 'Saw 1 image(s): image/png 8B');
+
+  done('image');
+}
+
+main().catch(err => {
+  console.error('Test crashed:', err);
+  process.exit(1);
+});
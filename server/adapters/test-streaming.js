@@ -0,0 +1,137 @@
+/**
+ * Offline test for adapter streaming: each provider's SSE stream is replayed
+ * through a fake fetch and must produce the same { text, usage, meta } as the
+ * non-streaming path, with onDelta seeing the text incrementally.
+ *
+ * Usage: node server/adapters/test-streaming.js
+ */
+
+process.env.OPENAI_API_KEY = 'test';
+process.env.ANTHROPIC_API_KEY = 'test';
+process.env.GOOGLE_API_KEY = 'test';
+process.env.XAI_API_KEY = 'test';
+
+// Adapters capture globalThis.fetch at require time, so install the fake first
+let nextStream = '';
+let lastRequest = null;
+globalThis.fetch = async (url, init) => {
+  lastRequest = { url, body: JSON.parse(init.body), signal: init.signal };
+  // Split into small byte chunks so events straddle chunk boundaries
+  const bytes = Buffer.from(nextStream, 'utf8');
+  const stream = new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < bytes.length; i += 7) controller.enqueue(bytes.subarray(i, i + 7));
+      controller.close();
+    },
+  });
+  return new Response(stream, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+};
+
+const { sendOpenAI } = require('./openai');
+const { sendAnthropic } = require('./anthropic');
+const { sendGoogle } = require('./google');
+const { sendXAI } = require('./xai');
+const { sendMock } = require('./mock');
+const { check, done } = require('../test-helpers');
+
+function sse(events) {
+  return events.map(e => (typeof e === 'string' ? `data: ${e}\n\n` : `event: ${e.type || 'message'}\ndata: ${JSON.stringify(e)}\n\n`)).join('');
+}
+
+function collector() {
+  const deltas = [];
+  const onDelta = (d) => deltas.push(d);
+  return { deltas, onDelta };
+}
+
+async function main() {
+  // --- OpenAI Responses ---
+  nextStream = sse([
+    { type: 'response.created', response: { status: 'in_progress' } },
+    { type: 'response.output_text.delta', delta: 'Hello' },
+    { type: 'response.output_text.delta', delta: ', world' },
+    { type: 'response.completed', response: { status: 'completed', output: [{ type: 'message', content: [{ type: 'output_text', text: 'Hello, world' }] }], usage: { input_tokens: 5, output_tokens: 3 } } },
+  ]);
+  let c = collector();
+  let r = await sendOpenAI({ model: 'gpt-test', messages: [{ role: 'user', content: 'hi' }], onDelta: c.onDelta });
+  check('openai: request asks for stream', lastRequest.body.stream === true);
+  check('openai: deltas forwarded in order', c.deltas.join('') === 'Hello, world');
+  check('openai: final text from completed response', r.text === 'Hello, world');
+  check('openai: usage from completed response', r.usage && r.usage.output_tokens === 3);
+
+  // --- Anthropic Messages ---
+  nextStream = sse([
+    { type: 'message_start', message: { id: 'm1', usage: { input_tokens: 7, output_tokens: 1 } } },
+    { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Bonjour' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: ' tout le monde' } },
+    { type: 'content_block_stop', index: 0 },
+    { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', name: 'lookup', input: {} } },
+    { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"q":' } },
+    { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"x"}' } },
+    { type: 'content_block_stop', index: 1 },
+    { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 12 } },
+    { type: 'message_stop' },
+  ]);
+  c = collector();
+  r = await sendAnthropic({ model: 'claude-test', system: 'sys', messages: [{ role: 'user', content: 'hi' }], onDelta: c.onDelta });
+  check('anthropic: request asks for stream', lastRequest.body.stream === true);
+  check('anthropic: deltas concatenate to final text', c.deltas.join('') === r.text);
+  check('anthropic: text rebuilt, tool block returned as a call', r.text === 'Bonjour tout le monde' && r.toolCalls.length === 1 && r.toolCalls[0].name === 'lookup' && r.toolCalls[0].arguments.q === 'x');
+  check('anthropic: stop_reason from message_delta', r.meta.stop_reason === 'end_turn');
+  check('anthropic: usage merged across events', r.usage.input_tokens === 7 && r.usage.output_tokens === 12);
+
+  // --- Google streamGenerateContent ---
+  nextStream = sse([
+    JSON.stringify({ candidates: [{ content: { role: 'model', parts: [{ text: 'Hola' }] } }] }),
+    JSON.stringify({ candidates: [{ content: { role: 'model', parts: [{ text: ' mundo' }] }, finishReason: 'STOP', groundingMetadata: { groundingAttributions: [{ web: { uri: 'https://example.com', title: 'Ex' } }] } }], usageMetadata: { promptTokenCount: 4, candidatesTokenCount: 2, totalTokenCount: 6 } }),
+  ]);
+  c = collector();
+  r = await sendGoogle({ model: 'gemini-test', system: 'sys', messages: [{ role: 'user', content: 'hi' }], onDelta: c.onDelta });
+  check('google: streaming endpoint used', /:streamGenerateContent\?alt=sse&key=/.test(lastRequest.url));
+  check('google: deltas forwarded', c.deltas.join('') === 'Hola mundo');
+  check('google: merged final text', r.text === 'Hola mundo');
+  check('google: finishReason + citations from last chunk', r.meta.finishReason === 'STOP' && r.meta.citations.length === 1);
+  check('google: usage from last chunk', r.usage.totalTokenCount === 6);
+
+  // --- xAI chat completions ---
+  nextStream = sse([
+    JSON.stringify({ choices: [{ delta: { role: 'assistant', content: 'Ciao' } }] }),
+    JSON.stringify({ choices: [{ delta: { content: ' mondo' }, finish_reason: 'stop' }] }),
+    JSON.stringify({ choices: [], usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 } }),
+    '[DONE]',
+  ]);
+  c = collector();
+  r = await sendXAI({ model: 'grok-test', messages: [{ role: 'user', content: 'hi' }], onDelta: c.onDelta });
+  check('xai: stream + usage requested', lastRequest.body.stream === true && lastRequest.body.stream_options.include_usage === true);
+  check('xai: deltas forwarded', c.deltas.join('') === 'Ciao mondo');
+  check('xai: final text, finish_reason, usage', r.text === 'Ciao mondo' && r.meta.finish_reason === 'stop' && r.usage.total_tokens === 5);
+
+  // --- Stream errors surface as thrown errors ---
+  nextStream = sse([{ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }]);
+  let threw = null;
+  try { await sendAnthropic({ model: 'claude-test', messages: [{ role: 'user', content: 'hi' }], onDelta: () => { } }); } catch (e) { threw = e; }
+  check('anthropic: stream error event throws', threw && /Overloaded/.test(threw.message));
+
+  // --- Mock streaming mode ---
+  c = collector();
+  r = await sendMock({ model: 'mock-lorem', messages: [{ role: 'user', content: 'User: hi' }], onDelta: c.onDelta });
+  check('mock: streams multiple deltas', c.deltas.length > 5);
+  check('mock: deltas reassemble final text', c.deltas.join('') === r.text);
+  r = await sendMock({ model: 'mock-echo', messages: [{ role: 'user', content: 'User: hi' }] });
+  check('mock: non-streaming call unchanged', r.text === 'Echo: User: hi');
+
+  // --- Abort signal rejects the mock like an aborted fetch ---
+  const controller = new AbortController();
+  setTimeout(() => controller.abort('user'), 50);
+  threw = null;
+  try { await sendMock({ model: 'mock-slow', messages: [{ role: 'user', content: 'User: hi' }], signal: controller.signal }); } catch (e) { threw = e; }
+  check('mock: abort signal rejects with AbortError', threw && threw.name === 'AbortError');
+
+  done('streaming');
+}
+
+main().catch(err => {
+  console.error('Test crashed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,139 @@
+/**
+ * Offline test for native tool calling: each adapter must return the
+ * provider's tool calls as { id, name, arguments } (streaming or not), send
+ * registered tools in its own format and map tool-loop turns (assistant
+ * toolCalls + role 'tool' results) back into its request shape.
+ *
+ * Usage: node server/adapters/test-tool-calls.js
+ */
+
+process.env.OPENAI_API_KEY = 'test';
+process.env.ANTHROPIC_API_KEY = 'test';
+process.env.GOOGLE_API_KEY = 'test';
+process.env.XAI_API_KEY = 'test';
+
+// Adapters capture globalThis.fetch at require time, so install the fake first.
+// A string reply is served as an SSE stream, an object as a JSON body.
+let nextReply = null;
+let lastRequest = null;
+globalThis.fetch = async (url, init) => {
+  lastRequest = { url, body: JSON.parse(init.body) };
+  if (typeof nextReply === 'string') {
+    return new Response(nextReply, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+  }
+  return new Response(JSON.stringify(nextReply), { status: 200, headers: { 'Content-Type': 'application/json' } });
+};
+
+const { sendOpenAI } = require('./openai');
+const { sendAnthropic } = require('./anthropic');
+const { sendGoogle } = require('./google');
+const { sendXAI } = require('./xai');
+const { sendMock } = require('./mock');
+const { registerTool, unregisterTool, resolveToolNames, toProviderTools, executeToolCall } = require('../tools/registry');
+const { check, done } = require('../test-helpers');
+
+function sse(events) {
+  return events.map(e => `data: ${typeof e === 'string' ? e : JSON.stringify(e)}\n\n`).join('');
+}
+
+// A finished step: the model asked for lookup({ q: 'x' }) and got "42" back
+const call = { id: 'call_1', name: 'lookup', arguments: { q: 'x' } };
+const loopTurns = [
+  { role: 'user', content: 'User: find x' },
+  { role: 'assistant', content: 'Looking.', toolCalls: [call] },
+  { role: 'tool', toolCallId: 'call_1', name: 'lookup', content: '42' },
+];
+
+async function main() {
+  // --- Registry ---
+  registerTool({
+    name: 'lookup',
+    description: 'Look something up',
+    parameters: { type: 'object', properties: { q: { type: 'string' } }, required: ['q'] },
+    handler: ({ q }) => ({ q, answer: 42 }),
+  });
+  registerTool({ name: 'broken', handler: () => { throw new Error('boom'); } });
+  check('registry: true selects every tool', resolveToolNames(true).names.includes('lookup') && resolveToolNames(true).names.includes('current_time'));
+  check('registry: unknown names are reported', resolveToolNames(['lookup', 'nope']).unknown.join() === 'nope');
+  let out = await executeToolCall(call);
+  check('registry: handler result is serialized', out.output === '{"q":"x","answer":42}' && !out.error);
+  out = await executeToolCall({ id: 'c', name: 'broken', arguments: {} });
+  check('registry: handler errors come back as output', out.error === true && out.output === 'Error: boom');
+  out = await executeToolCall({ id: 'c', name: 'missing', arguments: {} });
+  check('registry: unknown tool is an error result', out.error === true && /unknown tool/.test(out.output));
+  out = await executeToolCall({ id: 'c', name: 'lookup', arguments: '{"q":' });
+  check('registry: unparsed arguments are rejected', out.error === true && /JSON object/.test(out.output));
+  check('registry: google tools grouped as functionDeclarations', toProviderTools('google', ['lookup'])[0].functionDeclarations[0].name === 'lookup');
+  check('registry: anthropic tools use input_schema', toProviderTools('anthropic', ['lookup'])[0].input_schema.required[0] === 'q');
+
+  // --- OpenAI Responses ---
+  nextReply = { status: 'completed', output: [{ type: 'function_call', id: 'fc_1', call_id: 'call_9', name: 'lookup', arguments: '{"q":"y"}' }], usage: { input_tokens: 5, output_tokens: 3 } };
+  let r = await sendOpenAI({
+    model: 'gpt-test',
+    messages: [{ role: 'user', content: 'hi' }],
+    options: { tools: toProviderTools('openai', ['lookup']), extraBody: { tools: [{ type: 'web_search' }] } },
+  });
+  check('openai: function_call item returned as a call', r.toolCalls && r.toolCalls[0].id === 'call_9' && r.toolCalls[0].arguments.q === 'y');
+  check('openai: output items kept for replay', Array.isArray(r.providerContent) && r.providerContent[0].type === 'function_call');
+  check('openai: function tools appended after extraBody tools', lastRequest.body.tools.length === 2 && lastRequest.body.tools[1].name === 'lookup');
+  await sendOpenAI({ model: 'gpt-test', messages: loopTurns });
+  const input = lastRequest.body.input;
+  check('openai: tool turns map to function_call + output items', input[2].type === 'function_call' && input[2].call_id === 'call_1' && input[3].type === 'function_call_output' && input[3].output === '42');
+
+  nextReply = sse([
+    { type: 'response.output_text.delta', delta: 'Checking' },
+    { type: 'response.completed', response: { status: 'completed', output: [{ type: 'message', content: [{ type: 'output_text', text: 'Checking' }] }, { type: 'function_call', call_id: 'call_s', name: 'lookup', arguments: '{}' }] } },
+  ]);
+  r = await sendOpenAI({ model: 'gpt-test', messages: [{ role: 'user', content: 'hi' }], onDelta: () => { } });
+  check('openai: streamed call read from the completed response', r.text === 'Checking' && r.toolCalls[0].id === 'call_s');
+
+  // --- Anthropic Messages ---
+  nextReply = { content: [{ type: 'text', text: 'Let me look.' }, { type: 'tool_use', id: 'toolu_1', name: 'lookup', input: { q: 'z' } }], stop_reason: 'tool_use', usage: { input_tokens: 3, output_tokens: 4 } };
+  r = await sendAnthropic({ model: 'claude-test', messages: [{ role: 'user', content: 'hi' }], options: { tools: toProviderTools('anthropic', ['lookup']) } });
+  check('anthropic: tool_use is a call, not text', r.text === 'Let me look.' && r.toolCalls[0].id === 'toolu_1' && r.toolCalls[0].arguments.q === 'z');
+  check('anthropic: tools sent', lastRequest.body.tools[0].name === 'lookup');
+  await sendAnthropic({ model: 'claude-test', messages: [...loopTurns, { role: 'tool', toolCallId: 'call_2', name: 'lookup', content: 'no', isError: true }] });
+  const msgs = lastRequest.body.messages;
+  check('anthropic: assistant turn carries tool_use', msgs[1].role === 'assistant' && msgs[1].content[1].type === 'tool_use' && msgs[1].content[1].id === 'call_1');
+  check('anthropic: results share one user turn', msgs.length === 3 && msgs[2].content.length === 2 && msgs[2].content[0].tool_use_id === 'call_1' && msgs[2].content[1].is_error === true);
+
+  // --- Gemini function calls ---
+  nextReply = { candidates: [{ content: { role: 'model', parts: [{ functionCall: { name: 'lookup', args: { q: 'g' } }, thoughtSignature: 'sig' }] }, finishReason: 'STOP' }] };
+  r = await sendGoogle({ model: 'gemini-test', messages: [{ role: 'user', content: 'hi' }], options: { tools: toProviderTools('google', ['lookup']), extraBody: { tools: [{ googleSearch: {} }] } } });
+  check('google: functionCall part is a call', r.toolCalls && r.toolCalls[0].name === 'lookup' && r.toolCalls[0].arguments.q === 'g' && r.toolCalls[0].id);
+  check('google: grounding and function tools both sent', lastRequest.body.tools.length === 2 && lastRequest.body.tools[1].functionDeclarations);
+  await sendGoogle({ model: 'gemini-test', messages: [loopTurns[0], { ...loopTurns[1], providerContent: r.providerContent }, loopTurns[2]] });
+  const contents = lastRequest.body.contents;
+  check('google: returned parts replayed with their signature', contents[1].role === 'model' && contents[1].parts[0].thoughtSignature === 'sig');
+  check('google: result sent as functionResponse', contents[2].role === 'user' && contents[2].parts[0].functionResponse.name === 'lookup' && contents[2].parts[0].functionResponse.response.content === '42');
+
+  // --- xAI chat completions ---
+  nextReply = sse([
+    { choices: [{ delta: { role: 'assistant', tool_calls: [{ index: 0, id: 'call_x', type: 'function', function: { name: 'lookup', arguments: '{"q":' } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"w"}' } }] }, finish_reason: 'tool_calls' }] },
+    '[DONE]',
+  ]);
+  r = await sendXAI({ model: 'grok-test', messages: [{ role: 'user', content: 'hi' }], options: { tools: toProviderTools('xai', ['lookup']) }, onDelta: () => { } });
+  check('xai: streamed tool call fragments reassembled', r.toolCalls && r.toolCalls[0].id === 'call_x' && r.toolCalls[0].arguments.q === 'w' && r.meta.finish_reason === 'tool_calls');
+  nextReply = { choices: [{ message: { content: 'It is 42.' }, finish_reason: 'stop' }] };
+  r = await sendXAI({ model: 'grok-test', messages: loopTurns });
+  check('xai: plain answer has no calls', r.text === 'It is 42.' && !r.toolCalls);
+  const chat = lastRequest.body.messages;
+  check('xai: tool turns map to tool_calls + role tool', chat[1].tool_calls[0].function.arguments === '{"q":"x"}' && chat[2].role === 'tool' && chat[2].tool_call_id === 'call_1');
+
+  // --- Mock tool caller ---
+  r = await sendMock({ model: 'mock-tools', messages: [{ role: 'user', content: 'User: lookup {"q":"m"}' }], options: { tools: toProviderTools('mock', ['current_time', 'lookup']) } });
+  check('mock-tools: calls the named tool with the JSON arguments', r.toolCalls[0].name === 'lookup' && r.toolCalls[0].arguments.q === 'm');
+  r = await sendMock({ model: 'mock-tools', messages: loopTurns });
+  check('mock-tools: answers with the results', r.text === 'Tool results: lookup: 42' && !r.toolCalls);
+
+  unregisterTool('lookup');
+  unregisterTool('broken');
+
+  done('tool call');
+}
+
+main().catch(err => {
+  console.error('Test crashed:', err);
+  process.exit(1);
+});
@@ -1,23 +1,93 @@
 const XAI_API_KEY = process.env.XAI_API_KEY;
+const { readSSE, parseEventData } = require('./sse');
 let fetchFn = globalThis.fetch;
 try {
   if (!fetchFn) fetchFn = require('undici').fetch;
 } catch {}
 
-// Accepts { model, messages, options }
-// Uses OpenAI-compatible Chat Completions API
-async function sendXAI({ model, messages, options }) {
+// Chat Completions already has tool turns: assistant tool_calls and role
+// 'tool' results. Images ({ mediaType, data }) become image_url parts with a
+// data: URL. Other messages pass through unchanged.
+function toChatMessages(messages) {
+  return (messages || []).map((m) => {
+    if (m && Array.isArray(m.images)) {
+      const { images, ...rest } = m;
+      if (!images.length) return rest;
+      const content = images.map((img) => ({ type: 'image_url', image_url: { url: `data:${img.mediaType};base64,${img.data}`, detail: 'high' } }));
+      content.push({ type: 'text', text: String(m.content || '') });
+      return { ...rest, content };
+    }
+    if (m && m.role === 'tool') {
+      return { role: 'tool', tool_call_id: m.toolCallId, content: String(m.content || '') };
+    }
+    if (m && m.role === 'assistant' && Array.isArray(m.toolCalls)) {
+      return {
+        role: 'assistant',
+        content: m.content || null,
+        tool_calls: m.toolCalls.map((call) => ({ id: call.id, type: 'function', function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) } })),
+      };
+    }
+    return m;
+  });
+}
+
+function parseArguments(raw) {
+  if (raw && typeof raw === 'object') return raw;
+  if (typeof raw !== 'string' || !raw.trim()) return {};
+  try { return JSON.parse(raw); } catch { return raw; }
+}
+
+// Collapse chat-completions stream chunks into a non-streaming response shape.
+// Tool calls stream as fragments keyed by index; their arguments concatenate.
+async function readXAIStream(resp, onDelta) {
+  let text = '';
+  let finishReason;
+  let usage;
+  const toolCalls = [];
+  for await (const { data } of readSSE(resp)) {
+    const chunk = parseEventData(data);
+    if (!chunk) continue;
+    if (chunk.error) {
+      throw new Error(`xAI stream error: ${chunk.error.message || JSON.stringify(chunk.error)}`);
+    }
+    const choice = (chunk.choices && chunk.choices[0]) || {};
+    const piece = choice.delta && choice.delta.content;
+    if (typeof piece === 'string' && piece) {
+      text += piece;
+      onDelta(piece);
+    }
+    const calls = choice.delta && Array.isArray(choice.delta.tool_calls) ? choice.delta.tool_calls : [];
+    for (const frag of calls) {
+      const i = Number.isInteger(frag.index) ? frag.index : toolCalls.length;
+      const call = toolCalls[i] || (toolCalls[i] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+      if (frag.id) call.id = frag.id;
+      if (frag.function && frag.function.name) call.function.name += frag.function.name;
+      if (frag.function && typeof frag.function.arguments === 'string') call.function.arguments += frag.function.arguments;
+    }
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+    if (chunk.usage) usage = chunk.usage;
+  }
+  const message = { content: text };
+  if (toolCalls.length) message.tool_calls = toolCalls.filter(Boolean);
+  return { choices: [{ message, finish_reason: finishReason }], usage };
+}
+
+// Accepts { model, messages, options, onDelta?, signal? }
+// Uses OpenAI-compatible Chat Completions API; onDelta(textChunk) enables streaming
+async function sendXAI({ model, messages, options, onDelta, signal }) {
   if (!XAI_API_KEY) throw new Error('XAI_API_KEY not set');
 
   const body = {
     model,
-    messages,
+    messages: toChatMessages(messages),
+    ...(typeof onDelta === 'function' ? { stream: true, stream_options: { include_usage: true } } : {}),
     ...(options && options.extraBody ? options.extraBody : {}),
   };
 
-  // Add tools if provided (server-side agentic tools)
+  // Add tools if provided (server-side agentic tools, functions), after any
+  // from extraBody
   if (options && options.tools && Array.isArray(options.tools) && options.tools.length > 0) {
-    body.tools = options.tools;
+    body.tools = [...(Array.isArray(body.tools) ? body.tools : []), ...options.tools];
   }
 
   if (options && options.maxTokens !== undefined && body.max_tokens === undefined) {
@@ -34,6 +104,7 @@ async function sendXAI({ model, messages, options }) {
   const resp = await (fetchFn || fetch)('https://api.x.ai/v1/chat/completions', {
     method: 'POST',
     headers,
+    signal,
     body: JSON.stringify(body),
   });
 
@@ -41,10 +112,15 @@ async function sendXAI({ model, messages, options }) {
     const text = await resp.text().catch(() => '');
     throw new Error(`xAI error ${resp.status}: ${text}`);
   }
-  const json = await resp.json();
+  const json = typeof onDelta === 'function' ? await readXAIStream(resp, onDelta) : await resp.json();
   const choice = (json.choices && json.choices[0]) || {};
   const text = choice.message && choice.message.content ? choice.message.content : '';
   const meta = { finish_reason: choice && choice.finish_reason };
+  const calls = choice.message && Array.isArray(choice.message.tool_calls) ? choice.message.tool_calls : [];
+  const toolCalls = calls
+    .filter((c) => c && c.function && c.function.name)
+    .map((c) => ({ id: c.id, name: c.function.name, arguments: parseArguments(c.function.arguments) }));
+  if (toolCalls.length) return { text, usage: json.usage, meta, toolCalls };
   return { text, usage: json.usage, meta };
 }
 
@@ -76,7 +76,7 @@ function initializeDefaultConfig() {
       'This is a simplified conversation, driven off of user messages. There is one round per user message. ' +
       'You will see the full conversation from the beginning: each user message followed by other agents\' replies tagged in brackets, e.g., [ModelA]: ... ' +
       'Your own previous replies appear as assistant messages. Respond once per user turn, primarily addressing the user directly but also addressing the other models as appropriate. ' +
-      'Coordination: Replies are collected in parallel and shown together; do not claim to "go first" or "start the discussion". Avoid meta-openers; contribute your content directly.';
+      'Coordination: {{coordination}} Avoid meta-openers; contribute your content directly.';
 
     setConfig('system_prompts', {
       common: process.env.SYSTEM_PROMPT_COMMON || defaultCommon,
@@ -0,0 +1,144 @@
+const { db, newId } = require('./index');
+
+/**
+ * Conversation lineage. A fork is an ordinary conversation whose rows were
+ * copied from rounds 1..n of its parent; parent_conversation_id and
+ * forked_from_round record where it came from.
+ */
+
+/**
+ * Copy rounds 1..roundNumber of a conversation (messages with their
+ * metadata, per-agent provider state, and the summaries covering no later
+ * round) into a new conversation row.
+ * Returns { id, messageIds } so the caller can index the copied messages.
+ */
+function forkConversation(sourceId, roundNumber, { title } = {}) {
+  const source = db.prepare('SELECT * FROM conversations WHERE id = ?').get(sourceId);
+  if (!source) throw new Error(`Conversation not found: ${sourceId}`);
+
+  const id = newId('conv');
+  const now = Date.now();
+  const messageIds = [];
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO conversations (id, project_id, title, title_source, created_at, updated_at, round_count, parent_conversation_id, forked_from_round)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      source.project_id,
+      title || `${source.title || `Conversation ${sourceId}`} (fork @ round ${roundNumber})`,
+      title ? 'user' : 'auto',
+      now,
+      now,
+      roundNumber,
+      sourceId,
+      roundNumber
+    );
+
+    const messages = db.prepare(`
+      SELECT round_number, speaker, content, metadata, created_at
+      FROM conversation_messages
+      WHERE conversation_id = ? AND round_number <= ?
+      ORDER BY round_number, created_at
+    `).all(sourceId, roundNumber);
+
+    const insertMessage = db.prepare(`
+      INSERT INTO conversation_messages (id, conversation_id, round_number, speaker, content, metadata, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const msg of messages) {
+      const msgId = newId('msg');
+      insertMessage.run(msgId, id, msg.round_number, msg.speaker, msg.content, msg.metadata, msg.created_at);
+      messageIds.push(msgId);
+    }
+
+    db.prepare(`
+      INSERT INTO conversation_model_state (conversation_id, agent_id, round_number, provider, state, created_at)
+      SELECT ?, agent_id, round_number, provider, state, created_at
+      FROM conversation_model_state
+      WHERE conversation_id = ? AND round_number <= ?
+    `).run(id, sourceId, roundNumber);
+
+    // Summaries written before the fork point still describe the fork
+    db.prepare(`
+      INSERT INTO conversation_summaries (conversation_id, version, summary, through_round, provider, model_id, created_at)
+      SELECT ?, version, summary, through_round, provider, model_id, created_at
+      FROM conversation_summaries
+      WHERE conversation_id = ? AND through_round <= ?
+    `).run(id, sourceId, roundNumber);
+    db.prepare(`
+      UPDATE conversations SET summary = (
+        SELECT summary FROM conversation_summaries WHERE conversation_id = ? ORDER BY version DESC LIMIT 1
+      ) WHERE id = ?
+    `).run(id, id);
+  })();
+
+  return { id, messageIds };
+}
+
+function branchRow(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    parent_conversation_id: row.parent_conversation_id,
+    forked_from_round: row.forked_from_round,
+    round_count: row.round_count,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    ...(row.deleted_at ? { trashed: true } : {})
+  };
+}
+
+/**
+ * Direct forks of a conversation that are not in the trash, oldest first.
+ */
+function listBranches(conversationId) {
+  return db.prepare(`
+    SELECT id, title, parent_conversation_id, forked_from_round, round_count, created_at, updated_at
+    FROM conversations
+    WHERE parent_conversation_id = ? AND deleted_at IS NULL
+    ORDER BY created_at, id
+  `).all(conversationId).map(branchRow);
+}
+
+/**
+ * The whole family a conversation belongs to: walks up to the root, then
+ * returns the root with nested `branches`. Members in the trash are kept so
+ * the tree stays connected, flagged `trashed`. Returns null for unknown ids.
+ */
+function getBranchTree(conversationId) {
+  let rootId = conversationId;
+  const seen = new Set();
+  for (;;) {
+    const row = db.prepare('SELECT parent_conversation_id FROM conversations WHERE id = ?').get(rootId);
+    if (!row) {
+      if (rootId === conversationId) return null;
+      break;
+    }
+    if (!row.parent_conversation_id || seen.has(row.parent_conversation_id)) break;
+    seen.add(rootId);
+    rootId = row.parent_conversation_id;
+  }
+
+  const rows = db.prepare(`
+    WITH RECURSIVE family(id) AS (
+      SELECT ?
+      UNION
+      SELECT c.id FROM conversations c JOIN family f ON c.parent_conversation_id = f.id
+    )
+    SELECT c.id, c.title, c.parent_conversation_id, c.forked_from_round, c.round_count, c.created_at, c.updated_at, c.deleted_at
+    FROM conversations c JOIN family f ON c.id = f.id
+    ORDER BY c.created_at, c.id
+  `).all(rootId);
+
+  const nodes = new Map(rows.map((row) => [row.id, { ...branchRow(row), branches: [] }]));
+  for (const node of nodes.values()) {
+    if (node.id !== rootId && nodes.has(node.parent_conversation_id)) {
+      nodes.get(node.parent_conversation_id).branches.push(node);
+    }
+  }
+  return nodes.get(rootId) || null;
+}
+
+module.exports = { forkConversation, listBranches, getBranchTree };
@@ -0,0 +1,94 @@
+const { db } = require('./index');
+
+/**
+ * Conversation titles and organisation: who set the title (title_source),
+ * archived and pinned flags, and free-form tags (a JSON array).
+ */
+
+// Most tags one conversation keeps, and the longest tag
+const MAX_TAGS = 20;
+const MAX_TAG_CHARS = 50;
+
+function parseTags(text) {
+  if (!text) return [];
+  try {
+    const tags = JSON.parse(text);
+    return Array.isArray(tags) ? tags.filter((t) => typeof t === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Title and organisation fields of a conversations row, as the in-memory
+ * conversation and the API carry them.
+ */
+function conversationMeta(row) {
+  return {
+    title: row.title,
+    titleSource: row.title_source || undefined,
+    archived: !!row.archived,
+    pinned: !!row.pinned,
+    tags: parseTags(row.tags)
+  };
+}
+
+/**
+ * Normalise a tags list: trimmed, non-empty, unique, at most MAX_TAGS of at
+ * most MAX_TAG_CHARS each. Returns null when tags is not an array of strings.
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags) || tags.some((t) => typeof t !== 'string')) return null;
+  const out = [];
+  for (const tag of tags) {
+    const t = tag.trim().replace(/\s+/g, ' ');
+    if (!t || t.length > MAX_TAG_CHARS || out.includes(t)) continue;
+    out.push(t);
+  }
+  return out.slice(0, MAX_TAGS);
+}
+
+/**
+ * Apply { title?, archived?, pinned?, tags? } (already validated) to a
+ * conversation. A title set here is the user's (title_source 'user').
+ * Returns the updated fields, or null for an unknown conversation.
+ */
+function updateConversationMeta(conversationId, patch) {
+  const sets = [];
+  const params = [];
+  if (patch.title !== undefined) {
+    sets.push("title = ?, title_source = 'user'");
+    params.push(patch.title);
+  }
+  if (patch.archived !== undefined) {
+    sets.push('archived = ?');
+    params.push(patch.archived ? 1 : 0);
+  }
+  if (patch.pinned !== undefined) {
+    sets.push('pinned = ?');
+    params.push(patch.pinned ? 1 : 0);
+  }
+  if (patch.tags !== undefined) {
+    sets.push('tags = ?');
+    params.push(patch.tags.length ? JSON.stringify(patch.tags) : null);
+  }
+  if (sets.length) {
+    db.prepare(`UPDATE conversations SET ${sets.join(', ')} WHERE id = ?`).run(...params, conversationId);
+  }
+  const row = db.prepare('SELECT * FROM conversations WHERE id = ?').get(conversationId);
+  return row ? conversationMeta(row) : null;
+}
+
+/**
+ * Store an automatic title unless one was set meanwhile. Returns true when
+ * the title was written.
+ */
+function setAutoTitle(conversationId, title) {
+  const result = db.prepare(`
+    UPDATE conversations SET title = ?, title_source = 'auto'
+    WHERE id = ? AND title_source IS NULL
+  `).run(title, conversationId);
+  return result.changes > 0;
+}
+
+module.exports = { conversationMeta, normalizeTags, updateConversationMeta, setAutoTitle, MAX_TAGS, MAX_TAG_CHARS };
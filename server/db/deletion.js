@@ -0,0 +1,158 @@
+const { db } = require('./index');
+const { removeChunks, indexMessage, reindexMessage } = require('../indexing/indexer');
+
+/**
+ * Deleting conversations and parts of them. A conversation can go to the
+ * trash (deleted_at set, its messages dropped from the search index) and
+ * come back from it, or be removed for good; foreign keys and the chunk
+ * cleanup triggers take its messages, state, summaries and search chunks
+ * with it. Rounds and single replies can be removed from a live one.
+ */
+
+function messageIds(conversationId, where = '', ...params) {
+  return db.prepare(`SELECT id FROM conversation_messages WHERE conversation_id = ? ${where}`)
+    .all(conversationId, ...params).map((r) => r.id);
+}
+
+/**
+ * Move a conversation to the trash. Returns false when it does not exist or
+ * is already there.
+ */
+function trashConversation(conversationId) {
+  return db.transaction(() => {
+    const result = db.prepare('UPDATE conversations SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL')
+      .run(Date.now(), conversationId);
+    if (!result.changes) return false;
+    for (const id of messageIds(conversationId)) removeChunks('conversation_message', id);
+    return true;
+  })();
+}
+
+/**
+ * Take a conversation out of the trash and index its messages again.
+ * Returns false when it is not in the trash.
+ */
+function restoreConversation(conversationId) {
+  return db.transaction(() => {
+    const result = db.prepare('UPDATE conversations SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL')
+      .run(conversationId);
+    if (!result.changes) return false;
+    for (const id of messageIds(conversationId)) indexMessage(id);
+    return true;
+  })();
+}
+
+/**
+ * Conversations in the trash, most recently deleted first; all projects
+ * unless projectId is given.
+ */
+function listTrash(projectId) {
+  const where = projectId ? 'AND project_id = ?' : '';
+  return db.prepare(`
+    SELECT id, project_id, title, round_count, created_at, updated_at, deleted_at
+    FROM conversations
+    WHERE deleted_at IS NOT NULL ${where}
+    ORDER BY deleted_at DESC
+  `).all(...(projectId ? [projectId] : []));
+}
+
+/**
+ * Delete a conversation for good. Forks of it are kept and lose their parent
+ * link. Returns false when it does not exist.
+ */
+function purgeConversation(conversationId) {
+  return db.prepare('DELETE FROM conversations WHERE id = ?').run(conversationId).changes > 0;
+}
+
+/**
+ * Delete every conversation in the trash (of one project when given).
+ * Returns their ids.
+ */
+function emptyTrash(projectId) {
+  return db.transaction(() => {
+    const ids = listTrash(projectId).map((c) => c.id);
+    for (const id of ids) purgeConversation(id);
+    return ids;
+  })();
+}
+
+/**
+ * Remove round n: its messages and carry-forward state go, later rounds move
+ * up by one (their messages are reindexed for the new round numbers), and
+ * summaries covering the round are dropped. Returns false when the
+ * conversation has no such round.
+ */
+function deleteRound(conversationId, roundNumber) {
+  return db.transaction(() => {
+    const removed = db.prepare('DELETE FROM conversation_messages WHERE conversation_id = ? AND round_number = ?')
+      .run(conversationId, roundNumber);
+    if (!removed.changes) return false;
+
+    const later = messageIds(conversationId, 'AND round_number > ?', roundNumber);
+    db.prepare('UPDATE conversation_messages SET round_number = round_number - 1 WHERE conversation_id = ? AND round_number > ?')
+      .run(conversationId, roundNumber);
+    for (const id of later) reindexMessage(id);
+
+    // Shift through negative numbers so UNIQUE(conversation, agent, round)
+    // never sees two rows on the same round mid-update
+    db.prepare('DELETE FROM conversation_model_state WHERE conversation_id = ? AND round_number = ?')
+      .run(conversationId, roundNumber);
+    db.prepare('UPDATE conversation_model_state SET round_number = 1 - round_number WHERE conversation_id = ? AND round_number > ?')
+      .run(conversationId, roundNumber);
+    db.prepare('UPDATE conversation_model_state SET round_number = -round_number WHERE conversation_id = ? AND round_number < 0')
+      .run(conversationId);
+
+    db.prepare('DELETE FROM conversation_summaries WHERE conversation_id = ? AND through_round >= ?')
+      .run(conversationId, roundNumber);
+    db.prepare(`
+      UPDATE conversations SET
+        round_count = MAX(COALESCE(round_count, 0) - 1, 0),
+        updated_at = ?,
+        summary = (SELECT summary FROM conversation_summaries WHERE conversation_id = ? ORDER BY version DESC LIMIT 1)
+      WHERE id = ?
+    `).run(Date.now(), conversationId, conversationId);
+    return true;
+  })();
+}
+
+/**
+ * Remove one agent reply (pass defaults to 1) with the state it left for
+ * that round. Returns false when there is no such reply.
+ */
+function deleteAgentReply(conversationId, roundNumber, agentId, pass = 1) {
+  return db.transaction(() => {
+    const removed = db.prepare(`
+      DELETE FROM conversation_messages
+      WHERE conversation_id = ? AND round_number = ? AND speaker LIKE 'agent:%'
+        AND json_extract(metadata, '$.agentId') = ? AND COALESCE(json_extract(metadata, '$.pass'), 1) = ?
+    `).run(conversationId, roundNumber, agentId, pass);
+    if (!removed.changes) return false;
+    db.prepare('DELETE FROM conversation_model_state WHERE conversation_id = ? AND agent_id = ? AND round_number = ?')
+      .run(conversationId, agentId, roundNumber);
+    db.prepare('UPDATE conversations SET updated_at = ? WHERE id = ?').run(Date.now(), conversationId);
+    return true;
+  })();
+}
+
+/**
+ * Remove a round's synthesis. Returns false when the round has none.
+ */
+function deleteSynthesis(conversationId, roundNumber) {
+  const removed = db.prepare(`
+    DELETE FROM conversation_messages
+    WHERE conversation_id = ? AND round_number = ? AND speaker LIKE 'synthesizer:%'
+  `).run(conversationId, roundNumber);
+  if (removed.changes) db.prepare('UPDATE conversations SET updated_at = ? WHERE id = ?').run(Date.now(), conversationId);
+  return removed.changes > 0;
+}
+
+module.exports = {
+  trashConversation,
+  restoreConversation,
+  listTrash,
+  purgeConversation,
+  emptyTrash,
+  deleteRound,
+  deleteAgentReply,
+  deleteSynthesis
+};
@@ -1,4 +1,7 @@
 const { db, newId, getDefaultProjectId } = require('./index');
+const { saveModelState, loadModelState } = require('./model-state');
+const { latestSummary } = require('./summaries');
+const { conversationMeta } = require('./conversations');
 
 /**
  * Migrate in-memory conversations to SQLite
@@ -56,7 +59,9 @@ function migrateConversationsToSQLite(conversationsMap) {
                             round.user.content || '',
                             JSON.stringify({
                                 ts: round.user.ts || now,
-                                attachments: round.attachments
+                                attachments: round.attachments,
+                                images: round.user.images,
+                                retrieval: round.retrieval
                             }),
                             round.user.ts || now
                         );
@@ -85,6 +90,12 @@ function migrateConversationsToSQLite(conversationsMap) {
                 }
             }
 
+            // Carry-forward state is attributed to the last round it could have come from
+            const stateRound = conv.rounds?.length || 0;
+            for (const [agentKey, state] of Object.entries(conv.perModelState || {})) {
+                saveModelState(convId, agentKey, stateRound, undefined, state);
+            }
+
             migrated++;
         }
     })();
@@ -93,79 +104,155 @@ function migrateConversationsToSQLite(conversationsMap) {
 }
 
 /**
- * Load conversations from SQLite into in-memory Map
- * @returns {Map} Conversations Map
+ * Rebuild the in-memory conversation (rounds, summary, per-agent state) from
+ * a conversations row
  */
-function loadConversationsFromSQLite() {
-    const conversations = new Map();
-
-    const allConvs = db.prepare('SELECT * FROM conversations').all();
-
-    for (const conv of allConvs) {
-        const messages = db.prepare(`
-      SELECT * FROM conversation_messages
-      WHERE conversation_id = ?
-      ORDER BY round_number, created_at
+function conversationFromRow(conv) {
+    const messages = db.prepare(`
+        SELECT * FROM conversation_messages
+        WHERE conversation_id = ?
+        ORDER BY round_number, created_at
     `).all(conv.id);
 
-        // Reconstruct rounds structure
-        const rounds = [];
-        const roundsMap = new Map();
+    // Reconstruct rounds structure
+    const rounds = [];
+    const roundsMap = new Map();
 
-        for (const msg of messages) {
-            if (!roundsMap.has(msg.round_number)) {
-                roundsMap.set(msg.round_number, { user: null, agents: [] });
-            }
+    for (const msg of messages) {
+        if (!roundsMap.has(msg.round_number)) {
+            roundsMap.set(msg.round_number, { user: null, agents: [] });
+        }
 
-            const round = roundsMap.get(msg.round_number);
-            const metadata = msg.metadata ? JSON.parse(msg.metadata) : {};
+        const round = roundsMap.get(msg.round_number);
+        const metadata = msg.metadata ? JSON.parse(msg.metadata) : {};
 
-            if (msg.speaker === 'user') {
-                round.user = {
-                    speaker: 'user',
-                    content: msg.content,
-                    ts: metadata.ts || msg.created_at
-                };
-                if (metadata.attachments) {
-                    round.attachments = metadata.attachments;
-                }
+        if (msg.speaker === 'user' || msg.speaker === 'orchestrator') {
+            round.user = {
+                speaker: msg.speaker,
+                content: msg.content,
+                ts: metadata.ts || msg.created_at
+            };
+            if (metadata.mode) {
+                round.mode = metadata.mode;
+            }
+            if (metadata.visibility) {
+                round.user.visibility = metadata.visibility;
+            }
+            if (Array.isArray(metadata.addressedTo)) {
+                round.user.addressedTo = metadata.addressedTo;
+            }
+            if (Array.isArray(metadata.edits)) {
+                round.user.edits = metadata.edits;
+            }
+            if (Array.isArray(metadata.images)) {
+                round.user.images = metadata.images;
+            }
+            if (metadata.attachments) {
+                round.attachments = metadata.attachments;
+            }
+            if (metadata.retrieval) {
+                round.retrieval = metadata.retrieval;
+            }
+        } else {
+            const agent = {
+                speaker: msg.speaker,
+                modelId: metadata.modelId,
+                agentId: metadata.agentId,
+                content: msg.content,
+                ts: metadata.ts || msg.created_at,
+                usage: metadata.usage
+            };
+            if (metadata.provider) agent.provider = metadata.provider;
+            if (metadata.name) agent.name = metadata.name;
+            if (metadata.tokenUsage) agent.tokenUsage = metadata.tokenUsage;
+            if (Array.isArray(metadata.citations)) agent.citations = metadata.citations;
+            if (metadata.cancelled) {
+                agent.cancelled = true;
+                agent.cancelReason = metadata.cancelReason;
+            }
+            if (metadata.pass) {
+                agent.pass = metadata.pass;
+            }
+            if (metadata.visibility) {
+                agent.visibility = metadata.visibility;
+            }
+            if (metadata.stale) {
+                agent.stale = true;
+            }
+            if (Array.isArray(metadata.versions)) {
+                agent.versions = metadata.versions;
+            }
+            if (Array.isArray(metadata.toolSteps)) {
+                agent.toolSteps = metadata.toolSteps;
+            }
+            if (Array.isArray(metadata.filesChanged)) {
+                agent.filesChanged = metadata.filesChanged;
+            }
+            if (msg.speaker.startsWith('synthesizer:')) {
+                // Synthesizer output sits beside the agents, not among them
+                agent.includeInViews = !!metadata.includeInViews;
+                agent.disagreements = metadata.disagreements || [];
+                round.synthesis = agent;
             } else {
-                round.agents.push({
-                    speaker: msg.speaker,
-                    modelId: metadata.modelId,
-                    agentId: metadata.agentId,
-                    content: msg.content,
-                    ts: metadata.ts || msg.created_at,
-                    usage: metadata.usage
-                });
+                round.agents.push(agent);
             }
         }
+    }
 
-        // Convert map to array
-        for (const [roundNum, round] of roundsMap.entries()) {
-            rounds[roundNum - 1] = round; // 0-indexed array
-        }
+    // Convert map to array
+    for (const [roundNum, round] of roundsMap.entries()) {
+        rounds[roundNum - 1] = round; // 0-indexed array
+    }
+
+    // Last round covered by the current summary
+    const summary = latestSummary(conv.id);
+
+    // Get project name
+    const project = db.prepare('SELECT name FROM projects WHERE id = ?').get(conv.project_id);
+    const projectName = project ? project.name : 'Default Project';
+
+    return {
+        id: conv.id,
+        projectId: conv.project_id, // camelCase for consistency
+        project_id: conv.project_id, // keep for backward compatibility
+        projectName,
+        ...conversationMeta(conv),
+        summary: conv.summary || undefined,
+        summaryRound: summary ? summary.throughRound : undefined,
+        parentConversationId: conv.parent_conversation_id || undefined,
+        forkedFromRound: conv.forked_from_round || undefined,
+        rounds,
+        perModelState: loadModelState(conv.id),
+        autoSave: conv.auto_save ? JSON.parse(conv.auto_save) : undefined,
+        created_at: conv.created_at,
+        updated_at: conv.updated_at
+    };
+}
+
+/**
+ * Load conversations from SQLite into in-memory Map. Conversations in the
+ * trash are left out.
+ * @returns {Map} Conversations Map
+ */
+function loadConversationsFromSQLite() {
+    const conversations = new Map();
+
+    const allConvs = db.prepare('SELECT * FROM conversations WHERE deleted_at IS NULL').all();
 
-        // Get project name
-        const project = db.prepare('SELECT name FROM projects WHERE id = ?').get(conv.project_id);
-        const projectName = project ? project.name : 'Default Project';
-
-        conversations.set(conv.id, {
-            id: conv.id,
-            projectId: conv.project_id, // camelCase for consistency
-            project_id: conv.project_id, // keep for backward compatibility
-            projectName,
-            title: conv.title,
-            rounds,
-            perModelState: {}, // TODO: Add persistence for this later
-            autoSave: conv.auto_save ? JSON.parse(conv.auto_save) : undefined,
-            created_at: conv.created_at,
-            updated_at: conv.updated_at
-        });
+    for (const conv of allConvs) {
+        conversations.set(conv.id, conversationFromRow(conv));
     }
 
     console.log(`✓ Loaded ${conversations.size} conversations from SQLite`);
     return conversations;
 }
 
-module.exports = { migrateConversationsToSQLite, loadConversationsFromSQLite };
+/**
+ * Load one conversation, or null when it does not exist or is in the trash
+ */
+function loadConversationFromSQLite(conversationId) {
+    const conv = db.prepare('SELECT * FROM conversations WHERE id = ? AND deleted_at IS NULL').get(conversationId);
+    return conv ? conversationFromRow(conv) : null;
+}
+
+module.exports = { migrateConversationsToSQLite, loadConversationsFromSQLite, loadConversationFromSQLite };
@@ -12,6 +12,9 @@ db.exec(`
   );
 `);
 
+// schema.sql (applied by 001 and 003) always describes the current tables,
+// so on a fresh database the columns a later migration adds already exist;
+// those migrations check PRAGMA table_info before ALTER TABLE.
 function runMigrations() {
   const migrationsDir = path.join(__dirname, 'migrations');
   const files = fs.readdirSync(migrationsDir).filter(f => f.endsWith('.js')).sort();
@@ -0,0 +1,32 @@
+const { db } = require('../index');
+
+function up() {
+  console.log('Running migration: 006-model-state');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS conversation_model_state (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      conversation_id TEXT NOT NULL,
+      agent_id TEXT NOT NULL,
+      round_number INTEGER NOT NULL,
+      provider TEXT,
+      state TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+      UNIQUE(conversation_id, agent_id, round_number)
+    );
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_model_state_conversation ON conversation_model_state(conversation_id, agent_id, round_number);');
+
+  console.log('✓ conversation_model_state table created');
+}
+
+function down() {
+  console.log('Rolling back migration: 006-model-state');
+  db.exec('DROP INDEX IF EXISTS idx_model_state_conversation;');
+  db.exec('DROP TABLE IF EXISTS conversation_model_state;');
+  console.log('✓ conversation_model_state table dropped');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+const { db } = require('../index');
+
+function up() {
+  console.log('Running migration: 007-conversation-branches');
+
+  // A fork points at the conversation it was copied from and the last round
+  // it shares with it. Deleting the parent keeps the branch (link cleared).
+  const columns = db.prepare('PRAGMA table_info(conversations)').all().map(c => c.name);
+  if (!columns.includes('parent_conversation_id')) {
+    db.exec(`
+      ALTER TABLE conversations ADD COLUMN parent_conversation_id TEXT
+        REFERENCES conversations(id) ON DELETE SET NULL;
+    `);
+  }
+  if (!columns.includes('forked_from_round')) {
+    db.exec('ALTER TABLE conversations ADD COLUMN forked_from_round INTEGER;');
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_conversations_parent ON conversations(parent_conversation_id);');
+
+  console.log('✓ conversations lineage columns added');
+}
+
+function down() {
+  console.log('Rolling back migration: 007-conversation-branches');
+  db.exec('DROP INDEX IF EXISTS idx_conversations_parent;');
+  db.exec('ALTER TABLE conversations DROP COLUMN forked_from_round;');
+  db.exec('ALTER TABLE conversations DROP COLUMN parent_conversation_id;');
+  console.log('✓ conversations lineage columns dropped');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,30 @@
+const { db } = require('../index');
+
+function up() {
+  console.log('Running migration: 008-conversation-summaries');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS conversation_summaries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      conversation_id TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      summary TEXT NOT NULL,
+      through_round INTEGER NOT NULL,
+      provider TEXT,
+      model_id TEXT,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+      UNIQUE(conversation_id, version)
+    );
+  `);
+
+  console.log('✓ conversation_summaries table created');
+}
+
+function down() {
+  console.log('Rolling back migration: 008-conversation-summaries');
+  db.exec('DROP TABLE IF EXISTS conversation_summaries;');
+  console.log('✓ conversation_summaries table dropped');
+}
+
+module.exports = { up, down };
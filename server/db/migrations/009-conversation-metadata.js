@@ -0,0 +1,39 @@
+const { db } = require('../index');
+
+function up() {
+  console.log('Running migration: 009-conversation-metadata');
+
+  // title_source says who set the title: NULL for the placeholder (so an
+  // automatic title may replace it), 'auto' or 'user'.
+  const columns = db.prepare('PRAGMA table_info(conversations)').all().map(c => c.name);
+  if (!columns.includes('title_source')) {
+    db.exec('ALTER TABLE conversations ADD COLUMN title_source TEXT;');
+    // Titles other than the placeholder were chosen by someone; keep them
+    db.exec(`
+      UPDATE conversations SET title_source = 'user'
+      WHERE title IS NOT NULL AND title != 'Conversation ' || id;
+    `);
+  }
+  if (!columns.includes('archived')) {
+    db.exec('ALTER TABLE conversations ADD COLUMN archived INTEGER DEFAULT 0;');
+  }
+  if (!columns.includes('pinned')) {
+    db.exec('ALTER TABLE conversations ADD COLUMN pinned INTEGER DEFAULT 0;');
+  }
+  if (!columns.includes('tags')) {
+    db.exec('ALTER TABLE conversations ADD COLUMN tags TEXT;');
+  }
+
+  console.log('✓ conversations title/archive/pin/tag columns added');
+}
+
+function down() {
+  console.log('Rolling back migration: 009-conversation-metadata');
+  db.exec('ALTER TABLE conversations DROP COLUMN tags;');
+  db.exec('ALTER TABLE conversations DROP COLUMN pinned;');
+  db.exec('ALTER TABLE conversations DROP COLUMN archived;');
+  db.exec('ALTER TABLE conversations DROP COLUMN title_source;');
+  console.log('✓ conversations title/archive/pin/tag columns dropped');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+const { db } = require('../index');
+
+function up() {
+  console.log('Running migration: 010-conversation-trash');
+
+  // deleted_at marks a conversation moved to the trash; NULL for live ones.
+  const columns = db.prepare('PRAGMA table_info(conversations)').all().map(c => c.name);
+  if (!columns.includes('deleted_at')) {
+    db.exec('ALTER TABLE conversations ADD COLUMN deleted_at INTEGER;');
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_conversations_deleted ON conversations(deleted_at);');
+
+  console.log('✓ conversations deleted_at column added');
+}
+
+function down() {
+  console.log('Rolling back migration: 010-conversation-trash');
+  db.exec('DROP INDEX IF EXISTS idx_conversations_deleted;');
+  db.exec('ALTER TABLE conversations DROP COLUMN deleted_at;');
+  console.log('✓ conversations deleted_at column dropped');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+const { db } = require('../index');
+
+function up() {
+  console.log('Running migration: 011-project-file-encoding');
+
+  // encoding tells text files ('utf8') from binary ones ('binary', stored
+  // byte-exact at content_location).
+  const columns = db.prepare('PRAGMA table_info(project_files)').all().map(c => c.name);
+  if (!columns.includes('encoding')) {
+    db.exec("ALTER TABLE project_files ADD COLUMN encoding TEXT NOT NULL DEFAULT 'utf8';");
+  }
+
+  console.log('✓ project_files encoding column added');
+}
+
+function down() {
+  console.log('Rolling back migration: 011-project-file-encoding');
+  db.exec('ALTER TABLE project_files DROP COLUMN encoding;');
+  console.log('✓ project_files encoding column dropped');
+}
+
+module.exports = { up, down };
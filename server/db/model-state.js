@@ -0,0 +1,77 @@
+const { db } = require('./index');
+
+/**
+ * Per-agent provider state (e.g. OpenAI encrypted reasoning content) that is
+ * carried forward into the agent's next request. One row per conversation,
+ * agent and round, so the full history survives restarts and forks; the
+ * in-memory conversation only needs the latest value per agent.
+ */
+
+/**
+ * Record the state an agent returned in a round. Re-running a round
+ * (regenerate) overwrites that round's row; a re-run that returned no state
+ * clears it.
+ */
+function saveModelState(conversationId, agentKey, roundNumber, provider, state) {
+  if (state === undefined || state === null) {
+    db.prepare(`
+      DELETE FROM conversation_model_state
+      WHERE conversation_id = ? AND agent_id = ? AND round_number = ?
+    `).run(conversationId, agentKey, roundNumber);
+    return;
+  }
+  db.prepare(`
+    INSERT INTO conversation_model_state (conversation_id, agent_id, round_number, provider, state, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(conversation_id, agent_id, round_number) DO UPDATE SET
+      provider = excluded.provider,
+      state = excluded.state,
+      created_at = excluded.created_at
+  `).run(conversationId, agentKey, roundNumber, provider || null, JSON.stringify(state), Date.now());
+}
+
+/**
+ * Latest state per agent for a conversation, as the perModelState object
+ * used by server.js ({ [agentKey]: state }).
+ */
+function loadModelState(conversationId) {
+  const rows = db.prepare(`
+    SELECT agent_id, state
+    FROM conversation_model_state
+    WHERE conversation_id = ?
+    ORDER BY round_number ASC, id ASC
+  `).all(conversationId);
+
+  const perModelState = {};
+  for (const row of rows) {
+    try {
+      perModelState[row.agent_id] = JSON.parse(row.state);
+    } catch (err) {
+      console.error(`Failed to parse model state for ${conversationId}/${row.agent_id}:`, err);
+    }
+  }
+  return perModelState;
+}
+
+/**
+ * The state an agent carried into roundNumber: its latest state from an
+ * earlier round, or undefined. Used to re-run a past round.
+ */
+function loadModelStateBefore(conversationId, agentKey, roundNumber) {
+  const row = db.prepare(`
+    SELECT state
+    FROM conversation_model_state
+    WHERE conversation_id = ? AND agent_id = ? AND round_number < ?
+    ORDER BY round_number DESC, id DESC
+    LIMIT 1
+  `).get(conversationId, agentKey, roundNumber);
+  if (!row) return undefined;
+  try {
+    return JSON.parse(row.state);
+  } catch (err) {
+    console.error(`Failed to parse model state for ${conversationId}/${agentKey}:`, err);
+    return undefined;
+  }
+}
+
+module.exports = { saveModelState, loadModelState, loadModelStateBefore };
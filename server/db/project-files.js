@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { db, newId, STORAGE_DIR, STORAGE_THRESHOLD } = require('./index');
+const { validatePath, computeHash, detectMimeType, isBinaryMimeType, decodeText } = require('../utils/files');
+
+/**
+ * Writing project files. Uploads (POST /api/projects/:projectId/files) and
+ * files written back from command execution share this upsert, so both store
+ * content the same way: text in the row below STORAGE_THRESHOLD, else in a
+ * file under STORAGE_DIR; binary content always in a file, byte for byte.
+ */
+
+const MAX_FILE_BYTES = 10 * 1024 * 1024; // 10MB
+
+// Files whose metadata has tool_accessible: false, which models may not reach
+// through tools (malformed metadata counts as accessible, the default)
+const TOOL_HIDDEN_CLAUSE = "CASE WHEN json_valid(metadata) THEN json_extract(metadata, '$.tool_accessible') END = 0";
+
+async function writeStorageFile(data) {
+  const storageId = crypto.randomBytes(16).toString('hex');
+  const location = path.join(STORAGE_DIR, storageId);
+  await fs.promises.writeFile(location, data);
+  return location;
+}
+
+/**
+ * Insert or replace the file at `filePath` in a project. content is a string
+ * or a Buffer; a Buffer is stored as text when it decodes as UTF-8 and its
+ * MIME type is not a binary one, else as binary. Without `metadata` a
+ * replaced file keeps its stored metadata (and with it flags such as
+ * always_in_context); a new one gets the defaults. Returns
+ * { id, path, mime_type, encoding, size_bytes, content_hash, created_at };
+ * the caller indexes it.
+ */
+async function upsertProjectFile(projectId, { path: filePath, content, metadata }) {
+  const validPath = validatePath(filePath);
+  const mimeType = detectMimeType(validPath);
+  let text = typeof content === 'string' ? content : null;
+  if (text === null && !isBinaryMimeType(mimeType)) text = decodeText(content);
+  const encoding = text === null ? 'binary' : 'utf8';
+  const bytes = text === null ? content : Buffer.from(text, 'utf8');
+  const sizeBytes = bytes.length;
+  const contentHash = computeHash(bytes);
+  const metadataStr = metadata ? JSON.stringify(metadata) : JSON.stringify({
+    retrieval_eligible: true,
+    tool_accessible: true
+  });
+  const now = Date.now();
+
+  let fileContent = null;
+  let contentLocation = null;
+  if (encoding === 'utf8' && sizeBytes < STORAGE_THRESHOLD) {
+    fileContent = text;
+  } else {
+    contentLocation = await writeStorageFile(bytes);
+  }
+
+  const previous = db.prepare('SELECT content_location FROM project_files WHERE project_id = ? AND path = ?').get(projectId, validPath);
+  db.prepare(`
+    INSERT INTO project_files (
+      id, project_id, path, content, content_location, encoding, content_hash,
+      mime_type, size_bytes, metadata, created_at, updated_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(project_id, path) DO UPDATE SET
+      content = excluded.content,
+      content_location = excluded.content_location,
+      encoding = excluded.encoding,
+      content_hash = excluded.content_hash,
+      mime_type = excluded.mime_type,
+      size_bytes = excluded.size_bytes,
+      metadata = CASE WHEN ? THEN excluded.metadata ELSE project_files.metadata END,
+      updated_at = excluded.updated_at
+  `).run(
+    newId('file'),
+    projectId,
+    validPath,
+    fileContent,
+    contentLocation,
+    encoding,
+    contentHash,
+    mimeType,
+    sizeBytes,
+    metadataStr,
+    now,
+    now,
+    metadata ? 1 : 0
+  );
+
+  // The replaced content's storage file is no longer referenced
+  if (previous && previous.content_location) {
+    fs.promises.unlink(previous.content_location).catch(() => { });
+  }
+
+  // On conflict the row keeps its original id
+  return db.prepare(`
+    SELECT id, path, mime_type, encoding, size_bytes, content_hash, created_at
+    FROM project_files
+    WHERE project_id = ? AND path = ?
+  `).get(projectId, validPath);
+}
+
+/**
+ * A stored file's bytes (file has content, content_location and encoding);
+ * null when its storage file is gone
+ */
+async function readFileBytes(file) {
+  if (file.content !== null && file.content !== undefined) return Buffer.from(file.content, 'utf8');
+  if (!file.content_location) return Buffer.alloc(0);
+  try {
+    return await fs.promises.readFile(file.content_location);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { upsertProjectFile, readFileBytes, MAX_FILE_BYTES, TOOL_HIDDEN_CLAUSE };
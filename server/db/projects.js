@@ -0,0 +1,189 @@
+const { db, newId, getDefaultProjectId } = require('./index');
+
+/**
+ * Projects: named groups of conversations and files with their own settings
+ * (a JSON object). Known settings keys:
+ *   default_agents     targetModels used by /api/turn when it names none
+ *   system_prompts     { common?, perProvider?, perAgent? } under the request's
+ *   retrieval          false or { maxTokens?, maxChunks? } when the turn sets none
+ *   pinned_token_limit token ceiling for pinned files
+ * Other keys are stored as given.
+ */
+
+const MAX_NAME_CHARS = 100;
+const MAX_DESCRIPTION_CHARS = 2000;
+
+function parseSettings(text) {
+  if (!text) return {};
+  try {
+    const settings = JSON.parse(text);
+    return settings && typeof settings === 'object' && !Array.isArray(settings) ? settings : {};
+  } catch {
+    return {};
+  }
+}
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+const isStringMap = (v) => v === undefined || (isPlainObject(v) && Object.values(v).every((s) => typeof s === 'string'));
+
+// Validators for the known settings keys; null always means "remove"
+const SETTING_CHECKS = {
+  default_agents: (v) => Array.isArray(v) && v.length > 0 &&
+    v.every((a) => isPlainObject(a) && typeof a.provider === 'string' && a.provider.trim() && (a.modelId === undefined || typeof a.modelId === 'string')),
+  system_prompts: (v) => isPlainObject(v) && (v.common === undefined || typeof v.common === 'string') && isStringMap(v.perProvider) && isStringMap(v.perAgent),
+  retrieval: (v) => v === false || isPlainObject(v),
+  pinned_token_limit: (v) => Number.isInteger(v) && v > 0,
+};
+
+/**
+ * Check a settings patch. Returns the name of the first invalid key, or null
+ * when the patch is usable. A patch that is not an object is reported as
+ * 'settings'.
+ */
+function invalidSetting(patch) {
+  if (!isPlainObject(patch)) return 'settings';
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null || !SETTING_CHECKS[key]) continue;
+    if (!SETTING_CHECKS[key](value)) return key;
+  }
+  return null;
+}
+
+// Shallow merge of a settings patch; keys set to null are removed
+function mergeSettings(current, patch) {
+  const merged = { ...current, ...patch };
+  for (const [key, value] of Object.entries(merged)) {
+    if (value === null) delete merged[key];
+  }
+  return merged;
+}
+
+function projectFromRow(row, defaultId = getDefaultProjectId()) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || '',
+    settings: parseSettings(row.settings),
+    is_default: row.id === defaultId,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    ...(row.conversation_count !== undefined ? { conversation_count: row.conversation_count, file_count: row.file_count } : {}),
+  };
+}
+
+const PROJECT_WITH_COUNTS = `
+  SELECT p.*,
+    (SELECT COUNT(*) FROM conversations c WHERE c.project_id = p.id AND c.deleted_at IS NULL) AS conversation_count,
+    (SELECT COUNT(*) FROM project_files f WHERE f.project_id = p.id) AS file_count
+  FROM projects p
+`;
+
+/** Every project with its conversation and file counts, default first */
+function listProjects() {
+  const defaultId = getDefaultProjectId();
+  return db.prepare(`${PROJECT_WITH_COUNTS} ORDER BY p.id = ? DESC, p.name COLLATE NOCASE`).all(defaultId)
+    .map((row) => projectFromRow(row, defaultId));
+}
+
+function getProject(projectId) {
+  const row = db.prepare(`${PROJECT_WITH_COUNTS} WHERE p.id = ?`).get(projectId);
+  return row ? projectFromRow(row) : null;
+}
+
+/** Settings of a project ({} when it has none or does not exist) */
+function projectSettings(projectId) {
+  const row = db.prepare('SELECT settings FROM projects WHERE id = ?').get(projectId);
+  return parseSettings(row && row.settings);
+}
+
+/** Create a project from already validated { name, description?, settings? } */
+function createProject({ name, description, settings }) {
+  const id = newId('proj');
+  const now = Date.now();
+  const stored = mergeSettings({}, settings || {});
+  db.prepare(`
+    INSERT INTO projects (id, name, description, settings, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, name, description || null, Object.keys(stored).length ? JSON.stringify(stored) : null, now, now);
+  return getProject(id);
+}
+
+/**
+ * Apply { name?, description?, settings? } (already validated; settings are
+ * merged into the stored ones). Returns the project, or null when unknown.
+ */
+function updateProject(projectId, patch) {
+  const row = db.prepare('SELECT settings FROM projects WHERE id = ?').get(projectId);
+  if (!row) return null;
+  const sets = ['updated_at = ?'];
+  const params = [Date.now()];
+  if (patch.name !== undefined) {
+    sets.push('name = ?');
+    params.push(patch.name);
+  }
+  if (patch.description !== undefined) {
+    sets.push('description = ?');
+    params.push(patch.description || null);
+  }
+  if (patch.settings !== undefined) {
+    const merged = mergeSettings(parseSettings(row.settings), patch.settings);
+    sets.push('settings = ?');
+    params.push(Object.keys(merged).length ? JSON.stringify(merged) : null);
+  }
+  db.prepare(`UPDATE projects SET ${sets.join(', ')} WHERE id = ?`).run(...params, projectId);
+  return getProject(projectId);
+}
+
+/**
+ * Delete a project with its conversations and files (foreign keys cascade to
+ * messages, chunks and the search index). Returns the ids of the deleted
+ * conversations and the disk locations of its stored files, or null when the
+ * project is unknown.
+ */
+function deleteProject(projectId) {
+  return db.transaction(() => {
+    const conversationIds = db.prepare('SELECT id FROM conversations WHERE project_id = ?').all(projectId).map((r) => r.id);
+    const fileLocations = db.prepare('SELECT content_location FROM project_files WHERE project_id = ? AND content_location IS NOT NULL')
+      .all(projectId).map((r) => r.content_location);
+    const result = db.prepare('DELETE FROM projects WHERE id = ?').run(projectId);
+    return result.changes ? { conversationIds, fileLocations } : null;
+  })();
+}
+
+/**
+ * Move a conversation to another project, with its messages' search chunks.
+ * Returns false when the conversation does not exist.
+ */
+function moveConversation(conversationId, projectId) {
+  return db.transaction(() => {
+    const result = db.prepare('UPDATE conversations SET project_id = ? WHERE id = ?').run(projectId, conversationId);
+    if (!result.changes) return false;
+    db.prepare(`
+      UPDATE content_chunks SET project_id = ?
+      WHERE source_type = 'conversation_message'
+        AND source_id IN (SELECT id FROM conversation_messages WHERE conversation_id = ?)
+    `).run(projectId, conversationId);
+    db.prepare(`
+      UPDATE retrieval_index SET project_id = ?
+      WHERE chunk_id IN (
+        SELECT c.id FROM content_chunks c
+        JOIN conversation_messages m ON m.id = c.source_id
+        WHERE c.source_type = 'conversation_message' AND m.conversation_id = ?
+      )
+    `).run(projectId, conversationId);
+    return true;
+  })();
+}
+
+module.exports = {
+  listProjects,
+  getProject,
+  projectSettings,
+  createProject,
+  updateProject,
+  deleteProject,
+  moveConversation,
+  invalidSetting,
+  MAX_NAME_CHARS,
+  MAX_DESCRIPTION_CHARS
+};
@@ -10,7 +10,7 @@ CREATE TABLE projects (
   id TEXT PRIMARY KEY,
   name TEXT NOT NULL,
   description TEXT,
-  settings TEXT,
+  settings TEXT,                   -- JSON: { default_agents?, system_prompts?, retrieval?, pinned_token_limit? }
   created_at INTEGER NOT NULL,
   updated_at INTEGER NOT NULL
 );
@@ -18,24 +18,33 @@ CREATE TABLE conversations (
   id TEXT PRIMARY KEY,
   project_id TEXT NOT NULL,
   title TEXT,
-  summary TEXT,            -- Auto-generated every ~10 rounds
+  summary TEXT,            -- Latest rolling summary (SUMMARY_EVERY_ROUNDS, versions in conversation_summaries)
   context_state TEXT,      -- JSON: tracks what's in working context
   created_at INTEGER NOT NULL,
   updated_at INTEGER NOT NULL,
   round_count INTEGER DEFAULT 0,
+  parent_conversation_id TEXT REFERENCES conversations(id) ON DELETE SET NULL, -- set on forks: the conversation copied from
+  forked_from_round INTEGER,       -- last round shared with the parent
+  title_source TEXT,               -- NULL (placeholder), 'auto' or 'user'
+  archived INTEGER DEFAULT 0,
+  pinned INTEGER DEFAULT 0,
+  tags TEXT,                       -- JSON array of strings
+  deleted_at INTEGER,              -- set while the conversation is in the trash
   FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
 );
 
 CREATE INDEX idx_conversations_project ON conversations(project_id);
 CREATE INDEX idx_conversations_updated ON conversations(updated_at DESC);
+CREATE INDEX idx_conversations_parent ON conversations(parent_conversation_id);
+CREATE INDEX idx_conversations_deleted ON conversations(deleted_at);
 
 CREATE TABLE conversation_messages (
   id TEXT PRIMARY KEY,
   conversation_id TEXT NOT NULL,
   round_number INTEGER NOT NULL,
-  speaker TEXT NOT NULL,       -- 'user' or 'agent:model-id'
+  speaker TEXT NOT NULL,       -- 'user', 'orchestrator', 'agent:<agentId>' or 'synthesizer:<agentId>'
   content TEXT NOT NULL,
-  metadata TEXT,               -- JSON: { modelId?, agentId?, usage?, ts, attachments? }
+  metadata TEXT,               -- JSON: { modelId?, agentId?, provider?, name?, usage?, ts, attachments?, retrieval?, mode?, pass?, visibility?, addressedTo?, cancelled?, cancelReason?, stale?, versions?, toolSteps?, edits?, includeInViews?, disagreements? }
   created_at INTEGER NOT NULL,
   FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
 );
@@ -58,13 +67,43 @@ FROM conversation_messages
 GROUP BY conversation_id, round_number
 ORDER BY round_number;
 
+-- Opaque per-agent provider state (e.g. encrypted reasoning), one row per round
+CREATE TABLE conversation_model_state (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  conversation_id TEXT NOT NULL,
+  agent_id TEXT NOT NULL,          -- agentId (perModelState key)
+  round_number INTEGER NOT NULL,
+  provider TEXT,
+  state TEXT NOT NULL,             -- JSON-encoded state as returned by the adapter
+  created_at INTEGER NOT NULL,
+  FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+  UNIQUE(conversation_id, agent_id, round_number)
+);
+
+CREATE INDEX idx_model_state_conversation ON conversation_model_state(conversation_id, agent_id, round_number);
+
+-- Every version of a conversation's rolling summary; conversations.summary holds the latest
+CREATE TABLE conversation_summaries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  conversation_id TEXT NOT NULL,
+  version INTEGER NOT NULL,        -- 1, 2, ... per conversation
+  summary TEXT NOT NULL,
+  through_round INTEGER NOT NULL,  -- last round the summary covers
+  provider TEXT,
+  model_id TEXT,
+  created_at INTEGER NOT NULL,
+  FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+  UNIQUE(conversation_id, version)
+);
+
 -- Project files with hybrid storage strategy
 CREATE TABLE project_files (
   id TEXT PRIMARY KEY,
   project_id TEXT NOT NULL,
   path TEXT NOT NULL,              -- Virtual path: "docs/api-reference.md"
   content TEXT,                    -- For small files (< 1MB)
-  content_location TEXT,           -- Disk path for large files: "storage/abc123.bin"
+  content_location TEXT,           -- Disk path for large and binary files: "storage/abc123.bin"
+  encoding TEXT NOT NULL DEFAULT 'utf8', -- 'utf8' text, or 'binary' bytes (always at content_location)
   content_hash TEXT,               -- SHA256 for change detection
   mime_type TEXT,
   size_bytes INTEGER,
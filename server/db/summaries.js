@@ -0,0 +1,93 @@
+const { db } = require('./index');
+
+/**
+ * Rolling conversation summaries. conversations.summary holds the current
+ * one, which agents see in their system prompt; every version is kept in
+ * conversation_summaries with the last round it covers, so a summary can be
+ * traced back and a fork can take the versions from before its fork point.
+ */
+
+function summaryRow(row) {
+  return {
+    version: row.version,
+    summary: row.summary,
+    throughRound: row.through_round,
+    provider: row.provider || undefined,
+    modelId: row.model_id || undefined,
+    created_at: row.created_at
+  };
+}
+
+/**
+ * Store a new summary version and make it the conversation's current
+ * summary. Returns the stored version.
+ */
+function saveSummary(conversationId, { summary, throughRound, provider, modelId }) {
+  const now = Date.now();
+  let version;
+  db.transaction(() => {
+    const last = db.prepare('SELECT MAX(version) AS v FROM conversation_summaries WHERE conversation_id = ?').get(conversationId);
+    version = (last.v || 0) + 1;
+    db.prepare(`
+      INSERT INTO conversation_summaries (conversation_id, version, summary, through_round, provider, model_id, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(conversationId, version, summary, throughRound, provider || null, modelId || null, now);
+    db.prepare('UPDATE conversations SET summary = ? WHERE id = ?').run(summary, conversationId);
+  })();
+  return { version, summary, throughRound, provider, modelId, created_at: now };
+}
+
+/**
+ * The current summary version of a conversation, or null.
+ */
+function latestSummary(conversationId) {
+  const row = db.prepare(`
+    SELECT * FROM conversation_summaries
+    WHERE conversation_id = ?
+    ORDER BY version DESC
+    LIMIT 1
+  `).get(conversationId);
+  return row ? summaryRow(row) : null;
+}
+
+/**
+ * The latest summary covering only rounds before roundNumber, or null. Used
+ * to re-run a past round.
+ */
+function summaryBefore(conversationId, roundNumber) {
+  const row = db.prepare(`
+    SELECT * FROM conversation_summaries
+    WHERE conversation_id = ? AND through_round < ?
+    ORDER BY version DESC
+    LIMIT 1
+  `).get(conversationId, roundNumber);
+  return row ? summaryRow(row) : null;
+}
+
+/**
+ * Drop the summary versions that cover roundNumber or later (they describe
+ * rounds that changed) and fall back to the latest one left. Returns that
+ * version, or null when none is left.
+ */
+function dropSummariesFrom(conversationId, roundNumber) {
+  return db.transaction(() => {
+    db.prepare('DELETE FROM conversation_summaries WHERE conversation_id = ? AND through_round >= ?')
+      .run(conversationId, roundNumber);
+    const current = latestSummary(conversationId);
+    db.prepare('UPDATE conversations SET summary = ? WHERE id = ?').run(current ? current.summary : null, conversationId);
+    return current;
+  })();
+}
+
+/**
+ * Every summary version of a conversation, newest first.
+ */
+function listSummaries(conversationId) {
+  return db.prepare(`
+    SELECT * FROM conversation_summaries
+    WHERE conversation_id = ?
+    ORDER BY version DESC
+  `).all(conversationId).map(summaryRow);
+}
+
+module.exports = { saveSummary, latestSummary, summaryBefore, dropSummariesFrom, listSummaries };
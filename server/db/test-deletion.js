@@ -0,0 +1,93 @@
+/**
+ * Test deleting: removing a round (later rounds, their state, summaries and
+ * search chunks move up), removing single replies and syntheses, and the
+ * trash (hidden from the loader and the index, restorable, purged for good).
+ *
+ * Usage: node server/db/test-deletion.js
+ */
+
+const { check, done, useTempDatabase, removeTempDatabase } = require('../test-helpers');
+useTempDatabase('deletion');
+
+const { runMigrations } = require('./migrate');
+runMigrations();
+
+const { db, newId, getDefaultProjectId } = require('./index');
+const { trashConversation, restoreConversation, listTrash, purgeConversation, emptyTrash, deleteRound, deleteAgentReply, deleteSynthesis } = require('./deletion');
+const { saveModelState } = require('./model-state');
+const { saveSummary } = require('./summaries');
+const { loadConversationsFromSQLite, loadConversationFromSQLite } = require('./migrate-memory-to-sqlite');
+const { indexMessage } = require('../indexing/indexer');
+
+const now = Date.now();
+const convId = newId('conv');
+db.prepare(`
+  INSERT INTO conversations (id, project_id, title, created_at, updated_at, round_count)
+  VALUES (?, ?, ?, ?, ?, ?)
+`).run(convId, getDefaultProjectId(), 'Okapis', now, now, 3);
+
+function addMessage(round, speaker, content, metadata = {}) {
+  const id = newId('msg');
+  db.prepare(`
+    INSERT INTO conversation_messages (id, conversation_id, round_number, speaker, content, metadata, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(id, convId, round, speaker, content, JSON.stringify(metadata), now + round);
+  indexMessage(id);
+  return id;
+}
+
+for (const round of [1, 2, 3]) {
+  addMessage(round, 'user', `question ${round}`);
+  addMessage(round, 'agent:a1', `answer ${round} from a1`, { agentId: 'a1', modelId: 'm' });
+  addMessage(round, 'agent:a2', `answer ${round} from a2`, { agentId: 'a2', modelId: 'm' });
+  saveModelState(convId, 'a1', round, 'openai', { round });
+}
+addMessage(3, 'synthesizer:judge', 'synthesis 3', { agentId: 'judge', modelId: 'm' });
+saveSummary(convId, { summary: 'through one', throughRound: 1 });
+saveSummary(convId, { summary: 'through three', throughRound: 3 });
+
+const chunkRound = (content) => {
+  const row = db.prepare(`
+    SELECT c.location, r.metadata FROM content_chunks c JOIN retrieval_index r ON r.chunk_id = c.id
+    WHERE c.source_type = 'conversation_message' AND c.content = ?
+  `).get(content);
+  return row ? [JSON.parse(row.location).round_number, JSON.parse(row.metadata).round] : null;
+};
+
+// --- Deleting a round ---
+check('delete round: unknown round', deleteRound(convId, 9) === false);
+check('delete round', deleteRound(convId, 2) === true);
+let conv = loadConversationFromSQLite(convId);
+check('delete round: later rounds move up', conv.rounds.length === 2 && conv.rounds[1].user.content === 'question 3' && conv.rounds[1].synthesis.content === 'synthesis 3');
+check('delete round: round count and summary updated',
+  db.prepare('SELECT round_count FROM conversations WHERE id = ?').get(convId).round_count === 2 && conv.summary === 'through one' && conv.summaryRound === 1);
+const states = db.prepare('SELECT round_number, state FROM conversation_model_state WHERE conversation_id = ? ORDER BY round_number').all(convId);
+check('delete round: carry-forward state renumbered', states.map((s) => `${s.round_number}:${JSON.parse(s.state).round}`).join() === '1:1,2:3');
+check('delete round: chunks removed and renumbered', chunkRound('question 2') === null && chunkRound('answer 3 from a2').join() === '2,2');
+
+// --- Single replies ---
+check('delete reply', deleteAgentReply(convId, 2, 'a2') === true);
+check('delete reply: pass must match', deleteAgentReply(convId, 2, 'a1', 2) === false);
+check('delete synthesis', deleteSynthesis(convId, 2) === true && deleteSynthesis(convId, 2) === false);
+conv = loadConversationFromSQLite(convId);
+check('delete reply: others kept', conv.rounds[1].agents.map((a) => a.agentId).join() === 'a1' && !conv.rounds[1].synthesis);
+check('delete reply: its chunk removed', chunkRound('answer 3 from a2') === null && chunkRound('answer 3 from a1') !== null);
+
+// --- Trash ---
+check('trash', trashConversation(convId) === true && trashConversation(convId) === false);
+check('trash: hidden from the loader', !loadConversationsFromSQLite().has(convId) && loadConversationFromSQLite(convId) === null);
+check('trash: listed', listTrash(getDefaultProjectId()).map((c) => c.id).join() === convId && listTrash('proj_nope').length === 0);
+check('trash: chunks removed', chunkRound('question 1') === null);
+check('restore', restoreConversation(convId) === true && restoreConversation(convId) === false);
+check('restore: loaded and indexed again', loadConversationFromSQLite(convId).rounds.length === 2 && chunkRound('question 3').join() === '2,2');
+
+trashConversation(convId);
+check('empty trash', emptyTrash().join() === convId && listTrash().length === 0);
+check('empty trash: rows cascade',
+  !db.prepare('SELECT 1 FROM conversation_messages WHERE conversation_id = ?').get(convId) &&
+  !db.prepare('SELECT 1 FROM conversation_model_state WHERE conversation_id = ?').get(convId));
+check('purge: unknown conversation', purgeConversation(convId) === false);
+
+removeTempDatabase();
+
+done('deletion');
@@ -0,0 +1,58 @@
+/**
+ * Test persistence of per-agent provider state (perModelState): state saved
+ * per round is reloaded as the latest value per agent, re-saving a round
+ * overwrites it, and deleting the conversation cascades.
+ *
+ * Usage: node server/db/test-model-state.js
+ */
+
+const { check, done, useTempDatabase, removeTempDatabase } = require('../test-helpers');
+useTempDatabase('model-state');
+
+const { runMigrations } = require('./migrate');
+runMigrations();
+
+const { db, newId, getDefaultProjectId } = require('./index');
+const { saveModelState, loadModelState } = require('./model-state');
+const { loadConversationsFromSQLite } = require('./migrate-memory-to-sqlite');
+
+const now = Date.now();
+const convId = newId('conv');
+db.prepare(`
+  INSERT INTO conversations (id, project_id, title, created_at, updated_at, round_count)
+  VALUES (?, ?, ?, ?, ?, ?)
+`).run(convId, getDefaultProjectId(), 'Model state test', now, now, 2);
+
+const r1 = { reasoning: [{ type: 'reasoning', encrypted_content: 'enc-round-1' }] };
+const r2 = { reasoning: [{ type: 'reasoning', encrypted_content: 'enc-round-2' }] };
+saveModelState(convId, 'agent-a', 1, 'openai', r1);
+saveModelState(convId, 'agent-a', 2, 'openai', r2);
+saveModelState(convId, 'agent-b', 1, 'openai', { reasoning: [] });
+saveModelState(convId, 'agent-c', 2, 'mock', null);
+
+let state = loadModelState(convId);
+check('latest round wins per agent', state['agent-a'].reasoning[0].encrypted_content === 'enc-round-2');
+check('agents are kept separate', Array.isArray(state['agent-b'].reasoning) && state['agent-b'].reasoning.length === 0);
+check('null state is not stored', !('agent-c' in state));
+
+const rows = db.prepare('SELECT COUNT(*) AS n FROM conversation_model_state WHERE conversation_id = ?').get(convId).n;
+check('one row per agent and round', rows === 3);
+
+saveModelState(convId, 'agent-a', 2, 'openai', { reasoning: [{ type: 'reasoning', encrypted_content: 'enc-regenerated' }] });
+state = loadModelState(convId);
+check('re-saving a round overwrites it', state['agent-a'].reasoning[0].encrypted_content === 'enc-regenerated');
+
+saveModelState(convId, 'agent-b', 1, 'openai', undefined);
+check('re-saving a round without state clears it', !('agent-b' in loadModelState(convId)));
+
+const loaded = loadConversationsFromSQLite();
+const conv = loaded.get(convId);
+check('loader restores perModelState', conv && conv.perModelState['agent-a'].reasoning[0].encrypted_content === 'enc-regenerated');
+
+db.prepare('DELETE FROM conversations WHERE id = ?').run(convId);
+const left = db.prepare('SELECT COUNT(*) AS n FROM conversation_model_state WHERE conversation_id = ?').get(convId).n;
+check('deleting the conversation cascades to its state', left === 0);
+
+removeTempDatabase();
+
+done('model state');
@@ -0,0 +1,71 @@
+/**
+ * Test projects: the default project, creating, listing, updating and
+ * deleting projects, settings validation and merging, and moving a
+ * conversation with its search chunks.
+ *
+ * Usage: node server/db/test-project-crud.js
+ */
+
+const { check, done, useTempDatabase, removeTempDatabase } = require('../test-helpers');
+useTempDatabase('project-crud');
+
+const { runMigrations } = require('./migrate');
+runMigrations();
+
+const { db, newId, getDefaultProjectId } = require('./index');
+const { listProjects, getProject, projectSettings, createProject, updateProject, deleteProject, moveConversation, invalidSetting } = require('./projects');
+const { indexMessage } = require('../indexing/indexer');
+
+const defaultId = getDefaultProjectId();
+check('default project exists', getProject(defaultId) && getProject(defaultId).is_default === true);
+
+// --- Settings validation ---
+check('settings: must be an object', invalidSetting([]) === 'settings' && invalidSetting('x') === 'settings');
+check('settings: default_agents need a provider', invalidSetting({ default_agents: [{ modelId: 'm' }] }) === 'default_agents');
+check('settings: system_prompts maps of strings', invalidSetting({ system_prompts: { perAgent: { a: 1 } } }) === 'system_prompts');
+check('settings: retrieval false or object', invalidSetting({ retrieval: 'off' }) === 'retrieval' && invalidSetting({ retrieval: false }) === null);
+check('settings: pinned_token_limit positive integer', invalidSetting({ pinned_token_limit: 0 }) === 'pinned_token_limit');
+check('settings: null and unknown keys accepted', invalidSetting({ retrieval: null, theme: 'dark' }) === null);
+
+// --- Create, list, update ---
+const project = createProject({ name: 'Research', description: 'Papers', settings: { default_agents: [{ provider: 'mock', modelId: 'mock-echo' }], retrieval: false } });
+check('create: settings stored', project.name === 'Research' && project.settings.retrieval === false && project.conversation_count === 0);
+check('list: default first', listProjects()[0].id === defaultId && listProjects().some((p) => p.id === project.id));
+
+let updated = updateProject(project.id, { name: 'Reading', settings: { retrieval: null, pinned_token_limit: 500 } });
+check('update: name changed, settings merged, null removes', updated.name === 'Reading' && !('retrieval' in updated.settings) && updated.settings.pinned_token_limit === 500 && updated.settings.default_agents.length === 1);
+updated = updateProject(project.id, { description: '' });
+check('update: description cleared, settings kept', updated.description === '' && projectSettings(project.id).pinned_token_limit === 500);
+check('update: unknown project', updateProject('proj_nope', { name: 'x' }) === null);
+
+// --- Moving a conversation ---
+const now = Date.now();
+const convId = newId('conv');
+db.prepare(`
+  INSERT INTO conversations (id, project_id, title, created_at, updated_at, round_count)
+  VALUES (?, ?, ?, ?, ?, ?)
+`).run(convId, defaultId, 'Walruses', now, now, 1);
+const msgId = newId('msg');
+db.prepare(`
+  INSERT INTO conversation_messages (id, conversation_id, round_number, speaker, content, metadata, created_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+`).run(msgId, convId, 1, 'user', 'walrus tusks', '{}', now);
+indexMessage(msgId);
+
+check('move: conversation moved', moveConversation(convId, project.id) === true);
+const chunk = db.prepare("SELECT project_id FROM content_chunks WHERE source_type = 'conversation_message' AND source_id = ?").get(msgId);
+const indexed = db.prepare('SELECT project_id FROM retrieval_index WHERE chunk_id IN (SELECT id FROM content_chunks WHERE source_id = ?)').get(msgId);
+check('move: chunks and index follow', chunk.project_id === project.id && indexed.project_id === project.id);
+check('move: unknown conversation', moveConversation('conv_nope', project.id) === false);
+
+// --- Delete ---
+const deleted = deleteProject(project.id);
+check('delete: reports its conversations', deleted && deleted.conversationIds.join() === convId);
+check('delete: conversations and chunks cascade',
+  !db.prepare('SELECT 1 FROM conversations WHERE id = ?').get(convId) &&
+  !db.prepare('SELECT 1 FROM content_chunks WHERE source_id = ?').get(msgId));
+check('delete: unknown project', deleteProject(project.id) === null);
+
+removeTempDatabase();
+
+done('project');
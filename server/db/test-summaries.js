@@ -0,0 +1,65 @@
+/**
+ * Test rolling summary persistence: each save adds a version and updates
+ * conversations.summary, the loader restores the summary and the round it
+ * covers, forks keep only the versions from before the fork point, and
+ * deleting the conversation cascades.
+ *
+ * Usage: node server/db/test-summaries.js
+ */
+
+const { check, done, useTempDatabase, removeTempDatabase } = require('../test-helpers');
+useTempDatabase('summaries');
+
+const { runMigrations } = require('./migrate');
+runMigrations();
+
+const { db, newId, getDefaultProjectId } = require('./index');
+const { saveSummary, latestSummary, summaryBefore, dropSummariesFrom, listSummaries } = require('./summaries');
+const { forkConversation } = require('./branches');
+const { loadConversationsFromSQLite } = require('./migrate-memory-to-sqlite');
+
+const now = Date.now();
+const convId = newId('conv');
+db.prepare(`
+  INSERT INTO conversations (id, project_id, title, created_at, updated_at, round_count)
+  VALUES (?, ?, ?, ?, ?, ?)
+`).run(convId, getDefaultProjectId(), 'Summary test', now, now, 20);
+for (let n = 1; n <= 20; n++) {
+  db.prepare(`
+    INSERT INTO conversation_messages (id, conversation_id, round_number, speaker, content, metadata, created_at)
+    VALUES (?, ?, ?, 'user', ?, ?, ?)
+  `).run(newId('msg'), convId, n, `message ${n}`, JSON.stringify({ ts: now + n }), now + n);
+}
+
+check('no summary yet', latestSummary(convId) === null && listSummaries(convId).length === 0);
+
+const first = saveSummary(convId, { summary: 'They planned the launch.', throughRound: 10, provider: 'mock', modelId: 'mock-echo' });
+const second = saveSummary(convId, { summary: 'They planned and priced the launch.', throughRound: 20, provider: 'mock', modelId: 'mock-echo' });
+check('versions numbered per conversation', first.version === 1 && second.version === 2);
+check('latest version returned', latestSummary(convId).summary === 'They planned and priced the launch.' && latestSummary(convId).throughRound === 20);
+check('all versions kept, newest first', listSummaries(convId).map((s) => s.version).join(',') === '2,1' && listSummaries(convId)[1].modelId === 'mock-echo');
+check('re-runs get the summary from before their round', summaryBefore(convId, 15).version === 1 && summaryBefore(convId, 21).version === 2 && summaryBefore(convId, 10) === null);
+check('conversations.summary holds the latest', db.prepare('SELECT summary FROM conversations WHERE id = ?').get(convId).summary === 'They planned and priced the launch.');
+
+const conv = loadConversationsFromSQLite().get(convId);
+check('loader restores summary and covered round', conv && conv.summary === 'They planned and priced the launch.' && conv.summaryRound === 20);
+
+const { id: forkId } = forkConversation(convId, 15);
+check('fork keeps summaries up to the fork point', listSummaries(forkId).map((s) => s.version).join(',') === '1' && latestSummary(forkId).throughRound === 10);
+check('fork current summary set', db.prepare('SELECT summary FROM conversations WHERE id = ?').get(forkId).summary === 'They planned the launch.');
+const early = forkConversation(convId, 5).id;
+check('fork before any summary has none', listSummaries(early).length === 0 && db.prepare('SELECT summary FROM conversations WHERE id = ?').get(early).summary === null);
+check('fork versions continue from the copied ones', saveSummary(forkId, { summary: 'Forked.', throughRound: 15 }).version === 2);
+
+db.prepare('DELETE FROM conversations WHERE id = ?').run(convId);
+check('deleting the conversation cascades to its summaries', listSummaries(convId).length === 0 && listSummaries(forkId).length === 2);
+
+const kept = dropSummariesFrom(forkId, 12);
+check('editing a round drops the summaries covering it', kept && kept.version === 1 && listSummaries(forkId).map((s) => s.version).join(',') === '1' &&
+  db.prepare('SELECT summary FROM conversations WHERE id = ?').get(forkId).summary === 'They planned the launch.');
+check('no summary left -> current summary cleared', dropSummariesFrom(forkId, 3) === null &&
+  db.prepare('SELECT summary FROM conversations WHERE id = ?').get(forkId).summary === null);
+
+removeTempDatabase();
+
+done('summary');
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { db } = require('../db/index');
+const { validatePath } = require('../utils/files');
+const { TOOL_HIDDEN_CLAUSE } = require('../db/project-files');
+
+/**
+ * Working directories for command execution. Each agent of a conversation
+ * gets its own directory holding a copy of the project's files, kept between
+ * its calls (and turns) so files it writes are there for the next command.
+ * Before every command, project files added or changed since the last copy
+ * are written again. Directories idle for EXECUTION_WORKSPACE_IDLE_MS are
+ * removed, as are a conversation's when it is deleted.
+ */
+
+const WORKSPACES_DIR = process.env.EXECUTION_DIR || path.join(os.tmpdir(), 'mmc-exec');
+const IDLE_MS = parseInt(process.env.EXECUTION_WORKSPACE_IDLE_MS || String(30 * 60 * 1000), 10);
+
+// `${conversationId}:${agentId}` -> { dir, conversationId, projectId, synced: Map<path, version>, lastUsed }
+const workspaces = new Map();
+
+/**
+ * Copy a project's files into dir. `synced` maps each path already copied to
+ * the version copied (content hash, else update time); unchanged files are
+ * skipped and the map is updated. Files flagged tool_accessible: false are
+ * left out (and removed again if they were copied before), as are files
+ * whose path would leave dir. Returns { files, written }.
+ */
+async function materializeProject(projectId, dir, synced = new Map()) {
+  const files = db.prepare(`
+    SELECT path, content, content_location, content_hash, updated_at, COALESCE(${TOOL_HIDDEN_CLAUSE}, 0) AS hidden
+    FROM project_files
+    WHERE project_id = ?
+    ORDER BY path
+  `).all(projectId);
+
+  let written = 0;
+  for (const file of files) {
+    const version = file.content_hash || String(file.updated_at);
+    if (!file.hidden && synced.get(file.path) === version) continue;
+    let target;
+    try {
+      target = path.join(dir, validatePath(file.path));
+    } catch {
+      continue;
+    }
+    if (file.hidden) {
+      if (synced.delete(file.path)) await fs.promises.rm(target, { force: true });
+      continue;
+    }
+    try {
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      if (file.content_location && file.content == null) {
+        await fs.promises.copyFile(file.content_location, target);
+      } else {
+        await fs.promises.writeFile(target, file.content || '', 'utf8');
+      }
+      synced.set(file.path, version);
+      written++;
+    } catch (err) {
+      console.error(`Failed to materialize ${file.path}:`, err.message);
+    }
+  }
+  return { files: files.length, written };
+}
+
+async function discardWorkspace(key) {
+  const ws = workspaces.get(key);
+  if (!ws) return;
+  workspaces.delete(key);
+  await fs.promises.rm(ws.dir, { recursive: true, force: true });
+}
+
+// Remove directories no command used for IDLE_MS
+async function sweepIdleWorkspaces(now = Date.now()) {
+  for (const [key, ws] of workspaces) {
+    if (now - ws.lastUsed > IDLE_MS) await discardWorkspace(key);
+  }
+}
+
+/**
+ * The working directory of one agent in a conversation, created (or
+ * recreated after the conversation moved to another project) and brought up
+ * to date with the project's files.
+ */
+async function openWorkspace({ conversationId, agentId, projectId }) {
+  await sweepIdleWorkspaces();
+  const key = `${conversationId}:${agentId}`;
+  let ws = workspaces.get(key);
+  if (ws && ws.projectId !== projectId) {
+    await discardWorkspace(key);
+    ws = null;
+  }
+  if (!ws) {
+    await fs.promises.mkdir(WORKSPACES_DIR, { recursive: true });
+    const dir = await fs.promises.mkdtemp(path.join(WORKSPACES_DIR, 'ws-'));
+    ws = { dir, conversationId, projectId, synced: new Map(), lastUsed: Date.now() };
+    workspaces.set(key, ws);
+  }
+  await materializeProject(projectId, ws.dir, ws.synced);
+  ws.lastUsed = Date.now();
+  return ws;
+}
+
+/** Remove the working directories of a conversation's agents */
+async function removeWorkspaces(conversationId) {
+  for (const [key, ws] of workspaces) {
+    if (ws.conversationId === conversationId) await discardWorkspace(key);
+  }
+}
+
+/** Remove directories left behind by an earlier server run */
+function clearStaleWorkspaces() {
+  let entries = [];
+  try { entries = fs.readdirSync(WORKSPACES_DIR); } catch { return; }
+  const live = new Set([...workspaces.values()].map((ws) => path.basename(ws.dir)));
+  for (const name of entries) {
+    if (name.startsWith('ws-') && !live.has(name)) {
+      fs.rmSync(path.join(WORKSPACES_DIR, name), { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = {
+  materializeProject,
+  openWorkspace,
+  removeWorkspaces,
+  sweepIdleWorkspaces,
+  clearStaleWorkspaces,
+  WORKSPACES_DIR
+};
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+/**
+ * Run one shell command for a model: bash -c in a working directory, with
+ * CPU time, memory (data segment) and file-size rlimits, a wall-clock limit
+ * and an environment that carries none of the server's secrets. stdout and
+ * stderr are captured up to EXECUTION_MAX_OUTPUT_BYTES each.
+ *
+ * The command runs in a jail built from fresh namespaces (`unshare -rmpf`,
+ * plus -n for no network): its root is an empty tmpfs holding read-only
+ * binds of /usr and the few /etc entries interpreters need, the working
+ * directory (the only writable host path, mounted at /work), a /proc of its
+ * own and a handful of /dev nodes. The jail becomes the root with
+ * pivot_root and the host root is unmounted, so the server's code, .env,
+ * database, storage and other workspaces are not reachable from it; the
+ * command then runs with every capability dropped (setpriv), so it cannot
+ * chroot, mount or remount its way back. It has its own PID namespace, so
+ * processes it leaves behind (even with setsid) die with it.
+ */
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function executionLimits() {
+  return {
+    timeoutMs: envInt('EXECUTION_TIMEOUT_MS', 30000),
+    cpuSeconds: envInt('EXECUTION_CPU_SECONDS', 20),
+    memoryMb: envInt('EXECUTION_MEMORY_MB', 512),
+    maxFileMb: envInt('EXECUTION_MAX_FILE_MB', 50),
+    maxOutputBytes: envInt('EXECUTION_MAX_OUTPUT_BYTES', 256 * 1024),
+  };
+}
+
+// EXECUTION_NETWORK=allow runs commands without the network namespace
+function networkAllowed() {
+  return String(process.env.EXECUTION_NETWORK || '').toLowerCase() === 'allow';
+}
+
+// Host paths bound read-only into the jail; missing ones are skipped
+const JAIL_PATHS = [
+  '/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64',
+  '/etc/alternatives', '/etc/ld.so.cache', '/etc/ld.so.conf', '/etc/ld.so.conf.d', '/etc/ssl', '/etc/ca-certificates',
+  '/etc/passwd', '/etc/group', '/etc/nsswitch.conf', '/etc/localtime', '/etc/hosts', '/etc/resolv.conf',
+];
+
+// Builds the jail inside the new namespaces, then runs the command in it.
+// $1 jail root (an empty host directory), $2 working directory, $3 rlimit
+// commands, $4 the command, then the paths to bind read-only. Top-level
+// symlinks (/bin -> usr/bin) are recreated as links. The old root is
+// detached after pivot_root, and the namespace root's capabilities are
+// dropped (bounding set included, so exec cannot regain them).
+const JAIL_SCRIPT = `set -e
+root="$1"; work="$2"; limits="$3"; cmd="$4"; shift 4
+mount -t tmpfs -o mode=755,size=64m sandbox "$root"
+for p in "$@"; do
+  [ -e "$p" ] || continue
+  if [ -L "$p" ] && [ "\${p%/*}" = "" ]; then ln -s "$(readlink "$p")" "$root$p"; continue; fi
+  if [ -d "$p" ]; then mkdir -p "$root$p"; else mkdir -p "$root\${p%/*}"; : > "$root$p"; fi
+  mount --bind "$p" "$root$p"
+  mount -o remount,bind,ro "$root$p"
+done
+mkdir -p "$root/work" "$root/tmp" "$root/proc" "$root/dev"
+mount --bind "$work" "$root/work"
+mount -t proc proc "$root/proc"
+for d in null zero full random urandom; do : > "$root/dev/$d"; mount --bind "/dev/$d" "$root/dev/$d"; done
+ln -s /proc/self/fd "$root/dev/fd"
+mkdir "$root/.oldroot"
+cd "$root"
+pivot_root . .oldroot
+cd /
+umount -l /.oldroot
+rmdir /.oldroot
+exec setpriv --inh-caps=-all --bounding-set=-all --no-new-privs /bin/bash -c "cd /work && $limits && exec bash -c \\"\\$1\\"" sandbox "$cmd"`;
+
+// Empty host directory the jail's tmpfs is mounted on (in its own namespace)
+const JAIL_ROOT = path.join(os.tmpdir(), 'mmc-sandbox-root');
+
+// Extra read-only paths: node's install prefix when it lives outside /usr,
+// and EXECUTION_MOUNTS (colon-separated, e.g. a Python virtualenv)
+function extraMounts() {
+  const mounts = [];
+  const nodePrefix = path.dirname(path.dirname(fs.realpathSync(process.execPath)));
+  if (!JAIL_PATHS.some((p) => nodePrefix === p || nodePrefix.startsWith(`${p}/`))) mounts.push(nodePrefix);
+  for (const p of String(process.env.EXECUTION_MOUNTS || '').split(':')) {
+    if (p && path.isAbsolute(p) && !mounts.includes(p)) mounts.push(path.resolve(p));
+  }
+  return mounts;
+}
+
+// The program and arguments that run `shellCommand` (bash -c) in the jail
+function jailCommand(cwd, rlimits, shellCommand) {
+  fs.mkdirSync(JAIL_ROOT, { recursive: true });
+  const flags = networkAllowed() ? '-rmpf' : '-rnmpf';
+  return ['unshare', [flags, '--kill-child', 'bash', '-c', JAIL_SCRIPT, 'jail', JAIL_ROOT, cwd, rlimits, shellCommand, ...JAIL_PATHS, ...extraMounts()]];
+}
+
+let jailChecked = null;
+
+// Whether this host lets us build the jail (unprivileged user, mount, PID
+// and network namespaces); without it commands are not run at all
+function sandboxAvailable() {
+  if (jailChecked === null) {
+    let probe;
+    try {
+      const [file, args] = jailCommand(os.tmpdir(), 'true', 'test -d /work && ! test -e /root');
+      probe = spawnSync(file, args, { stdio: 'ignore', timeout: 10000, env: sandboxEnv() });
+    } catch {
+      probe = null;
+    }
+    jailChecked = Boolean(probe && probe.status === 0);
+  }
+  return jailChecked;
+}
+
+// Only what interpreters need; API keys and the rest of process.env stay out.
+// Paths are as seen inside the jail.
+function sandboxEnv() {
+  return {
+    PATH: [...extraMounts().map((p) => `${p}/bin`), '/usr/local/sbin', '/usr/local/bin', '/usr/sbin', '/usr/bin', '/sbin', '/bin'].join(':'),
+    HOME: '/work',
+    TMPDIR: '/tmp',
+    LANG: 'C.UTF-8',
+    PYTHONDONTWRITEBYTECODE: '1',
+    PYTHONUNBUFFERED: '1',
+  };
+}
+
+function collector(limit) {
+  const chunks = [];
+  let size = 0;
+  let dropped = 0;
+  return {
+    push(chunk) {
+      const room = limit - size;
+      if (room <= 0) { dropped += chunk.length; return; }
+      const kept = chunk.length > room ? chunk.subarray(0, room) : chunk;
+      chunks.push(kept);
+      size += kept.length;
+      dropped += chunk.length - kept.length;
+    },
+    text() {
+      const text = Buffer.concat(chunks).toString('utf8');
+      return dropped ? `${text}\n[${dropped} more bytes not captured]` : text;
+    },
+  };
+}
+
+// How long pipes may stay open after the command exits (a daemonized child
+// holding them) before its output is taken as complete
+const CLOSE_GRACE_MS = 1000;
+
+/**
+ * Run `command` with bash in cwd. Resolves to { stdout, stderr, exitCode,
+ * signal, timedOut, durationMs }; exitCode is null when the process was
+ * killed. Rejects when the jail cannot be built on this host or when
+ * `signal` aborts it. Settles when the command exits, not when its pipes
+ * close, so a process that escapes the group cannot hold the turn open.
+ */
+function runCommand(command, { cwd, signal, limits = executionLimits() } = {}) {
+  if (!sandboxAvailable()) {
+    return Promise.reject(new Error('the command sandbox (unshare with user, mount, PID and network namespaces) is not available on this host'));
+  }
+  if (signal && signal.aborted) return Promise.reject(new Error('aborted'));
+
+  // rlimits are set inside the jail so they bind only the command
+  const rlimits = [
+    `ulimit -t ${limits.cpuSeconds}`,
+    `ulimit -d ${limits.memoryMb * 1024}`,
+    `ulimit -f ${limits.maxFileMb * 1024}`,
+  ].join(' && ');
+  const [file, args] = jailCommand(cwd, rlimits, command);
+
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const child = spawn(file, args, { cwd, env: sandboxEnv(), stdio: ['ignore', 'pipe', 'pipe'], detached: true });
+    const stdout = collector(limits.maxOutputBytes);
+    const stderr = collector(limits.maxOutputBytes);
+    let timedOut = false;
+    let aborted = false;
+    let settled = false;
+    let graceTimer = null;
+
+    // detached: the command's children share its process group, so they go
+    // too; anything that left the group dies with the jail's PID namespace
+    const killGroup = () => {
+      try { process.kill(-child.pid, 'SIGKILL'); } catch { }
+    };
+    const timer = setTimeout(() => { timedOut = true; killGroup(); }, limits.timeoutMs);
+    const onAbort = () => { aborted = true; killGroup(); };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    const finish = (code, killSignal) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(graceTimer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      child.stdout.destroy();
+      child.stderr.destroy();
+      if (aborted) return reject(new Error('aborted'));
+      resolve({
+        stdout: stdout.text(),
+        stderr: stderr.text(),
+        exitCode: code,
+        signal: killSignal || undefined,
+        timedOut,
+        durationMs: Date.now() - started,
+      });
+    };
+
+    child.stdout.on('data', (d) => stdout.push(d));
+    child.stderr.on('data', (d) => stderr.push(d));
+    child.on('error', (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      reject(err);
+    });
+    child.on('exit', (code, killSignal) => {
+      if (timedOut || aborted) return finish(code, killSignal);
+      // Normally the pipes close right after; read what is still buffered
+      graceTimer = setTimeout(() => finish(code, killSignal), CLOSE_GRACE_MS);
+    });
+    child.on('close', (code, killSignal) => finish(code, killSignal));
+  });
+}
+
+module.exports = { runCommand, executionLimits, sandboxAvailable, networkAllowed };
@@ -0,0 +1,180 @@
+/**
+ * Test command execution: copying project files into a working directory
+ * (changed files only), running commands with captured output and exit
+ * codes, the time, memory, output and network limits, a clean environment,
+ * aborting, saving changed files back into the project, and the `bash` tool
+ * being registered only when enabled.
+ *
+ * Usage: node server/execution/test-execution.js
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+const { check, fail, done, useTempDatabase, removeTempDatabase } = require('../test-helpers');
+useTempDatabase('execution', { storage: true });
+process.env.EXECUTION_DIR = path.join(os.tmpdir(), `mmc-test-exec-${process.pid}`);
+process.env.EXECUTION_SECRET_PROBE = 'do-not-leak';
+
+const { runMigrations } = require('../db/migrate');
+runMigrations();
+
+const { db, newId, getDefaultProjectId } = require('../db/index');
+const { materializeProject, openWorkspace, removeWorkspaces } = require('./materialize');
+const { runCommand, executionLimits } = require('./sandbox');
+const { snapshotWorkspace, diffSnapshots, writeBackChanges } = require('./writeback');
+const { registerExecutionTools, formatResult } = require('./tools');
+const { getTool, executeToolCall, unregisterTool } = require('../tools/registry');
+
+const projectId = getDefaultProjectId();
+const now = Date.now();
+
+function addFile(filePath, content, location) {
+  db.prepare(`
+    INSERT INTO project_files (id, project_id, path, content, content_location, content_hash, size_bytes, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(newId('file'), projectId, filePath, content, location || null, `h-${filePath}-${content}`, (content || '').length, now, now);
+}
+
+async function main() {
+  // --- Materializing ---
+  const stored = path.join(os.tmpdir(), `mmc-test-exec-stored-${process.pid}.bin`);
+  fs.writeFileSync(stored, Buffer.from([0, 1, 2, 255]));
+  addFile('data/nums.txt', '1\n2\n3\n');
+  addFile('big.bin', null, stored);
+  addFile('../escape.txt', 'nope');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mmc-test-mat-'));
+  const synced = new Map();
+  let copied = await materializeProject(projectId, dir, synced);
+  check('materialize: files copied, unsafe path skipped', copied.written === 2 &&
+    fs.readFileSync(path.join(dir, 'data/nums.txt'), 'utf8') === '1\n2\n3\n' &&
+    fs.readFileSync(path.join(dir, 'big.bin')).equals(Buffer.from([0, 1, 2, 255])) &&
+    !fs.existsSync(path.join(path.dirname(dir), 'escape.txt')));
+  copied = await materializeProject(projectId, dir, synced);
+  check('materialize: unchanged files skipped', copied.written === 0);
+  db.prepare("UPDATE project_files SET content = '4\n', content_hash = 'h2' WHERE path = 'data/nums.txt'").run();
+  copied = await materializeProject(projectId, dir, synced);
+  check('materialize: changed file written again', copied.written === 1 && fs.readFileSync(path.join(dir, 'data/nums.txt'), 'utf8') === '4\n');
+  addFile('secret.txt', 'not for tools');
+  db.prepare("UPDATE project_files SET metadata = ? WHERE path IN ('big.bin', 'secret.txt')").run(JSON.stringify({ tool_accessible: false }));
+  copied = await materializeProject(projectId, dir, synced);
+  check('materialize: tool_accessible: false files left out, removed once copied', copied.written === 0 &&
+    !fs.existsSync(path.join(dir, 'big.bin')) && !fs.existsSync(path.join(dir, 'secret.txt')) && !synced.has('big.bin'));
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.unlinkSync(stored);
+  db.prepare("DELETE FROM project_files WHERE path != 'data/nums.txt'").run();
+
+  // --- Running commands ---
+  const ws = await openWorkspace({ conversationId: 'conv_x', agentId: 'a1', projectId });
+  const limits = { ...executionLimits(), timeoutMs: 1500, memoryMb: 256, maxOutputBytes: 1000 };
+  let r = await runCommand('cat data/nums.txt; echo oops >&2; exit 3', { cwd: ws.dir, limits });
+  check('run: stdout, stderr and exit code captured', r.stdout === '4\n' && r.stderr === 'oops\n' && r.exitCode === 3 && !r.timedOut);
+  r = await runCommand('node -e "console.log(process.env.EXECUTION_SECRET_PROBE || \'clean\')"; python3 -c "print(2 + 2)"', { cwd: ws.dir, limits });
+  check('run: node and python, without the server environment', r.stdout === 'clean\n4\n');
+  r = await runCommand('echo made > out.txt', { cwd: ws.dir, limits });
+  const reopened = await openWorkspace({ conversationId: 'conv_x', agentId: 'a1', projectId });
+  check('workspace: kept between commands', reopened.dir === ws.dir && fs.readFileSync(path.join(ws.dir, 'out.txt'), 'utf8') === 'made\n');
+  r = await runCommand('sleep 5 & sleep 5; echo late', { cwd: ws.dir, limits });
+  check('run: wall-clock limit kills the command', r.timedOut && r.exitCode === null && !r.stdout.includes('late') && r.durationMs < 4000);
+  r = await runCommand('python3 -c "x = bytearray(600 * 1024 * 1024)"', { cwd: ws.dir, limits });
+  check('run: memory limit', r.exitCode !== 0 && r.stderr.includes('MemoryError'));
+  r = await runCommand('head -c 5000 /dev/zero | tr "\\0" a', { cwd: ws.dir, limits });
+  check('run: output capped', r.stdout.startsWith('a'.repeat(1000)) && r.stdout.includes('[4000 more bytes not captured]'));
+  r = await runCommand('python3 -c "import socket; socket.create_connection((\'1.1.1.1\', 80), 2)"', { cwd: ws.dir, limits });
+  check('run: no network', r.exitCode !== 0 && /Network is unreachable|Errno/.test(r.stderr));
+  r = await runCommand(`ls; test ! -e ${JSON.stringify(__filename)} && test ! -e ${JSON.stringify(process.env.DB_PATH)} && test ! -e /root && ! touch /usr/probe 2>/dev/null && echo jailed`, { cwd: ws.dir, limits });
+  check('run: jailed to the working directory (server files, database and /root out of sight, /usr read-only)', r.stdout === 'data\nout.txt\njailed\n');
+  // The nested-chroot escape: chroot into a subdirectory, climb past it, chroot there
+  const escape = `import os; os.makedirs("x", exist_ok=True); os.chroot("x"); [os.chdir("..") for _ in range(64)]; os.chroot("."); print(open(${JSON.stringify(__filename)}).read())`;
+  r = await runCommand(`python3 -c '${escape}'`, { cwd: ws.dir, limits });
+  check('run: nested chroot cannot reach the host', r.exitCode !== 0 && !r.stdout.includes('runCommand') && /Operation not permitted/.test(r.stderr));
+  r = await runCommand('grep CapEff /proc/self/status; mount -o remount,rw /usr 2>/dev/null || unshare -rm true 2>/dev/null || echo held', { cwd: ws.dir, limits });
+  check('run: no capabilities, no remount, no new user namespace', r.stdout === 'CapEff:\t0000000000000000\nheld\n');
+  fs.rmSync(path.join(ws.dir, 'x'), { recursive: true, force: true });
+  r = await runCommand('setsid sleep 987 > /dev/null 2>&1 & setsid sleep 986 & echo hi', { cwd: ws.dir, limits });
+  check('run: settles when the command exits, despite an escaped process holding the pipes', r.exitCode === 0 && r.stdout === 'hi\n' && r.durationMs < 1500);
+  r = await runCommand('setsid sleep 985 & sleep 100', { cwd: ws.dir, limits });
+  check('run: wall-clock limit settles with an escaped process around', r.timedOut && r.durationMs < 3000);
+  const leftovers = fs.readdirSync('/proc').filter((pid) => /^\d+$/.test(pid)).filter((pid) => {
+    try { return /^sleep\0(985|986|987)\0/.test(fs.readFileSync(`/proc/${pid}/cmdline`, 'latin1')); } catch { return false; }
+  });
+  check('run: escaped processes die with the sandbox', leftovers.length === 0);
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 200);
+  const aborted = await runCommand('sleep 3', { cwd: ws.dir, limits, signal: controller.signal }).then(() => false, (err) => err.message === 'aborted');
+  check('run: abort kills the command', aborted);
+  await removeWorkspaces('conv_x');
+  check('workspace: removed with its conversation', !fs.existsSync(ws.dir));
+
+  check('format: status and streams', formatResult('ls', { stdout: 'a\n', stderr: '', exitCode: 0, durationMs: 1200 }, limits) === '$ ls\nexit code 0 (1.2s)\n[stdout]\na');
+
+  // --- Writing changes back ---
+  const wb = await openWorkspace({ conversationId: 'conv_w', agentId: 'a1', projectId });
+  db.prepare("UPDATE project_files SET metadata = ? WHERE path = 'data/nums.txt'").run(JSON.stringify({ always_in_context: true }));
+  const before = await snapshotWorkspace(wb.dir);
+  await runCommand('mkdir -p out .cache && echo 9 > data/nums.txt && echo hi > out/new.txt && printf "\\0\\1" > out/blob.bin && echo x > .cache/c && touch same.txt', { cwd: wb.dir, limits });
+  const diff = diffSnapshots(before, await snapshotWorkspace(wb.dir));
+  check('diff: created and modified files, hidden ones ignored', diff.created.join() === 'out/blob.bin,out/new.txt,same.txt' && diff.modified.join() === 'data/nums.txt');
+  const changes = await writeBackChanges(wb, diff, { conversationId: 'conv_w', agentId: 'a1', round: 2, command: 'make' });
+  const saved = (p) => db.prepare('SELECT id, content, content_hash, metadata FROM project_files WHERE project_id = ? AND path = ?').get(projectId, p);
+  const nums = saved('data/nums.txt');
+  const numsMeta = JSON.parse(nums.metadata);
+  check('writeback: changed file saved with provenance, metadata kept', nums.content === '9\n' && numsMeta.always_in_context === true &&
+    numsMeta.provenance.source === 'execution' && numsMeta.provenance.agentId === 'a1' && numsMeta.provenance.round === 2 && numsMeta.provenance.command === 'make');
+  const created = saved('out/new.txt');
+  check('writeback: new file saved and indexed', created && created.content === 'hi\n' && JSON.parse(created.metadata).retrieval_eligible === true &&
+    db.prepare("SELECT COUNT(*) AS n FROM content_chunks WHERE source_type = 'file' AND source_id = ?").get(created.id).n > 0);
+  const blob = db.prepare("SELECT content, content_location, encoding FROM project_files WHERE project_id = ? AND path = 'out/blob.bin'").get(projectId);
+  check('writeback: binary file saved byte for byte', blob && blob.encoding === 'binary' && blob.content === null &&
+    fs.readFileSync(blob.content_location).equals(Buffer.from([0, 1])));
+  check('writeback: empty file reported, not saved', !saved('same.txt') && changes.some(c => c.path === 'same.txt' && c.skipped === 'empty file'));
+  check('writeback: changes listed', changes.find(c => c.path === 'data/nums.txt').status === 'modified' &&
+    changes.find(c => c.path === 'out/new.txt').status === 'created' && changes.find(c => c.path === 'out/new.txt').fileId === created.id);
+  const resynced = await materializeProject(projectId, wb.dir, wb.synced);
+  check('writeback: saved files not copied back in', resynced.written === 0);
+  const beforeRm = await snapshotWorkspace(wb.dir);
+  await runCommand('rm out/new.txt', { cwd: wb.dir, limits });
+  const gone = await writeBackChanges(wb, diffSnapshots(beforeRm, await snapshotWorkspace(wb.dir)), {});
+  check('writeback: deletions reported, file kept in the project', saved('out/new.txt') && gone.length === 1 && gone[0].status === 'deleted');
+  db.prepare("UPDATE project_files SET metadata = ? WHERE path = 'out/new.txt'").run(JSON.stringify({ tool_accessible: false }));
+  const beforeHidden = await snapshotWorkspace(wb.dir);
+  await runCommand('echo overwritten > out/new.txt', { cwd: wb.dir, limits });
+  const refused = await writeBackChanges(wb, diffSnapshots(beforeHidden, await snapshotWorkspace(wb.dir)), {});
+  check('writeback: files hidden from tools not replaced', saved('out/new.txt').content === 'hi\n' && refused[0].skipped === 'not accessible to tools');
+  await removeWorkspaces('conv_w');
+  db.prepare("DELETE FROM project_files WHERE path != 'data/nums.txt'").run();
+  db.prepare("UPDATE project_files SET content = '4\n', content_hash = 'h3' WHERE path = 'data/nums.txt'").run();
+
+  // --- The tool ---
+  delete process.env.EXECUTION_ENABLED;
+  check('tool: not registered unless enabled', registerExecutionTools() === false && !getTool('bash'));
+  process.env.EXECUTION_ENABLED = '1';
+  check('tool: never in public mode', registerExecutionTools({ publicMode: true }) === false && !getTool('bash'));
+  check('tool: registered when enabled', registerExecutionTools() === true && getTool('bash').maxCallsPerTurn === 10);
+  check('tool: description says there is no network', getTool('bash').description.includes('No network access;'));
+  process.env.EXECUTION_NETWORK = 'allow';
+  unregisterTool('bash');
+  registerExecutionTools();
+  check('tool: description follows EXECUTION_NETWORK=allow', getTool('bash').description.includes('Network access is available;') && !getTool('bash').description.includes('No network'));
+  delete process.env.EXECUTION_NETWORK;
+  const out = await executeToolCall({ name: 'bash', arguments: { command: 'wc -l < data/nums.txt' } }, { conversationId: 'conv_y', agentId: 'a1', projectId, callCounts: new Map() });
+  check('tool: runs in the agent\'s copy of the project', !out.error && /^\$ wc -l < data\/nums\.txt\nexit code 0 \([\d.]+s\)\n\[stdout\]\n1$/.test(out.output));
+  const missing = await executeToolCall({ name: 'bash', arguments: {} }, { conversationId: 'conv_y', agentId: 'a1', projectId });
+  check('tool: command required', missing.error && missing.output.includes('command is required'));
+  const filesChanged = [];
+  const wrote = await executeToolCall({ name: 'bash', arguments: { command: 'echo 3 > count.txt' } }, { conversationId: 'conv_y', agentId: 'a1', round: 1, projectId, filesChanged });
+  check('tool: saved files in the result and the turn\'s list', wrote.output.endsWith('[files]\ncreated count.txt (saved to the project)') &&
+    filesChanged.length === 1 && filesChanged[0].path === 'count.txt' && filesChanged[0].command === 'echo 3 > count.txt');
+  unregisterTool('bash');
+  await removeWorkspaces('conv_y');
+}
+
+main()
+  .catch(fail)
+  .finally(() => {
+    removeTempDatabase();
+    fs.rmSync(process.env.EXECUTION_DIR, { recursive: true, force: true });
+    done('execution');
+  });
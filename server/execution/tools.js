@@ -0,0 +1,88 @@
+const { registerTool } = require('../tools/registry');
+const { runCommand, executionLimits, sandboxAvailable, networkAllowed } = require('./sandbox');
+const { openWorkspace, clearStaleWorkspaces } = require('./materialize');
+const { snapshotWorkspace, diffSnapshots, writeBackChanges } = require('./writeback');
+
+/**
+ * The `bash` tool: runs a model's shell command (python3, node and the usual
+ * Unix tools) in its working directory, a copy of the project's files (see
+ * materialize.js), under the limits of sandbox.js. Files the command creates
+ * or changes are saved back into the project (writeback.js). Offered only
+ * when EXECUTION_ENABLED=1, never in PUBLIC_MODE, and not at all on hosts
+ * where the sandbox's jail cannot be built.
+ */
+
+const BASH_MAX_CALLS = parseInt(process.env.TOOL_BASH_MAX_CALLS || '10', 10);
+
+function executionEnabled() {
+  const flag = String(process.env.EXECUTION_ENABLED || '').toLowerCase();
+  return flag === '1' || flag === 'true';
+}
+
+function describeChange(change) {
+  if (change.status === 'deleted') return `deleted ${change.path} (still in the project)`;
+  if (change.skipped) return `${change.status} ${change.path} (not saved: ${change.skipped})`;
+  return `${change.status} ${change.path} (saved to the project)`;
+}
+
+// What the model reads back: exit status first, then both streams and the
+// files the command changed
+function formatResult(command, result, limits, changes = []) {
+  let status;
+  if (result.timedOut) status = `killed after ${Math.round(limits.timeoutMs / 1000)}s (time limit)`;
+  else if (result.exitCode === null) status = `killed by ${result.signal || 'a signal'}`;
+  else status = `exit code ${result.exitCode}`;
+  const lines = [`$ ${command}`, `${status} (${(result.durationMs / 1000).toFixed(1)}s)`];
+  if (result.stdout) lines.push('[stdout]', result.stdout.replace(/\n$/, ''));
+  if (result.stderr) lines.push('[stderr]', result.stderr.replace(/\n$/, ''));
+  if (!result.stdout && !result.stderr) lines.push('(no output)');
+  if (changes.length) lines.push('[files]', ...changes.map(describeChange));
+  return lines.join('\n');
+}
+
+async function runBash({ command }, ctx) {
+  if (typeof command !== 'string' || !command.trim()) throw new Error('command is required');
+  const ws = await openWorkspace({ conversationId: ctx.conversationId, agentId: ctx.agentId, projectId: ctx.projectId });
+  const limits = executionLimits();
+  const before = await snapshotWorkspace(ws.dir);
+  const result = await runCommand(command, { cwd: ws.dir, signal: ctx.signal, limits });
+  const diff = diffSnapshots(before, await snapshotWorkspace(ws.dir));
+  const changes = await writeBackChanges(ws, diff, { conversationId: ctx.conversationId, agentId: ctx.agentId, round: ctx.round, command });
+  // Saved (or refused) files, for the turn's "files changed" list
+  if (Array.isArray(ctx.filesChanged)) {
+    for (const change of changes) {
+      if (change.status !== 'deleted') ctx.filesChanged.push({ ...change, command });
+    }
+  }
+  return formatResult(command, result, limits, changes);
+}
+
+/** Register `bash` when execution is enabled; returns whether it was */
+function registerExecutionTools({ publicMode = false } = {}) {
+  if (!executionEnabled() || publicMode) return false;
+  if (!sandboxAvailable()) {
+    console.warn('EXECUTION_ENABLED is set but the command sandbox (unshare -rnmpf) is not available here; the bash tool is not offered');
+    return false;
+  }
+  clearStaleWorkspaces();
+  const limits = executionLimits();
+  registerTool({
+    name: 'bash',
+    description: 'Run a bash command in a private working directory that starts as a copy of the project files. ' +
+      'python3, node and standard Unix tools are available; files you create or change are saved to the project. ' +
+      `${networkAllowed() ? 'Network access is available' : 'No network access'}; limits: ${Math.round(limits.timeoutMs / 1000)}s wall clock, ${limits.cpuSeconds}s CPU, ${limits.memoryMb} MB memory. ` +
+      'Returns the exit code, stdout and stderr.',
+    parameters: {
+      type: 'object',
+      properties: {
+        command: { type: 'string', description: 'Shell command to run, e.g. python3 analyze.py or ls -R' },
+      },
+      required: ['command'],
+    },
+    maxCallsPerTurn: BASH_MAX_CALLS,
+    handler: runBash,
+  });
+  return true;
+}
+
+module.exports = { registerExecutionTools, executionEnabled, formatResult };
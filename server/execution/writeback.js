@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const { db } = require('../db/index');
+const { upsertProjectFile, MAX_FILE_BYTES } = require('../db/project-files');
+const { indexFile } = require('../indexing/indexer');
+const { computeHash } = require('../utils/files');
+
+/**
+ * Files a command created or changed in its working directory go back into
+ * the project. A snapshot (size and mtime per file) is taken before and after
+ * each command; new and changed files are saved through the same upsert as
+ * uploads (binary ones byte for byte), with provenance in their metadata, and
+ * re-indexed. Files the command deleted are reported but stay in the project.
+ */
+
+// Caches and tool state that interpreters leave in HOME (the working
+// directory) rather than anything the model meant to produce
+const SKIPPED_DIRS = new Set(['node_modules', '__pycache__']);
+const MAX_WRITTEN_FILES = parseInt(process.env.EXECUTION_MAX_WRITTEN_FILES || '50', 10);
+
+function skipped(name) {
+  return name.startsWith('.') || SKIPPED_DIRS.has(name);
+}
+
+/**
+ * Map of relative path -> { size, mtimeMs } for the regular files under dir.
+ * Symlinks are not followed, so a link cannot pull outside files in.
+ */
+async function snapshotWorkspace(dir) {
+  const files = new Map();
+  const walk = async (rel) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(path.join(dir, rel), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (skipped(entry.name)) continue;
+      const relPath = rel ? `${rel}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        await walk(relPath);
+      } else if (entry.isFile()) {
+        try {
+          const stat = await fs.promises.lstat(path.join(dir, relPath));
+          files.set(relPath, { size: stat.size, mtimeMs: stat.mtimeMs });
+        } catch { }
+      }
+    }
+  };
+  await walk('');
+  return files;
+}
+
+/** { created, modified, deleted } paths (sorted) between two snapshots */
+function diffSnapshots(before, after) {
+  const created = [];
+  const modified = [];
+  const deleted = [];
+  for (const [relPath, now] of after) {
+    const was = before.get(relPath);
+    if (!was) created.push(relPath);
+    else if (was.size !== now.size || was.mtimeMs !== now.mtimeMs) modified.push(relPath);
+  }
+  for (const relPath of before.keys()) {
+    if (!after.has(relPath)) deleted.push(relPath);
+  }
+  return { created: created.sort(), modified: modified.sort(), deleted: deleted.sort() };
+}
+
+function parseMetadata(text) {
+  if (!text) return null;
+  try {
+    const metadata = JSON.parse(text);
+    return metadata && typeof metadata === 'object' && !Array.isArray(metadata) ? metadata : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save the created and modified files of `diff` from the workspace into its
+ * project. provenance ({ conversationId, agentId, round, command }) is stored
+ * as metadata.provenance; other metadata of a replaced file is kept. A file
+ * whose content matches the project's copy is left alone. Returns
+ * [{ path, status, fileId?, content_hash?, size_bytes?, skipped? }], status
+ * being 'created', 'modified' or 'deleted'.
+ */
+async function writeBackChanges(ws, diff, provenance) {
+  const changes = [];
+  let written = 0;
+  for (const relPath of [...diff.created, ...diff.modified]) {
+    // Created or modified as far as the project is concerned
+    const existing = db.prepare(`
+      SELECT content_hash, metadata
+      FROM project_files
+      WHERE project_id = ? AND path = ?
+    `).get(ws.projectId, relPath);
+    const status = existing ? 'modified' : 'created';
+    if (existing && (parseMetadata(existing.metadata) || {}).tool_accessible === false) {
+      // The command never saw this file, so it may not replace it either
+      changes.push({ path: relPath, status, skipped: 'not accessible to tools' });
+      continue;
+    }
+    if (written >= MAX_WRITTEN_FILES) {
+      changes.push({ path: relPath, status, skipped: `more than ${MAX_WRITTEN_FILES} files changed` });
+      continue;
+    }
+
+    let buffer;
+    try {
+      buffer = await fs.promises.readFile(path.join(ws.dir, relPath));
+    } catch {
+      continue; // removed again before we got to it
+    }
+    if (buffer.length > MAX_FILE_BYTES) {
+      changes.push({ path: relPath, status, skipped: `larger than ${MAX_FILE_BYTES / (1024 * 1024)} MB` });
+      continue;
+    }
+    if (!buffer.length) {
+      // Uploads need content too
+      changes.push({ path: relPath, status, skipped: 'empty file' });
+      continue;
+    }
+    const contentHash = computeHash(buffer);
+    if (existing && existing.content_hash === contentHash) {
+      // Same bytes as the project's copy (touched, or rewritten unchanged)
+      ws.synced.set(relPath, contentHash);
+      continue;
+    }
+
+    const metadata = {
+      ...(existing ? parseMetadata(existing.metadata) || {} : { retrieval_eligible: true, tool_accessible: true }),
+      provenance: { source: 'execution', ...provenance, at: Date.now() },
+    };
+    let file;
+    try {
+      file = await upsertProjectFile(ws.projectId, { path: relPath, content: buffer, metadata });
+    } catch (err) {
+      changes.push({ path: relPath, status, skipped: err.message });
+      continue;
+    }
+    // The workspace already holds this version; don't copy it back in
+    ws.synced.set(relPath, file.content_hash);
+    written++;
+    try {
+      await indexFile(file.id);
+    } catch (err) {
+      console.error(`Indexing ${relPath} failed:`, err.message);
+    }
+    changes.push({ path: relPath, status, fileId: file.id, content_hash: file.content_hash, size_bytes: file.size_bytes });
+  }
+  for (const relPath of diff.deleted) changes.push({ path: relPath, status: 'deleted' });
+  return changes;
+}
+
+module.exports = { snapshotWorkspace, diffSnapshots, writeBackChanges };
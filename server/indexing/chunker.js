@@ -2,17 +2,9 @@
  * Chunking utilities for splitting content into retrievable segments
  */
 
-const CHUNK_SIZE_LINES = 50; // Lines per chunk
+const { estimateTokens } = require('../utils/tokens');
 
-/**
- * Estimate token count (simple heuristic)
- * More accurate tokenizers can be added later
- */
-function estimateTokens(text) {
-  if (!text || typeof text !== 'string') return 0;
-  // Rule of thumb: ~4 characters per token
-  return Math.ceil(text.length / 4);
-}
+const CHUNK_SIZE_LINES = 50; // Lines per chunk
 
 /**
  * Chunk file content into segments
@@ -54,6 +46,35 @@ function chunkFileContent(content, filePath, projectId) {
   return chunks;
 }
 
+/**
+ * Chunk text extracted page by page (e.g. from a PDF). A chunk never spans
+ * two pages, so its location names one page; a long page is split by lines.
+ */
+function chunkPages(pages, filePath) {
+  const chunks = [];
+  for (const { page, text } of pages) {
+    for (const chunk of chunkFileContent(text, filePath)) {
+      chunks.push({
+        index: chunks.length,
+        content: chunk.content,
+        location: {
+          path: filePath,
+          page,
+          start_char: chunk.location.start_char,
+          end_char: chunk.location.end_char
+        },
+        tokenCount: chunk.tokenCount,
+        metadata: {
+          path: filePath,
+          type: 'file',
+          page
+        }
+      });
+    }
+  }
+  return chunks;
+}
+
 /**
  * Chunk conversation message
  * Messages are not split - one chunk per message
@@ -78,6 +99,7 @@ function chunkMessage(content, conversationId, roundNumber, speaker, projectId)
 
 module.exports = {
   chunkFileContent,
+  chunkPages,
   chunkMessage,
   estimateTokens,
   CHUNK_SIZE_LINES
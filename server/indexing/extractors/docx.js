@@ -0,0 +1,18 @@
+const mammoth = require('mammoth');
+
+/**
+ * Word (.docx) text with mammoth: one paragraph per line. A .docx has no
+ * fixed pages (they depend on how it is laid out), so none are reported.
+ */
+async function extractDocx(bytes) {
+  const { value } = await mammoth.extractRawText({ buffer: bytes });
+  const text = String(value || '')
+    .split('\n')
+    .map((line) => line.replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+  return { text };
+}
+
+module.exports = { extractDocx };
@@ -0,0 +1,53 @@
+const { extractPdf } = require('./pdf');
+const { extractDocx } = require('./docx');
+const { extractHtml } = require('./html');
+
+/**
+ * Text extractors for indexing. A file whose MIME type has an extractor is
+ * indexed from the text the extractor returns instead of its stored content,
+ * so formats such as PDF become searchable. An extractor is
+ * { name, mimeTypes, extract }: extract(bytes) resolves to { pages } (an
+ * array of { page, text }, page being 1-based) for paged formats, or
+ * { text } for the others.
+ */
+
+const extractors = new Map();
+
+function registerExtractor(extractor) {
+  if (!extractor || typeof extractor.name !== 'string' || typeof extractor.extract !== 'function') {
+    throw new Error(`Invalid extractor: ${extractor && extractor.name}`);
+  }
+  for (const mimeType of extractor.mimeTypes || []) {
+    extractors.set(mimeType, extractor);
+  }
+}
+
+function getExtractor(mimeType) {
+  return extractors.get(String(mimeType || '').split(';')[0].trim()) || null;
+}
+
+/**
+ * Run the extractor for mimeType over a file's bytes. Returns
+ * { extractor, text, pages } (pages is null for formats without pages), or
+ * null when the type has no extractor. Throws when the file cannot be parsed.
+ */
+async function extractText(mimeType, bytes) {
+  const extractor = getExtractor(mimeType);
+  if (!extractor) return null;
+  const result = await extractor.extract(bytes);
+  if (Array.isArray(result.pages)) {
+    const pages = result.pages.filter((p) => p && p.text && p.text.trim());
+    return { extractor: extractor.name, text: pages.map((p) => p.text).join('\n\n'), pages, pageCount: result.pageCount || result.pages.length };
+  }
+  return { extractor: extractor.name, text: String(result.text || ''), pages: null };
+}
+
+registerExtractor({ name: 'pdf', mimeTypes: ['application/pdf'], extract: extractPdf });
+registerExtractor({
+  name: 'docx',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  extract: extractDocx,
+});
+registerExtractor({ name: 'html', mimeTypes: ['text/html'], extract: extractHtml });
+
+module.exports = { registerExtractor, getExtractor, extractText };
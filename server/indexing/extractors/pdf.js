@@ -0,0 +1,57 @@
+/**
+ * PDF text, page by page, with pdf.js (pure JS, no worker thread or network
+ * in Node). Scanned pages without a text layer come back empty; there is no
+ * OCR.
+ */
+
+const MAX_PAGES = parseInt(process.env.EXTRACT_MAX_PAGES || '500', 10);
+
+// pdfjs-dist ships as an ES module; load it on first use
+let pdfjs = null;
+async function loadPdfjs() {
+  if (!pdfjs) pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  return pdfjs;
+}
+
+// A page's text items joined into lines
+function pageText(items) {
+  let text = '';
+  for (const item of items) {
+    if (typeof item.str !== 'string') continue;
+    text += item.str;
+    if (item.hasEOL) text += '\n';
+  }
+  return text
+    .split('\n')
+    .map((line) => line.replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/** { pages: [{ page, text }], pageCount } for the first MAX_PAGES pages */
+async function extractPdf(bytes) {
+  const { getDocument } = await loadPdfjs();
+  const doc = await getDocument({
+    data: new Uint8Array(bytes),
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    verbosity: 0,
+  }).promise;
+  try {
+    const pages = [];
+    const count = Math.min(doc.numPages, MAX_PAGES);
+    for (let n = 1; n <= count; n++) {
+      const page = await doc.getPage(n);
+      const content = await page.getTextContent();
+      pages.push({ page: n, text: pageText(content.items) });
+      page.cleanup();
+    }
+    return { pages, pageCount: doc.numPages };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+module.exports = { extractPdf };
@@ -1,13 +1,16 @@
 const fs = require('fs/promises');
 const { db, newId } = require('../db/index');
-const { chunkFileContent, chunkMessage } = require('./chunker');
+const { readFileBytes } = require('../db/project-files');
+const { chunkFileContent, chunkPages, chunkMessage } = require('./chunker');
+const { getExtractor, extractText } = require('./extractors');
 
 /**
- * Index a file: chunk it and add to search index
+ * Index a file: chunk it and add to search index. Formats with an extractor
+ * (PDF, DOCX, HTML) are indexed from their extracted text, PDFs page by page.
  */
 async function indexFile(fileId) {
   const file = db.prepare(`
-    SELECT id, project_id, path, content, content_location, content_hash, metadata
+    SELECT id, project_id, path, content, content_location, encoding, mime_type, content_hash, metadata
     FROM project_files
     WHERE id = ?
   `).get(fileId);
@@ -37,13 +40,10 @@ async function indexFile(fileId) {
     console.log(`File ${fileId} content changed: removed ${removed} stale chunks, reindexing`);
   }
 
-  let content = file.content;
-  if (!content && file.content_location) {
-    content = await fs.readFile(file.content_location, 'utf8');
-  }
-
-  if (!content) {
-    console.log(`File ${fileId} has no content, skipping index`);
+  const extractor = getExtractor(file.mime_type);
+  // Other binary files (images, archives) have no text to chunk
+  if (file.encoding === 'binary' && !extractor) {
+    console.log(`File ${fileId} is binary (${file.mime_type}), skipping index`);
     return { skipped: true };
   }
 
@@ -52,7 +52,44 @@ async function indexFile(fileId) {
     return { skipped: true };
   }
 
-  const chunks = chunkFileContent(content, file.path, file.project_id);
+  let chunks;
+  let extraction = null;
+  if (extractor) {
+    const bytes = await readFileBytes(file);
+    if (!bytes || !bytes.length) {
+      console.log(`File ${fileId} has no content, skipping index`);
+      return { skipped: true };
+    }
+    let extracted;
+    try {
+      extracted = await extractText(file.mime_type, bytes);
+    } catch (err) {
+      console.error(`Extracting text from ${file.path} failed:`, err.message);
+      return { skipped: true, error: `text extraction failed: ${err.message}` };
+    }
+    extraction = { extractor: extracted.extractor, chars: extracted.text.length };
+    if (extracted.pages) extraction.pages = extracted.pageCount;
+    if (!extracted.text.trim()) {
+      // e.g. a scanned PDF without a text layer
+      console.log(`File ${fileId} has no extractable text, skipping index`);
+      return { skipped: true, extraction };
+    }
+    chunks = extracted.pages
+      ? chunkPages(extracted.pages, file.path)
+      : chunkFileContent(extracted.text, file.path, file.project_id);
+  } else {
+    let content = file.content;
+    if (!content && file.content_location) {
+      content = await fs.readFile(file.content_location, 'utf8');
+    }
+
+    if (!content) {
+      console.log(`File ${fileId} has no content, skipping index`);
+      return { skipped: true };
+    }
+
+    chunks = chunkFileContent(content, file.path, file.project_id);
+  }
 
   const insertChunk = db.prepare(`
     INSERT INTO content_chunks (
@@ -97,6 +134,7 @@ async function indexFile(fileId) {
   })();
 
   const updatedMetadata = { ...metadata, last_indexed_at: now, indexed_hash: file.content_hash };
+  if (extraction) updatedMetadata.extraction = extraction;
   db.prepare(`
     UPDATE project_files
     SET metadata = ?
@@ -108,7 +146,8 @@ async function indexFile(fileId) {
   return {
     fileId,
     chunks: chunks.length,
-    chunkIds
+    chunkIds,
+    ...(extraction ? { extraction } : {})
   };
 }
 
@@ -207,6 +246,15 @@ function indexMessage(messageId) {
   return { messageId, chunkId };
 }
 
+/**
+ * Replace a message's chunks after its content changed (e.g. a regenerated
+ * agent reply): indexMessage skips messages that already have chunks.
+ */
+function reindexMessage(messageId) {
+  removeChunks('conversation_message', messageId);
+  return indexMessage(messageId);
+}
+
 /**
  * Reindex all files in a project
  */
@@ -232,14 +280,16 @@ async function reindexProject(projectId) {
 }
 
 /**
- * Index every conversation message that has no chunks yet. Messages are
- * immutable, so "no chunks" is the only staleness case. Run once after
- * deploying message indexing to cover pre-existing history.
+ * Index every conversation message that has no chunks yet. Messages that
+ * change in place are reindexed by reindexMessage, so "no chunks" is the
+ * only staleness case. Run once after deploying message indexing to cover
+ * pre-existing history. Conversations in the trash stay unindexed.
  */
 function backfillMessages() {
   const rows = db.prepare(`
     SELECT m.id
     FROM conversation_messages m
+    JOIN conversations conv ON conv.id = m.conversation_id AND conv.deleted_at IS NULL
     LEFT JOIN content_chunks c
       ON c.source_type = 'conversation_message' AND c.source_id = m.id
     WHERE c.id IS NULL AND m.content IS NOT NULL AND m.content != ''
@@ -265,6 +315,7 @@ function backfillMessages() {
 module.exports = {
   indexFile,
   indexMessage,
+  reindexMessage,
   reindexProject,
   removeChunks,
   backfillMessages
@@ -0,0 +1,126 @@
+const { db } = require('../db/index');
+const { search, citeLocation } = require('./search');
+const { pinnedFileIds } = require('../prompts/files');
+
+/**
+ * Automatic retrieval for /api/turn: rank the project's file chunks against
+ * the user's message (then the recent rounds' messages), keep the best ones
+ * that fit a token budget and hand them to the agents as a cited context
+ * block. The round records only which chunks were picked; their text is read
+ * back from content_chunks whenever a view is built.
+ */
+
+const DEFAULT_MAX_TOKENS = parseInt(process.env.RETRIEVAL_MAX_TOKENS || '2000', 10);
+const DEFAULT_MAX_CHUNKS = parseInt(process.env.RETRIEVAL_MAX_CHUNKS || '6', 10);
+const RECENT_ROUNDS = parseInt(process.env.RETRIEVAL_RECENT_ROUNDS || '2', 10);
+
+// Ceilings for per-request overrides
+const MAX_TOKENS_LIMIT = 16000;
+const MAX_CHUNKS_LIMIT = 20;
+
+// Candidates fetched per search before budgeting
+const CANDIDATES = 20;
+
+function clampInt(value, fallback, max) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) return fallback;
+  return Math.min(n, max);
+}
+
+/**
+ * Resolve a request's `retrieval` field: false turns retrieval off, an object
+ * may set maxTokens/maxChunks. Returns the settings, null when off, or
+ * undefined when the value is malformed.
+ */
+function resolveRetrievalOptions(spec) {
+  if (spec === false) return null;
+  if (spec === undefined || spec === null || spec === true) {
+    return { maxTokens: DEFAULT_MAX_TOKENS, maxChunks: DEFAULT_MAX_CHUNKS };
+  }
+  if (typeof spec !== 'object' || Array.isArray(spec)) return undefined;
+  if (spec.enabled === false) return null;
+  const settings = {
+    maxTokens: clampInt(spec.maxTokens, DEFAULT_MAX_TOKENS, MAX_TOKENS_LIMIT),
+    maxChunks: clampInt(spec.maxChunks, DEFAULT_MAX_CHUNKS, MAX_CHUNKS_LIMIT),
+  };
+  return settings.maxTokens && settings.maxChunks ? settings : null;
+}
+
+// Text of the user messages of the rounds before the current one
+function recentQuery(rounds) {
+  return (rounds || [])
+    .slice(0, -1)
+    .filter((r) => r && r.user && r.user.speaker !== 'orchestrator')
+    .slice(-RECENT_ROUNDS)
+    .map((r) => r.user.content || '')
+    .join('\n');
+}
+
+/**
+ * Pick file chunks for a turn. Matches for the message itself come first,
+ * then matches for the recent rounds; chunks are taken in that order while
+ * they fit. Returns { query, tokens, chunks: [{ chunkId, path, startLine,
+ * endLine, tokens }] } (page instead of the lines for paged documents), or
+ * null when nothing matched.
+ */
+function retrieveContext(projectId, userMessage, rounds, settings) {
+  if (!projectId || !settings) return null;
+  const candidates = [];
+  const seen = new Set();
+  // Pinned files are already in the system prompt in full
+  const pinned = new Set(pinnedFileIds(projectId));
+  for (const query of [userMessage, recentQuery(rounds)]) {
+    if (!query || !String(query).trim()) continue;
+    // Files only: message chunks could carry text hidden from some agents
+    const found = search(projectId, query, { limit: CANDIDATES, match: 'any', filters: { source_type: 'file' } });
+    for (const r of found.results) {
+      if (seen.has(r.chunk_id) || pinned.has(r.source_id)) continue;
+      seen.add(r.chunk_id);
+      candidates.push(r);
+    }
+  }
+
+  const chunks = [];
+  let tokens = 0;
+  for (const r of candidates) {
+    if (chunks.length >= settings.maxChunks) break;
+    const cost = r.token_count || Math.ceil(String(r.content || '').length / 4);
+    if (tokens + cost > settings.maxTokens) continue;
+    tokens += cost;
+    const location = r.location || {};
+    chunks.push(location.page
+      ? { chunkId: r.chunk_id, path: location.path, page: location.page, tokens: cost }
+      : { chunkId: r.chunk_id, path: location.path, startLine: location.start_line, endLine: location.end_line, tokens: cost });
+  }
+  if (!chunks.length) return null;
+  return { query: userMessage, tokens, chunks };
+}
+
+// "path:12-40" (or "path, page 3") for a recorded chunk
+function citation(chunk) {
+  return citeLocation({ path: chunk.path, page: chunk.page, start_line: chunk.startLine, end_line: chunk.endLine });
+}
+
+/**
+ * The context block agents see for a round's retrieval. Chunks that no
+ * longer exist (the file was edited or deleted since) are left out; returns
+ * '' when none remain.
+ */
+function buildRetrievalBlock(retrieval) {
+  const recorded = (retrieval && retrieval.chunks) || [];
+  if (!recorded.length) return '';
+  const get = db.prepare('SELECT content FROM content_chunks WHERE id = ?');
+  const sections = [];
+  for (const chunk of recorded) {
+    const row = get.get(chunk.chunkId);
+    if (!row) continue;
+    sections.push(`[${sections.length + 1}] ${citation(chunk)}\n${row.content}`);
+  }
+  if (!sections.length) return '';
+  return [
+    'Project context (passages retrieved automatically for this message; cite them by [number], path:lines or page):',
+    ...sections,
+  ].join('\n\n');
+}
+
+module.exports = { resolveRetrievalOptions, retrieveContext, buildRetrievalBlock };
@@ -16,6 +16,27 @@ function escapeFTS5Query(query) {
   return `"${cleaned}"`;
 }
 
+// Words too common to say anything about relevance in an any-terms query
+const STOPWORDS = new Set(('the and for are but not you your with this that from have has had was were will would ' +
+  'can could should what when where which who why how about into than then them they their there these those ' +
+  'its our out all any some also just more most such only over very does did been being here let use using ' +
+  'please tell give make show explain').split(' '));
+
+/**
+ * Build an FTS5 query that matches any of the words in free text, each one
+ * quoted. Used to rank passages against a whole message instead of a phrase.
+ */
+function anyTermsQuery(text, maxTerms = 32) {
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+  const terms = [];
+  for (const word of words) {
+    if (word.length < 3 || STOPWORDS.has(word) || terms.includes(word)) continue;
+    terms.push(word);
+    if (terms.length >= maxTerms) break;
+  }
+  return terms.length ? terms.map(t => `"${t}"`).join(' OR ') : '""';
+}
+
 /**
  * Build filter clauses for SQL WHERE
  */
@@ -58,6 +79,17 @@ function buildFilters(filters, projectId) {
   return { clauses, params };
 }
 
+/**
+ * How a file chunk is cited: "path, page 12" for paged documents,
+ * "path:12-40" for line ranges, else just the path
+ */
+function citeLocation(location) {
+  if (!location || !location.path) return '(unknown)';
+  if (location.page) return `${location.path}, page ${location.page}`;
+  if (location.start_line) return `${location.path}:${location.start_line}-${location.end_line}`;
+  return location.path;
+}
+
 /**
  * Search for content in project
  */
@@ -75,8 +107,8 @@ function search(projectId, query, options = {}) {
     throw new Error('Project not found');
   }
 
-  // Escape query
-  const safeQuery = escapeFTS5Query(query);
+  // Escape query; match 'any' ORs the individual words instead of a phrase
+  const safeQuery = options.match === 'any' ? anyTermsQuery(query) : escapeFTS5Query(query);
 
   // Build filter clauses
   const { clauses, params } = buildFilters(filters, projectId);
@@ -131,15 +163,18 @@ function search(projectId, query, options = {}) {
       relevance_score: Math.abs(r.relevance_score) // FTS5 rank is negative
     };
 
-    // Add path for file chunks
+    // Add path (and page, for paged documents) for file chunks
     if (location.path) {
       result.path = location.path;
+      if (location.page) result.page = location.page;
+      result.citation = citeLocation(location);
     }
 
     // Add conversation info for message chunks
     if (location.round_number) {
       result.round_number = location.round_number;
       result.speaker = location.speaker;
+      result.conversation_id = metadata.conversation_id;
     }
 
     return result;
@@ -157,4 +192,4 @@ function search(projectId, query, options = {}) {
   };
 }
 
-module.exports = { search, escapeFTS5Query };
+module.exports = { search, escapeFTS5Query, anyTermsQuery, citeLocation };
@@ -0,0 +1,208 @@
+/**
+ * Test text extraction for indexing: PDFs are read page by page and their
+ * chunks carry the page in content_chunks.location, so search results and
+ * retrieval cite "page N"; DOCX and HTML are indexed as plain text; files
+ * that cannot be parsed are skipped; read_file returns the same text. The
+ * PDF and DOCX fixtures are built here, byte by byte.
+ *
+ * Usage: node server/indexing/test-extractors.js
+ */
+
+const { check, fail, done, useTempDatabase, removeTempDatabase } = require('../test-helpers');
+useTempDatabase('extract', { storage: true });
+
+const { runMigrations } = require('../db/migrate');
+runMigrations();
+
+const { db, newId } = require('../db/index');
+const { upsertProjectFile } = require('../db/project-files');
+const { indexFile } = require('./indexer');
+const { search } = require('./search');
+const { retrieveContext, buildRetrievalBlock } = require('./retrieval');
+const { extractText, getExtractor } = require('./extractors');
+const { registerProjectTools } = require('../tools/project');
+const { executeToolCall } = require('../tools/registry');
+
+// A PDF with one Helvetica text line per entry of each page
+function makePdf(pages) {
+  const objects = [];
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pages.map((_, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+  pages.forEach((lines, i) => {
+    const stream = `BT /F1 12 Tf 72 720 Td 14 TL ${lines.map((l) => `(${l.replace(/[()\\]/g, '\\$&')}) '`).join(' ')} ET`;
+    objects[4 + i * 2] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`;
+    objects[5 + i * 2] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+  });
+  let out = '%PDF-1.4\n';
+  const offsets = [];
+  for (let n = 1; n < objects.length; n++) {
+    offsets[n] = out.length;
+    out += `${n} 0 obj\n${objects[n]}\nendobj\n`;
+  }
+  const xref = out.length;
+  out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  out += offsets.slice(1).map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+function crc32(buf) {
+  let crc = ~0;
+  for (const byte of buf) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+  return ~crc >>> 0;
+}
+
+// An uncompressed zip of { name: string } entries
+function makeZip(entries) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(entries)) {
+    const data = Buffer.from(text, 'utf8');
+    const nameBuf = Buffer.from(name, 'utf8');
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt32LE(crc32(data), 14);
+    header.writeUInt32LE(data.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(nameBuf.length, 26);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt32LE(crc32(data), 16);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBuf.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    locals.push(header, nameBuf, data);
+    central.push(entry, nameBuf);
+    offset += header.length + nameBuf.length + data.length;
+  }
+  const dir = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(entries).length, 8);
+  end.writeUInt16LE(Object.keys(entries).length, 10);
+  end.writeUInt32LE(dir.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, dir, end]);
+}
+
+function makeDocx(paragraphs) {
+  const body = paragraphs.map((p) => `<w:p><w:r><w:t>${p}</w:t></w:r></w:p>`).join('');
+  return makeZip({
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>',
+    'word/document.xml': `<?xml version="1.0" encoding="UTF-8"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}</w:body></w:document>`,
+  });
+}
+
+const chunksOf = (fileId) => db.prepare(`
+  SELECT content, location FROM content_chunks WHERE source_type = 'file' AND source_id = ? ORDER BY chunk_index
+`).all(fileId).map((c) => ({ content: c.content, location: JSON.parse(c.location) }));
+
+const now = Date.now();
+const projectId = newId('proj');
+db.prepare('INSERT INTO projects (id, name, created_at, updated_at) VALUES (?, ?, ?, ?)')
+  .run(projectId, 'Extraction Test', now, now);
+
+async function main() {
+  // --- Registry ---
+  check('extractors registered for PDF, DOCX and HTML', getExtractor('application/pdf').name === 'pdf' &&
+    getExtractor('application/vnd.openxmlformats-officedocument.wordprocessingml.document').name === 'docx' &&
+    getExtractor('text/html; charset=utf-8').name === 'html' && getExtractor('image/png') === null);
+
+  // --- PDF ---
+  const pdf = makePdf([
+    ['Quarterly report', 'Revenue grew in every region.'],
+    [],
+    ['Appendix', 'The okapi survey (page three) counted 14 animals.'],
+  ]);
+  const extracted = await extractText('application/pdf', pdf);
+  check('pdf: text per page, empty pages left out', extracted.pages.length === 2 && extracted.pageCount === 3 &&
+    extracted.pages[0].page === 1 && extracted.pages[0].text === 'Quarterly report\nRevenue grew in every region.' &&
+    extracted.pages[1].page === 3 && extracted.pages[1].text.includes('The okapi survey (page three)'));
+
+  const pdfFile = await upsertProjectFile(projectId, { path: 'reports/q3.pdf', content: pdf });
+  const indexed = await indexFile(pdfFile.id);
+  const pdfChunks = chunksOf(pdfFile.id);
+  check('pdf: indexed one chunk per page with text', indexed.chunks === 2 && pdfChunks.length === 2);
+  check('pdf: page stored in the chunk location', pdfChunks[1].location.page === 3 && pdfChunks[1].location.path === 'reports/q3.pdf' &&
+    !pdfChunks[1].location.start_line);
+  const meta = JSON.parse(db.prepare('SELECT metadata FROM project_files WHERE id = ?').get(pdfFile.id).metadata);
+  check('pdf: extraction recorded in the file metadata', meta.extraction.extractor === 'pdf' && meta.extraction.pages === 3 && meta.indexed_hash === pdfFile.content_hash);
+
+  let hits = search(projectId, 'okapi');
+  check('pdf: search cites the page', hits.results.length === 1 && hits.results[0].page === 3 &&
+    hits.results[0].citation === 'reports/q3.pdf, page 3');
+  check('pdf: unchanged file not extracted again', (await indexFile(pdfFile.id)).skipped === true);
+
+  const retrieval = retrieveContext(projectId, 'how many okapi were counted?', [], { maxTokens: 2000, maxChunks: 6 });
+  check('retrieval: records the page instead of lines', retrieval && retrieval.chunks[0].page === 3 && !retrieval.chunks[0].startLine);
+  check('retrieval: block cites the page', buildRetrievalBlock(retrieval).includes('[1] reports/q3.pdf, page 3\nAppendix'));
+
+  const broken = await upsertProjectFile(projectId, { path: 'reports/broken.pdf', content: Buffer.from('%PDF-1.4\nnot really a pdf\n', 'latin1') });
+  const brokenResult = await indexFile(broken.id);
+  check('pdf: unparseable file skipped with an error', brokenResult.skipped === true && /text extraction failed/.test(brokenResult.error) &&
+    chunksOf(broken.id).length === 0);
+
+  const blank = await upsertProjectFile(projectId, { path: 'reports/scan.pdf', content: makePdf([[]]) });
+  const blankResult = await indexFile(blank.id);
+  check('pdf: no text layer -> skipped', blankResult.skipped === true && blankResult.extraction.chars === 0);
+
+  // --- DOCX ---
+  const docx = makeDocx(['Onboarding guide', 'Every new capybara keeper gets a badge.']);
+  const docxText = await extractText('application/vnd.openxmlformats-officedocument.wordprocessingml.document', docx);
+  check('docx: paragraphs as lines', docxText.pages === null && docxText.text === 'Onboarding guide\nEvery new capybara keeper gets a badge.');
+  const docxFile = await upsertProjectFile(projectId, { path: 'docs/guide.docx', content: docx });
+  check('docx: stored as binary', docxFile.encoding === 'binary');
+  await indexFile(docxFile.id);
+  hits = search(projectId, 'capybara');
+  check('docx: indexed and cited by line of the extracted text', hits.results.length === 1 && hits.results[0].citation === 'docs/guide.docx:1-2');
+
+  // --- HTML ---
+  const html = '<!doctype html><html><head><title>Ignored</title><style>.marmoset{}</style></head><body>' +
+    '<h1>Field notes</h1><p>The tamarin&nbsp;troop &amp; its <b>scouts</b>&#33;</p><script>var marmoset = 1;</script><!-- marmoset --></body></html>';
+  const htmlText = await extractText('text/html', Buffer.from(html));
+  check('html: tags, scripts and comments dropped, entities decoded', htmlText.text === 'Field notes\nThe tamarin troop & its scouts!');
+  const htmlFile = await upsertProjectFile(projectId, { path: 'site/notes.html', content: html });
+  await indexFile(htmlFile.id);
+  check('html: indexed from its text', search(projectId, 'tamarin').results.length === 1 && search(projectId, 'marmoset').results.length === 0);
+
+  // --- read_file ---
+  registerProjectTools();
+  const read = (args) => executeToolCall({ id: 'r', name: 'read_file', arguments: args }, { projectId });
+  let r = await read({ path: 'reports/q3.pdf' });
+  check('read_file: pdf read as its text, pages marked', !r.error && r.output.startsWith('reports/q3.pdf (text extracted from PDF, lines 1-7 of 7)') &&
+    r.output.includes('1| [page 1]') && r.output.includes('2| Quarterly report') && r.output.includes('5| [page 3]'));
+  r = await read({ path: 'reports/q3.pdf', start_line: 5, end_line: 7 });
+  check('read_file: line ranges apply to the extracted text', !r.error && r.output.includes('(text extracted from PDF, lines 5-7 of 7)') && r.output.includes('7| The okapi survey'));
+  r = await read({ path: 'docs/guide.docx' });
+  check('read_file: docx read as its text', !r.error && r.output.includes('2| Every new capybara keeper gets a badge.'));
+  r = await read({ path: 'reports/broken.pdf' });
+  check('read_file: unparseable pdf is an error result', r.error === true && /text extraction from reports\/broken\.pdf failed/.test(r.output));
+  r = await read({ path: 'reports/scan.pdf' });
+  check('read_file: pdf without text is an error result', r.error === true && /no extractable text/.test(r.output));
+  await upsertProjectFile(projectId, { path: 'img/logo.png', content: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0]) });
+  r = await read({ path: 'img/logo.png' });
+  check('read_file: other binary files still refused', r.error === true && /is a binary file/.test(r.output));
+
+  // --- Text files are unchanged ---
+  const md = await upsertProjectFile(projectId, { path: 'docs/plain.md', content: 'line one\nthe gecko line' });
+  await indexFile(md.id);
+  hits = search(projectId, 'gecko');
+  check('text: still cited by lines', hits.results[0].citation === 'docs/plain.md:1-2' && hits.results[0].page === undefined);
+}
+
+main()
+  .catch(fail)
+  .finally(() => {
+    removeTempDatabase();
+    done('extraction');
+  });
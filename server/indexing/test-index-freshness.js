@@ -1,8 +1,8 @@
 /**
  * Test the MMC-3 fixes: conversation messages get indexed and become
  * searchable; replacing a file (same id via upsert) purges stale chunks so
- * search serves the new content, not the old; backfillMessages covers
- * pre-existing history.
+ * search serves the new content, not the old; reindexMessage does the same
+ * for edited messages; backfillMessages covers pre-existing history.
  *
  * Usage: node server/indexing/test-index-freshness.js
  */
@@ -14,7 +14,7 @@ const { runMigrations } = require('../db/migrate');
 runMigrations();
 
 const { db, newId } = require('../db/index');
-const { indexFile, indexMessage, backfillMessages } = require('./indexer');
+const { indexFile, indexMessage, reindexMessage, backfillMessages } = require('./indexer');
 const { search } = require('./search');
 
 let failures = 0;
@@ -97,6 +97,13 @@ async function main() {
   const twice = indexMessage(msgId);
   check('already-indexed message skips', twice.skipped === true);
 
+  // --- Edited message (e.g. regenerated reply): reindexMessage swaps chunks ---
+  db.prepare('UPDATE conversation_messages SET content = ? WHERE id = ?')
+    .run('Please summarize the platypus census results.', msgId);
+  reindexMessage(msgId);
+  check('old message content gone after reindex', search(projectId, 'quokka').results.length === 0);
+  check('new message content searchable after reindex', search(projectId, 'platypus').results.length > 0);
+
   const empty = db.prepare(`
     INSERT INTO conversation_messages (id, conversation_id, round_number, speaker, content, metadata, created_at)
     VALUES (?, ?, ?, ?, ?, ?, ?)
@@ -105,6 +112,15 @@ async function main() {
   empty.run(emptyId, convId, 1, 'agent:mock', '', '{}', now);
   check('empty message skips without error', indexMessage(emptyId).skipped === true);
 
+  // --- Binary file: not chunked ---
+  const binId = newId('file');
+  db.prepare(`
+    INSERT INTO project_files (id, project_id, path, content, encoding, mime_type, content_hash, size_bytes, metadata, created_at, updated_at)
+    VALUES (?, ?, ?, ?, 'binary', 'image/png', ?, ?, ?, ?, ?)
+  `).run(binId, projectId, 'img/scan.png', null, sha('png'), 3, JSON.stringify({ retrieval_eligible: true }), now, now);
+  check('binary file skipped by the indexer', (await indexFile(binId)).skipped === true &&
+    db.prepare("SELECT COUNT(*) AS n FROM content_chunks WHERE source_type = 'file' AND source_id = ?").get(binId).n === 0);
+
   // --- Backfill: pre-existing unindexed messages get covered ---
   const oldMsgId = newId('msg');
   db.prepare(`
@@ -0,0 +1,100 @@
+/**
+ * Test automatic retrieval: file chunks are ranked against the words of the
+ * message (then the recent rounds), kept under the token and chunk budgets,
+ * recorded by chunk id and turned into a cited context block; conversation
+ * messages and other projects never show up.
+ *
+ * Usage: node server/indexing/test-retrieval.js
+ */
+
+const { check, done, useTempDatabase, removeTempDatabase } = require('../test-helpers');
+useTempDatabase('retrieval');
+
+const crypto = require('crypto');
+const { runMigrations } = require('../db/migrate');
+runMigrations();
+
+const { db, newId } = require('../db/index');
+const { indexFile, indexMessage } = require('./indexer');
+const { anyTermsQuery } = require('./search');
+const { resolveRetrievalOptions, retrieveContext, buildRetrievalBlock } = require('./retrieval');
+
+const now = Date.now();
+
+function addProject(name) {
+  const id = newId('proj');
+  db.prepare('INSERT INTO projects (id, name, created_at, updated_at) VALUES (?, ?, ?, ?)').run(id, name, now, now);
+  return id;
+}
+
+async function addFile(projectId, path, content) {
+  const id = newId('file');
+  db.prepare(`
+    INSERT INTO project_files (id, project_id, path, content, content_hash, mime_type, size_bytes, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, projectId, path, content, crypto.createHash('sha256').update(content).digest('hex'), 'text/plain', Buffer.byteLength(content), now, now);
+  await indexFile(id);
+  return id;
+}
+
+const userRound = (content) => ({ user: { speaker: 'user', content }, agents: [] });
+
+async function main() {
+  const projectId = addProject('Retrieval Test');
+  const otherId = addProject('Other');
+
+  const filler = Array.from({ length: 60 }, (_, i) => `filler line ${i + 1}`);
+  await addFile(projectId, 'docs/billing.md', ['Invoices are sent monthly.', 'Refunds take five days.'].join('\n'));
+  await addFile(projectId, 'docs/long.md', [...filler, 'the invoice archive is compressed'].join('\n'));
+  const onboardingId = await addFile(projectId, 'docs/onboarding.md', 'New staff get a laptop and a badge.');
+  await addFile(otherId, 'secret.md', 'invoices from another project');
+
+  const convId = newId('conv');
+  db.prepare('INSERT INTO conversations (id, project_id, title, created_at, updated_at) VALUES (?, ?, ?, ?, ?)').run(convId, projectId, 't', now, now);
+  const msgId = newId('msg');
+  db.prepare('INSERT INTO conversation_messages (id, conversation_id, round_number, speaker, content, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(msgId, convId, 1, 'user', 'invoices whispered privately', now);
+  indexMessage(msgId);
+
+  check('query: words ORed, stopwords and short words dropped', anyTermsQuery('How are the invoices sent to me?') === '"invoices" OR "sent"');
+  check('query: quotes cannot break out', anyTermsQuery('"x" OR *') === '""');
+
+  check('options: on by default', resolveRetrievalOptions(undefined).maxTokens === 2000);
+  check('options: false turns it off', resolveRetrievalOptions(false) === null);
+  check('options: overrides clamped', resolveRetrievalOptions({ maxTokens: 99999, maxChunks: 2 }).maxTokens === 16000);
+  check('options: malformed value rejected', resolveRetrievalOptions('yes') === undefined);
+
+  const settings = resolveRetrievalOptions(undefined);
+  let picked = retrieveContext(projectId, 'When are invoices sent?', [userRound('When are invoices sent?')], settings);
+  check('retrieve: matching file chunk picked', picked && picked.chunks[0].path === 'docs/billing.md' && picked.chunks[0].startLine === 1);
+  check('retrieve: stemmed match in a later chunk', picked.chunks.some((c) => c.path === 'docs/long.md' && c.startLine === 51));
+  check('retrieve: other projects and messages excluded', picked.chunks.every((c) => c.path && c.path.startsWith('docs/')));
+  check('retrieve: tokens summed', picked.tokens === picked.chunks.reduce((n, c) => n + c.tokens, 0));
+
+  picked = retrieveContext(projectId, 'invoices', [], { maxTokens: 2000, maxChunks: 1 });
+  check('budget: chunk limit respected', picked.chunks.length === 1);
+  picked = retrieveContext(projectId, 'invoices', [], { maxTokens: 20, maxChunks: 6 });
+  check('budget: chunks over the token budget skipped', picked.chunks.length === 1 && picked.chunks[0].path === 'docs/billing.md');
+
+  const rounds = [userRound('Who gets a laptop?'), userRound('Anything else?')];
+  picked = retrieveContext(projectId, 'Anything else?', rounds, settings);
+  check('recent rounds: earlier messages searched too', picked && picked.chunks[0].path === 'docs/onboarding.md');
+  check('retrieve: nothing matched is null', retrieveContext(projectId, 'zeppelin', [], settings) === null);
+
+  picked = retrieveContext(projectId, 'invoices badge', [], settings);
+  let block = buildRetrievalBlock(picked);
+  check('block: numbered and cited by path:lines', block.startsWith('Project context') && block.includes('[1] docs/onboarding.md:1-1\nNew staff') && block.includes('[2] docs/billing.md:1-2\nInvoices are sent monthly.'));
+  db.prepare('DELETE FROM project_files WHERE id = ?').run(onboardingId);
+  block = buildRetrievalBlock(picked);
+  check('block: chunks of deleted files left out, the rest renumbered', !block.includes('onboarding') && block.includes('[1] docs/billing.md:1-2'));
+  check('block: empty without chunks', buildRetrievalBlock(undefined) === '');
+
+  removeTempDatabase();
+
+  done('retrieval');
+}
+
+main().catch(err => {
+  console.error('Test crashed:', err);
+  process.exit(1);
+});
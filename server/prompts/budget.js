@@ -0,0 +1,97 @@
+/**
+ * Context budgeting: how many tokens each model accepts, and which of the
+ * oldest rounds to leave out of an agent's view so the rest fits. The view
+ * builders in server.js do the measuring; this module only decides.
+ */
+
+// Context windows by provider, as [model id prefix, tokens]; the first
+// matching prefix wins and '' is the provider default
+const CONTEXT_WINDOWS = {
+  openai: [['gpt-5', 400000], ['gpt-4.1', 1047576], ['gpt-4o', 128000], ['o1', 200000], ['o3', 200000], ['o4', 200000], ['', 128000]],
+  anthropic: [['', 200000]],
+  google: [['gemini-1.5-pro', 2097152], ['', 1048576]],
+  xai: [['grok-4', 256000], ['grok-code', 256000], ['grok-3', 131072], ['', 131072]],
+  mock: [['', 128000]],
+};
+
+// Fallback context window for unknown providers
+const DEFAULT_CONTEXT_WINDOW = 32000;
+
+// Tokens kept free for the reply when the request sets no maxTokens
+const DEFAULT_OUTPUT_RESERVE = parseInt(process.env.CONTEXT_OUTPUT_RESERVE || '8192', 10);
+
+// Earlier rounds named one by one in the references note; older ones are counted
+const MAX_REFERENCED_ROUNDS = 20;
+
+function toPositiveInt(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : undefined;
+}
+
+/**
+ * Context window of a model: CONTEXT_WINDOW_<PROVIDER> overrides the table
+ * for that provider, and a requested window (a target's contextWindow) may
+ * narrow the result but not widen it.
+ */
+function contextWindowFor(provider, modelId, requested) {
+  const key = String(provider || '').toLowerCase();
+  const model = String(modelId || '').toLowerCase();
+  let window = toPositiveInt(process.env[`CONTEXT_WINDOW_${key.toUpperCase()}`]);
+  if (!window) {
+    const entry = (CONTEXT_WINDOWS[key] || []).find(([prefix]) => model.startsWith(prefix));
+    window = entry ? entry[1] : DEFAULT_CONTEXT_WINDOW;
+  }
+  const narrowed = toPositiveInt(requested);
+  return narrowed ? Math.min(narrowed, window) : window;
+}
+
+// Tokens to leave for the reply: the request's maxTokens, else the default,
+// never more than half the window
+function outputReserve(maxTokens, window) {
+  return Math.min(toPositiveInt(maxTokens) || DEFAULT_OUTPUT_RESERVE, Math.floor(window / 2));
+}
+
+/**
+ * Decide how many of the oldest rounds to drop. fixedTokens is what is always
+ * sent (system prompt and the current round), roundTokens the cost of each
+ * earlier round in order, and noteTokens(k) the cost of the note that stands
+ * in for the first k rounds. Drops as few rounds as possible; overBudget is
+ * set when even dropping every earlier round does not fit.
+ */
+function planTrim({ budget, fixedTokens, roundTokens, noteTokens }) {
+  const total = fixedTokens + roundTokens.reduce((a, b) => a + b, 0);
+  if (total <= budget) return { dropRounds: 0, estimatedTokens: total, keptTokens: total };
+  let kept = total;
+  for (let k = 1; k <= roundTokens.length; k++) {
+    kept -= roundTokens[k - 1];
+    const withNote = kept + noteTokens(k);
+    if (withNote <= budget || k === roundTokens.length) {
+      return { dropRounds: k, estimatedTokens: total, keptTokens: withNote, ...(withNote > budget ? { overBudget: true } : {}) };
+    }
+  }
+  // No earlier rounds to drop
+  return { dropRounds: 0, estimatedTokens: total, keptTokens: total, overBudget: true };
+}
+
+/**
+ * The note that replaces the first `count` rounds. With a conversation
+ * summary (already in the system prompt) it points there; otherwise it lists
+ * each round with the start of its opening message, leaving out messages
+ * the agent may not see (openings[i].visible false).
+ */
+function earlierRoundsNote(count, { hasSummary, openings = [] } = {}) {
+  const header = `EARLIER ROUNDS\nRounds 1-${count} are not shown, to fit your context window.`;
+  if (hasSummary) return `${header} The conversation summary above covers them.`;
+  const lines = [];
+  const skipped = Math.max(0, count - MAX_REFERENCED_ROUNDS);
+  if (skipped) lines.push(`- Rounds 1-${skipped}: not listed`);
+  for (let i = skipped; i < count; i++) {
+    const opening = openings[i];
+    if (!opening || !opening.visible) continue;
+    const text = String(opening.content || '').replace(/\s+/g, ' ').trim();
+    lines.push(`- Round ${i + 1} (${opening.speaker}): ${text.length > 120 ? `${text.slice(0, 117)}...` : text}`);
+  }
+  return lines.length ? `${header} They opened with:\n${lines.join('\n')}` : header;
+}
+
+module.exports = { contextWindowFor, outputReserve, planTrim, earlierRoundsNote, CONTEXT_WINDOWS };
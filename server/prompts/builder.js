@@ -1,4 +1,50 @@
-const { buildFilesSection } = require('./files');
+const { buildFilesSection, buildPinnedFilesSection } = require('./files');
+
+// Coordination sentences shipped in earlier default prompts. Prompts saved
+// with them still say "parallel", so they are swapped for the active mode.
+const LEGACY_COORDINATION = [
+  ' Replies are collected in parallel and shown together, so do not claim to "go first" or "start the discussion"; just contribute your content directly.',
+  'Coordination: Replies are collected in parallel and shown together; do not claim to "go first" or "start the discussion". Avoid meta-openers; contribute your content directly.',
+];
+
+/**
+ * How replies within a round are coordinated, for the system prompt.
+ * turnMode: { mode: 'parallel'|'sequential'|'rounds:k', pass?, passes? }
+ */
+function coordinationText(turnMode) {
+  const mode = (turnMode && turnMode.mode) || 'parallel';
+  if (mode === 'parallel') {
+    return 'Replies are collected in parallel and shown together; do not claim to "go first" or reference response order.';
+  }
+  let text = 'Agents reply one after another in a fixed order, and you see the replies given before yours in this round. Respond to them where useful instead of repeating them; if nobody has replied yet, simply answer.';
+  const passes = turnMode.passes || 1;
+  if (passes > 1) {
+    const pass = turnMode.pass || 1;
+    text += ` After the opening pass every agent gets ${passes - 1} rebuttal pass${passes > 2 ? 'es' : ''} before the user speaks again.`;
+    text += pass > 1
+      ? ` This is rebuttal pass ${pass - 1} of ${passes - 1}: address the other agents' latest points, keep it short, and say so if you have nothing to add.`
+      : ' This is the opening pass.';
+  }
+  return text;
+}
+
+/**
+ * Resolve {{coordination}} (and legacy parallel-only wording) in a prompt
+ * template for the active turn mode.
+ */
+function applyTurnMode(template, turnMode) {
+  let text = template || '';
+  const coordination = coordinationText(turnMode);
+  if (text.includes('{{coordination}}')) {
+    return text.replace(/{{coordination}}/g, coordination);
+  }
+  if (!turnMode || !turnMode.mode || turnMode.mode === 'parallel') return text;
+  for (const legacy of LEGACY_COORDINATION) {
+    const trimmed = legacy.trim();
+    if (text.includes(trimmed)) text = text.replace(trimmed, coordination);
+  }
+  return text;
+}
 
 /**
  * Build complete system prompt for a model
@@ -10,14 +56,17 @@ function buildSystemPrompt(context) {
     projectId,
     projectName,
     conversationInfo,
-    systemPrompts
+    systemPrompts,
+    turnMode,
+    tools
   } = context;
 
+  const ordered = turnMode && turnMode.mode && turnMode.mode !== 'parallel';
   let prompt = `You are ${modelId} in a multi-model conversation with one user and multiple AI models.
 
-This conversation involves parallel responses from different models. You'll see the full conversation history: each user message followed by other models' replies tagged in brackets (e.g., [ModelName]: ...). Your own previous replies appear as assistant messages.
+This conversation involves ${ordered ? 'responses from several models in turn' : 'parallel responses from different models'}. You'll see the full conversation history: each user message followed by other models' replies tagged in brackets (e.g., [ModelName]: ...). Your own previous replies appear as assistant messages.
 
-Respond directly to the user and other models as appropriate. Replies are collected in parallel; do not claim to "go first" or reference response order.
+Respond directly to the user and other models as appropriate. ${coordinationText(turnMode)}
 
 PROJECT CONTEXT
 You are working in the "${projectName}" project.
@@ -25,16 +74,22 @@ You are working in the "${projectName}" project.
 `;
 
   // Add files section if files exist
-  const filesSection = buildFilesSection(projectId);
+  const filesSection = buildFilesSection(projectId, { tools });
   if (filesSection) {
     prompt += filesSection + '\n';
   }
 
+  // Full content of the files pinned with always_in_context
+  const pinnedSection = buildPinnedFilesSection(projectId);
+  if (pinnedSection) {
+    prompt += pinnedSection + '\n';
+  }
+
   // Add conversation info if provided
   if (conversationInfo) {
     prompt += `CONVERSATION INFO
 This conversation has ${conversationInfo.round_count} rounds so far.
-${conversationInfo.summary ? `Summary: ${conversationInfo.summary}\n` : ''}
+${conversationInfo.summary ? `Summary${conversationInfo.summaryRound ? ` of rounds 1-${conversationInfo.summaryRound}` : ''}: ${conversationInfo.summary}\n` : ''}
 `;
   }
 
@@ -90,7 +145,7 @@ function buildCustomSection(context) {
   const providerKey = (provider || '').toLowerCase();
   const parts = [];
 
-  const common = replaceModelId(systemPrompts.common || '', modelId);
+  const common = replaceModelId(applyTurnMode(systemPrompts.common || '', context.turnMode), modelId);
   if (common.trim()) parts.push(common.trim());
 
   const agentOverride = resolveAgentPrompt(systemPrompts, context);
@@ -129,4 +184,4 @@ If you have access to Google Search grounding, you can offer to search for curre
   return sections[provider] || '';
 }
 
-module.exports = { buildSystemPrompt };
+module.exports = { buildSystemPrompt, coordinationText, applyTurnMode };
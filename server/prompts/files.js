@@ -1,4 +1,12 @@
+const fs = require('fs');
 const { db } = require('../db/index');
+const { estimateTokens } = require('../indexing/chunker');
+
+// Token ceiling for pinned files when the project's settings set none
+const DEFAULT_PINNED_TOKEN_LIMIT = parseInt(process.env.PINNED_FILES_MAX_TOKENS || '8000', 10);
+
+// Files whose metadata has always_in_context: true (malformed metadata is not)
+const PINNED_CLAUSE = "CASE WHEN json_valid(metadata) THEN json_extract(metadata, '$.always_in_context') END = 1";
 
 /**
  * Format file size in human-readable format
@@ -10,6 +18,18 @@ function formatSize(bytes) {
   return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
 }
 
+function parseJson(text) {
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch {
+    return {};
+  }
+}
+
+function isPinned(metadata) {
+  return parseJson(metadata).always_in_context === true;
+}
+
 /**
  * Group files by top-level directory
  */
@@ -31,12 +51,13 @@ function groupFilesByDirectory(files) {
 }
 
 /**
- * Build file listing section for system prompt
+ * Build file listing section for system prompt. tools: names of the server
+ * tools offered to the model this turn (decides the usage hint).
  */
-function buildFilesSection(projectId) {
+function buildFilesSection(projectId, { tools } = {}) {
   // Get all files
   const files = db.prepare(`
-    SELECT path, mime_type, size_bytes
+    SELECT path, mime_type, size_bytes, metadata
     FROM project_files
     WHERE project_id = ?
     ORDER BY path ASC
@@ -63,7 +84,7 @@ function buildFilesSection(projectId) {
 
       for (const file of dirFiles) {
         const size = formatSize(file.size_bytes);
-        section += `  - ${file.path} (${size}, ${file.mime_type})\n`;
+        section += `  - ${file.path} (${size}, ${file.mime_type}${isPinned(file.metadata) ? ', pinned below' : ''})\n`;
       }
 
       section += '\n';
@@ -122,10 +143,98 @@ function buildFilesSection(projectId) {
     section += '\n';
   }
 
-  // Add usage instructions
-  section += 'Use the search endpoint to find specific content, or request files during conversation.\n';
+  // Add usage instructions, pointing at the project tools when offered
+  const offered = new Set(tools || []);
+  if (offered.has('search_project') && offered.has('read_file')) {
+    section += 'Call search_project to find specific content (results are path:start-end line ranges) and read_file to read a file or a line range of it.\n';
+  } else if (offered.has('search_project')) {
+    section += 'Call search_project to find specific content (results are path:start-end line ranges), or request files during conversation.\n';
+  } else if (offered.has('read_file')) {
+    section += 'Call read_file to read a file or a line range of it.\n';
+  } else {
+    section += 'Request files during conversation if you need their content.\n';
+  }
+  if (offered.has('bash')) {
+    section += 'With bash, these files are in your working directory, so commands and scripts can read them by path.\n';
+  }
 
   return section;
 }
 
-module.exports = { buildFilesSection, formatSize };
+// Ids of the project's pinned files
+function pinnedFileIds(projectId) {
+  return db.prepare(`SELECT id FROM project_files WHERE project_id = ? AND ${PINNED_CLAUSE}`).all(projectId).map((r) => r.id);
+}
+
+// The project's token ceiling for pinned files (settings.pinned_token_limit)
+function pinnedTokenLimit(projectId) {
+  const project = db.prepare('SELECT settings FROM projects WHERE id = ?').get(projectId);
+  const limit = Number(parseJson(project && project.settings).pinned_token_limit);
+  return Number.isInteger(limit) && limit >= 0 ? limit : DEFAULT_PINNED_TOKEN_LIMIT;
+}
+
+function loadContent(file) {
+  if (file.content !== null && file.content !== undefined) return file.content;
+  if (!file.content_location) return '';
+  try {
+    return fs.readFileSync(file.content_location, 'utf8');
+  } catch (err) {
+    console.error(`Pinned file unreadable: ${file.path}`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Build the pinned files section: the full content of files flagged
+ * always_in_context, in path order, up to the project's token ceiling. The
+ * file that crosses the ceiling is cut at a line boundary and files after it
+ * are only named, each with a marker saying so.
+ */
+function buildPinnedFilesSection(projectId) {
+  const files = db.prepare(`
+    SELECT path, content, content_location, encoding, mime_type
+    FROM project_files
+    WHERE project_id = ? AND ${PINNED_CLAUSE}
+    ORDER BY path ASC
+  `).all(projectId);
+  if (files.length === 0) return null;
+
+  const limit = pinnedTokenLimit(projectId);
+  const blocks = [];
+  let used = 0;
+  for (const file of files) {
+    if (file.encoding === 'binary') {
+      blocks.push(`[${file.path} is pinned but is a binary file (${file.mime_type}); its content is not included]`);
+      continue;
+    }
+    const content = loadContent(file);
+    if (content === null) {
+      blocks.push(`[${file.path} is pinned but could not be read]`);
+      continue;
+    }
+    const tokens = estimateTokens(content);
+    if (used + tokens <= limit) {
+      used += tokens;
+      blocks.push(`--- ${file.path} ---\n${content}\n--- end of ${file.path} ---`);
+      continue;
+    }
+    // Keep whole lines while they fit
+    const lines = content.split('\n');
+    const kept = [];
+    for (const line of lines) {
+      const cost = estimateTokens(`${line}\n`);
+      if (used + cost > limit) break;
+      used += cost;
+      kept.push(line);
+    }
+    if (kept.length) {
+      blocks.push(`--- ${file.path} ---\n${kept.join('\n')}\n[truncated: lines 1-${kept.length} of ${lines.length} shown; pinned files are limited to ${limit} tokens]\n--- end of ${file.path} ---`);
+    } else {
+      blocks.push(`[${file.path} (~${tokens} tokens) not included: pinned files are limited to ${limit} tokens]`);
+    }
+  }
+
+  return `PINNED FILES (always in context, ~${used} of ${limit} tokens):\n\n${blocks.join('\n\n')}\n`;
+}
+
+module.exports = { buildFilesSection, buildPinnedFilesSection, pinnedFileIds, formatSize };
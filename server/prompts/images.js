@@ -0,0 +1,144 @@
+const path = require('path');
+const { db } = require('../db/index');
+const { upsertProjectFile, readFileBytes } = require('../db/project-files');
+
+/**
+ * Image attachments. A turn's imageAttachments are either project files
+ * ({ fileId }) or uploads ({ data, name? }, data being base64 or a data: URL)
+ * that are saved as project files under attachments/. Either way the round
+ * keeps only references ({ fileId, path, mimeType }); the bytes are loaded
+ * when a view is sent, so later rounds replay the images from the project.
+ */
+
+const IMAGE_TYPES = new Set(['image/png', 'image/jpeg', 'image/gif', 'image/webp']);
+const EXTENSIONS = { 'image/png': '.png', 'image/jpeg': '.jpg', 'image/gif': '.gif', 'image/webp': '.webp' };
+const MAX_IMAGES_PER_TURN = parseInt(process.env.IMAGE_MAX_PER_TURN || '4', 10);
+// Anthropic's per-image limit; the other providers take more
+const MAX_IMAGE_BYTES = parseInt(process.env.IMAGE_MAX_BYTES || String(5 * 1024 * 1024), 10);
+
+const DATA_URL_RE = /^data:([^;,]+)?;base64,/;
+const BASE64_RE = /^[A-Za-z0-9+/]*={0,2}$/;
+
+// The image type its leading bytes announce, else null
+function sniffImageType(bytes) {
+  if (bytes.length >= 8 && bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'image/jpeg';
+  if (bytes.length >= 6 && /^GIF8[79]a$/.test(bytes.subarray(0, 6).toString('latin1'))) return 'image/gif';
+  if (bytes.length >= 12 && bytes.subarray(0, 4).toString('latin1') === 'RIFF' && bytes.subarray(8, 12).toString('latin1') === 'WEBP') return 'image/webp';
+  return null;
+}
+
+// A safe file name for an upload, with the extension of its actual type
+function attachmentName(name, mimeType) {
+  const base = path.basename(String(name || 'image'), path.extname(String(name || '')))
+    .replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^[._]+/, '').slice(0, 60) || 'image';
+  return `${base}${EXTENSIONS[mimeType]}`;
+}
+
+/**
+ * Check a turn's imageAttachments before anything is stored. Returns
+ * { images } (pending entries for storeImageAttachments) or
+ * { error, message } for a 400.
+ */
+function checkImageAttachments(projectId, list) {
+  if (list === undefined || list === null) return { images: [] };
+  const fail = (message) => ({ error: 'invalid_image_attachments', message });
+  if (!Array.isArray(list)) return fail('imageAttachments must be an array');
+  if (list.length > MAX_IMAGES_PER_TURN) return fail(`at most ${MAX_IMAGES_PER_TURN} images per turn`);
+
+  const images = [];
+  for (const [i, item] of list.entries()) {
+    if (!item || typeof item !== 'object') return fail(`imageAttachments[${i}] must be an object`);
+    if (typeof item.fileId === 'string') {
+      const file = db.prepare('SELECT id, path, mime_type, size_bytes FROM project_files WHERE id = ? AND project_id = ?').get(item.fileId, projectId);
+      if (!file) return fail(`imageAttachments[${i}]: file not found in this project`);
+      if (!IMAGE_TYPES.has(file.mime_type)) return fail(`imageAttachments[${i}]: ${file.path} is not a PNG, JPEG, GIF or WebP image`);
+      if (file.size_bytes > MAX_IMAGE_BYTES) return fail(`imageAttachments[${i}]: ${file.path} is larger than ${MAX_IMAGE_BYTES} bytes`);
+      images.push({ fileId: file.id, path: file.path, mimeType: file.mime_type });
+      continue;
+    }
+    if (typeof item.data !== 'string') return fail(`imageAttachments[${i}] needs a fileId or base64 data`);
+    const base64 = item.data.replace(DATA_URL_RE, '').replace(/\s+/g, '');
+    if (!base64 || base64.length % 4 !== 0 || !BASE64_RE.test(base64)) return fail(`imageAttachments[${i}]: data is not valid base64`);
+    const bytes = Buffer.from(base64, 'base64');
+    if (bytes.length > MAX_IMAGE_BYTES) return fail(`imageAttachments[${i}] is larger than ${MAX_IMAGE_BYTES} bytes`);
+    const mimeType = sniffImageType(bytes);
+    if (!mimeType) return fail(`imageAttachments[${i}] is not a PNG, JPEG, GIF or WebP image`);
+    images.push({ bytes, mimeType, name: attachmentName(item.name, mimeType) });
+  }
+  return { images };
+}
+
+/**
+ * Save the uploads among checked images as project files and return the
+ * references the round keeps: [{ fileId, path, mimeType }]
+ */
+async function storeImageAttachments(projectId, images) {
+  const refs = [];
+  const stamp = Date.now().toString(36);
+  for (const [i, image] of images.entries()) {
+    if (image.fileId) {
+      refs.push(image);
+      continue;
+    }
+    const file = await upsertProjectFile(projectId, {
+      path: `attachments/${stamp}-${i + 1}-${image.name}`,
+      content: image.bytes,
+      metadata: { retrieval_eligible: false, tool_accessible: true, attachment: true },
+    });
+    refs.push({ fileId: file.id, path: file.path, mimeType: image.mimeType });
+  }
+  return refs;
+}
+
+// The view entry carrying a round's images, just before its message
+function imagesMessage(images, speaker) {
+  if (!Array.isArray(images) || !images.length) return null;
+  const names = images.map((img) => img.path).join(', ');
+  return { role: 'user', content: `[${speaker} attached ${images.length} image(s): ${names}]`, images };
+}
+
+/**
+ * Replace image references in a view with their bytes for the adapters:
+ * images become [{ mediaType, data (base64) }]. An image whose file is gone
+ * is left out and named in the message text instead.
+ */
+async function inlineImages(messages) {
+  if (!messages.some((m) => m && Array.isArray(m.images) && m.images.length)) return messages;
+  const loaded = new Map();
+  const load = async (ref) => {
+    if (!loaded.has(ref.fileId)) {
+      const file = db.prepare('SELECT content, content_location, encoding, mime_type FROM project_files WHERE id = ?').get(ref.fileId);
+      const bytes = file ? await readFileBytes(file) : null;
+      loaded.set(ref.fileId, bytes && bytes.length ? { mediaType: file.mime_type, data: bytes.toString('base64') } : null);
+    }
+    return loaded.get(ref.fileId);
+  };
+  const out = [];
+  for (const m of messages) {
+    if (!m || !Array.isArray(m.images) || !m.images.length) {
+      out.push(m);
+      continue;
+    }
+    const images = [];
+    const missing = [];
+    for (const ref of m.images) {
+      const image = await load(ref);
+      if (image) images.push(image);
+      else missing.push(ref.path);
+    }
+    const note = missing.length ? `\n(no longer available: ${missing.join(', ')})` : '';
+    out.push({ ...m, content: `${m.content}${note}`, images });
+  }
+  return out;
+}
+
+module.exports = {
+  checkImageAttachments,
+  storeImageAttachments,
+  imagesMessage,
+  inlineImages,
+  sniffImageType,
+  MAX_IMAGES_PER_TURN,
+  MAX_IMAGE_BYTES
+};
@@ -0,0 +1,64 @@
+/**
+ * Test context budgeting: the token estimator, the per-model context window
+ * table, the output reserve, which rounds planTrim drops and the note that
+ * stands in for them.
+ *
+ * Usage: node server/prompts/test-budget.js
+ */
+
+process.env.CONTEXT_WINDOW_XAI = '50000';
+
+const { estimateTokens, estimateMessagesTokens } = require('../utils/tokens');
+const { contextWindowFor, outputReserve, planTrim, earlierRoundsNote } = require('./budget');
+const { check, done } = require('../test-helpers');
+
+// --- Estimator ---
+check('tokens: empty is zero', estimateTokens('') === 0 && estimateTokens(null) === 0);
+check('tokens: short words one each', estimateTokens('the cat sat on the mat') === 6);
+check('tokens: long words split', estimateTokens('internationalization') === 4);
+check('tokens: digits in groups of three', estimateTokens('1234567') === 3);
+check('tokens: punctuation counts', estimateTokens('a, b.') === 4);
+check('tokens: CJK one per character (chars / 4 would say 1)', estimateTokens('你好世界') === 4);
+check('tokens: indentation and line breaks are not free', estimateTokens('if (x) {\n        y();\n}') > estimateTokens('if (x) { y(); }'));
+check('tokens: per-message overhead', estimateMessagesTokens([{ role: 'user', content: 'hi' }, { role: 'assistant', content: 'yo' }]) === 10);
+check('tokens: tool call arguments counted', estimateMessagesTokens([{ role: 'assistant', content: '', toolCalls: [{ id: 'c1', name: 'read_file', arguments: { path: 'docs/a-very-long-file-name.md' } }] }]) >
+  estimateMessagesTokens([{ role: 'assistant', content: '' }]) + 10);
+
+// --- Context windows ---
+check('window: model prefix matched', contextWindowFor('openai', 'gpt-4o-mini') === 128000 && contextWindowFor('openai', 'gpt-5-nano') === 400000);
+check('window: provider default', contextWindowFor('anthropic', 'claude-opus-4-1') === 200000 && contextWindowFor('google', 'gemini-2.5-pro') === 1048576);
+check('window: unknown provider fallback', contextWindowFor('nope', 'x') === 32000);
+check('window: env override per provider', contextWindowFor('xai', 'grok-4') === 50000);
+check('window: request narrows, never widens', contextWindowFor('openai', 'gpt-4o', 4000) === 4000 && contextWindowFor('openai', 'gpt-4o', 10 ** 9) === 128000);
+
+check('reserve: maxTokens used', outputReserve(1000, 128000) === 1000);
+check('reserve: default without maxTokens', outputReserve(undefined, 128000) === 8192);
+check('reserve: at most half the window', outputReserve(undefined, 4000) === 2000);
+
+// --- planTrim ---
+const note = (k) => k;
+let plan = planTrim({ budget: 100, fixedTokens: 40, roundTokens: [20, 20], noteTokens: note });
+check('plan: fits, nothing dropped', plan.dropRounds === 0 && plan.keptTokens === 80 && !plan.overBudget);
+plan = planTrim({ budget: 100, fixedTokens: 40, roundTokens: [30, 30, 30], noteTokens: note });
+check('plan: oldest rounds dropped until it fits, note included', plan.dropRounds === 2 && plan.keptTokens === 72 && plan.estimatedTokens === 130);
+plan = planTrim({ budget: 50, fixedTokens: 60, roundTokens: [10, 10], noteTokens: note });
+check('plan: over budget even with every earlier round dropped', plan.dropRounds === 2 && plan.overBudget === true);
+plan = planTrim({ budget: 50, fixedTokens: 60, roundTokens: [], noteTokens: note });
+check('plan: nothing to drop is reported over budget', plan.dropRounds === 0 && plan.overBudget === true);
+
+// --- Note ---
+const openings = [
+  { speaker: 'User', content: 'Plan the launch', visible: true },
+  { speaker: 'User', content: 'secret aside', visible: false },
+  { speaker: 'Orchestrator', content: 'x'.repeat(200), visible: true },
+];
+let text = earlierRoundsNote(3, { openings });
+check('note: rounds referenced by their opening line', text.startsWith('EARLIER ROUNDS\nRounds 1-3 are not shown') && text.includes('- Round 1 (User): Plan the launch'));
+check('note: hidden messages not quoted', !text.includes('secret'));
+check('note: long openings shortened', text.includes(`- Round 3 (Orchestrator): ${'x'.repeat(117)}...`));
+text = earlierRoundsNote(2, { hasSummary: true, openings });
+check('note: points at the summary when there is one', text.endsWith('The conversation summary above covers them.') && !text.includes('Plan the launch'));
+text = earlierRoundsNote(25, { openings: Array.from({ length: 25 }, (_, i) => ({ speaker: 'User', content: `m${i + 1}`, visible: true })) });
+check('note: only the latest rounds listed one by one', text.includes('- Rounds 1-5: not listed') && !text.includes('(User): m5\n') && text.includes('(User): m6'));
+
+done('budget');
@@ -1,7 +1,8 @@
 /**
  * Test that user-configured system prompts actually reach the built prompt
  * (the MMC-2 fix): common + per-provider + per-agent/per-model semantics,
- * {{modelId}} substitution, and absence when nothing is configured.
+ * {{modelId}} and {{coordination}} substitution, and absence when nothing is
+ * configured.
  *
  * Usage: node server/prompts/test-custom-prompts.js
  */
@@ -11,7 +12,7 @@ process.env.DB_PATH = require('path').join(require('os').tmpdir(), `mmc-test-pro
 const { runMigrations } = require('../db/migrate');
 runMigrations();
 
-const { buildSystemPrompt } = require('./builder');
+const { buildSystemPrompt, applyTurnMode } = require('./builder');
 
 let failures = 0;
 
@@ -91,6 +92,18 @@ check('perModel replaces provider prompt', !withPerModel.includes('PROVIDER-PART
 check('structural preamble retained', withCommon.includes('multi-model conversation'));
 check('custom section comes after provider section', withCommon.indexOf('CUSTOM INSTRUCTIONS') > withCommon.indexOf('PROJECT CONTEXT'));
 
+// 8. {{coordination}} follows the turn mode
+const coordinated = { ...base, systemPrompts: { common: 'Coordination: {{coordination}}' } };
+const parallel = buildSystemPrompt(coordinated);
+check('parallel coordination by default', parallel.includes('collected in parallel') && !parallel.includes('{{coordination}}'));
+const sequential = buildSystemPrompt({ ...coordinated, turnMode: { mode: 'sequential', pass: 1, passes: 1 } });
+check('sequential coordination mentions earlier replies', sequential.includes('one after another') && !sequential.includes('collected in parallel'));
+const rebuttal = buildSystemPrompt({ ...coordinated, turnMode: { mode: 'rounds:2', pass: 3, passes: 3 } });
+check('debate pass is named', rebuttal.includes('rebuttal pass 2 of 2'));
+const legacy = 'Coordination: Replies are collected in parallel and shown together; do not claim to "go first" or "start the discussion". Avoid meta-openers; contribute your content directly.';
+check('legacy parallel sentence swapped in ordered modes', applyTurnMode(legacy, { mode: 'sequential' }).includes('one after another'));
+check('legacy text untouched in parallel mode', applyTurnMode(legacy, { mode: 'parallel' }) === legacy);
+
 if (failures) {
   console.error(`\n${failures} check(s) FAILED`);
   process.exit(1);
@@ -0,0 +1,91 @@
+/**
+ * Test pinned files: files whose metadata has always_in_context: true are
+ * put into the system prompt in full (from content or content_location), in
+ * path order, up to the project's token ceiling, with markers for what was
+ * cut or left out; auto-retrieval skips them.
+ *
+ * Usage: node server/prompts/test-pinned-files.js
+ */
+
+const os = require('os');
+const path = require('path');
+const { check, done, useTempDatabase, removeTempDatabase } = require('../test-helpers');
+useTempDatabase('pinned');
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { runMigrations } = require('../db/migrate');
+runMigrations();
+
+const { db, newId } = require('../db/index');
+const { indexFile } = require('../indexing/indexer');
+const { retrieveContext } = require('../indexing/retrieval');
+const { buildPinnedFilesSection, buildFilesSection } = require('./files');
+const { buildSystemPrompt } = require('./builder');
+
+const now = Date.now();
+const diskFile = path.join(os.tmpdir(), `mmc-test-pinned-${process.pid}.txt`);
+
+function addProject(name, settings) {
+  const id = newId('proj');
+  db.prepare('INSERT INTO projects (id, name, settings, created_at, updated_at) VALUES (?, ?, ?, ?, ?)')
+    .run(id, name, settings ? JSON.stringify(settings) : null, now, now);
+  return id;
+}
+
+async function addFile(projectId, filePath, content, metadata, contentLocation) {
+  const id = newId('file');
+  db.prepare(`
+    INSERT INTO project_files (id, project_id, path, content, content_location, content_hash, mime_type, size_bytes, metadata, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, projectId, filePath, contentLocation ? null : content, contentLocation || null, crypto.createHash('sha256').update(content).digest('hex'),
+    'text/plain', Buffer.byteLength(content), metadata ? JSON.stringify(metadata) : null, now, now);
+  await indexFile(id);
+  return id;
+}
+
+async function main() {
+  const projectId = addProject('Pinned');
+  check('no pinned files: no section', buildPinnedFilesSection(projectId) === null);
+
+  await addFile(projectId, 'a-style.md', 'Always write in British English.', { always_in_context: true });
+  fs.writeFileSync(diskFile, 'Glossary: a widget is a gadget.');
+  await addFile(projectId, 'b-glossary.md', 'Glossary: a widget is a gadget.', { always_in_context: true }, diskFile);
+  await addFile(projectId, 'c-notes.md', 'The widget ships in May.', { always_in_context: false });
+  await addFile(projectId, 'd-bad.md', 'broken metadata widget', null);
+  db.prepare("UPDATE project_files SET metadata = 'not json' WHERE path = 'd-bad.md'").run();
+
+  let section = buildPinnedFilesSection(projectId);
+  check('pinned: content included in path order', section.indexOf('--- a-style.md ---\nAlways write in British English.') < section.indexOf('--- b-glossary.md ---'));
+  check('pinned: content_location read from disk', section.includes('Glossary: a widget is a gadget.\n--- end of b-glossary.md ---'));
+  check('pinned: unflagged and malformed metadata left out', !section.includes('c-notes') && !section.includes('d-bad'));
+  check('pinned: token use shown against the default ceiling', /~\d+ of 8000 tokens/.test(section));
+  check('listing: pinned files marked', buildFilesSection(projectId).includes('a-style.md (32 B, text/plain, pinned below)'));
+
+  const prompt = buildSystemPrompt({ modelId: 'm', provider: 'mock', projectId, projectName: 'Pinned' });
+  check('system prompt: pinned section after the file list', prompt.indexOf('PINNED FILES') > prompt.indexOf('PROJECT FILES') && prompt.includes('British English'));
+
+  const picked = retrieveContext(projectId, 'widget', [], { maxTokens: 2000, maxChunks: 6 });
+  check('retrieval: pinned files skipped', picked && picked.chunks.every((c) => c.path !== 'b-glossary.md') && picked.chunks.some((c) => c.path === 'c-notes.md'));
+
+  // 40 lines of a few tokens each against a 60-token ceiling
+  const small = addProject('Small', { pinned_token_limit: 60 });
+  const lines = Array.from({ length: 40 }, (_, i) => `row ${String(i + 1).padStart(3, '0')} ...`);
+  await addFile(small, 'big.md', lines.join('\n'), { always_in_context: true });
+  await addFile(small, 'later.md', 'never shown', { always_in_context: true });
+  section = buildPinnedFilesSection(small);
+  const truncated = /\[truncated: lines 1-(\d+) of 40 shown; pinned files are limited to 60 tokens\]/.exec(section);
+  check('ceiling: file cut at a line boundary with a marker', truncated && Number(truncated[1]) > 0 && Number(truncated[1]) < 40 && section.includes(`${lines[Number(truncated[1]) - 1]}\n[truncated`));
+  check('ceiling: later files named but left out', /\[later\.md \(~\d+ tokens\) not included: pinned files are limited to 60 tokens\]/.test(section) && !section.includes('never shown'));
+  check('ceiling: project setting used', /~\d+ of 60 tokens/.test(section));
+
+  removeTempDatabase();
+  try { fs.unlinkSync(diskFile); } catch { }
+
+  done('pinned file');
+}
+
+main().catch(err => {
+  console.error('Test crashed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+/**
+ * Test conversation titles and organisation: cleaning a title model's
+ * answer, the fallback title from the first message, automatic titles never
+ * replacing a chosen one, and the rename/archive/pin/tag updates.
+ *
+ * Usage: node server/prompts/test-titles.js
+ */
+
+const { check, done, useTempDatabase, removeTempDatabase } = require('../test-helpers');
+useTempDatabase('titles');
+
+const { runMigrations } = require('../db/migrate');
+runMigrations();
+
+const { db, newId, getDefaultProjectId } = require('../db/index');
+const { conversationMeta, normalizeTags, updateConversationMeta, setAutoTitle } = require('../db/conversations');
+const { buildTitleInput, cleanTitle, heuristicTitle } = require('./titles');
+
+// --- Model answers ---
+check('clean: quotes, prefix and period removed', cleanTitle('Title: "Launch plan for May."') === 'Launch plan for May');
+check('clean: first non-empty line, markdown dropped', cleanTitle('\n## **Budget review**\nSure, here you go') === 'Budget review');
+check('clean: long answers cut at a word', cleanTitle('word '.repeat(40)).length <= 80 && cleanTitle('word '.repeat(40)).endsWith('word…'));
+check('clean: empty answer', cleanTitle('  \n ') === '');
+
+// --- Fallback ---
+check('heuristic: first line, capitalised', heuristicTitle('how do we price the launch?\nMore detail here.') === 'How do we price the launch?');
+check('heuristic: mentions, links and markdown removed', heuristicTitle('@Claude compare [the spec](http://x.test/a) with **v2** https://y.test') === 'Compare the spec with v2');
+check('heuristic: code fences skipped', heuristicTitle('```\nconst x = 1;\n```') === 'Const x = 1;');
+const long = heuristicTitle('Please review the following architecture proposal for the new billing pipeline and its rollout');
+check('heuristic: cut at a word boundary', long.length <= 60 && long.endsWith('…') && !/\s…$/.test(long));
+check('heuristic: nothing usable', heuristicTitle('   ') === '');
+
+const input = buildTitleInput({ user: { content: 'Plan the launch' }, agents: [{ name: 'A', content: '', error: 'x' }, { modelId: 'm2', content: 'Here is a plan.' }] });
+check('input: first message and first real reply', input === 'User: Plan the launch\n[m2]: Here is a plan.');
+
+// --- Stored titles and organisation ---
+const now = Date.now();
+const convId = newId('conv');
+db.prepare(`
+  INSERT INTO conversations (id, project_id, title, created_at, updated_at, round_count)
+  VALUES (?, ?, ?, ?, ?, ?)
+`).run(convId, getDefaultProjectId(), `Conversation ${convId}`, now, now, 1);
+
+let meta = conversationMeta(db.prepare('SELECT * FROM conversations WHERE id = ?').get(convId));
+check('new conversation: placeholder, not archived, not pinned, no tags', meta.titleSource === undefined && !meta.archived && !meta.pinned && meta.tags.length === 0);
+check('auto title replaces the placeholder', setAutoTitle(convId, 'Launch plan') === true);
+check('auto title written once', setAutoTitle(convId, 'Other') === false);
+
+meta = updateConversationMeta(convId, { title: 'My launch', pinned: true, tags: ['work', 'q3'] });
+check('rename marks the title as the user\'s', meta.title === 'My launch' && meta.titleSource === 'user');
+check('pin and tags stored', meta.pinned === true && meta.tags.join(',') === 'work,q3');
+meta = updateConversationMeta(convId, { archived: true, tags: [] });
+check('archive kept with earlier fields; empty tags cleared', meta.archived === true && meta.pinned === true && meta.tags.length === 0);
+check('unknown conversation', updateConversationMeta('nope', { pinned: true }) === null);
+
+check('tags: trimmed, deduplicated, over-long dropped', normalizeTags([' a ', 'a', '', 'x'.repeat(51), 'b  c']).join('|') === 'a|b c');
+check('tags: at most 20', normalizeTags(Array.from({ length: 30 }, (_, i) => `t${i}`)).length === 20);
+check('tags: non-strings rejected', normalizeTags(['a', 1]) === null && normalizeTags('a') === null);
+
+removeTempDatabase();
+
+done('title');
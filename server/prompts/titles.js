@@ -0,0 +1,63 @@
+/**
+ * Conversation titles: what the title model is asked and reads, cleaning up
+ * its answer, and the fallback taken from the first user message when no
+ * title model is configured or it fails.
+ */
+
+// Longest title kept, in characters
+const MAX_TITLE_CHARS = 80;
+// Heuristic titles are cut at a word boundary before this many characters
+const HEURISTIC_TITLE_CHARS = 60;
+
+const TITLE_PROMPT = process.env.TITLE_DEFAULT_PROMPT ||
+  'You name conversations. Given the opening of a conversation, reply with a short title of at most six words that says what it is about.' +
+  ' Reply with the title only: no quotes, no trailing period, no "Title:" prefix.';
+
+// The opening the title model reads: the first user message and the first reply
+function buildTitleInput(round) {
+  const clip = (text, n) => (text.length > n ? `${text.slice(0, n)}...` : text);
+  const lines = [`User: ${clip(String((round.user && round.user.content) || '').trim(), 2000)}`];
+  const reply = (round.agents || []).find((a) => a.content && !a.cancelled && !a.error);
+  if (reply) lines.push(`[${reply.name || reply.modelId || 'agent'}]: ${clip(reply.content.trim(), 1000)}`);
+  return lines.join('\n');
+}
+
+function clipTitle(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > max / 2 ? cut.slice(0, space) : cut).replace(/[\s,;:.-]+$/, '')}…`;
+}
+
+// A model's answer as a title: first non-empty line without quotes, a
+// "Title:" prefix, markdown emphasis or a trailing period. '' when unusable.
+function cleanTitle(text) {
+  const line = String(text || '').split('\n').map((l) => l.trim()).find(Boolean) || '';
+  const title = line
+    .replace(/^#+\s*/, '')
+    .replace(/^title\s*:\s*/i, '')
+    .replace(/[*_`]+/g, '')
+    .replace(/^["'“‘]+|["'”’]+$/g, '')
+    .replace(/\.$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return clipTitle(title, MAX_TITLE_CHARS);
+}
+
+// Fallback title from the first user message: its first line without
+// @mentions, markdown or links, cut at a word boundary. '' when nothing is left.
+function heuristicTitle(userMessage) {
+  const line = String(userMessage || '').split('\n').map((l) => l.trim()).find((l) => l && !l.startsWith('```')) || '';
+  const title = line
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/(^|\s)@[\w.-]+/g, '$1')
+    .replace(/^#+\s*|^[-*>]\s+/g, '')
+    .replace(/[*_`]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!title) return '';
+  return clipTitle(title.charAt(0).toUpperCase() + title.slice(1), HEURISTIC_TITLE_CHARS);
+}
+
+module.exports = { TITLE_PROMPT, MAX_TITLE_CHARS, buildTitleInput, cleanTitle, heuristicTitle };
@@ -365,8 +365,12 @@ function checkDailyBudget() {
   return null;
 }
 
-async function wipeOldConversations() {
-  if (!isPublicMode()) return;
+// Delete conversations untouched for PUBLIC_WIPE_HOURS and storage files no
+// project file points at. onDeleted, when given, receives the deleted
+// conversation ids (so the server can drop them from memory); they are also
+// the return value.
+async function wipeOldConversations(onDeleted) {
+  if (!isPublicMode()) return [];
 
   const maxAgeHours = parseInt(process.env.PUBLIC_WIPE_HOURS, 10);
   const maxAge = (Number.isFinite(maxAgeHours) && maxAgeHours > 0 ? maxAgeHours : 24) * 60 * 60 * 1000;
@@ -387,6 +391,8 @@ async function wipeOldConversations() {
 
     db.prepare('DELETE FROM conversations WHERE id = ?').run(conv.id);
   }
+  const deletedIds = oldConvs.map(c => c.id);
+  if (onDeleted && deletedIds.length) onDeleted(deletedIds);
 
   const storageDir = process.env.STORAGE_DIR || require('path').join(__dirname, '..', 'storage');
   try {
@@ -405,12 +411,13 @@ async function wipeOldConversations() {
       }
     }
   } catch {}
+  return deletedIds;
 }
 
-function wipeInterval() {
+function wipeInterval(onDeleted) {
   const hours = parseInt(process.env.PUBLIC_WIPE_HOURS, 10);
   const interval = (Number.isFinite(hours) && hours > 0 ? hours : 24) * 60 * 60 * 1000;
-  setInterval(wipeOldConversations, interval);
+  setInterval(() => wipeOldConversations(onDeleted), interval);
 }
 
 function publicModeConfig() {
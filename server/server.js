@@ -1,7 +1,7 @@
 /* Minimal multi-model chat MVP server
  * - In-memory conversations
  * - Per-model view builder (no self-duplication)
- * - OpenAI and Anthropic adapters (non-streaming)
+ * - OpenAI, Anthropic, Google and xAI adapters (optional token streaming over SSE)
  * - Serves a tiny static UI from /web
  */
 
@@ -10,7 +10,6 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const fsp = require('fs').promises;
-const crypto = require('crypto');
 require('dotenv').config();
 
 const { sendOpenAI } = require('./adapters/openai');
@@ -20,15 +19,31 @@ const { sendXAI } = require('./adapters/xai');
 const { sendMock } = require('./adapters/mock');
 const { listAllModels } = require('./adapters/models');
 
-const { db, getDefaultProjectId, newId: newDbId, STORAGE_DIR, STORAGE_THRESHOLD } = require('./db/index');
-const { validatePath, computeHash, detectMimeType } = require('./utils/files');
+const { db, getDefaultProjectId } = require('./db/index');
+const { validatePath } = require('./utils/files');
 const { runMigrations } = require('./db/migrate');
-const { migrateConversationsToSQLite, loadConversationsFromSQLite } = require('./db/migrate-memory-to-sqlite');
+const { migrateConversationsToSQLite, loadConversationsFromSQLite, loadConversationFromSQLite } = require('./db/migrate-memory-to-sqlite');
+const { saveModelState, loadModelState, loadModelStateBefore } = require('./db/model-state');
+const { forkConversation, listBranches, getBranchTree } = require('./db/branches');
+const { saveSummary, latestSummary, listSummaries, summaryBefore, dropSummariesFrom } = require('./db/summaries');
+const { conversationMeta, normalizeTags, updateConversationMeta, setAutoTitle } = require('./db/conversations');
+const { trashConversation, restoreConversation, listTrash, purgeConversation, emptyTrash, deleteRound, deleteAgentReply, deleteSynthesis } = require('./db/deletion');
+const { upsertProjectFile, readFileBytes, MAX_FILE_BYTES } = require('./db/project-files');
+const { listProjects, getProject, projectSettings, createProject, updateProject, deleteProject, moveConversation, invalidSetting, MAX_NAME_CHARS, MAX_DESCRIPTION_CHARS } = require('./db/projects');
 const { getConfig, setConfig, getAllConfig, initializeDefaultConfig } = require('./config/index');
 
-const { indexFile, indexMessage } = require('./indexing/indexer');
+const { indexFile, indexMessage, reindexMessage } = require('./indexing/indexer');
 const { search } = require('./indexing/search');
+const { resolveRetrievalOptions, retrieveContext, buildRetrievalBlock } = require('./indexing/retrieval');
+const { contextWindowFor, outputReserve, planTrim, earlierRoundsNote } = require('./prompts/budget');
+const { estimateTokens, estimateMessagesTokens } = require('./utils/tokens');
 const { buildSystemPrompt } = require('./prompts/builder');
+const { checkImageAttachments, storeImageAttachments, imagesMessage, inlineImages } = require('./prompts/images');
+const { TITLE_PROMPT, MAX_TITLE_CHARS, buildTitleInput, cleanTitle, heuristicTitle } = require('./prompts/titles');
+const { listTools, resolveToolNames, toProviderTools, executeToolCall } = require('./tools/registry');
+const { registerExecutionTools } = require('./execution/tools');
+const { removeWorkspaces } = require('./execution/materialize');
+const { registerProjectTools } = require('./tools/project');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -67,6 +82,11 @@ runMigrations();
 // Initialize default config
 initializeDefaultConfig();
 
+// Project search / read_file tools for the tool-calling loop, and bash when
+// EXECUTION_ENABLED=1 (never in PUBLIC_MODE)
+registerProjectTools();
+registerExecutionTools({ publicMode: publicGuard.isPublicMode() });
+
 // Migrate existing in-memory data (if any) to SQLite
 if (conversations.size > 0) {
   migrateConversationsToSQLite(conversations);
@@ -76,8 +96,8 @@ if (conversations.size > 0) {
 conversations = loadConversationsFromSQLite();
 
 // PUBLIC_MODE: initial wipe and scheduled cleanup
-publicGuard.wipeOldConversations();
-publicGuard.wipeInterval();
+publicGuard.wipeOldConversations(forgetConversations);
+publicGuard.wipeInterval(forgetConversations);
 
 function newId(prefix = 'c') {
   return `${prefix}_${Date.now().toString(36)}_${Math.random()
@@ -100,7 +120,7 @@ const DEFAULT_PROMPTS = {
     " You may be shown other models' replies as context, tagged like [ModelName]: — those were written by other models and given to you as input; you did NOT write them." +
     ' Hard rules: reply exactly once, as yourself, in plain prose addressed to the person.' +
     ' NEVER output a bracketed [Name]: label. NEVER write, quote, continue, or invent other models\' replies — do not roleplay other participants. Give only your own answer.' +
-    ' Replies are collected in parallel and shown together, so do not claim to "go first" or "start the discussion"; just contribute your content directly.',
+    ' {{coordination}} Just contribute your content directly.',
   perProvider: {
     openai: process.env.OPENAI_DEFAULT_PROMPT || '',
     anthropic: process.env.ANTHROPIC_DEFAULT_PROMPT || '',
@@ -110,6 +130,13 @@ const DEFAULT_PROMPTS = {
   },
 };
 
+// Synthesizer ("judge") instructions: it reads one round's replies and merges
+// them. parseDisagreements() relies on the section headings asked for here.
+const SYNTHESIZER_PROMPT = process.env.SYNTHESIZER_DEFAULT_PROMPT ||
+  "You are {{modelId}}, the synthesizer of a multi-model chat. You are given the person's message and every model's reply to it, tagged like [ModelName]:." +
+  ' Merge them into one consolidated answer for the person: keep what the replies agree on, resolve differences where the evidence is clear, and do not add claims none of them made.' +
+  ' Use exactly two sections: "## Consolidated answer", then "## Disagreements" as a bullet list of the points the models disagree on, naming who holds which position (write "- None" if they agree).';
+
 // Load system prompts from config (with fallback to defaults)
 function getSystemPrompts() {
   return getConfig('system_prompts', DEFAULT_PROMPTS);
@@ -117,13 +144,17 @@ function getSystemPrompts() {
 
 // Merge per-request systemPrompts over the config-stored ones. The request
 // wins field-by-field; perAgent/perModel only exist per-request.
-function mergeSystemPrompts(requestPrompts) {
+// Layers, lowest first: saved config, the project's settings.system_prompts,
+// the request
+function mergeSystemPrompts(requestPrompts, projectPrompts) {
   const cfg = getSystemPrompts();
+  const proj = projectPrompts || {};
   const req = requestPrompts || {};
+  const perAgent = proj.perAgent || req.perAgent ? { ...(proj.perAgent || {}), ...(req.perAgent || {}) } : undefined;
   return {
-    common: typeof req.common === 'string' ? req.common : cfg.common,
-    perProvider: { ...(cfg.perProvider || {}), ...(req.perProvider || {}) },
-    perAgent: req.perAgent,
+    common: typeof req.common === 'string' ? req.common : typeof proj.common === 'string' ? proj.common : cfg.common,
+    perProvider: { ...(cfg.perProvider || {}), ...(proj.perProvider || {}), ...(req.perProvider || {}) },
+    perAgent,
     perModel: req.perModel,
   };
 }
@@ -276,12 +307,64 @@ function resolveAgentPrompt(prompts, context = {}) {
 
 // No per-model leader role; coordination handled via common prompt only.
 
-function buildTaggedBlock(userMessage, agents, targetModelId, targetAgentId) {
+// Directed messages. A message's visibility is { to?: agentIds, hiddenFrom?:
+// agentIds } (absent = everyone); it is stored in the message metadata.
+function canSee(visibility, agentId) {
+  if (!visibility || !agentId) return true;
+  if (Array.isArray(visibility.hiddenFrom) && visibility.hiddenFrom.includes(agentId)) return false;
+  if (Array.isArray(visibility.to)) return visibility.to.includes(agentId);
+  return true;
+}
+
+// Normalise a request's visibility spec. Entries may be agentIds or names
+// of this turn's targets (a leading @ is ignored). Returns undefined for
+// "everyone" and null when the spec is malformed.
+function resolveVisibility(spec, targets) {
+  if (spec === undefined || spec === null) return undefined;
+  if (typeof spec !== 'object' || Array.isArray(spec)) return null;
+  const resolveList = (list) => {
+    if (list === undefined) return undefined;
+    if (!Array.isArray(list) || list.some((e) => typeof e !== 'string' || !e.trim())) return null;
+    return [...new Set(list.map((entry) => {
+      const handle = entry.trim().replace(/^@/, '');
+      const target = targets.find((t) => t.agentId === handle || (t.name && t.name.toLowerCase() === handle.toLowerCase()));
+      return target ? target.agentId : handle;
+    }))];
+  };
+  const to = resolveList(spec.to);
+  const hiddenFrom = resolveList(spec.hiddenFrom);
+  if (to === null || hiddenFrom === null) return null;
+  if (!to && !(hiddenFrom && hiddenFrom.length)) return undefined;
+  const visibility = {};
+  if (to) visibility.to = to;
+  if (hiddenFrom && hiddenFrom.length) visibility.hiddenFrom = hiddenFrom;
+  return visibility;
+}
+
+// Targets addressed as @Name or @agentId in a message, as agentIds
+function parseMentions(text, targets) {
+  const escape = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return targets
+    .filter((t) => [t.name, t.agentId].filter(Boolean)
+      .some((handle) => new RegExp(`(^|[^\\w@])@${escape(handle)}(?![\\w-])`, 'i').test(text || '')))
+    .map((t) => t.agentId);
+}
+
+// Default visibility of a reply: replies to a whisper stay with its recipients
+function replyVisibility(round) {
+  const to = round && round.user && round.user.visibility && round.user.visibility.to;
+  return to ? { to } : undefined;
+}
+
+// userMessage null builds a block of agent replies only (later blocks of an
+// ordered round). speaker labels the round's opening line.
+function buildTaggedBlock(userMessage, agents, targetModelId, targetAgentId, speaker = 'User') {
   const lines = [];
-  lines.push(`User: ${userMessage}`);
+  if (userMessage !== null) lines.push(`${speaker}: ${userMessage}`);
   if (agents && agents.length) {
     for (const a of agents) {
       if (agentMatches(a, targetModelId, targetAgentId)) continue; // avoid duplication of self
+      if (!canSee(a.visibility, targetAgentId)) continue;
       const tag = a.name || a.modelId || 'agent';
       const text = (a.content || '').trim();
       if (text) lines.push(`[${tag}]: ${text}`);
@@ -290,6 +373,16 @@ function buildTaggedBlock(userMessage, agents, targetModelId, targetAgentId) {
   return lines.join('\n');
 }
 
+// A round's synthesis as the agents see it in later rounds; empty unless it
+// was shared with them (includeInViews) and they could see the round's message
+function buildSynthesisBlock(round, targetAgentId) {
+  const synthesis = round && round.synthesis;
+  if (!synthesis || !synthesis.includeInViews || synthesis.cancelled) return '';
+  if (!canSee(round.user && round.user.visibility, targetAgentId)) return '';
+  const text = (synthesis.content || '').trim();
+  return text ? `[${synthesis.name || synthesis.modelId || 'synthesizer'} (synthesis)]: ${text}` : '';
+}
+
 function buildAttachmentBlocks(textAttachments) {
   const blocks = [];
   const arr = Array.isArray(textAttachments) ? textAttachments : [];
@@ -304,46 +397,129 @@ function buildAttachmentBlocks(textAttachments) {
   return blocks;
 }
 
-// Build full-history, per-model messages for providers
-function buildMessagesForOpenAI(conv, currentUserMessage, targetModelId, targetAgentId, system, textAttachments) {
+// Turn modes: 'parallel' (default) fans out at once; 'sequential' answers in
+// target order; 'rounds:k' is sequential plus k rebuttal passes.
+const MAX_REBUTTAL_PASSES = 5;
+
+function parseTurnMode(mode) {
+  if (mode === undefined || mode === null || mode === '' || mode === 'parallel') return { mode: 'parallel', passes: 1 };
+  if (mode === 'sequential') return { mode, passes: 1 };
+  const m = typeof mode === 'string' && /^rounds:(\d+)$/.exec(mode);
+  if (m) {
+    const k = Number(m[1]);
+    if (k >= 1 && k <= MAX_REBUTTAL_PASSES) return { mode, passes: k + 1 };
+  }
+  return null;
+}
+
+// How a round's opening message is labelled in agent views: autonomous
+// rounds open with a synthetic orchestrator entry instead of the person.
+function roundSpeaker(round) {
+  return round && round.user && round.user.speaker === 'orchestrator' ? 'Orchestrator' : 'User';
+}
+
+// Rounds answered in order carry their mode; same-round replies are part of
+// each agent's view there.
+function isOrderedRound(round) {
+  return !!round && typeof round.mode === 'string' && round.mode !== 'parallel';
+}
+
+// Replay an ordered round for one agent: the other agents' replies that came
+// before each of its own replies form the user block it was answering.
+// Returns the turns plus the replies still pending after its last one.
+function buildOrderedTurns(userMessage, agents, targetModelId, targetAgentId, speaker) {
+  const turns = [];
+  let pending = [];
+  let opened = false;
+  for (const a of agents || []) {
+    if (!agentMatches(a, targetModelId, targetAgentId)) {
+      pending.push(a);
+      continue;
+    }
+    const block = buildTaggedBlock(opened ? null : userMessage, pending, targetModelId, targetAgentId, speaker);
+    if (block) turns.push({ role: 'user', content: block });
+    opened = true;
+    pending = [];
+    if (a.content) turns.push({ role: 'assistant', content: a.content });
+  }
+  return { turns, pending, opened };
+}
+
+// One earlier round as the target agent sees it
+function buildRoundMessages(r, targetModelId, targetAgentId) {
+  const messages = [];
+  const speaker = roundSpeaker(r);
+  // A message hidden from this agent drops out of its view; visible replies
+  // to it still show
+  const userText = canSee(r.user.visibility, targetAgentId) ? (r.user.content || '') : null;
+  const images = userText !== null ? imagesMessage(r.user.images, speaker) : null;
+  if (images) messages.push(images);
+  if (isOrderedRound(r)) {
+    const { turns, pending } = buildOrderedTurns(userText, r.agents || [], targetModelId, targetAgentId, speaker);
+    messages.push(...turns);
+    const rest = buildTaggedBlock(turns.length ? null : userText, pending, targetModelId, targetAgentId, speaker);
+    if (rest) messages.push({ role: 'user', content: rest });
+  } else {
+    const userBlock = buildTaggedBlock(userText, r.agents || [], targetModelId, targetAgentId, speaker);
+    if (userBlock) messages.push({ role: 'user', content: userBlock });
+    const mine = (r.agents || []).find((a) => agentMatches(a, targetModelId, targetAgentId));
+    if (mine && mine.content) messages.push({ role: 'assistant', content: mine.content });
+  }
+  const synthesis = buildSynthesisBlock(r, targetAgentId);
+  if (synthesis) messages.push({ role: 'user', content: synthesis });
+  return messages;
+}
+
+// Full-history messages for one agent, shared by the provider builders. The
+// last round of conv is the one being answered.
+function buildHistoryMessages(conv, currentUserMessage, targetModelId, targetAgentId, textAttachments) {
   const messages = [];
-  if (system) messages.push({ role: 'system', content: system });
 
   // For all prior rounds
   const lastIndex = conv.rounds.length - 1; // current round index
   for (let i = 0; i < lastIndex; i++) {
-    const r = conv.rounds[i];
-    const userBlock = buildTaggedBlock(r.user.content || '', r.agents || [], targetModelId, targetAgentId);
-    messages.push({ role: 'user', content: userBlock });
-    const mine = (r.agents || []).find((a) => agentMatches(a, targetModelId, targetAgentId));
-    if (mine && mine.content) messages.push({ role: 'assistant', content: mine.content });
+    messages.push(...buildRoundMessages(conv.rounds[i], targetModelId, targetAgentId));
   }
 
-  // Current round attachments (as user-sent context), then user message
+  // Current round: project context retrieved for its message (for the agents
+  // that see it), attachments (as user-sent context), then the user message
+  const current = conv.rounds[lastIndex];
+  if (canSee(current && current.user && current.user.visibility, targetAgentId)) {
+    const retrievalBlock = buildRetrievalBlock(current && current.retrieval);
+    if (retrievalBlock) messages.push({ role: 'user', content: retrievalBlock });
+  }
   const attachBlocks = buildAttachmentBlocks(textAttachments);
   for (const block of attachBlocks) messages.push({ role: 'user', content: block });
-  // Current round user message only
-  messages.push({ role: 'user', content: `User: ${currentUserMessage}` });
+
+  const speaker = roundSpeaker(current);
+  // Only recipients are asked to answer; preview shows others the history alone
+  if (!canSee(current && current.user && current.user.visibility, targetAgentId)) return messages;
+  const images = imagesMessage(current && current.user && current.user.images, speaker);
+  if (images) messages.push(images);
+  if (!isOrderedRound(current)) {
+    // Current round user message only
+    messages.push({ role: 'user', content: `${speaker}: ${currentUserMessage}` });
+    return messages;
+  }
+  // Ordered round: include the replies given so far this round
+  const { turns, pending, opened } = buildOrderedTurns(currentUserMessage, current.agents || [], targetModelId, targetAgentId, speaker);
+  messages.push(...turns);
+  const block = buildTaggedBlock(opened ? null : currentUserMessage, pending, targetModelId, targetAgentId, speaker);
+  messages.push({ role: 'user', content: block || '(No other agent has replied since your last message.)' });
+  return messages;
+}
+
+// Build full-history, per-model messages for providers
+function buildMessagesForOpenAI(conv, currentUserMessage, targetModelId, targetAgentId, system, textAttachments) {
+  const messages = [];
+  if (system) messages.push({ role: 'system', content: system });
+  messages.push(...buildHistoryMessages(conv, currentUserMessage, targetModelId, targetAgentId, textAttachments));
   return messages;
 }
 
 function buildMessagesForAnthropic(conv, currentUserMessage, targetModelId, targetAgentId, system, textAttachments) {
   // We pass string content; adapter will map to text blocks and include system separately
-  const messages = [];
-  // prior rounds
-  const lastIndex = conv.rounds.length - 1;
-  for (let i = 0; i < lastIndex; i++) {
-    const r = conv.rounds[i];
-    const userBlock = buildTaggedBlock(r.user.content || '', r.agents || [], targetModelId, targetAgentId);
-    messages.push({ role: 'user', content: userBlock });
-    const mine = (r.agents || []).find((a) => agentMatches(a, targetModelId, targetAgentId));
-    if (mine && mine.content) messages.push({ role: 'assistant', content: mine.content });
-  }
-  // current attachments then user message
-  const attachBlocks = buildAttachmentBlocks(textAttachments);
-  for (const block of attachBlocks) messages.push({ role: 'user', content: block });
-  // current
-  messages.push({ role: 'user', content: `User: ${currentUserMessage}` });
+  const messages = buildHistoryMessages(conv, currentUserMessage, targetModelId, targetAgentId, textAttachments);
   return { system, messages };
 }
 
@@ -416,23 +592,549 @@ function getAdapter(provider) {
   }
 }
 
+/**
+ * Fit an agent's view of conv into its model's context window. When the full
+ * history would not fit (leaving room for the reply), the oldest rounds are
+ * dropped and a note standing in for them is appended to the system prompt.
+ * Returns { conv, system } to send, plus trim describing what was dropped
+ * when anything was (or when even the trimmed view is over budget).
+ * toolMessages (this turn's tool calls and results so far) are always sent,
+ * so they count against the window like the current round.
+ */
+function fitViewToWindow(conv, { provider, modelId, agentId, system, userMessage, textAttachments, options, contextWindow, toolMessages = [] }) {
+  const window = contextWindowFor(provider, modelId, contextWindow);
+  const maxTokens = options && options.maxTokens !== undefined ? options.maxTokens : resolveMaxTokens(provider);
+  const budget = window - outputReserve(maxTokens, window);
+  const rounds = conv.rounds || [];
+  const earlier = rounds.slice(0, -1);
+  const roundTokens = earlier.map((r) => estimateMessagesTokens(buildRoundMessages(r, modelId, agentId)));
+  const current = buildHistoryMessages({ ...conv, rounds: rounds.slice(-1) }, userMessage, modelId, agentId, textAttachments);
+  const openings = earlier.map((r) => ({ speaker: roundSpeaker(r), content: r.user && r.user.content, visible: canSee(r.user && r.user.visibility, agentId) }));
+  // The summary stands in for the dropped rounds only when it covers them all
+  const summarized = (k) => !!conv.summary && (conv.summaryRound || 0) >= k;
+  const noteFor = (k) => earlierRoundsNote(k, { hasSummary: summarized(k), openings });
+  const plan = planTrim({
+    budget,
+    fixedTokens: estimateTokens(system) + estimateMessagesTokens(current) + estimateMessagesTokens(toolMessages),
+    roundTokens,
+    noteTokens: (k) => estimateTokens(`\n\n${noteFor(k)}`),
+  });
+  if (!plan.dropRounds && !plan.overBudget) return { conv, system };
+
+  const k = plan.dropRounds;
+  const trim = { window, budget, estimatedTokens: plan.estimatedTokens, keptTokens: plan.keptTokens };
+  if (k) {
+    trim.droppedRounds = { from: 1, to: k };
+    trim.droppedTokens = roundTokens.slice(0, k).reduce((a, b) => a + b, 0);
+    trim.replacement = summarized(k) ? 'summary' : 'references';
+  }
+  if (plan.overBudget) trim.overBudget = true;
+  if (!k) return { conv, system, trim };
+  return {
+    conv: { ...conv, rounds: rounds.slice(k) },
+    system: [system, noteFor(k)].filter(Boolean).join('\n\n'),
+    trim,
+  };
+}
+
+// Call one agent with its provider-specific view of conv. The last round of
+// conv is the one being answered; earlier rounds are history, trimmed to the
+// model's context window (the result's contextTrim reports what was cut).
+// toolMessages (assistant tool calls and tool results from this turn) follow
+// the view and are counted when fitting it, so every call of a tool loop is
+// fitted again. Image references in the view are sent as the images' bytes.
+async function callAgent(conv, { provider, modelId, agentId, system, userMessage, textAttachments, options, contextWindow, providerState, onDelta, signal, toolMessages = [] }) {
+  const adapter = getAdapter(provider);
+  const fitted = fitViewToWindow(conv, { provider, modelId, agentId, system, userMessage, textAttachments, options, contextWindow, toolMessages });
+  let result;
+  if (provider === 'anthropic' || provider === 'google') {
+    const { system: sys, messages } = buildMessagesForAnthropic(fitted.conv, userMessage, modelId, agentId, fitted.system, textAttachments);
+    result = await adapter({ model: modelId, system: sys, messages: [...await inlineImages(messages), ...toolMessages], options, providerState, onDelta, signal });
+  } else {
+    const messages = buildMessagesForOpenAI(fitted.conv, userMessage, modelId, agentId, fitted.system, textAttachments);
+    result = await adapter({ model: modelId, messages: [...await inlineImages(messages), ...toolMessages], options, providerState, onDelta, signal });
+  }
+  return fitted.trim ? { ...result, contextTrim: fitted.trim } : result;
+}
+
+// Rounds of tool calls one reply may run before it is cut off
+const MAX_TOOL_STEPS = parseInt(process.env.TOOL_MAX_STEPS || '8', 10);
+
+// Sum two provider usage objects field by field
+function addUsage(total, usage) {
+  if (!usage || typeof usage !== 'object') return total;
+  if (!total) return { ...usage };
+  const sum = { ...total };
+  for (const [key, val] of Object.entries(usage)) {
+    if (typeof val === 'number' && typeof sum[key] === 'number') sum[key] += val;
+    else if (!(key in sum)) sum[key] = val;
+  }
+  return sum;
+}
+
+// callAgent with the registered tools in toolNames offered: while the model
+// asks for tools, run them and call it again with the results. Each step
+// ({ step, text, calls: [{ id, name, arguments, output, error? }] }) is pushed
+// onto steps as it completes and reported through onToolEvent. Resolves to
+// the final call's result with usage summed over every call, and
+// toolLimitReached when MAX_TOOL_STEPS ran out first.
+async function callAgentWithTools(conv, args, { toolNames, steps, onToolEvent, context }) {
+  const tools = toProviderTools(args.provider, toolNames);
+  if (!tools.length) return callAgent(conv, args);
+  const baseTools = args.options && Array.isArray(args.options.tools) ? args.options.tools : [];
+  const options = { ...(args.options || {}), tools: [...baseTools, ...tools] };
+  const toolMessages = [];
+  let usage;
+  for (;;) {
+    const result = await callAgent(conv, { ...args, options, toolMessages });
+    usage = addUsage(usage, result.usage);
+    const calls = Array.isArray(result.toolCalls) ? result.toolCalls : [];
+    if (!calls.length) return { ...result, usage };
+    if (steps.length >= MAX_TOOL_STEPS) return { ...result, usage, toolLimitReached: true };
+
+    const step = { step: steps.length + 1, text: result.text || '', calls: [] };
+    toolMessages.push({ role: 'assistant', content: result.text || '', toolCalls: calls, providerContent: result.providerContent });
+    for (const call of calls) {
+      if (onToolEvent) onToolEvent({ type: 'tool_call', step: step.step, id: call.id, name: call.name, arguments: call.arguments });
+      const { output, error } = await executeToolCall(call, { ...context, signal: args.signal });
+      step.calls.push({ id: call.id, name: call.name, arguments: call.arguments, output, ...(error ? { error: true } : {}) });
+      if (onToolEvent) onToolEvent({ type: 'tool_result', step: step.step, id: call.id, name: call.name, output, ...(error ? { error: true } : {}) });
+      toolMessages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: output, ...(error ? { isError: true } : {}) });
+    }
+    steps.push(step);
+  }
+}
+
+// What the synthesizer reads: the round's user message and every finished
+// reply, tagged by agent (and pass, in debate rounds)
+function buildSynthesisInput(round) {
+  const lines = [`${roundSpeaker(round)}: ${(round.user && round.user.content) || ''}`];
+  for (const a of round.agents || []) {
+    const text = (a.content || '').trim();
+    if (!text || a.cancelled) continue;
+    const tag = `${a.name || a.modelId || 'agent'}${a.pass ? ` (pass ${a.pass})` : ''}`;
+    lines.push(`[${tag}]: ${text}`);
+  }
+  return lines.join('\n');
+}
+
+// The synthesizer is stateless: one system prompt and one user message
+async function callSynthesizer({ provider, modelId, system, input, options, onDelta, signal }) {
+  const adapter = getAdapter(provider);
+  const messages = [{ role: 'user', content: input }];
+  if (provider === 'anthropic' || provider === 'google') {
+    return adapter({ model: modelId, system, messages, options, onDelta, signal });
+  }
+  return adapter({ model: modelId, messages: [{ role: 'system', content: system }, ...messages], options, onDelta, signal });
+}
+
+// Bullet items under the "Disagreements" heading of a synthesis ("None" drops out)
+function parseDisagreements(text) {
+  const heading = /^#+\s*Disagreements\b.*$/im.exec(text || '');
+  if (!heading) return [];
+  const items = [];
+  for (const line of text.slice(heading.index + heading[0].length).split('\n')) {
+    if (/^#+\s/.test(line)) break;
+    const item = /^\s*(?:[-*]|\d+[.)])\s+(.*\S)/.exec(line);
+    if (item && !/^none\.?$/i.test(item[1])) items.push(item[1]);
+  }
+  return items;
+}
+
+// Validate the /api/turn synthesizer spec into a target like the agents'.
+// Returns null when it is unusable.
+function prepareSynthesizerTarget(spec, clampValue) {
+  if (!spec || typeof spec !== 'object' || typeof spec.provider !== 'string' || !spec.provider.trim()) return null;
+  const provider = spec.provider.toLowerCase();
+  const requestedModelId = spec.modelId;
+  const modelId = (resolveModelId(provider, requestedModelId) || '').toLowerCase();
+  const agentId = typeof spec.agentId === 'string' && spec.agentId.trim() ? spec.agentId.trim() : `synthesizer:${provider}:${modelId}`;
+  let options = buildOptions(provider, spec.options);
+  options = publicGuard.clampMaxTokens(options);
+  options = publicGuard.sanitizeOptions(options, modelId, clampValue);
+  return {
+    provider,
+    requestedModelId,
+    modelId,
+    name: typeof spec.name === 'string' ? spec.name.trim() : '',
+    agentId,
+    options,
+    prompt: typeof spec.prompt === 'string' && spec.prompt.trim() ? spec.prompt : SYNTHESIZER_PROMPT,
+    includeInViews: spec.includeInViews === true,
+  };
+}
+
+function finishReasonOf(result) {
+  const meta = result && result.meta;
+  if (!meta) return undefined;
+  return meta.finish_reason || meta.finishReason || meta.stop_reason || (meta.promptFeedback && meta.promptFeedback.blockReason);
+}
+
+// Sources a grounded reply cites ({ uri, title }), kept with the message
+function citationsOf(result) {
+  const citations = result && result.meta && result.meta.citations;
+  return Array.isArray(citations) && citations.length ? citations : undefined;
+}
+
+// Determine dynamic capabilities for a call (e.g., Gemini web search grounding)
+function googleGroundingEnabled(options) {
+  const eb = options && options.extraBody;
+  const tools = eb && Array.isArray(eb.tools) ? eb.tools : [];
+  return tools.some((t) => t && (Object.prototype.hasOwnProperty.call(t, 'googleSearch') || Object.prototype.hasOwnProperty.call(t, 'googleSearchRetrieval')));
+}
+
+function buildCapabilitiesNote(targets) {
+  const searchCapableAgents = [];
+  try {
+    for (const target of targets) {
+      if (target.provider !== 'google') continue;
+      if (googleGroundingEnabled(target.options)) {
+        const label = target.name ? `${target.name} (${target.modelId})` : target.modelId;
+        searchCapableAgents.push(label);
+      }
+    }
+  } catch { }
+  return searchCapableAgents.length
+    ? (
+      'Capabilities: The following agents have live web search via Google grounding and can fetch current information with citations when asked: ' +
+      searchCapableAgents.map((n) => `[${n}]`).join(', ') +
+      '. If you lack web access and need a search, propose that these agents perform it.'
+    )
+    : '';
+}
+
+// PUBLIC_MODE max-token clamp applied to every target (undefined otherwise)
+function publicClampValue() {
+  const clampMaxTokens = parseInt(process.env.PUBLIC_MAX_TOKENS_PER_TURN, 10);
+  return publicGuard.isPublicMode()
+    ? (Number.isFinite(clampMaxTokens) && clampMaxTokens > 0 ? clampMaxTokens : 700)
+    : undefined;
+}
+
+// PUBLIC_MODE rate + budget guards for the real (non-mock) targets of a call.
+// Run BEFORE any persistence or reservation, so a rejected call neither
+// reserves budget nor writes a conversation. Peek BOTH, then commit BOTH (no
+// await between) so a rate-limit rejection can't leave budget reserved, or
+// vice-versa. Returns { budgetStatus, budgetBlocked, reject? } where reject
+// is { status, body } when the call must be refused.
+function reservePublicCapacity(req, targets, clampValue) {
+  const realTargetCount = targets.filter(t => t.provider !== 'mock').length;
+  const effectiveClamp = clampValue || 700;
+  const budgetStatus = publicGuard.checkDailyBudget();   // already-spent before this call?
+  const budgetBlocked = !!(budgetStatus && budgetStatus.blocked);
+  if (publicGuard.isPublicMode() && realTargetCount > 0 && !budgetBlocked) {
+    const ip = publicGuard.getClientIp(req);
+    const ratePeek = publicGuard.peekRatePerCall(ip, realTargetCount);
+    if (ratePeek) {
+      return { budgetStatus, budgetBlocked, reject: { status: ratePeek.status, body: { error: ratePeek.error, message: ratePeek.message, retryAfter: ratePeek.retryAfter } } };
+    }
+    const budgetPeek = publicGuard.peekBudget(realTargetCount, effectiveClamp);
+    if (budgetPeek && budgetPeek.blocked) {
+      return { budgetStatus, budgetBlocked, reject: { status: 429, body: { error: 'budget_exceeded', message: budgetPeek.message } } };
+    }
+    publicGuard.consumeRatePerCall(ip, realTargetCount);
+    publicGuard.reserveBudget(realTargetCount, effectiveClamp);
+  }
+  return { budgetStatus, budgetBlocked };
+}
+
+// Metadata stored with an agent reply in conversation_messages. Cancelled
+// replies keep whatever partial text had streamed in, flagged so history/UI
+// can tell them apart from full answers; regenerated replies carry the
+// content they replaced under versions.
+function agentMessageMetadata(msg) {
+  const metadata = {
+    modelId: msg.modelId,
+    agentId: msg.agentId,
+    provider: msg.provider,
+    name: msg.name || undefined,
+    usage: msg.usage,
+    tokenUsage: msg.tokenUsage,
+    ts: msg.ts
+  };
+  if (Array.isArray(msg.citations) && msg.citations.length) {
+    metadata.citations = msg.citations;
+  }
+  if (msg.cancelled) {
+    metadata.cancelled = true;
+    metadata.cancelReason = msg.cancelReason;
+  }
+  if (msg.pass) {
+    metadata.pass = msg.pass;
+  }
+  if (msg.stale) {
+    metadata.stale = true;
+  }
+  if (Array.isArray(msg.versions) && msg.versions.length) {
+    metadata.versions = msg.versions;
+  }
+  if (Array.isArray(msg.toolSteps) && msg.toolSteps.length) {
+    metadata.toolSteps = msg.toolSteps;
+  }
+  if (Array.isArray(msg.filesChanged) && msg.filesChanged.length) {
+    metadata.filesChanged = msg.filesChanged;
+  }
+  if (msg.visibility) {
+    metadata.visibility = msg.visibility;
+  }
+  if (msg.speaker && msg.speaker.startsWith('synthesizer:')) {
+    metadata.includeInViews = !!msg.includeInViews;
+    metadata.disagreements = msg.disagreements || [];
+  }
+  return metadata;
+}
+
+// Persist one agent reply for a round and index it for search. Returns the
+// message id.
+function persistAgentMessage(convId, roundNum, msg) {
+  const msgId = newId('msg');
+  const metadata = agentMessageMetadata(msg);
+  db.prepare(`
+    INSERT INTO conversation_messages (id, conversation_id, round_number, speaker, content, metadata, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    msgId,
+    convId,
+    roundNum,
+    msg.speaker,
+    msg.content,
+    JSON.stringify(metadata),
+    msg.ts
+  );
+
+  // Index for search; never let indexing break the turn
+  try { indexMessage(msgId); } catch (e) { console.error('Message indexing failed:', e); }
+  return msgId;
+}
+
+// Overwrite an agent's stored reply for a round (regenerate) and reindex it,
+// or insert it if the agent has no stored reply there (e.g. it errored).
+// Returns the message id.
+function replaceAgentMessage(convId, roundNum, msg) {
+  const row = db.prepare(`
+    SELECT id FROM conversation_messages
+    WHERE conversation_id = ? AND round_number = ? AND speaker LIKE 'agent:%'
+      AND json_extract(metadata, '$.agentId') = ?
+      AND COALESCE(json_extract(metadata, '$.pass'), 1) = ?
+    ORDER BY created_at DESC
+    LIMIT 1
+  `).get(convId, roundNum, msg.agentId, msg.pass || 1);
+  if (!row) return persistAgentMessage(convId, roundNum, msg);
+
+  db.prepare(`
+    UPDATE conversation_messages
+    SET speaker = ?, content = ?, metadata = ?
+    WHERE id = ?
+  `).run(msg.speaker, msg.content, JSON.stringify(agentMessageMetadata(msg)), row.id);
+
+  try { reindexMessage(row.id); } catch (e) { console.error('Message indexing failed:', e); }
+  return row.id;
+}
+
+// Rewrite a round's stored user message after an edit and reindex it. The
+// edit history (user.edits) lives in the message metadata.
+function updateUserMessage(convId, roundNum, user) {
+  const row = db.prepare(`
+    SELECT id, metadata FROM conversation_messages
+    WHERE conversation_id = ? AND round_number = ? AND speaker = 'user'
+  `).get(convId, roundNum);
+  if (!row) return undefined;
+  const metadata = row.metadata ? JSON.parse(row.metadata) : {};
+  metadata.edits = user.edits;
+  db.prepare('UPDATE conversation_messages SET content = ?, metadata = ? WHERE id = ?')
+    .run(user.content, JSON.stringify(metadata), row.id);
+
+  try { reindexMessage(row.id); } catch (e) { console.error('Message indexing failed:', e); }
+  return row.id;
+}
+
+// Flag every stored agent reply from fromRound on as stale
+function markRepliesStale(convId, fromRound) {
+  db.prepare(`
+    UPDATE conversation_messages
+    SET metadata = json_set(COALESCE(metadata, '{}'), '$.stale', json('true'))
+    WHERE conversation_id = ? AND round_number >= ? AND speaker NOT IN ('user', 'orchestrator')
+  `).run(convId, fromRound);
+}
+
+// In-flight turns: turnId -> { conversationId, controllers: Map<agentId, AbortController>,
+// queued: Map<agentId, calls not started yet>, cancelled: Map<agentId|'*', reason> }.
+// A controller is removed once its agent settles, so whatever remains is
+// still running and can be cancelled.
+const activeTurns = new Map();
+
+function isValidTurnId(id) {
+  return typeof id === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(id);
+}
+
+/**
+ * Abort the pending agents of a turn (all of them, or just agentId): running
+ * calls are aborted and calls still queued (ordered modes) will be skipped.
+ * Returns the agentIds that were affected.
+ */
+function cancelTurn(turnId, agentId, reason = 'user') {
+  const turn = activeTurns.get(turnId);
+  if (!turn) return [];
+  const cancelled = new Set();
+  if (!turn.cancelled.has(agentId || '*')) turn.cancelled.set(agentId || '*', reason);
+  for (const [id, controller] of turn.controllers.entries()) {
+    if (agentId && id !== agentId) continue;
+    if (controller.signal.aborted) continue;
+    controller.abort(reason);
+    cancelled.add(id);
+  }
+  for (const [id, count] of turn.queued.entries()) {
+    if (agentId && id !== agentId) continue;
+    if (count > 0) cancelled.add(id);
+  }
+  return [...cancelled];
+}
+
+// ============================================================================
+// Project APIs
+// ============================================================================
+
+const PROJECTS_DISABLED = { error: 'project_operations_disabled', message: 'Projects cannot be changed in public sandbox mode.' };
+
+// Validate { name?, description?, settings? } from a request body. Returns
+// { patch } or { error, message }; `create` makes the name required.
+function readProjectPatch(body, create) {
+  const { name, description, settings } = body || {};
+  const patch = {};
+  if (name !== undefined || create) {
+    if (typeof name !== 'string' || !name.trim()) return { error: 'invalid_name', message: 'name must be a non-empty string' };
+    patch.name = name.trim().replace(/\s+/g, ' ').slice(0, MAX_NAME_CHARS);
+  }
+  if (description !== undefined && description !== null) {
+    if (typeof description !== 'string') return { error: 'invalid_description', message: 'description must be a string' };
+    patch.description = description.trim().slice(0, MAX_DESCRIPTION_CHARS);
+  } else if (description === null) {
+    patch.description = '';
+  }
+  if (settings !== undefined) {
+    const bad = invalidSetting(settings);
+    if (bad) return { error: 'invalid_settings', message: bad === 'settings' ? 'settings must be an object' : `settings.${bad} is malformed` };
+    patch.settings = settings;
+  }
+  return { patch };
+}
+
+// GET /api/projects - Every project with its conversation and file counts
+app.get('/api/projects', (req, res) => {
+  try {
+    res.json({ projects: listProjects(), defaultProjectId: getDefaultProjectId() });
+  } catch (e) {
+    res.status(500).json({ error: 'list_failed', detail: publicGuard.isPublicMode() ? 'internal_error' : String(e.message) });
+  }
+});
+
+// POST /api/projects
+// Body: { name, description?, settings? }
+app.post('/api/projects', (req, res) => {
+  try {
+    if (publicGuard.isPublicMode()) return res.status(403).json(PROJECTS_DISABLED);
+    const { patch, error, message } = readProjectPatch(req.body, true);
+    if (error) return res.status(400).json({ error, message });
+    res.status(201).json(createProject(patch));
+  } catch (e) {
+    res.status(500).json({ error: 'create_failed', detail: String(e.message) });
+  }
+});
+
+// GET /api/projects/:projectId
+app.get('/api/projects/:projectId', (req, res) => {
+  const project = getProject(req.params.projectId);
+  if (!project) return res.status(404).json({ error: 'project_not_found' });
+  res.json(project);
+});
+
+// PATCH /api/projects/:projectId
+// Body: { name?, description?, settings? } — settings are merged into the
+// stored ones; a key set to null is removed.
+app.patch('/api/projects/:projectId', (req, res) => {
+  try {
+    if (publicGuard.isPublicMode()) return res.status(403).json(PROJECTS_DISABLED);
+    const { patch, error, message } = readProjectPatch(req.body, false);
+    if (error) return res.status(400).json({ error, message });
+    if (!Object.keys(patch).length) return res.status(400).json({ error: 'nothing_to_update' });
+    const project = updateProject(req.params.projectId, patch);
+    if (!project) return res.status(404).json({ error: 'project_not_found' });
+    if (patch.name !== undefined) {
+      for (const conv of conversations.values()) {
+        if (conv.projectId === project.id) conv.projectName = project.name;
+      }
+    }
+    res.json(project);
+  } catch (e) {
+    res.status(500).json({ error: 'update_failed', detail: String(e.message) });
+  }
+});
+
+// DELETE /api/projects/:projectId
+// Deletes the project with all its conversations and files. The default
+// project cannot be deleted.
+app.delete('/api/projects/:projectId', async (req, res) => {
+  try {
+    if (publicGuard.isPublicMode()) return res.status(403).json(PROJECTS_DISABLED);
+    const { projectId } = req.params;
+    if (projectId === getDefaultProjectId()) {
+      return res.status(400).json({ error: 'default_project', message: 'The default project cannot be deleted.' });
+    }
+    const deleted = deleteProject(projectId);
+    if (!deleted) return res.status(404).json({ error: 'project_not_found' });
+    forgetConversations(deleted.conversationIds);
+    for (const location of deleted.fileLocations) {
+      try {
+        await fs.promises.unlink(location);
+      } catch (err) {
+        console.error('Failed to delete disk file:', err);
+      }
+    }
+    res.json({ projectId, deleted: true, conversations: deleted.conversationIds.length });
+  } catch (e) {
+    res.status(500).json({ error: 'delete_failed', detail: String(e.message) });
+  }
+});
+
 // ============================================================================
 // File APIs
 // ============================================================================
 
+function parseFileMetadata(text) {
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch {
+    return {};
+  }
+}
+
+const BASE64_RE = /^[A-Za-z0-9+/]*={0,2}$/;
+
 /**
  * POST /api/projects/:projectId/files
- * Upload or update a file
+ * Upload or update a file. content is text, or the file's bytes in base64
+ * with encoding: 'base64' (images, PDFs and other binary files)
  */
 app.post('/api/projects/:projectId/files', publicGuard.blockUploadsMiddleware, async (req, res) => {
   const { projectId } = req.params;
-  const { path: filePath, content, metadata } = req.body;
+  const { path: filePath, metadata, encoding } = req.body;
+  let { content } = req.body;
 
   try {
     // Validate inputs
-    if (!filePath || !content) {
+    if (!filePath || !content || typeof content !== 'string') {
       return res.status(400).json({ error: 'path and content are required' });
     }
+    if (encoding !== undefined && encoding !== 'utf8' && encoding !== 'base64') {
+      return res.status(400).json({ error: 'encoding must be utf8 or base64' });
+    }
+    if (encoding === 'base64') {
+      const compact = content.replace(/\s+/g, '');
+      if (!compact || compact.length % 4 !== 0 || !BASE64_RE.test(compact)) {
+        return res.status(400).json({ error: 'content is not valid base64' });
+      }
+      content = Buffer.from(compact, 'base64');
+    }
 
     const validPath = validatePath(filePath);
 
@@ -443,75 +1145,13 @@ app.post('/api/projects/:projectId/files', publicGuard.blockUploadsMiddleware, a
     }
 
     // Size check
-    const sizeBytes = Buffer.byteLength(content, 'utf8');
-    const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
-    if (sizeBytes > MAX_FILE_SIZE) {
-      return res.status(413).json({ error: 'file_too_large', max_bytes: MAX_FILE_SIZE });
-    }
-
-    // Compute hash
-    const contentHash = computeHash(content);
-
-    // Detect MIME type
-    const mimeType = detectMimeType(validPath);
-
-    // Prepare metadata
-    const metadataStr = metadata ? JSON.stringify(metadata) : JSON.stringify({
-      retrieval_eligible: true,
-      tool_accessible: true
-    });
-
-    const now = Date.now();
-
-    // Decide storage location
-    let fileContent = null;
-    let contentLocation = null;
-
-    if (sizeBytes < STORAGE_THRESHOLD) {
-      // Store in DB
-      fileContent = content;
-    } else {
-      // Store on disk
-      const storageId = crypto.randomBytes(16).toString('hex');
-      contentLocation = path.join(STORAGE_DIR, storageId);
-      await fs.promises.writeFile(contentLocation, content, 'utf8');
+    const sizeBytes = Buffer.isBuffer(content) ? content.length : Buffer.byteLength(content, 'utf8');
+    if (sizeBytes > MAX_FILE_BYTES) {
+      return res.status(413).json({ error: 'file_too_large', max_bytes: MAX_FILE_BYTES });
     }
 
-    // Upsert file
-    const fileId = newDbId('file');
-    const result = db.prepare(`
-      INSERT INTO project_files (
-        id, project_id, path, content, content_location, content_hash,
-        mime_type, size_bytes, metadata, created_at, updated_at
-      )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      ON CONFLICT(project_id, path) DO UPDATE SET
-        content = excluded.content,
-        content_location = excluded.content_location,
-        content_hash = excluded.content_hash,
-        size_bytes = excluded.size_bytes,
-        metadata = excluded.metadata,
-        updated_at = excluded.updated_at
-    `).run(
-      fileId,
-      projectId,
-      validPath,
-      fileContent,
-      contentLocation,
-      contentHash,
-      mimeType,
-      sizeBytes,
-      metadataStr,
-      now,
-      now
-    );
-
-    // Get the file (in case of conflict, use existing ID)
-    const file = db.prepare(`
-      SELECT id, path, size_bytes, content_hash, created_at
-      FROM project_files
-      WHERE project_id = ? AND path = ?
-    `).get(projectId, validPath);
+    // Re-uploading without metadata keeps the stored one
+    const file = await upsertProjectFile(projectId, { path: validPath, content, metadata });
 
     res.status(201).json(file);
 
@@ -546,7 +1186,7 @@ app.get('/api/projects/:projectId/files', (req, res) => {
 
     // Build query
     let query = `
-      SELECT id, path, mime_type, size_bytes, created_at, updated_at
+      SELECT id, path, mime_type, encoding, size_bytes, metadata, created_at, updated_at
       FROM project_files
       WHERE project_id = ?
     `;
@@ -562,7 +1202,10 @@ app.get('/api/projects/:projectId/files', (req, res) => {
     query += ` ORDER BY path ASC LIMIT ? OFFSET ?`;
     params.push(limit, offset);
 
-    const files = db.prepare(query).all(...params);
+    const files = db.prepare(query).all(...params).map(({ metadata, ...file }) => ({
+      ...file,
+      always_in_context: parseFileMetadata(metadata).always_in_context === true
+    }));
 
     // Get total count
     let countQuery = 'SELECT COUNT(*) as count FROM project_files WHERE project_id = ?';
@@ -606,19 +1249,25 @@ app.get('/api/projects/:projectId/files/:fileId', async (req, res) => {
       return res.status(404).json({ error: 'file_not_found' });
     }
 
-    // Load content
-    let content = file.content;
-    if (!content && file.content_location) {
-      content = await fs.promises.readFile(file.content_location, 'utf8');
+    // Load content: text as is, binary files only on request (as base64);
+    // raw_url serves the bytes either way
+    const asBase64 = req.query.encoding === 'base64';
+    let content = null;
+    if (asBase64 || file.encoding !== 'binary') {
+      const bytes = await readFileBytes(file);
+      if (!bytes) return res.status(410).json({ error: 'file_content_missing' });
+      content = asBase64 ? bytes.toString('base64') : bytes.toString('utf8');
     }
 
     // Parse metadata
-    const metadata = file.metadata ? JSON.parse(file.metadata) : {};
+    const metadata = parseFileMetadata(file.metadata);
 
     res.json({
       id: file.id,
       path: file.path,
       content,
+      encoding: asBase64 ? 'base64' : file.encoding,
+      raw_url: `/api/projects/${encodeURIComponent(projectId)}/files/${encodeURIComponent(file.id)}/raw`,
       mime_type: file.mime_type,
       size_bytes: file.size_bytes,
       content_hash: file.content_hash,
@@ -634,6 +1283,86 @@ app.get('/api/projects/:projectId/files/:fileId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/projects/:projectId/files/:fileId/raw
+ * The file's bytes with its Content-Type; ?download=1 sends it as an
+ * attachment
+ */
+app.get('/api/projects/:projectId/files/:fileId/raw', async (req, res) => {
+  const { projectId, fileId } = req.params;
+
+  try {
+    const file = db.prepare(`
+      SELECT path, content, content_location, encoding, mime_type
+      FROM project_files
+      WHERE id = ? AND project_id = ?
+    `).get(fileId, projectId);
+    if (!file) {
+      return res.status(404).json({ error: 'file_not_found' });
+    }
+    const bytes = await readFileBytes(file);
+    if (!bytes) return res.status(410).json({ error: 'file_content_missing' });
+
+    const mimeType = file.mime_type || 'application/octet-stream';
+    const filename = path.basename(file.path).replace(/[^\x20-\x7e]|["\\]/g, '_');
+    res.setHeader('Content-Type', file.encoding === 'binary' ? mimeType : `${mimeType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `${req.query.download ? 'attachment' : 'inline'}; filename="${filename}"`);
+    // Uploaded HTML or SVG must not run as this origin's page
+    res.setHeader('Content-Security-Policy', "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'; sandbox");
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.send(bytes);
+
+  } catch (err) {
+    console.error('File download error:', err);
+    const safeErr = publicGuard.sanitizeError(err);
+    res.status(500).json({ error: 'read_failed', message: publicGuard.isPublicMode() ? 'read failed' : safeErr.message });
+  }
+});
+
+/**
+ * PATCH /api/projects/:projectId/files/:fileId
+ * Update file metadata without re-uploading content. Body: { metadata } —
+ * keys are merged into the stored metadata; a null value removes the key.
+ * always_in_context must be a boolean.
+ */
+app.patch('/api/projects/:projectId/files/:fileId', publicGuard.blockFileMutationsMiddleware, (req, res) => {
+  const { projectId, fileId } = req.params;
+  const { metadata } = req.body || {};
+
+  try {
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+      return res.status(400).json({ error: 'metadata object is required' });
+    }
+    if (metadata.always_in_context !== undefined && metadata.always_in_context !== null && typeof metadata.always_in_context !== 'boolean') {
+      return res.status(400).json({ error: 'always_in_context must be a boolean' });
+    }
+
+    const file = db.prepare(`
+      SELECT metadata
+      FROM project_files
+      WHERE id = ? AND project_id = ?
+    `).get(fileId, projectId);
+    if (!file) {
+      return res.status(404).json({ error: 'file_not_found' });
+    }
+
+    const merged = parseFileMetadata(file.metadata);
+    for (const [key, value] of Object.entries(metadata)) {
+      if (value === null) delete merged[key];
+      else merged[key] = value;
+    }
+    const now = Date.now();
+    db.prepare('UPDATE project_files SET metadata = ?, updated_at = ? WHERE id = ?').run(JSON.stringify(merged), now, fileId);
+
+    res.json({ id: fileId, metadata: merged, updated_at: now });
+
+  } catch (err) {
+    console.error('File metadata update error:', err);
+    const safeErr = publicGuard.sanitizeError(err);
+    res.status(500).json({ error: 'update_failed', message: publicGuard.isPublicMode() ? 'update failed' : safeErr.message });
+  }
+});
+
 /**
  * DELETE /api/projects/:projectId/files/:fileId
  * Delete a file
@@ -717,10 +1446,10 @@ app.post('/api/projects/:projectId/search', (req, res) => {
 });
 
 // POST /api/turn
-// Body: { conversationId?, userMessage: string, targetModels: [{ provider: 'openai'|'anthropic'|..., modelId: string, name?: string, agentId?: string, options?: object }], systemPrompts?: { common?: string, perProvider?: object, perAgent?: Record<agentId,string>, perModel?: string[] } }
+// Body: { conversationId?, userMessage: string, imageAttachments?: [{ fileId } | { data, name? }], targetModels: [{ provider: 'openai'|'anthropic'|..., modelId: string, name?: string, agentId?: string, options?: object }], systemPrompts?: { common?: string, perProvider?: object, perAgent?: Record<agentId,string>, perModel?: string[] }, mode?: 'parallel'|'sequential'|'rounds:k', synthesizer?: { provider, modelId, name?, agentId?, options?, prompt?, includeInViews? } }
 app.post('/api/turn', async (req, res) => {
   try {
-    const { conversationId, userMessage, targetModels, systemPrompts, textAttachments } = req.body || {};
+    const { conversationId, projectId: requestedProjectId, userMessage, targetModels: requestedTargets, systemPrompts, textAttachments, imageAttachments, turnId: requestedTurnId, mode, synthesizer, visibility, tools, retrieval } = req.body || {};
     const dbg = debugEnabled(req);
 
     // PUBLIC_MODE: rate limit check
@@ -729,28 +1458,51 @@ app.post('/api/turn', async (req, res) => {
       return res.status(rateErr.status).json({ error: rateErr.error, message: rateErr.message, retryAfter: rateErr.retryAfter });
     }
 
+    // The conversation's project, else the requested one for a new
+    // conversation, else the default. Its settings fill in what the turn omits.
+    const existingConv = conversationId ? conversations.get(conversationId) : undefined;
+    // One turn or autonomous run at a time per conversation, or their rounds interleave
+    if (existingConv && conversationBusy(existingConv.id)) return res.status(409).json({ error: 'conversation_busy', message: 'A turn is still running in this conversation.' });
+    if (!existingConv && requestedProjectId !== undefined && typeof requestedProjectId !== 'string') {
+      return res.status(400).json({ error: 'invalid_project_id' });
+    }
+    const project = getProject(existingConv ? existingConv.projectId || getDefaultProjectId() : requestedProjectId || getDefaultProjectId());
+    if (!project) {
+      return res.status(404).json({ error: 'project_not_found' });
+    }
+    const targetModels = Array.isArray(requestedTargets) && requestedTargets.length ? requestedTargets : project.settings.default_agents;
+
     if (!userMessage || !Array.isArray(targetModels) || targetModels.length === 0) {
       return res.status(400).json({ error: 'userMessage and targetModels are required' });
     }
+    if (requestedTurnId !== undefined && (!isValidTurnId(requestedTurnId) || activeTurns.has(requestedTurnId))) {
+      return res.status(400).json({ error: 'invalid_turn_id' });
+    }
+    const turnMode = parseTurnMode(mode);
+    if (!turnMode) {
+      return res.status(400).json({ error: 'invalid_mode', message: `mode must be 'parallel', 'sequential' or 'rounds:k' (1 <= k <= ${MAX_REBUTTAL_PASSES})` });
+    }
+    const retrievalSettings = resolveRetrievalOptions(retrieval !== undefined ? retrieval : project.settings.retrieval);
+    if (retrievalSettings === undefined) {
+      return res.status(400).json({ error: 'invalid_retrieval', message: 'retrieval must be false or { maxTokens?, maxChunks? }' });
+    }
+    // Images are stored as project files, which PUBLIC_MODE does not allow
+    if (imageAttachments !== undefined && publicGuard.isPublicMode()) {
+      return res.status(403).json({ error: 'image_attachments_disabled', message: 'Image attachments are disabled in public sandbox mode.' });
+    }
+    const checkedImages = checkImageAttachments(project.id, imageAttachments);
+    if (checkedImages.error) {
+      return res.status(400).json({ error: checkedImages.error, message: checkedImages.message });
+    }
 
     // FIX 4: Validate message length and target count (PUBLIC_MODE)
-    const turnErr = publicGuard.validateTurnRequest(req.body);
+    const turnErr = publicGuard.validateTurnRequest({ ...req.body, targetModels });
     if (turnErr) {
       return res.status(turnErr.status).json({ error: turnErr.error, message: turnErr.message });
     }
 
     // FIX 1 + FIX 6: Prepare targets with sanitized options — BEFORE any state mutation
-    const clampMaxTokens = parseInt(process.env.PUBLIC_MAX_TOKENS_PER_TURN, 10);
-    const clampValue = publicGuard.isPublicMode()
-      ? (Number.isFinite(clampMaxTokens) && clampMaxTokens > 0 ? clampMaxTokens : 700)
-      : undefined;
-
-    // Determine dynamic capabilities for this turn (e.g., Gemini web search grounding)
-    function googleGroundingEnabled(options) {
-      const eb = options && options.extraBody;
-      const tools = eb && Array.isArray(eb.tools) ? eb.tools : [];
-      return tools.some((t) => t && (Object.prototype.hasOwnProperty.call(t, 'googleSearch') || Object.prototype.hasOwnProperty.call(t, 'googleSearchRetrieval')));
-    }
+    const clampValue = publicClampValue();
     const preparedTargets = targetModels.map((m, index) => {
       const provider = (m.provider || '').toLowerCase();
       const requestedModelId = m.modelId;
@@ -769,36 +1521,83 @@ app.post('/api/turn', async (req, res) => {
         agentId,
         options,
         index,
+        visibility: m.visibility,
+        tools: m.tools !== undefined ? m.tools : tools,
+        contextWindow: m.contextWindow,
       };
     });
 
-    // PUBLIC_MODE: allowlist check (after model ID resolution)
-    // IMPORTANT: This runs BEFORE any state mutation so nothing is persisted on rejection
-    const allowlistErr = publicGuard.checkAllowlist(preparedTargets);
-    if (allowlistErr) {
-      return res.status(allowlistErr.status).json({ error: allowlistErr.error, message: allowlistErr.message, allowedModels: allowlistErr.allowedModels });
+    // Server-side tools: true offers every registered tool, an array names
+    // them; a target's own `tools` overrides the turn's. PUBLIC_MODE drops
+    // them like the provider-native tools in options.
+    for (const target of preparedTargets) {
+      const resolved = resolveToolNames(publicGuard.isPublicMode() ? undefined : target.tools);
+      if (resolved.unknown) {
+        return res.status(400).json({ error: 'unknown_tool', message: `Unknown tool(s): ${resolved.unknown.join(', ')}`, available: listTools().map((t) => t.name) });
+      }
+      target.tools = resolved.names;
     }
 
-    // PUBLIC_MODE rate + budget guards — run BEFORE any persistence or
-    // reservation, so a rejected turn neither reserves budget nor writes a
-    // conversation. Peek BOTH, then commit BOTH (no await between) so a
-    // rate-limit rejection can't leave budget reserved, or vice-versa.
-    const realTargetCount = preparedTargets.filter(t => t.provider !== 'mock').length;
-    const effectiveClamp = clampValue || 700;
-    const budgetStatus = publicGuard.checkDailyBudget();   // already-spent before this turn?
-    const budgetBlocked = budgetStatus && budgetStatus.blocked;
-    if (publicGuard.isPublicMode() && realTargetCount > 0 && !budgetBlocked) {
-      const ip = publicGuard.getClientIp(req);
-      const ratePeek = publicGuard.peekRatePerCall(ip, realTargetCount);
-      if (ratePeek) {
-        return res.status(ratePeek.status).json({ error: ratePeek.error, message: ratePeek.message, retryAfter: ratePeek.retryAfter });
+    // Directed messages: @mentions pick who answers; visibility decides who
+    // may see the message (and, by default, the replies to it)
+    const userVisibility = resolveVisibility(visibility, preparedTargets);
+    if (userVisibility === null) {
+      return res.status(400).json({ error: 'invalid_visibility', message: 'visibility must be { to?: string[], hiddenFrom?: string[] }' });
+    }
+    for (const target of preparedTargets) {
+      const own = resolveVisibility(target.visibility, preparedTargets);
+      if (own === null) {
+        return res.status(400).json({ error: 'invalid_visibility', message: `targetModels[${target.index}].visibility must be { to?: string[], hiddenFrom?: string[] }` });
       }
-      const budgetPeek = publicGuard.peekBudget(realTargetCount, effectiveClamp);
-      if (budgetPeek && budgetPeek.blocked) {
-        return res.status(429).json({ error: 'budget_exceeded', message: budgetPeek.message });
+      target.visibility = own;
+    }
+    const mentioned = parseMentions(userMessage, preparedTargets);
+    const recipients = preparedTargets.filter((t) => (!mentioned.length || mentioned.includes(t.agentId)) && canSee(userVisibility, t.agentId));
+    if (!recipients.length) {
+      return res.status(400).json({ error: 'no_recipients', message: 'no target is both addressed and allowed to see this message' });
+    }
+
+    let synthTarget = null;
+    if (synthesizer !== undefined && synthesizer !== null) {
+      synthTarget = prepareSynthesizerTarget(synthesizer, clampValue);
+      if (!synthTarget || preparedTargets.some((t) => t.agentId === synthTarget.agentId)) {
+        return res.status(400).json({ error: 'invalid_synthesizer', message: 'synthesizer needs a provider and an agentId distinct from the targets' });
       }
-      publicGuard.consumeRatePerCall(ip, realTargetCount);
-      publicGuard.reserveBudget(realTargetCount, effectiveClamp);
+    }
+
+    // PUBLIC_MODE: allowlist check (after model ID resolution)
+    // IMPORTANT: This runs BEFORE any state mutation so nothing is persisted on rejection
+    const allowlistErr = publicGuard.checkAllowlist(synthTarget ? [...recipients, synthTarget] : recipients);
+    if (allowlistErr) {
+      return res.status(allowlistErr.status).json({ error: allowlistErr.error, message: allowlistErr.message, allowedModels: allowlistErr.allowedModels });
+    }
+
+    // Every provider call of the turn, in order: one per target per pass
+    const schedule = [];
+    for (let pass = 1; pass <= turnMode.passes; pass++) {
+      for (const target of recipients) schedule.push({ target, pass });
+    }
+
+    // Uploaded images become project files; the round keeps references. Stored
+    // before the PUBLIC_MODE reservation below, which a failed store could not
+    // give back; PUBLIC_MODE refuses images, so a rejected call stores none.
+    let images = [];
+    try {
+      images = await storeImageAttachments(project.id, checkedImages.images);
+    } catch (e) {
+      console.error('Storing image attachments failed:', e);
+      return res.status(500).json({ error: 'image_store_failed' });
+    }
+
+    // Checked again: another turn may have started while the images were stored
+    if (existingConv && conversationBusy(existingConv.id)) return res.status(409).json({ error: 'conversation_busy', message: 'A turn is still running in this conversation.' });
+
+    // PUBLIC_MODE rate + budget guards — BEFORE the conversation is touched
+    const calls = schedule.map(s => s.target);
+    if (synthTarget) calls.push(synthTarget);
+    const { budgetStatus, budgetBlocked, reject } = reservePublicCapacity(req, calls, clampValue);
+    if (reject) {
+      return res.status(reject.status).json(reject.body);
     }
 
     // Now safe to mutate state — load or create conversation
@@ -809,19 +1608,31 @@ app.post('/api/turn', async (req, res) => {
       conv = conversations.get(convId);
     } else {
       convId = newId('conv');
-      const defaultProjectId = getDefaultProjectId();
-      conv = { id: convId, rounds: [], perModelState: {}, projectId: defaultProjectId, projectName: 'Default Project' };
+      conv = { id: convId, title: `Conversation ${convId}`, archived: false, pinned: false, tags: [], rounds: [], perModelState: {}, projectId: project.id, projectName: project.name };
       conversations.set(convId, conv);
       isNewConversation = true;
     }
 
     // Start new round with the user's message
     const round = { user: { speaker: 'user', content: userMessage, ts: Date.now() }, agents: [] };
+    if (userVisibility) round.user.visibility = userVisibility;
+    if (mentioned.length) round.user.addressedTo = mentioned;
+    if (turnMode.mode !== 'parallel') round.mode = turnMode.mode;
+    if (images.length) round.user.images = images;
     if (Array.isArray(textAttachments) && textAttachments.length) {
       round.attachments = textAttachments.map((a) => ({ title: (a && a.title) || '', chars: (a && a.content ? String(a.content).length : 0) }));
     }
     conv.rounds.push(round);
 
+    // Auto-retrieval: project file passages for this message, shown to every
+    // agent that sees it. Only the chunk ids are kept with the round.
+    try {
+      const picked = retrieveContext(conv.projectId || getDefaultProjectId(), userMessage, conv.rounds, retrievalSettings);
+      if (picked) round.retrieval = picked;
+    } catch (e) {
+      console.error('Retrieval failed:', e);
+    }
+
     // FIX 4: Persist to SQLite — conversation row FIRST (for new convs), then messages
     // This preserves FK ordering: conversation_messages.conversation_id FK → conversations.id
     const roundNum = conv.rounds.length;
@@ -834,7 +1645,7 @@ app.post('/api/turn', async (req, res) => {
       `).run(
         convId,
         conv.projectId,
-        `Conversation ${convId}`,
+        conv.title,
         Date.now(),
         Date.now(),
         0
@@ -854,7 +1665,12 @@ app.post('/api/turn', async (req, res) => {
       userMessage,
       JSON.stringify({
         ts: round.user.ts,
-        attachments: round.attachments
+        attachments: round.attachments,
+        images: round.user.images,
+        retrieval: round.retrieval,
+        mode: round.mode,
+        visibility: round.user.visibility,
+        addressedTo: round.user.addressedTo
       }),
       round.user.ts
     );
@@ -880,36 +1696,61 @@ app.post('/api/turn', async (req, res) => {
       });
     }
 
-    const searchCapableAgents = [];
-    try {
-      for (const target of preparedTargets) {
-        if (target.provider !== 'google') continue;
-        if (googleGroundingEnabled(target.options)) {
-          const label = target.name ? `${target.name} (${target.modelId})` : target.modelId;
-          searchCapableAgents.push(label);
-        }
-      }
-    } catch { }
-    const capNote = searchCapableAgents.length
-      ? (
-        'Capabilities: The following agents have live web search via Google grounding and can fetch current information with citations when asked: ' +
-        searchCapableAgents.map((n) => `[${n}]`).join(', ') +
-        '. If you lack web access and need a search, propose that these agents perform it.'
-      )
-      : '';
+    const capNote = buildCapabilitiesNote(recipients);
 
     // FIX 6b: Don't double-count turns — rate is counted per real call by the
     // guard block above (which ran BEFORE persistence), not by trackTurn.
 
-    const mergedSystemPrompts = mergeSystemPrompts(systemPrompts);
+    const mergedSystemPrompts = mergeSystemPrompts(systemPrompts, project.settings.system_prompts);
 
-    const tasks = preparedTargets.map(async (target) => {
-      const { provider, requestedModelId, modelId, name, agentId, options, index } = target;
-      const adapter = getAdapter(provider);
+    // Register the turn so POST /api/turn/:turnId/cancel can abort its agents
+    const turnId = requestedTurnId || newId('turn');
+    const turnState = { conversationId: convId, controllers: new Map(), queued: new Map(), cancelled: new Map(), toolCalls: new Map(), filesChanged: new Map() };
+    for (const target of calls) {
+      turnState.queued.set(target.agentId, (turnState.queued.get(target.agentId) || 0) + 1);
+    }
+    activeTurns.set(turnId, turnState);
+
+    // Check if client wants streaming (SSE). Headers and the init event go out
+    // before the fan-out so token deltas can be forwarded as they arrive.
+    const acceptsSSE = req.headers.accept && req.headers.accept.includes('text/event-stream');
+    const sendEvent = (payload) => {
+      if (!res.writableEnded && !res.destroyed) res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    if (acceptsSSE) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.flushHeaders();
+
+      // Send conversation ID immediately
+      sendEvent({ type: 'init', conversationId: convId, turnId, round: roundNum, mode: turnMode.mode, ...(round.retrieval ? { retrieval: round.retrieval } : {}) });
+    }
+
+    // A client that goes away (tab closed, fetch aborted) should not leave
+    // provider calls running and billing.
+    res.on('close', () => {
+      if (!res.writableFinished) cancelTurn(turnId, undefined, 'client_disconnected');
+    });
+
+    const multiPass = turnMode.passes > 1;
+    const runTarget = async (target, pass) => {
+      const { provider, requestedModelId, modelId, name, agentId, options, index, tools: toolNames, contextWindow } = target;
+      turnState.queued.set(agentId, turnState.queued.get(agentId) - 1);
+      const passInfo = multiPass ? { pass } : {};
+      const shownTo = target.visibility || replyVisibility(round);
+      const visibilityInfo = shownTo ? { visibility: shownTo } : {};
+
+      // Cancelled while queued behind earlier agents: skip the call entirely
+      const skippedFor = turnState.cancelled.get(agentId) || turnState.cancelled.get('*');
+      if (skippedFor) {
+        return { agentId, provider, name, modelId, requestedModelId, ...passInfo, text: '', cancelled: true, cancelReason: skippedFor, skipped: true };
+      }
 
       // PUBLIC_MODE: budget kill-switch — real providers blocked, mock still works
       if (budgetBlocked && provider !== 'mock') {
-        return { agentId, provider, name, modelId, requestedModelId, error: budgetStatus.message, tokenUsage: undefined };
+        return { agentId, provider, name, modelId, requestedModelId, ...passInfo, error: budgetStatus.message, tokenUsage: undefined };
       }
       // Build system prompt with file context
       let system = buildSystemPrompt({
@@ -919,36 +1760,44 @@ app.post('/api/turn', async (req, res) => {
         projectName: conv.projectName || 'Default Project',
         conversationInfo: {
           round_count: conv.rounds.length,
-          summary: conv.summary
+          summary: conv.summary,
+          summaryRound: conv.summaryRound
         },
         systemPrompts: mergedSystemPrompts,
         agentId,
-        modelIndex: index
+        modelIndex: index,
+        turnMode: { mode: turnMode.mode, pass, passes: turnMode.passes },
+        tools: toolNames
       });
       if (capNote) system = [system, capNote].filter(Boolean).join('\n\n');
       // Build full-history messages per provider
       const stateKey = agentId || `${provider}:${modelId}:${index}`;
+      // Incremental text is only useful to an SSE client; plain JSON callers
+      // keep the non-streaming provider requests.
+      const controller = new AbortController();
+      turnState.controllers.set(agentId, controller);
+      let partialText = '';
+      const onDelta = acceptsSSE ? (delta) => {
+        partialText += delta;
+        sendEvent({ type: 'delta', agentId, ...passInfo, delta });
+      } : undefined;
+      const signal = controller.signal;
+      const toolSteps = [];
+      // Per-tool call limits span all of this agent's passes in the turn
+      if (!turnState.toolCalls.has(agentId)) turnState.toolCalls.set(agentId, new Map());
+      const callCounts = turnState.toolCalls.get(agentId);
+      // Project files this agent's commands saved (or could not save)
+      if (!turnState.filesChanged.has(agentId)) turnState.filesChanged.set(agentId, []);
+      const filesChanged = turnState.filesChanged.get(agentId);
+      const toolInfo = () => ({ ...(toolSteps.length ? { toolSteps } : {}), ...(filesChanged.length ? { filesChanged } : {}) });
+      const onToolEvent = acceptsSSE ? (evt) => sendEvent({ ...evt, agentId, ...passInfo }) : undefined;
       try {
-        let result;
         const providerState = conv.perModelState ? conv.perModelState[stateKey] : undefined;
-        if (provider === 'openai') {
-          const messages = buildMessagesForOpenAI(conv, userMessage, modelId, agentId, system, textAttachments);
-          result = await adapter({ model: modelId, messages, options, providerState });
-        } else if (provider === 'anthropic') {
-          const { system: sys, messages } = buildMessagesForAnthropic(conv, userMessage, modelId, agentId, system, textAttachments);
-          result = await adapter({ model: modelId, system: sys, messages, options, providerState });
-        } else if (provider === 'google') {
-          const { system: sys, messages } = buildMessagesForAnthropic(conv, userMessage, modelId, agentId, system, textAttachments);
-          result = await adapter({ model: modelId, system: sys, messages, options, providerState });
-        } else if (provider === 'xai') {
-          const messages = buildMessagesForOpenAI(conv, userMessage, modelId, agentId, system, textAttachments);
-          result = await adapter({ model: modelId, messages, options, providerState });
-        } else if (provider === 'mock') {
-          const messages = buildMessagesForOpenAI(conv, userMessage, modelId, agentId, system, textAttachments);
-          result = await adapter({ model: modelId, messages, options, providerState });
-        } else {
-          throw new Error(`Unsupported provider: ${provider}`);
-        }
+        const result = await callAgentWithTools(
+          conv,
+          { provider, modelId, agentId, system, userMessage, textAttachments, options, contextWindow, providerState, onDelta, signal },
+          { toolNames, steps: toolSteps, onToolEvent, context: { conversationId: convId, projectId: conv.projectId || getDefaultProjectId(), agentId, round: roundNum, callCounts, filesChanged } }
+        );
         const { text, usage } = result;
         const maxTokens = options && options.maxTokens !== undefined ? options.maxTokens : resolveMaxTokens(provider);
         const tokenUsage = summarizeUsage(provider, usage, maxTokens);
@@ -961,6 +1810,7 @@ app.post('/api/turn', async (req, res) => {
         if (result && result.providerState) {
           conv.perModelState = conv.perModelState || {};
           conv.perModelState[stateKey] = result.providerState;
+          saveModelState(convId, stateKey, roundNum, provider, result.providerState);
         }
         const msg = {
           speaker: `agent:${agentId || modelId}`,
@@ -973,32 +1823,16 @@ app.post('/api/turn', async (req, res) => {
           ts: Date.now(),
           usage,
           tokenUsage,
+          citations: citationsOf(result),
+          ...passInfo,
+          ...visibilityInfo,
+          ...toolInfo(),
         };
         round.agents.push(msg);
 
         // Persist agent message to SQLite
-        const agentMsgId = newId('msg');
-        db.prepare(`
-          INSERT INTO conversation_messages (id, conversation_id, round_number, speaker, content, metadata, created_at)
-          VALUES (?, ?, ?, ?, ?, ?, ?)
-        `).run(
-          agentMsgId,
-          convId,
-          roundNum,
-          msg.speaker,
-          msg.content,
-          JSON.stringify({
-            modelId: msg.modelId,
-            agentId: msg.agentId,
-            usage: msg.usage,
-            ts: msg.ts
-          }),
-          msg.ts
-        );
-
-        // Index for search; never let indexing break the turn
-        try { indexMessage(agentMsgId); } catch (e) { console.error('Message indexing failed:', e); }
-        const finishReason = result && result.meta && (result.meta.finish_reason || result.meta.finishReason || result.meta.stop_reason || (result.meta.promptFeedback && result.meta.promptFeedback.blockReason));
+        persistAgentMessage(convId, roundNum, msg);
+        const finishReason = result.toolLimitReached ? 'tool_limit' : finishReasonOf(result);
         if (dbg) {
           console.log('[turn] result', {
             provider,
@@ -1007,18 +1841,45 @@ app.post('/api/turn', async (req, res) => {
             modelId,
             requestedModelId,
             textChars: (text || '').length,
+            toolSteps: toolSteps.length,
             tokenUsage,
             finishReason,
+            contextTrim: result.contextTrim,
           });
         }
-        return { agentId, provider, name, modelId, requestedModelId, text, usage, tokenUsage, finishReason, meta: result && result.meta };
+        const trimInfo = result.contextTrim ? { contextTrim: result.contextTrim } : {};
+        return { agentId, provider, name, modelId, requestedModelId, ...passInfo, ...visibilityInfo, ...toolInfo(), text, usage, tokenUsage, finishReason, ...trimInfo, meta: result && result.meta };
       } catch (err) {
+        const maxTokens = options && options.maxTokens !== undefined ? options.maxTokens : resolveMaxTokens(provider);
+        if (signal.aborted) {
+          // Cancelled by the user or a client disconnect: keep the partial
+          // reply (if any streamed in) and mark it as cancelled.
+          const cancelReason = typeof signal.reason === 'string' ? signal.reason : 'user';
+          const msg = {
+            speaker: `agent:${agentId || modelId}`,
+            agentId,
+            provider,
+            modelId,
+            requestedModelId,
+            name,
+            content: partialText,
+            ts: Date.now(),
+            cancelled: true,
+            cancelReason,
+            ...passInfo,
+            ...visibilityInfo,
+            ...toolInfo(),
+          };
+          round.agents.push(msg);
+          persistAgentMessage(convId, roundNum, msg);
+          if (dbg) console.log('[turn] cancelled', { provider, agentId, name, modelId, cancelReason, partialChars: partialText.length });
+          return { agentId, provider, name, modelId, requestedModelId, ...passInfo, ...toolInfo(), text: partialText, cancelled: true, cancelReason, tokenUsage: summarizeUsage(provider, undefined, maxTokens) };
+        }
         // FIX 5: Sanitize error in PUBLIC_MODE
         const safeErr = publicGuard.sanitizeError(err);
         const errorMsg = publicGuard.isPublicMode()
           ? publicGuard.genericProviderError(provider) || safeErr.message
           : safeErr.message;
-        const maxTokens = options && options.maxTokens !== undefined ? options.maxTokens : resolveMaxTokens(provider);
         if (dbg) {
           console.log('[turn] error', {
             provider,
@@ -1029,43 +1890,106 @@ app.post('/api/turn', async (req, res) => {
             error: safeErr.message,
           });
         }
-        return { agentId, provider, name, modelId, requestedModelId, error: errorMsg, tokenUsage: summarizeUsage(provider, undefined, maxTokens) };
+        return { agentId, provider, name, modelId, requestedModelId, ...passInfo, error: errorMsg, tokenUsage: summarizeUsage(provider, undefined, maxTokens) };
+      } finally {
+        turnState.controllers.delete(agentId);
       }
-    });
+    };
 
-    // Check if client wants streaming (SSE)
-    const acceptsSSE = req.headers.accept && req.headers.accept.includes('text/event-stream');
+    // Parallel fans out at once; ordered modes chain the calls so each agent's
+    // view includes the replies given before it this round.
+    let chain = Promise.resolve();
+    const tasks = schedule.map(({ target, pass }) => {
+      if (turnMode.mode === 'parallel') return runTarget(target, pass);
+      const task = chain.then(() => runTarget(target, pass));
+      chain = task.catch(() => { });
+      return task;
+    });
 
-    if (acceptsSSE) {
-      // Stream responses as they arrive
-      res.setHeader('Content-Type', 'text/event-stream');
-      res.setHeader('Cache-Control', 'no-cache');
-      res.setHeader('Connection', 'keep-alive');
-      res.flushHeaders();
+    // The synthesizer reads the finished round, so it starts once every agent
+    // call has settled
+    const runSynthesis = async () => {
+      const { provider, requestedModelId, modelId, name, agentId, options, prompt, includeInViews } = synthTarget;
+      turnState.queued.set(agentId, turnState.queued.get(agentId) - 1);
+      const base = { agentId, provider, name, modelId, requestedModelId, role: 'synthesizer', includeInViews };
+      const skippedFor = turnState.cancelled.get(agentId) || turnState.cancelled.get('*');
+      if (skippedFor) return { ...base, text: '', cancelled: true, cancelReason: skippedFor, skipped: true };
+      if (!round.agents.some((a) => a.content && !a.cancelled)) {
+        return { ...base, error: 'no agent replies to synthesize', skipped: true };
+      }
+      if (budgetBlocked && provider !== 'mock') return { ...base, error: budgetStatus.message };
 
-      // Send conversation ID immediately
-      res.write(`data: ${JSON.stringify({ type: 'init', conversationId: convId })}\n\n`);
+      const controller = new AbortController();
+      turnState.controllers.set(agentId, controller);
+      const onDelta = acceptsSSE ? (delta) => sendEvent({ type: 'delta', agentId, role: 'synthesizer', delta }) : undefined;
+      const maxTokens = options && options.maxTokens !== undefined ? options.maxTokens : resolveMaxTokens(provider);
+      try {
+        const system = replaceModelId(prompt, modelId);
+        const result = await callSynthesizer({ provider, modelId, system, input: buildSynthesisInput(round), options, onDelta, signal: controller.signal });
+        const { text, usage } = result;
+        const tokenUsage = summarizeUsage(provider, usage, maxTokens);
+        if (usage) publicGuard.recordUsage(provider, tokenUsage && (tokenUsage.total || tokenUsage.used));
+        const msg = {
+          speaker: `synthesizer:${agentId}`,
+          agentId,
+          provider,
+          modelId,
+          requestedModelId,
+          name,
+          content: text || '',
+          ts: Date.now(),
+          usage,
+          tokenUsage,
+          citations: citationsOf(result),
+          includeInViews,
+          disagreements: parseDisagreements(text),
+        };
+        round.synthesis = msg;
+        persistAgentMessage(convId, roundNum, msg);
+        if (dbg) console.log('[turn] synthesis', { provider, agentId, modelId, textChars: (text || '').length, disagreements: msg.disagreements.length });
+        return { ...base, text, usage, tokenUsage, disagreements: msg.disagreements, finishReason: finishReasonOf(result), meta: result && result.meta };
+      } catch (err) {
+        if (controller.signal.aborted) {
+          return { ...base, text: '', cancelled: true, cancelReason: typeof controller.signal.reason === 'string' ? controller.signal.reason : 'user', tokenUsage: summarizeUsage(provider, undefined, maxTokens) };
+        }
+        const safeErr = publicGuard.sanitizeError(err);
+        if (dbg) console.log('[turn] synthesis error', { provider, agentId, modelId, error: safeErr.message });
+        return { ...base, error: publicGuard.isPublicMode() ? 'model service unavailable' : safeErr.message, tokenUsage: summarizeUsage(provider, undefined, maxTokens) };
+      } finally {
+        turnState.controllers.delete(agentId);
+      }
+    };
+    const synthesisTask = synthTarget ? Promise.allSettled(tasks).then(runSynthesis) : Promise.resolve(null);
+    Promise.allSettled([...tasks, synthesisTask]).then(() => {
+      activeTurns.delete(turnId);
+      maybeTitle(conv);
+      maybeSummarize(conv);
+    });
 
+    if (acceptsSSE) {
       let completed = 0;
       const total = tasks.length;
 
+      // If all done, run the synthesizer (if any), finalize and close
+      const finish = async () => {
+        const synthesis = await synthesisTask;
+        if (synthesis) sendEvent({ type: 'synthesis', result: synthesis });
+        // FIX 4: Autosave disabled in PUBLIC_MODE
+        if (conv.autoSave && conv.autoSave.enabled && !publicGuard.isPublicMode()) {
+          writeTranscript(conv, conv.autoSave.format || 'md')
+            .then(p => { if (dbg) console.log('[autosave] wrote', p); })
+            .catch(e => { if (dbg) console.log('[autosave] failed', e && e.message ? e.message : e); });
+        }
+        sendEvent({ type: 'done' });
+        res.end();
+      };
+
       // Process promises as they resolve
       for (let i = 0; i < tasks.length; i++) {
         tasks[i].then(result => {
           completed++;
-          res.write(`data: ${JSON.stringify({ type: 'result', result, completed, total })}\n\n`);
-
-          // If all done, finalize and close
-          if (completed === total) {
-            // FIX 4: Autosave disabled in PUBLIC_MODE
-            if (conv.autoSave && conv.autoSave.enabled && !publicGuard.isPublicMode()) {
-              writeTranscript(conv, conv.autoSave.format || 'md')
-                .then(p => { if (dbg) console.log('[autosave] wrote', p); })
-                .catch(e => { if (dbg) console.log('[autosave] failed', e && e.message ? e.message : e); });
-            }
-            res.write(`data: ${JSON.stringify({ type: 'done' })}\n\n`);
-            res.end();
-          }
+          sendEvent({ type: 'result', result, completed, total });
+          if (completed === total) finish();
         }).catch(err => {
           console.error('Task error:', err);
           completed++;
@@ -1074,17 +1998,14 @@ app.post('/api/turn', async (req, res) => {
             provider: 'unknown',
             error: publicGuard.isPublicMode() ? 'model service unavailable' : (err.message || 'Unknown error')
           };
-          res.write(`data: ${JSON.stringify({ type: 'result', result: errorResult, completed, total })}\n\n`);
-
-          if (completed === total) {
-            res.write(`data: ${JSON.stringify({ type: 'done' })}\n\n`);
-            res.end();
-          }
+          sendEvent({ type: 'result', result: errorResult, completed, total });
+          if (completed === total) finish();
         });
       }
     } else {
       // Legacy non-streaming response
       const results = await Promise.all(tasks);
+      const synthesis = await synthesisTask;
       // FIX 4: Autosave disabled in PUBLIC_MODE
       if (conv.autoSave && conv.autoSave.enabled && !publicGuard.isPublicMode()) {
         try {
@@ -1094,7 +2015,7 @@ app.post('/api/turn', async (req, res) => {
           if (dbg) console.log('[autosave] failed', e && e.message ? e.message : e);
         }
       }
-      res.json({ conversationId: convId, results });
+      res.json({ conversationId: convId, turnId, round: roundNum, results, ...(round.retrieval ? { retrieval: round.retrieval } : {}), ...(synthesis ? { synthesis } : {}) });
     }
   } catch (e) {
     // FIX 5: Sanitize error in PUBLIC_MODE
@@ -1106,6 +2027,973 @@ app.post('/api/turn', async (req, res) => {
   }
 });
 
+// POST /api/turn/:turnId/cancel
+// Body: { agentId? } — abort one agent, or every still-running agent of the turn
+app.post('/api/turn/:turnId/cancel', (req, res) => {
+  const { turnId } = req.params;
+  const { agentId } = req.body || {};
+  if (!activeTurns.has(turnId)) {
+    return res.status(404).json({ error: 'turn_not_found' });
+  }
+  const cancelled = cancelTurn(turnId, typeof agentId === 'string' ? agentId : undefined, 'user');
+  res.json({ ok: true, turnId, cancelled });
+});
+
+// Index of an agent's reply in a round; multi-pass rounds hold one per pass
+function findReplyIndex(round, agentId, pass) {
+  return (round.agents || []).findIndex((a) => a.agentId === agentId && (a.pass || 1) === (pass || 1));
+}
+
+// Resolve who to re-run for a past reply: the stored reply's provider/model/
+// name, overridden by the request. Returns null when the provider is unknown.
+function prepareRerunTarget(agentId, existing, overrides = {}) {
+  const provider = String(overrides.provider || (existing && existing.provider) || '').toLowerCase();
+  if (!provider) return null;
+  const requestedModelId = overrides.modelId || (existing && (existing.requestedModelId || existing.modelId));
+  const modelId = (resolveModelId(provider, requestedModelId) || '').toLowerCase();
+  const name = typeof overrides.name === 'string' ? overrides.name.trim() : ((existing && existing.name) || '');
+  const clampValue = publicClampValue();
+  let options = buildOptions(provider, overrides.options);
+  options = publicGuard.clampMaxTokens(options);
+  options = publicGuard.sanitizeOptions(options, modelId, clampValue);
+  const pass = Number.isInteger(overrides.pass) ? overrides.pass : (existing && existing.pass);
+  return { provider, requestedModelId, modelId, name, agentId, options, index: Number.isInteger(overrides.modelIndex) ? overrides.modelIndex : undefined, pass, contextWindow: overrides.contextWindow };
+}
+
+/**
+ * Re-run one agent for round roundNum (1-based) with the view it had then:
+ * the earlier rounds, that round's user message and the provider state it
+ * carried into the round. The new reply replaces the stored one in place
+ * (previous content kept under versions); without a stored reply it is
+ * added, which is how autonomous rounds collect theirs. On provider failure
+ * the stored reply is left untouched and the returned result carries `error`.
+ */
+async function rerunAgent(conv, roundNum, target, { systemPrompts, signal, onDelta } = {}) {
+  const { provider, requestedModelId, modelId, name, agentId, options, index, pass, contextWindow } = target;
+  const round = conv.rounds[roundNum - 1];
+  const existingIndex = findReplyIndex(round, agentId, pass);
+  // In an ordered round the agent only saw the replies given before its own
+  const viewRound = { ...round, agents: existingIndex >= 0 ? round.agents.slice(0, existingIndex) : round.agents };
+  // The summary the round was first answered with, not one of later rounds
+  const summary = conv.summaryRound < roundNum ? { summary: conv.summary, throughRound: conv.summaryRound } : summaryBefore(conv.id, roundNum);
+  const view = { ...conv, summary: summary ? summary.summary : undefined, summaryRound: summary ? summary.throughRound : undefined, rounds: [...conv.rounds.slice(0, roundNum - 1), viewRound] };
+  const userMessage = (round.user && round.user.content) || '';
+  const turnMode = parseTurnMode(round.mode) || { mode: 'parallel', passes: 1 };
+  const passInfo = pass ? { pass } : {};
+  const shownTo = (existingIndex >= 0 && round.agents[existingIndex].visibility) || target.visibility || replyVisibility(round);
+  const visibilityInfo = shownTo ? { visibility: shownTo } : {};
+  let system = buildSystemPrompt({
+    modelId,
+    provider,
+    projectId: conv.projectId || getDefaultProjectId(),
+    projectName: conv.projectName || 'Default Project',
+    conversationInfo: {
+      round_count: roundNum,
+      summary: view.summary,
+      summaryRound: view.summaryRound
+    },
+    systemPrompts: mergeSystemPrompts(systemPrompts, projectSettings(conv.projectId || getDefaultProjectId()).system_prompts),
+    agentId,
+    modelIndex: index,
+    turnMode: { mode: turnMode.mode, pass: pass || 1, passes: turnMode.passes }
+  });
+  const capNote = buildCapabilitiesNote([target]);
+  if (capNote) system = [system, capNote].filter(Boolean).join('\n\n');
+  const providerState = loadModelStateBefore(conv.id, agentId, roundNum);
+
+  const maxTokens = options && options.maxTokens !== undefined ? options.maxTokens : resolveMaxTokens(provider);
+  let result;
+  try {
+    result = await callAgent(view, { provider, modelId, agentId, system, userMessage, options, contextWindow, providerState, onDelta, signal });
+  } catch (err) {
+    if (signal && signal.aborted) throw err;
+    const safeErr = publicGuard.sanitizeError(err);
+    const errorMsg = publicGuard.isPublicMode()
+      ? publicGuard.genericProviderError(provider) || safeErr.message
+      : safeErr.message;
+    return { agentId, provider, name, modelId, requestedModelId, ...passInfo, error: errorMsg, tokenUsage: summarizeUsage(provider, undefined, maxTokens) };
+  }
+
+  const { text, usage } = result;
+  const tokenUsage = summarizeUsage(provider, usage, maxTokens);
+  if (usage) {
+    const totalTokens = tokenUsage && (tokenUsage.total || tokenUsage.used);
+    publicGuard.recordUsage(provider, totalTokens);
+  }
+
+  const msg = {
+    speaker: `agent:${agentId}`,
+    agentId,
+    provider,
+    modelId,
+    requestedModelId,
+    name,
+    content: text || '',
+    ts: Date.now(),
+    usage,
+    tokenUsage,
+    citations: citationsOf(result),
+    ...passInfo,
+    ...visibilityInfo,
+  };
+  if (existingIndex >= 0) {
+    const existing = round.agents[existingIndex];
+    const previous = { content: existing.content, modelId: existing.modelId, provider: existing.provider, ts: existing.ts, usage: existing.usage };
+    if (existing.cancelled) previous.cancelled = true;
+    if (existing.stale) previous.stale = true;
+    msg.versions = [...(existing.versions || []), previous];
+    round.agents[existingIndex] = msg;
+  } else {
+    round.agents.push(msg);
+  }
+  replaceAgentMessage(conv.id, roundNum, msg);
+
+  // Always rewrite this round's state so a reply without state does not
+  // leave the replaced one's behind
+  saveModelState(conv.id, agentId, roundNum, provider, result.providerState);
+  conv.perModelState = loadModelState(conv.id);
+
+  const trimInfo = result.contextTrim ? { contextTrim: result.contextTrim } : {};
+  return { agentId, provider, name, modelId, requestedModelId, ...passInfo, text, usage, tokenUsage, finishReason: finishReasonOf(result), ...trimInfo, meta: result.meta, versions: msg.versions ? msg.versions.length : 0 };
+}
+
+// Reserve PUBLIC_MODE capacity for re-runs and answer the request if refused.
+// Returns true when the caller may proceed.
+function admitRerun(req, res, targets) {
+  const allowlistErr = publicGuard.checkAllowlist(targets);
+  if (allowlistErr) {
+    res.status(allowlistErr.status).json({ error: allowlistErr.error, message: allowlistErr.message, allowedModels: allowlistErr.allowedModels });
+    return false;
+  }
+  const { budgetStatus, budgetBlocked, reject } = reservePublicCapacity(req, targets, publicClampValue());
+  if (reject) {
+    res.status(reject.status).json(reject.body);
+    return false;
+  }
+  if (budgetBlocked && targets.some(t => t.provider !== 'mock')) {
+    res.status(429).json({ error: 'budget_exceeded', message: budgetStatus.message });
+    return false;
+  }
+  return true;
+}
+
+function autosaveAfterEdit(conv) {
+  // FIX 4: Autosave disabled in PUBLIC_MODE
+  if (conv.autoSave && conv.autoSave.enabled && !publicGuard.isPublicMode()) {
+    writeTranscript(conv, conv.autoSave.format || 'md').catch(e => console.error('[autosave] failed', e && e.message ? e.message : e));
+  }
+}
+
+// POST /api/conversation/:id/rounds/:n/regenerate
+// Body: { agentId, pass?, provider?, modelId?, name?, options?, systemPrompts?, modelIndex? }
+// Re-runs one agent for round n (see rerunAgent). provider/modelId/name
+// default to the stored reply; they are required when the agent has none
+// (its call errored).
+app.post('/api/conversation/:id/rounds/:n/regenerate', async (req, res) => {
+  try {
+    const rateErr = publicGuard.rateLimitCheck(req);
+    if (rateErr) {
+      return res.status(rateErr.status).json({ error: rateErr.error, message: rateErr.message, retryAfter: rateErr.retryAfter });
+    }
+
+    const convId = req.params.id;
+    const conv = conversations.get(convId);
+    if (!conv) return res.status(404).json({ error: 'not_found' });
+    if (conversationBusy(convId)) return res.status(409).json({ error: 'conversation_busy', message: 'A turn is still running in this conversation.' });
+
+    const roundNum = Number(req.params.n);
+    if (!Number.isInteger(roundNum) || roundNum < 1 || roundNum > conv.rounds.length) {
+      return res.status(400).json({ error: 'invalid_round' });
+    }
+    const { agentId, systemPrompts } = req.body || {};
+    if (!agentId || typeof agentId !== 'string') {
+      return res.status(400).json({ error: 'agentId_required' });
+    }
+
+    const round = conv.rounds[roundNum - 1];
+    const existing = round.agents[findReplyIndex(round, agentId, req.body.pass)];
+    const target = prepareRerunTarget(agentId, existing, req.body);
+    if (!target) return res.status(400).json({ error: 'provider_required' });
+    if (!admitRerun(req, res, [target])) return;
+
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort('client_disconnected');
+    });
+
+    let result;
+    try {
+      result = await rerunAgent(conv, roundNum, target, { systemPrompts, signal: controller.signal });
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      throw err;
+    }
+    if (!result.error) {
+      db.prepare('UPDATE conversations SET updated_at = ? WHERE id = ?').run(Date.now(), convId);
+      autosaveAfterEdit(conv);
+    }
+    res.json({ conversationId: convId, round: roundNum, result });
+  } catch (e) {
+    const safeErr = publicGuard.sanitizeError(e);
+    res.status(500).json({ error: 'regenerate_failed', detail: publicGuard.isPublicMode() ? 'internal_error' : String(safeErr.message) });
+  }
+});
+
+// POST /api/conversation/:id/rounds/:n/edit
+// Body: { userMessage, mode?: 'stale'|'replay', targetModels?, systemPrompts? }
+// Rewrites round n's user message (previous text kept in metadata.edits).
+// 'stale' (default) flags every agent reply from round n on as stale;
+// 'replay' re-runs those rounds in order against the same agents, so each
+// later round sees the replayed replies. targetModels entries (matched by
+// agentId) override provider/modelId/name/options for the re-runs.
+// Summary versions covering round n or later are dropped.
+app.post('/api/conversation/:id/rounds/:n/edit', async (req, res) => {
+  try {
+    const convId = req.params.id;
+    const conv = conversations.get(convId);
+    if (!conv) return res.status(404).json({ error: 'not_found' });
+    if (conversationBusy(convId)) return res.status(409).json({ error: 'conversation_busy', message: 'A turn is still running in this conversation.' });
+
+    const roundNum = Number(req.params.n);
+    if (!Number.isInteger(roundNum) || roundNum < 1 || roundNum > conv.rounds.length) {
+      return res.status(400).json({ error: 'invalid_round' });
+    }
+    const { userMessage, mode = 'stale', targetModels, systemPrompts } = req.body || {};
+    if (typeof userMessage !== 'string' || !userMessage.trim()) {
+      return res.status(400).json({ error: 'userMessage_required' });
+    }
+    if (mode !== 'stale' && mode !== 'replay') {
+      return res.status(400).json({ error: 'invalid_mode' });
+    }
+    if (conv.rounds[roundNum - 1].user.speaker === 'orchestrator') {
+      return res.status(400).json({ error: 'orchestrator_round', message: 'autonomous rounds have no user message to edit' });
+    }
+    const turnErr = publicGuard.validateTurnRequest({ userMessage });
+    if (turnErr) {
+      return res.status(turnErr.status).json({ error: turnErr.error, message: turnErr.message });
+    }
+
+    // Work out every re-run up front so PUBLIC_MODE can admit or refuse the
+    // whole replay before anything changes
+    const overrides = new Map((Array.isArray(targetModels) ? targetModels : [])
+      .filter((t) => t && typeof t.agentId === 'string')
+      .map((t) => [t.agentId, t]));
+    const plan = [];
+    if (mode === 'replay') {
+      const rateErr = publicGuard.rateLimitCheck(req);
+      if (rateErr) {
+        return res.status(rateErr.status).json({ error: rateErr.error, message: rateErr.message, retryAfter: rateErr.retryAfter });
+      }
+      for (let r = roundNum; r <= conv.rounds.length; r++) {
+        const targets = [];
+        for (const agent of conv.rounds[r - 1].agents) {
+          if (!agent.agentId) continue;
+          const { pass, ...override } = overrides.get(agent.agentId) || {};
+          const target = prepareRerunTarget(agent.agentId, agent, override);
+          if (target) targets.push(target);
+        }
+        plan.push({ round: r, targets });
+      }
+      if (!admitRerun(req, res, plan.flatMap((p) => p.targets))) return;
+    }
+
+    const round = conv.rounds[roundNum - 1];
+    const previous = round.user.content;
+    const edit = { content: previous, ts: round.user.ts, editedAt: Date.now() };
+    round.user = { ...round.user, content: userMessage, edits: [...(round.user.edits || []), edit] };
+    updateUserMessage(convId, roundNum, round.user);
+
+    // Every reply from this round on answered the old text
+    for (let r = roundNum; r <= conv.rounds.length; r++) {
+      for (const agent of conv.rounds[r - 1].agents) agent.stale = true;
+      if (conv.rounds[r - 1].synthesis) conv.rounds[r - 1].synthesis.stale = true;
+    }
+    markRepliesStale(convId, roundNum);
+
+    // Summaries covering this round summed up the old text
+    const kept = dropSummariesFrom(convId, roundNum);
+    conv.summary = kept ? kept.summary : undefined;
+    conv.summaryRound = kept ? kept.throughRound : undefined;
+
+    const replayed = [];
+    if (mode === 'replay') {
+      const controller = new AbortController();
+      res.on('close', () => {
+        if (!res.writableFinished) controller.abort('client_disconnected');
+      });
+      try {
+        for (const step of plan) {
+          const rerun = (target) => rerunAgent(conv, step.round, target, { systemPrompts, signal: controller.signal });
+          let results;
+          if (isOrderedRound(conv.rounds[step.round - 1])) {
+            results = [];
+            for (const target of step.targets) results.push(await rerun(target));
+          } else {
+            results = await Promise.all(step.targets.map(rerun));
+          }
+          replayed.push({ round: step.round, results });
+        }
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        throw err;
+      }
+    }
+
+    db.prepare('UPDATE conversations SET updated_at = ? WHERE id = ?').run(Date.now(), convId);
+    autosaveAfterEdit(conv);
+
+    const stale = conv.rounds.slice(roundNum - 1).reduce((n, r) => n + r.agents.filter((a) => a.stale).length, 0);
+    res.json({ conversationId: convId, round: roundNum, mode, user: round.user, replayed, stale });
+  } catch (e) {
+    const safeErr = publicGuard.sanitizeError(e);
+    res.status(500).json({ error: 'edit_failed', detail: publicGuard.isPublicMode() ? 'internal_error' : String(safeErr.message) });
+  }
+});
+
+// Automatic titles: once the first round is answered, a conversation still
+// carrying its placeholder title is named by TITLE_PROVIDER / TITLE_MODEL,
+// or from the first user message when no title model is set or it fails.
+const titlesInFlight = new Set();
+
+async function generateTitle(conv) {
+  const round = conv.rounds[0];
+  const provider = (process.env.TITLE_PROVIDER || '').toLowerCase();
+  // PUBLIC_MODE never spends real-provider tokens on titles
+  if (provider && (!publicGuard.isPublicMode() || provider === 'mock')) {
+    const modelId = (resolveModelId(provider, process.env.TITLE_MODEL) || '').toLowerCase();
+    try {
+      // Same stateless call as the synthesizer
+      const result = await callSynthesizer({ provider, modelId, system: TITLE_PROMPT, input: buildTitleInput(round), options: buildOptions(provider, { maxTokens: 256 }) });
+      const title = cleanTitle(result.text);
+      if (title) return title;
+    } catch (e) {
+      console.error('[title] model failed, using the first message', e && e.message ? e.message : e);
+    }
+  }
+  return heuristicTitle(round.user && round.user.content);
+}
+
+function maybeTitle(conv) {
+  if (conv.titleSource || !conv.rounds.length || titlesInFlight.has(conv.id)) return;
+  titlesInFlight.add(conv.id);
+  generateTitle(conv)
+    .then((title) => {
+      if (title && setAutoTitle(conv.id, title)) {
+        conv.title = title;
+        conv.titleSource = 'auto';
+      }
+    })
+    .catch((e) => console.error('[title] failed', e && e.message ? e.message : e))
+    .finally(() => titlesInFlight.delete(conv.id));
+}
+
+// PATCH /api/conversation/:id
+// Body: { title?, archived?, pinned?, tags?, projectId? } — rename (the title
+// is then never replaced automatically), archive, pin, tag or move a
+// conversation to another project.
+app.patch('/api/conversation/:id', (req, res) => {
+  try {
+    if (publicGuard.isPublicMode()) {
+      return res.status(403).json({ error: 'conversation_update_disabled', message: 'Conversations cannot be changed in public sandbox mode.' });
+    }
+    const conv = conversations.get(req.params.id);
+    if (!conv) return res.status(404).json({ error: 'not_found' });
+    const { title, archived, pinned, tags, projectId } = req.body || {};
+    const patch = {};
+    let target = null;
+    if (projectId !== undefined) {
+      if (typeof projectId !== 'string' || !projectId) return res.status(400).json({ error: 'invalid_project_id' });
+      target = getProject(projectId);
+      if (!target) return res.status(404).json({ error: 'project_not_found' });
+    }
+    if (title !== undefined) {
+      if (typeof title !== 'string' || !title.trim()) return res.status(400).json({ error: 'invalid_title', message: 'title must be a non-empty string' });
+      patch.title = title.trim().replace(/\s+/g, ' ').slice(0, MAX_TITLE_CHARS);
+    }
+    for (const [key, value] of [['archived', archived], ['pinned', pinned]]) {
+      if (value === undefined) continue;
+      if (typeof value !== 'boolean') return res.status(400).json({ error: `invalid_${key}`, message: `${key} must be a boolean` });
+      patch[key] = value;
+    }
+    if (tags !== undefined) {
+      patch.tags = normalizeTags(tags === null ? [] : tags);
+      if (!patch.tags) return res.status(400).json({ error: 'invalid_tags', message: 'tags must be an array of strings' });
+    }
+    if (!Object.keys(patch).length && !target) return res.status(400).json({ error: 'nothing_to_update' });
+
+    if (target && target.id !== conv.projectId) {
+      if (!moveConversation(conv.id, target.id)) return res.status(404).json({ error: 'not_found' });
+      conv.projectId = target.id;
+      conv.project_id = target.id;
+      conv.projectName = target.name;
+    }
+    const meta = updateConversationMeta(conv.id, patch);
+    if (!meta) return res.status(404).json({ error: 'not_found' });
+    Object.assign(conv, meta);
+    res.json({ conversationId: conv.id, projectId: conv.projectId, ...meta });
+  } catch (e) {
+    const safeErr = publicGuard.sanitizeError(e);
+    res.status(500).json({ error: 'update_failed', detail: publicGuard.isPublicMode() ? 'internal_error' : String(safeErr.message) });
+  }
+});
+
+// ============================================================================
+// Deleting conversations, rounds and replies
+// ============================================================================
+
+const DELETE_DISABLED = { error: 'conversation_delete_disabled', message: 'Conversations cannot be deleted in public sandbox mode.' };
+
+// Drop deleted conversations from memory and their agents' working
+// directories; forks of them lose their parent link
+function forgetConversations(ids) {
+  for (const id of ids) {
+    conversations.delete(id);
+    removeWorkspaces(id).catch((e) => console.error('Failed to remove workspaces:', e.message));
+  }
+  for (const conv of conversations.values()) {
+    if (ids.includes(conv.parentConversationId)) conv.parentConversationId = undefined;
+  }
+}
+
+// A turn or autorun still writing to the conversation
+function conversationBusy(id) {
+  return [...activeTurns.values()].some((turn) => turn.conversationId === id);
+}
+
+// Reload a conversation from SQLite after rows under it changed, in place so
+// holders of the object see the change; autosave settings live only in memory
+function refreshConversation(conv) {
+  const fresh = loadConversationFromSQLite(conv.id);
+  if (fresh) Object.assign(conv, fresh, { autoSave: conv.autoSave });
+  return conv;
+}
+
+// DELETE /api/conversation/:id[?trash=1]
+// Removes the conversation with its messages, search chunks, summaries and
+// carry-forward state (foreign keys cascade), and its autosaved transcripts.
+// Forks of it are kept and simply lose their parent link. With trash=1 the
+// conversation is moved to the trash instead (see /api/trash).
+app.delete('/api/conversation/:id', async (req, res) => {
+  try {
+    if (publicGuard.isPublicMode()) return res.status(403).json(DELETE_DISABLED);
+    const id = req.params.id;
+    if (conversationBusy(id)) return res.status(409).json({ error: 'conversation_busy', message: 'A turn is still running in this conversation.' });
+    const toTrash = req.query.trash === '1' || req.query.trash === 'true';
+    const done = toTrash ? trashConversation(id) : purgeConversation(id);
+    if (!done && !conversations.has(id)) return res.status(404).json({ error: 'not_found' });
+    if (toTrash) {
+      conversations.delete(id);
+      removeWorkspaces(id).catch((e) => console.error('Failed to remove workspaces:', e.message));
+      return res.json({ conversationId: id, trashed: true });
+    }
+    forgetConversations([id]);
+    await removeTranscripts(id);
+    res.json({ conversationId: id, deleted: true });
+  } catch (e) {
+    const safeErr = publicGuard.sanitizeError(e);
+    res.status(500).json({ error: 'delete_failed', detail: publicGuard.isPublicMode() ? 'internal_error' : String(safeErr.message) });
+  }
+});
+
+// GET /api/trash?project_id=
+// Conversations in the trash, most recently deleted first (all projects
+// unless project_id is given).
+app.get('/api/trash', (req, res) => {
+  try {
+    if (publicGuard.isPublicMode()) return res.status(403).json(DELETE_DISABLED);
+    const projectId = typeof req.query.project_id === 'string' && req.query.project_id ? req.query.project_id : undefined;
+    res.json({ conversations: listTrash(projectId) });
+  } catch (e) {
+    res.status(500).json({ error: 'trash_failed', detail: String(e.message) });
+  }
+});
+
+// POST /api/conversation/:id/restore
+// Takes a conversation out of the trash; its messages are searchable again.
+app.post('/api/conversation/:id/restore', (req, res) => {
+  try {
+    if (publicGuard.isPublicMode()) return res.status(403).json(DELETE_DISABLED);
+    const id = req.params.id;
+    if (!restoreConversation(id)) return res.status(404).json({ error: 'not_in_trash' });
+    const conv = loadConversationFromSQLite(id);
+    conversations.set(id, conv);
+    res.json({ conversationId: id, restored: true, title: conv.title, projectId: conv.projectId });
+  } catch (e) {
+    res.status(500).json({ error: 'restore_failed', detail: String(e.message) });
+  }
+});
+
+// DELETE /api/trash?project_id=
+// Deletes every conversation in the trash for good.
+app.delete('/api/trash', async (req, res) => {
+  try {
+    if (publicGuard.isPublicMode()) return res.status(403).json(DELETE_DISABLED);
+    const projectId = typeof req.query.project_id === 'string' && req.query.project_id ? req.query.project_id : undefined;
+    const ids = emptyTrash(projectId);
+    forgetConversations(ids);
+    for (const id of ids) await removeTranscripts(id);
+    res.json({ deleted: ids.length, conversationIds: ids });
+  } catch (e) {
+    res.status(500).json({ error: 'delete_failed', detail: String(e.message) });
+  }
+});
+
+// Shared checks of the round/reply deletes: resolves { conv, roundNum } or
+// sends the error and resolves nothing
+function deletableRound(req, res) {
+  if (publicGuard.isPublicMode()) {
+    res.status(403).json(DELETE_DISABLED);
+    return null;
+  }
+  const conv = conversations.get(req.params.id);
+  if (!conv) {
+    res.status(404).json({ error: 'not_found' });
+    return null;
+  }
+  if (conversationBusy(conv.id)) {
+    res.status(409).json({ error: 'conversation_busy', message: 'A turn is still running in this conversation.' });
+    return null;
+  }
+  const roundNum = Number(req.params.n);
+  if (!Number.isInteger(roundNum) || roundNum < 1 || roundNum > conv.rounds.length) {
+    res.status(400).json({ error: 'invalid_round' });
+    return null;
+  }
+  return { conv, roundNum };
+}
+
+// DELETE /api/conversation/:id/rounds/:n
+// Removes round n (the user message and every reply). Later rounds move up
+// by one; summaries covering round n are dropped.
+app.delete('/api/conversation/:id/rounds/:n', (req, res) => {
+  try {
+    const target = deletableRound(req, res);
+    if (!target) return;
+    const { conv, roundNum } = target;
+    if (!deleteRound(conv.id, roundNum)) return res.status(404).json({ error: 'not_found' });
+    refreshConversation(conv);
+    autosaveAfterEdit(conv);
+    res.json({ conversationId: conv.id, round: roundNum, deleted: true, rounds: conv.rounds.length });
+  } catch (e) {
+    const safeErr = publicGuard.sanitizeError(e);
+    res.status(500).json({ error: 'delete_failed', detail: publicGuard.isPublicMode() ? 'internal_error' : String(safeErr.message) });
+  }
+});
+
+// DELETE /api/conversation/:id/rounds/:n/agents/:agentId?pass=
+// Removes one agent reply of round n (pass 1 unless given).
+app.delete('/api/conversation/:id/rounds/:n/agents/:agentId', (req, res) => {
+  try {
+    const target = deletableRound(req, res);
+    if (!target) return;
+    const { conv, roundNum } = target;
+    const pass = req.query.pass === undefined ? 1 : Number(req.query.pass);
+    if (!Number.isInteger(pass) || pass < 1) return res.status(400).json({ error: 'invalid_pass' });
+    const { agentId } = req.params;
+    if (!deleteAgentReply(conv.id, roundNum, agentId, pass)) return res.status(404).json({ error: 'reply_not_found' });
+    refreshConversation(conv);
+    autosaveAfterEdit(conv);
+    res.json({ conversationId: conv.id, round: roundNum, agentId, pass, deleted: true });
+  } catch (e) {
+    const safeErr = publicGuard.sanitizeError(e);
+    res.status(500).json({ error: 'delete_failed', detail: publicGuard.isPublicMode() ? 'internal_error' : String(safeErr.message) });
+  }
+});
+
+// DELETE /api/conversation/:id/rounds/:n/synthesis
+// Removes round n's synthesis.
+app.delete('/api/conversation/:id/rounds/:n/synthesis', (req, res) => {
+  try {
+    const target = deletableRound(req, res);
+    if (!target) return;
+    const { conv, roundNum } = target;
+    if (!deleteSynthesis(conv.id, roundNum)) return res.status(404).json({ error: 'synthesis_not_found' });
+    refreshConversation(conv);
+    autosaveAfterEdit(conv);
+    res.json({ conversationId: conv.id, round: roundNum, deleted: true });
+  } catch (e) {
+    const safeErr = publicGuard.sanitizeError(e);
+    res.status(500).json({ error: 'delete_failed', detail: publicGuard.isPublicMode() ? 'internal_error' : String(safeErr.message) });
+  }
+});
+
+// Rolling summaries: every SUMMARY_EVERY_ROUNDS rounds (0 turns this off) the
+// conversation is summarized in the background into conv.summary, which the
+// system prompt shows every agent. Each run folds the rounds since the last
+// summary into it; every version is kept (db/summaries.js).
+const SUMMARY_EVERY_ROUNDS = parseInt(process.env.SUMMARY_EVERY_ROUNDS || '10', 10);
+// Characters of one message the summarizer reads
+const SUMMARY_MAX_MESSAGE_CHARS = 4000;
+const summariesInFlight = new Set();
+
+const SUMMARIZER_PROMPT = process.env.SUMMARIZER_DEFAULT_PROMPT ||
+  'You are {{modelId}}, keeping the running summary of a multi-model chat between a person and several AI models.' +
+  ' You are given the previous summary, if there is one, and the rounds since, with replies tagged like [ModelName]:.' +
+  ' Write the updated summary of the whole conversation: the goals, the decisions and conclusions so far, who holds which position where the models disagree, and the open questions.' +
+  ' Stay under 300 words, keep names, figures and file paths exactly, and output only the summary.';
+
+// Summarizer model: the request's provider/modelId, else SUMMARY_PROVIDER /
+// SUMMARY_MODEL, else the first agent that answered the latest round
+function resolveSummarizer(conv, spec = {}) {
+  let provider = typeof spec.provider === 'string' && spec.provider.trim() ? spec.provider.trim().toLowerCase() : undefined;
+  let requestedModelId = provider ? spec.modelId : undefined;
+  if (!provider && process.env.SUMMARY_PROVIDER) {
+    provider = process.env.SUMMARY_PROVIDER.toLowerCase();
+    requestedModelId = process.env.SUMMARY_MODEL;
+  }
+  if (!provider) {
+    const last = conv.rounds[conv.rounds.length - 1];
+    const agent = last && (last.agents || []).find((a) => a.provider && a.modelId && a.content);
+    if (!agent) return null;
+    provider = agent.provider;
+    requestedModelId = agent.modelId;
+  }
+  const modelId = (resolveModelId(provider, requestedModelId) || '').toLowerCase();
+  return { provider, modelId, options: buildOptions(provider, spec.options) };
+}
+
+// What the summarizer reads: the previous summary and rounds fromRound..toRound.
+// Directed messages and replies are left out, since every agent sees the summary.
+function buildSummaryInput(rounds, fromRound, toRound, previous) {
+  const clip = (text) => (text.length > SUMMARY_MAX_MESSAGE_CHARS ? `${text.slice(0, SUMMARY_MAX_MESSAGE_CHARS)}...` : text);
+  const parts = [];
+  if (previous) parts.push(`Previous summary (rounds 1-${fromRound - 1}):\n${previous}`);
+  for (let n = fromRound; n <= toRound; n++) {
+    const r = rounds[n - 1];
+    if (!r) continue;
+    const lines = [`Round ${n}`];
+    if (!r.user.visibility) lines.push(`${roundSpeaker(r)}: ${clip((r.user.content || '').trim())}`);
+    for (const a of r.agents || []) {
+      const text = (a.content || '').trim();
+      if (!text || a.cancelled || a.visibility) continue;
+      lines.push(`[${a.name || a.modelId || 'agent'}]: ${clip(text)}`);
+    }
+    if (lines.length > 1) parts.push(lines.join('\n'));
+  }
+  return parts.join('\n\n');
+}
+
+/**
+ * Summarize conv through its latest round and store the result as a new
+ * version. Rolls the previous summary forward unless spec.full is set or
+ * there is none. Returns the stored version (with usage), or null when no
+ * round is left to summarize. Throws when no model can be picked or the
+ * model returns nothing.
+ */
+async function summarizeConversation(conv, spec = {}) {
+  const toRound = conv.rounds.length;
+  const rolling = !spec.full && !!conv.summary;
+  const fromRound = rolling ? (conv.summaryRound || 0) + 1 : 1;
+  if (!toRound || fromRound > toRound) return null;
+  const target = resolveSummarizer(conv, spec);
+  if (!target) throw new Error('no model to summarize with');
+  const { provider, modelId, options } = target;
+  summariesInFlight.add(conv.id);
+  try {
+    // Same stateless call as the synthesizer
+    const result = await callSynthesizer({
+      provider,
+      modelId,
+      system: replaceModelId(SUMMARIZER_PROMPT, modelId),
+      input: buildSummaryInput(conv.rounds, fromRound, toRound, rolling ? conv.summary : undefined),
+      options,
+    });
+    const summary = (result.text || '').trim();
+    if (!summary) throw new Error('summarizer returned no text');
+    const saved = saveSummary(conv.id, { summary, throughRound: toRound, provider, modelId });
+    conv.summary = summary;
+    conv.summaryRound = toRound;
+    return { ...saved, usage: result.usage };
+  } finally {
+    summariesInFlight.delete(conv.id);
+  }
+}
+
+// Background summary after a turn, once SUMMARY_EVERY_ROUNDS rounds have
+// passed since the last one. PUBLIC_MODE only summarizes with mock models.
+function maybeSummarize(conv) {
+  if (!SUMMARY_EVERY_ROUNDS || SUMMARY_EVERY_ROUNDS < 1 || summariesInFlight.has(conv.id)) return;
+  if (conv.rounds.length - (conv.summaryRound || 0) < SUMMARY_EVERY_ROUNDS) return;
+  if (publicGuard.isPublicMode()) {
+    const target = resolveSummarizer(conv);
+    if (!target || target.provider !== 'mock') return;
+  }
+  summarizeConversation(conv)
+    .catch((e) => console.error('[summary] failed', e && e.message ? e.message : e));
+}
+
+// POST /api/conversation/:id/summarize
+// Body: { provider?, modelId?, options?, full? } — summarize now instead of
+// waiting for SUMMARY_EVERY_ROUNDS; full: true starts over from round 1
+// instead of rolling the previous summary forward.
+app.post('/api/conversation/:id/summarize', async (req, res) => {
+  try {
+    if (publicGuard.isPublicMode()) {
+      return res.status(403).json({ error: 'summarize_disabled', message: 'Summaries on demand are disabled in public sandbox mode.' });
+    }
+    const conv = conversations.get(req.params.id);
+    if (!conv) return res.status(404).json({ error: 'not_found' });
+    if (!conv.rounds.length) return res.status(400).json({ error: 'nothing_to_summarize' });
+    if (summariesInFlight.has(conv.id)) return res.status(409).json({ error: 'summary_in_progress' });
+    const { provider, modelId, options, full } = req.body || {};
+    if (provider !== undefined && (typeof provider !== 'string' || !Object.prototype.hasOwnProperty.call(DEFAULT_MODELS, provider.trim().toLowerCase()))) {
+      return res.status(400).json({ error: 'invalid_provider' });
+    }
+    if (!resolveSummarizer(conv, { provider })) return res.status(400).json({ error: 'no_summarizer', message: 'Pass provider/modelId; no agent has replied yet.' });
+    const saved = await summarizeConversation(conv, { provider, modelId, options, full: full === true });
+    if (!saved) {
+      // Nothing new since the current summary
+      return res.json({ conversationId: conv.id, unchanged: true, ...latestSummary(conv.id) });
+    }
+    res.json({ conversationId: conv.id, ...saved });
+  } catch (e) {
+    const safeErr = publicGuard.sanitizeError(e);
+    res.status(500).json({ error: 'summarize_failed', detail: publicGuard.isPublicMode() ? 'internal_error' : String(safeErr.message) });
+  }
+});
+
+// GET /api/conversation/:id/summaries - every summary version, newest first
+app.get('/api/conversation/:id/summaries', (req, res) => {
+  const conv = conversations.get(req.params.id);
+  if (!conv) return res.status(404).json({ error: 'not_found' });
+  res.json({ conversationId: conv.id, summaries: listSummaries(conv.id) });
+});
+
+// Autonomous runs: the agents keep talking among themselves, one round per
+// iteration, until a stop condition is hit.
+const MAX_AUTONOMOUS_ROUNDS = 10;
+const DEFAULT_CONSENSUS_MARKER = '[CONSENSUS]';
+
+// The synthetic orchestrator entry that opens each autonomous round
+function orchestratorMessage(index, maxRounds, consensusMarker) {
+  let text = `Autonomous round ${index} of ${maxRounds}: the person is not replying, so continue the discussion among yourselves. Respond to the other agents' latest points and move the answer forward.`;
+  if (consensusMarker) text += ` If you agree with the others and have nothing to add, include ${consensusMarker} in your reply.`;
+  return text;
+}
+
+function resultTokens(result) {
+  const usage = result && result.tokenUsage;
+  return (usage && (usage.total || usage.used)) || 0;
+}
+
+// POST /api/conversation/:id/autorun
+// Body: { targetModels?, systemPrompts?, maxRounds?, tokenBudget?, consensusMarker?, turnId? }
+// Runs up to maxRounds rounds in which every agent answers the accumulated
+// history. targetModels defaults to the agents of the last round. Stops early
+// on tokenBudget (total tokens of the run), consensus (every reply of a round
+// contains consensusMarker; '' disables) or POST /api/turn/:turnId/cancel.
+// Refused (409) while another turn is still running in the conversation.
+app.post('/api/conversation/:id/autorun', async (req, res) => {
+  try {
+    const convId = req.params.id;
+    const conv = conversations.get(convId);
+    if (!conv) return res.status(404).json({ error: 'not_found' });
+    if (conversationBusy(convId)) return res.status(409).json({ error: 'conversation_busy', message: 'A turn is still running in this conversation.' });
+    if (!conv.rounds.length) return res.status(400).json({ error: 'empty_conversation' });
+
+    const { targetModels, systemPrompts, maxRounds = 3, tokenBudget, consensusMarker = DEFAULT_CONSENSUS_MARKER, turnId: requestedTurnId } = req.body || {};
+    if (!Number.isInteger(maxRounds) || maxRounds < 1 || maxRounds > MAX_AUTONOMOUS_ROUNDS) {
+      return res.status(400).json({ error: 'invalid_max_rounds', message: `maxRounds must be an integer from 1 to ${MAX_AUTONOMOUS_ROUNDS}` });
+    }
+    if (tokenBudget !== undefined && (!Number.isInteger(tokenBudget) || tokenBudget < 1)) {
+      return res.status(400).json({ error: 'invalid_token_budget' });
+    }
+    if (typeof consensusMarker !== 'string') {
+      return res.status(400).json({ error: 'invalid_consensus_marker' });
+    }
+    if (requestedTurnId !== undefined && (!isValidTurnId(requestedTurnId) || activeTurns.has(requestedTurnId))) {
+      return res.status(400).json({ error: 'invalid_turn_id' });
+    }
+    const rateErr = publicGuard.rateLimitCheck(req);
+    if (rateErr) {
+      return res.status(rateErr.status).json({ error: rateErr.error, message: rateErr.message, retryAfter: rateErr.retryAfter });
+    }
+
+    // Who takes part: the request's targets, else whoever answered last round
+    let targets;
+    if (Array.isArray(targetModels) && targetModels.length) {
+      targets = targetModels.map((m, index) => {
+        const provider = (m.provider || '').toLowerCase();
+        const modelId = (resolveModelId(provider, m.modelId) || '').toLowerCase();
+        const agentId = normalizeAgentId(provider, modelId, m.agentId, index);
+        return prepareRerunTarget(agentId, null, { ...m, modelIndex: index });
+      });
+    } else {
+      targets = conv.rounds[conv.rounds.length - 1].agents
+        .filter((a) => a.agentId && !a.pass)
+        .map((a) => prepareRerunTarget(a.agentId, a, {}));
+    }
+    if (!targets.length || targets.some((t) => !t)) {
+      return res.status(400).json({ error: 'targets_required' });
+    }
+    if (!admitRerun(req, res, Array.from({ length: maxRounds }, () => targets).flat())) return;
+
+    const turnId = requestedTurnId || newId('turn');
+    const turnState = { conversationId: convId, controllers: new Map(), queued: new Map(), cancelled: new Map() };
+    activeTurns.set(turnId, turnState);
+    res.on('close', () => {
+      if (!res.writableFinished) cancelTurn(turnId, undefined, 'client_disconnected');
+    });
+
+    const acceptsSSE = (req.headers.accept || '').includes('text/event-stream');
+    const sendEvent = (payload) => {
+      if (acceptsSSE && !res.writableEnded && !res.destroyed) res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    };
+    if (acceptsSSE) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.flushHeaders();
+      sendEvent({ type: 'init', conversationId: convId, turnId, maxRounds });
+    }
+
+    const rounds = [];
+    let tokens = 0;
+    let stopReason = 'max_rounds';
+    try {
+      for (let index = 1; index <= maxRounds; index++) {
+        if (turnState.cancelled.has('*')) { stopReason = 'cancelled'; break; }
+        const active = targets.filter((t) => !turnState.cancelled.has(t.agentId));
+        if (!active.length) { stopReason = 'cancelled'; break; }
+
+        // Open the round with the orchestrator entry, persisted like a user message
+        const round = { user: { speaker: 'orchestrator', content: orchestratorMessage(index, maxRounds, consensusMarker), ts: Date.now() }, agents: [] };
+        conv.rounds.push(round);
+        const roundNum = conv.rounds.length;
+        db.prepare(`
+          INSERT INTO conversation_messages (id, conversation_id, round_number, speaker, content, metadata, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(newId('msg'), convId, roundNum, 'orchestrator', round.user.content, JSON.stringify({ ts: round.user.ts, turnId }), round.user.ts);
+        db.prepare('UPDATE conversations SET updated_at = ?, round_count = ? WHERE id = ?').run(Date.now(), roundNum, convId);
+        sendEvent({ type: 'round_start', round: roundNum, index, user: round.user });
+
+        const results = await Promise.all(active.map(async (target) => {
+          const controller = new AbortController();
+          turnState.controllers.set(target.agentId, controller);
+          const onDelta = acceptsSSE ? (delta) => sendEvent({ type: 'delta', round: roundNum, agentId: target.agentId, delta }) : undefined;
+          try {
+            const result = await rerunAgent(conv, roundNum, target, { systemPrompts, signal: controller.signal, onDelta });
+            sendEvent({ type: 'result', round: roundNum, result });
+            return result;
+          } catch (err) {
+            if (!controller.signal.aborted) throw err;
+            const cancelReason = typeof controller.signal.reason === 'string' ? controller.signal.reason : 'user';
+            const result = { agentId: target.agentId, provider: target.provider, name: target.name, modelId: target.modelId, requestedModelId: target.requestedModelId, text: '', cancelled: true, cancelReason };
+            sendEvent({ type: 'result', round: roundNum, result });
+            return result;
+          } finally {
+            turnState.controllers.delete(target.agentId);
+          }
+        }));
+
+        const replies = results.filter((r) => !r.error && !r.cancelled);
+        const roundTokens = results.reduce((n, r) => n + resultTokens(r), 0);
+        tokens += roundTokens;
+        const consensus = !!consensusMarker && replies.length > 0 && replies.length === results.length
+          && replies.every((r) => (r.text || '').includes(consensusMarker));
+        rounds.push({ round: roundNum, index, results, tokens: roundTokens, consensus });
+        sendEvent({ type: 'round_end', round: roundNum, index, tokens: roundTokens, totalTokens: tokens, consensus });
+
+        if (turnState.cancelled.has('*')) { stopReason = 'cancelled'; break; }
+        if (!replies.length) { stopReason = 'no_replies'; break; }
+        if (consensus) { stopReason = 'consensus'; break; }
+        if (tokenBudget && tokens >= tokenBudget) { stopReason = 'token_budget'; break; }
+      }
+    } finally {
+      activeTurns.delete(turnId);
+    }
+
+    autosaveAfterEdit(conv);
+    maybeSummarize(conv);
+    if (acceptsSSE) {
+      sendEvent({ type: 'stop', reason: stopReason, rounds: rounds.length, totalTokens: tokens });
+      sendEvent({ type: 'done' });
+      res.end();
+    } else {
+      res.json({ conversationId: convId, turnId, rounds, stopReason, totalTokens: tokens });
+    }
+  } catch (e) {
+    const safeErr = publicGuard.sanitizeError(e);
+    const detail = publicGuard.isPublicMode() ? 'internal_error' : String(safeErr.message);
+    if (res.headersSent) {
+      if (!res.writableEnded) {
+        res.write(`data: ${JSON.stringify({ type: 'error', error: 'autorun_failed', detail })}\n\n`);
+        res.end();
+      }
+      return;
+    }
+    res.status(500).json({ error: 'autorun_failed', detail });
+  }
+});
+
+// POST /api/conversation/:id/fork
+// Body: { round?, title? } — copies rounds 1..round (default: all) into a new
+// conversation linked to this one; continue it with /api/turn as usual.
+app.post('/api/conversation/:id/fork', (req, res) => {
+  try {
+    const sourceId = req.params.id;
+    const source = conversations.get(sourceId);
+    if (!source) return res.status(404).json({ error: 'not_found' });
+
+    const { round, title } = req.body || {};
+    const roundNum = round === undefined ? source.rounds.length : Number(round);
+    if (!Number.isInteger(roundNum) || roundNum < 1 || roundNum > source.rounds.length) {
+      return res.status(400).json({ error: 'invalid_round' });
+    }
+
+    const { id, messageIds } = forkConversation(sourceId, roundNum, { title: typeof title === 'string' ? title.trim() : undefined });
+    // Index for search; never let indexing break the fork
+    for (const msgId of messageIds) {
+      try { indexMessage(msgId); } catch (e) { console.error('Message indexing failed:', e); }
+    }
+
+    const row = db.prepare('SELECT * FROM conversations WHERE id = ?').get(id);
+    const forkSummary = latestSummary(id);
+    const fork = {
+      id,
+      projectId: source.projectId,
+      project_id: source.projectId,
+      projectName: source.projectName,
+      ...conversationMeta(row),
+      summary: row.summary || undefined,
+      summaryRound: forkSummary ? forkSummary.throughRound : undefined,
+      parentConversationId: sourceId,
+      forkedFromRound: roundNum,
+      rounds: JSON.parse(JSON.stringify(source.rounds.slice(0, roundNum))),
+      perModelState: loadModelState(id),
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+    conversations.set(id, fork);
+
+    res.json({ ok: true, conversationId: id, parentConversationId: sourceId, forkedFromRound: roundNum, title: fork.title });
+  } catch (e) {
+    const safeErr = publicGuard.sanitizeError(e);
+    res.status(500).json({ error: 'fork_failed', detail: publicGuard.isPublicMode() ? 'internal_error' : String(safeErr.message) });
+  }
+});
+
+// GET /api/conversation/:id/branches
+// Direct forks of this conversation, plus the whole family tree (from its
+// root) with nested `branches` for the UI.
+app.get('/api/conversation/:id/branches', (req, res) => {
+  try {
+    const id = req.params.id;
+    const tree = getBranchTree(id);
+    if (!tree) return res.status(404).json({ error: 'not_found' });
+    const row = db.prepare('SELECT parent_conversation_id, forked_from_round FROM conversations WHERE id = ?').get(id);
+    res.json({
+      conversationId: id,
+      parentConversationId: row.parent_conversation_id || null,
+      forkedFromRound: row.forked_from_round || null,
+      branches: listBranches(id),
+      tree
+    });
+  } catch (e) {
+    res.status(500).json({ error: 'branches_failed', detail: publicGuard.isPublicMode() ? 'internal_error' : String(e.message) });
+  }
+});
+
 // Fetch a conversation (simple inspection)
 app.get('/api/conversation/:id', (req, res) => {
   const id = req.params.id;
@@ -1113,16 +3001,9 @@ app.get('/api/conversation/:id', (req, res) => {
   // Try in-memory first
   let conv = conversations.get(id);
 
-  // If not in memory, load from SQLite
+  // If not in memory, load from SQLite (conversations in the trash stay out)
   if (!conv) {
-    const dbConv = db.prepare('SELECT * FROM conversations WHERE id = ?').get(id);
-    if (!dbConv) {
-      return res.status(404).json({ error: 'not_found' });
-    }
-
-    // Load messages and reconstruct
-    const loaded = loadConversationsFromSQLite();
-    conv = loaded.get(id);
+    conv = loadConversationFromSQLite(id);
 
     if (!conv) {
       return res.status(404).json({ error: 'not_found' });
@@ -1143,7 +3024,7 @@ app.get('/api/conversation/:id/export', async (req, res) => {
     const conv = conversations.get(id);
     if (!conv) return res.status(404).json({ error: 'not_found' });
     if (format === 'json') {
-      const body = JSON.stringify({ id: conv.id, rounds: conv.rounds }, null, 2);
+      const body = JSON.stringify({ id: conv.id, rounds: conv.rounds, perModelState: conv.perModelState || {} }, null, 2);
       res.setHeader('Content-Type', 'application/json; charset=utf-8');
       res.setHeader('Content-Disposition', `attachment; filename="conversation-${id}.json"`);
       return res.send(body);
@@ -1185,21 +3066,47 @@ app.post('/api/conversation/:id/autosave', (req, res) => {
 });
 
 // Preview the provider-specific view for the next turn (no API call)
-// Body: { conversationId?, provider, modelId, agentId?, userMessage?, systemPrompts?, textAttachments? }
+// Body: { conversationId?, provider, modelId, agentId?, userMessage?, systemPrompts?, textAttachments?, mode?, visibility?, targetModels?, retrieval?, options?, contextWindow? }
+// targetModels (the turn's other targets) lets @Name mentions and names in
+// visibility resolve the way /api/turn would; willReply tells whether this
+// agent would be asked to answer. retrieval lists the project passages the
+// turn would inject (they are in the view too); contextTrim, when present,
+// tells which earlier rounds the context window leaves out.
 app.post('/api/preview-view', (req, res) => {
   try {
-    const { conversationId, provider, modelId: requestedModelId, agentId, userMessage, systemPrompts, textAttachments } = req.body || {};
+    const { conversationId, projectId, provider, modelId: requestedModelId, agentId, userMessage, systemPrompts, textAttachments, mode, visibility, targetModels, retrieval, options, contextWindow } = req.body || {};
     if (!provider) return res.status(400).json({ error: 'provider_required' });
-    const modelId = resolveModelId(provider, requestedModelId);
+    const turnMode = parseTurnMode(mode);
+    if (!turnMode) return res.status(400).json({ error: 'invalid_mode' });
 
     // Load conversation or create an empty one for preview
     let conv;
-    if (conversationId && conversations.has(conversationId)) conv = conversations.get(conversationId);
-    else conv = { id: conversationId || '(preview)', rounds: [], perModelState: {}, projectId: getDefaultProjectId(), projectName: 'Default Project' };
+    if (conversationId && conversations.has(conversationId)) {
+      conv = conversations.get(conversationId);
+    } else {
+      const project = getProject(typeof projectId === 'string' && projectId ? projectId : getDefaultProjectId());
+      if (!project) return res.status(404).json({ error: 'project_not_found' });
+      conv = { id: conversationId || '(preview)', rounds: [], perModelState: {}, projectId: project.id, projectName: project.name };
+    }
+    const settings = projectSettings(conv.projectId || getDefaultProjectId());
+    const retrievalSettings = resolveRetrievalOptions(retrieval !== undefined ? retrieval : settings.retrieval);
+    if (retrievalSettings === undefined) return res.status(400).json({ error: 'invalid_retrieval' });
+    const others = (Array.isArray(targetModels) ? targetModels : [])
+      .filter((t) => t && typeof t.agentId === 'string')
+      .map((t) => ({ agentId: t.agentId, name: typeof t.name === 'string' ? t.name.trim() : '' }));
+    if (agentId && !others.some((t) => t.agentId === agentId)) others.push({ agentId, name: '' });
+    const userVisibility = resolveVisibility(visibility, others);
+    if (userVisibility === null) return res.status(400).json({ error: 'invalid_visibility' });
+    const mentioned = parseMentions(userMessage, others);
+    const willReply = canSee(userVisibility, agentId) && (!mentioned.length || mentioned.includes(agentId));
+    const modelId = resolveModelId(provider, requestedModelId);
 
     // Make a shallow copy and push a synthetic current round
-    const convCopy = { id: conv.id, rounds: [...(conv.rounds || [])], perModelState: { ...(conv.perModelState || {}) } };
-    convCopy.rounds.push({ user: { speaker: 'user', content: userMessage || '', ts: Date.now() }, agents: [] });
+    const convCopy = { id: conv.id, summary: conv.summary, summaryRound: conv.summaryRound, rounds: [...(conv.rounds || [])], perModelState: { ...(conv.perModelState || {}) } };
+    const previewRound = { user: { speaker: 'user', content: userMessage || '', ts: Date.now(), visibility: userVisibility }, agents: [] };
+    convCopy.rounds.push(previewRound);
+    const picked = userMessage ? retrieveContext(conv.projectId || getDefaultProjectId(), userMessage, convCopy.rounds, retrievalSettings) : null;
+    if (picked) previewRound.retrieval = picked;
 
     const system = buildSystemPrompt({
       modelId,
@@ -1208,25 +3115,28 @@ app.post('/api/preview-view', (req, res) => {
       projectName: conv.projectName || 'Default Project',
       conversationInfo: {
         round_count: convCopy.rounds.length,
-        summary: conv.summary
+        summary: conv.summary,
+        summaryRound: conv.summaryRound
       },
-      systemPrompts: mergeSystemPrompts(systemPrompts),
-      agentId
+      systemPrompts: mergeSystemPrompts(systemPrompts, settings.system_prompts),
+      agentId,
+      turnMode: { mode: turnMode.mode, pass: 1, passes: turnMode.passes }
     });
+    const fitted = fitViewToWindow(convCopy, { provider, modelId, agentId, system, userMessage: userMessage || '', textAttachments, options: buildOptions(provider, options), contextWindow });
     let view;
     if (provider === 'openai' || provider === 'xai') {
-      const messages = buildMessagesForOpenAI(convCopy, userMessage || '', modelId, agentId, system, textAttachments);
+      const messages = buildMessagesForOpenAI(fitted.conv, userMessage || '', modelId, agentId, fitted.system, textAttachments);
       view = { messages };
     } else if (provider === 'anthropic' || provider === 'google') {
-      const { system: sys, messages } = buildMessagesForAnthropic(convCopy, userMessage || '', modelId, agentId, system, textAttachments);
+      const { system: sys, messages } = buildMessagesForAnthropic(fitted.conv, userMessage || '', modelId, agentId, fitted.system, textAttachments);
       view = { system: sys, messages };
     } else if (provider === 'mock') {
-      const messages = buildMessagesForOpenAI(convCopy, userMessage || '', modelId, agentId, system, textAttachments);
+      const messages = buildMessagesForOpenAI(fitted.conv, userMessage || '', modelId, agentId, fitted.system, textAttachments);
       view = { messages };
     } else {
       return res.status(400).json({ error: 'unsupported_provider' });
     }
-    res.json({ provider, requestedModelId, modelId, system, view });
+    res.json({ provider, requestedModelId, modelId, system: fitted.system, view, willReply, retrieval: picked, ...(fitted.trim ? { contextTrim: fitted.trim } : {}) });
   } catch (e) {
     res.status(500).json({ error: 'preview_failed', detail: publicGuard.isPublicMode() ? 'internal_error' : String(e && e.message ? e.message : e) });
   }
@@ -1280,36 +3190,59 @@ app.get('/api/models', async (req, res) => {
   }
 });
 
-// GET /api/conversations - List all conversations
+// GET /api/tools – server-side tools /api/turn can offer the models
+// (none in PUBLIC_MODE, where they are dropped)
+app.get('/api/tools', (req, res) => {
+  res.json({ tools: publicGuard.isPublicMode() ? [] : listTools() });
+});
+
+// GET /api/conversations - List conversations, pinned first, then by last update
+// Query: project_id?, limit?, offset?, archived? ('true' = only archived,
+// 'all' = both; default leaves archived ones out), tag?
 app.get('/api/conversations', (req, res) => {
   try {
     const projectId = req.query.project_id || getDefaultProjectId();
     const limit = parseInt(req.query.limit) || 50;
     const offset = parseInt(req.query.offset) || 0;
 
+    const where = ['project_id = ?', 'deleted_at IS NULL'];
+    const params = [projectId];
+    if (req.query.archived === 'true') where.push('archived = 1');
+    else if (req.query.archived !== 'all') where.push('COALESCE(archived, 0) = 0');
+    if (typeof req.query.tag === 'string' && req.query.tag) {
+      where.push("json_valid(tags) AND EXISTS (SELECT 1 FROM json_each(tags) WHERE value = ?)");
+      params.push(req.query.tag);
+    }
+
     const convs = db.prepare(`
       SELECT
         id,
         project_id,
         title,
+        title_source,
         summary,
+        archived,
+        pinned,
+        tags,
         created_at,
         updated_at,
-        round_count
+        round_count,
+        parent_conversation_id,
+        forked_from_round
       FROM conversations
-      WHERE project_id = ?
-      ORDER BY updated_at DESC
+      WHERE ${where.join(' AND ')}
+      ORDER BY pinned DESC, updated_at DESC
       LIMIT ? OFFSET ?
-    `).all(projectId, limit, offset);
+    `).all(...params, limit, offset);
 
     const total = db.prepare(`
       SELECT COUNT(*) as count
       FROM conversations
-      WHERE project_id = ?
-    `).get(projectId);
+      WHERE ${where.join(' AND ')}
+    `).get(...params);
 
     res.json({
-      conversations: convs,
+      conversations: convs.map((c) => ({ ...c, archived: !!c.archived, pinned: !!c.pinned, tags: conversationMeta(c).tags })),
       total: total.count,
       limit,
       offset
@@ -1439,9 +3372,18 @@ function conversationToMarkdown(conv) {
       const names = r.attachments.map((a) => (a && a.title) || '').filter(Boolean);
       if (names.length) lines.push(`Attachments: ${names.join(', ')}`);
     }
+    if (Array.isArray(r?.user?.images) && r.user.images.length) {
+      lines.push(`Images: ${escMd(r.user.images.map((img) => img.path).join(', '))}`);
+    }
+    if (r.retrieval && Array.isArray(r.retrieval.chunks) && r.retrieval.chunks.length) {
+      const sources = r.retrieval.chunks.map((c) => (c.page ? `${c.path}, page ${c.page}` : c.startLine ? `${c.path}:${c.startLine}-${c.endLine}` : c.path));
+      lines.push(`Context: ${escMd(sources.join(', '))}`);
+    }
     // user
     lines.push('');
-    lines.push('### User');
+    const shownTo = r?.user?.visibility;
+    const restricted = shownTo ? ` (${[shownTo.to && `to ${shownTo.to.join(', ')}`, shownTo.hiddenFrom && `hidden from ${shownTo.hiddenFrom.join(', ')}`].filter(Boolean).join('; ')})` : '';
+    lines.push(r?.user?.speaker === 'orchestrator' ? '### Orchestrator' : `### User${restricted}`);
     lines.push('');
     lines.push('```');
     lines.push(escMd(r?.user?.content || ''));
@@ -1451,25 +3393,52 @@ function conversationToMarkdown(conv) {
     for (const a of agents) {
       const custom = (a && typeof a.name === 'string' && a.name.trim()) ? a.name.trim() : '';
       const base = a?.modelId || (a?.speaker || '').replace(/^agent:/, '') || 'agent';
-      const heading = custom ? `${custom}${a?.modelId ? ` (${a.modelId})` : ''}` : base;
+      const label = custom ? `${custom}${a?.modelId ? ` (${a.modelId})` : ''}` : base;
+      const heading = a?.cancelled ? `${label} — stopped` : label;
       lines.push('');
       lines.push(`### ${escMd(heading)}`);
       lines.push('');
+      const toolCalls = Array.isArray(a?.toolSteps) ? a.toolSteps.flatMap((step) => step.calls || []) : [];
+      if (toolCalls.length) {
+        for (const call of toolCalls) lines.push(`- Tool \`${escMd(call.name)}\`${call.error ? ' (failed)' : ''}: ${escMd(JSON.stringify(call.arguments))}`);
+        lines.push('');
+      }
       lines.push('```');
       lines.push(escMd(a?.content || ''));
       lines.push('```');
     }
+    if (r.synthesis) {
+      const s = r.synthesis;
+      const label = s.name ? `${s.name}${s.modelId ? ` (${s.modelId})` : ''}` : (s.modelId || 'synthesizer');
+      lines.push('');
+      lines.push(`### Synthesis — ${escMd(label)}`);
+      lines.push('');
+      lines.push('```');
+      lines.push(escMd(s.content || ''));
+      lines.push('```');
+    }
     lines.push('');
   }
   return lines.join('\n');
 }
 
+// Remove the autosaved transcripts of a deleted conversation
+async function removeTranscripts(id) {
+  for (const ext of ['md', 'json']) {
+    try {
+      await fsp.unlink(path.join(TRANSCRIPTS_DIR, `conversation-${id}.${ext}`));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('Failed to delete transcript:', err.message);
+    }
+  }
+}
+
 async function writeTranscript(conv, format = 'md') {
   const id = conv && conv.id ? String(conv.id) : newId('conv');
   const base = `conversation-${id}.${format === 'json' ? 'json' : 'md'}`;
   const filePath = path.join(TRANSCRIPTS_DIR, base);
   if (format === 'json') {
-    const body = JSON.stringify({ id: conv.id, rounds: conv.rounds }, null, 2);
+    const body = JSON.stringify({ id: conv.id, rounds: conv.rounds, perModelState: conv.perModelState || {} }, null, 2);
     await fsp.writeFile(filePath, body, 'utf8');
   } else {
     const body = conversationToMarkdown(conv);
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Shared pieces of the node test scripts. check() prints one named result
+ * and counts failures; done() reports the total and sets the exit status.
+ * useTempDatabase() points DB_PATH (and STORAGE_DIR, when asked) at fresh
+ * paths under the OS temp dir, so it must run before anything requires
+ * db/index; removeTempDatabase() closes the connection and deletes them.
+ */
+
+let failures = 0;
+let tempStorageDir = null;
+
+function check(name, cond) {
+  if (cond) {
+    console.log(`✓ ${name}`);
+  } else {
+    failures++;
+    console.error(`✗ ${name}`);
+  }
+}
+
+// A test that threw counts as a failure
+function fail(err) {
+  failures++;
+  console.error('✗ unexpected error:', err);
+}
+
+function done(label) {
+  if (failures) {
+    console.error(`\n${failures} check(s) FAILED`);
+    process.exit(1);
+  }
+  console.log(`\nAll ${label} checks passed`);
+}
+
+function useTempDatabase(name, { storage = false } = {}) {
+  process.env.DB_PATH = path.join(os.tmpdir(), `mmc-test-${name}-${process.pid}.db`);
+  if (storage) {
+    tempStorageDir = path.join(os.tmpdir(), `mmc-test-${name}-storage-${process.pid}`);
+    process.env.STORAGE_DIR = tempStorageDir;
+  }
+}
+
+function removeTempDatabase() {
+  require('./db/index').db.close();
+  for (const suffix of ['', '-wal', '-shm']) {
+    try { fs.unlinkSync(process.env.DB_PATH + suffix); } catch { }
+  }
+  if (tempStorageDir) fs.rmSync(tempStorageDir, { recursive: true, force: true });
+}
+
+module.exports = { check, fail, done, useTempDatabase, removeTempDatabase };
@@ -32,11 +32,29 @@ function req(port, method, p, body, headers = {}) {
   });
 }
 
+function sseEvents(body) {
+  return String(body || '').split('\n\n')
+    .map(b => b.trim()).filter(b => b.startsWith('data: '))
+    .map(b => JSON.parse(b.slice(6)));
+}
+
+// GET returning the raw bytes and headers (req decodes bodies as text)
+function getRaw(port, p) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: p }, (res) => {
+      const chunks = []; res.on('data', c => chunks.push(c));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    }).on('error', reject);
+  });
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
 function startServer(port, publicMode, overrides = {}) {
   const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'mmc-int-'));
   const env = { ...process.env, PORT: String(port),
     OPENAI_API_KEY: 'fake', ANTHROPIC_API_KEY: 'fake', GOOGLE_API_KEY: 'fake', XAI_API_KEY: 'fake',
-    DB_PATH: path.join(tmp, 'db.sqlite'), STORAGE_DIR: path.join(tmp, 'storage'), TRANSCRIPTS_DIR: path.join(tmp, 'tx'),
+    DB_PATH: path.join(tmp, 'db.sqlite'), STORAGE_DIR: path.join(tmp, 'storage'), TRANSCRIPTS_DIR: path.join(tmp, 'tx'), EXECUTION_DIR: path.join(tmp, 'exec'),
     PUBLIC_TURNS_PER_MIN: '100', PUBLIC_MAX_TARGETS_PER_TURN: '4', PUBLIC_MAX_MESSAGE_CHARS: '8192',
     // Explicit test allowlist (independent of the production default).
     PUBLIC_MODEL_ALLOWLIST: 'openai:gpt-4o-mini,openai:gpt-5-nano,google:gemini-2.5-flash-lite', ...overrides };
@@ -56,7 +74,7 @@ async function waitUp(port, tries = 40) {
 async function main() {
   // ---- PUBLIC_MODE = 1 ----
   const P = 3971;
-  const pub = startServer(P, true);
+  const pub = startServer(P, true, { TITLE_PROVIDER: 'mock', TITLE_MODEL: 'mock-titler' });
   try {
     await waitUp(P);
 
@@ -92,11 +110,37 @@ async function main() {
 
     r = await req(P, 'DELETE', '/api/projects/default/files/anyid');
     ok(r.status === 403, 'DELETE file -> 403');
+    r = await req(P, 'PATCH', '/api/projects/default/files/anyid', { metadata: { always_in_context: true } });
+    ok(r.status === 403, 'PATCH file metadata -> 403');
+    r = await req(P, 'POST', '/api/conversation/anyid/summarize', {});
+    ok(r.status === 403, 'summarize -> 403');
+    r = await req(P, 'PATCH', '/api/conversation/anyid', { title: 'x' });
+    ok(r.status === 403, 'PATCH conversation -> 403');
+    r = await req(P, 'DELETE', '/api/conversation/anyid');
+    ok(r.status === 403, 'DELETE conversation -> 403');
+    r = await req(P, 'DELETE', '/api/conversation/anyid/rounds/1');
+    ok(r.status === 403, 'DELETE round -> 403');
+    r = await req(P, 'GET', '/api/trash');
+    ok(r.status === 403, 'trash -> 403');
+    r = await req(P, 'POST', '/api/projects', { name: 'x' });
+    ok(r.status === 403, 'create project -> 403');
+    r = await req(P, 'GET', '/api/projects');
+    ok(r.status === 200 && r.body.projects.length === 1 && r.body.projects[0].is_default, 'projects listed');
+    const titled = (await req(P, 'POST', '/api/turn', { userMessage: 'name me', targetModels: [{ provider: 'mock', modelId: 'mock-echo' }] })).body.conversationId;
+    let titledConv;
+    for (let i = 0; i < 20 && !(titledConv && titledConv.titleSource); i++) {
+      await sleep(100);
+      titledConv = (await req(P, 'GET', `/api/conversation/${titled}`)).body;
+    }
+    ok(titledConv.title === 'Mock response from mock-titler' && titledConv.titleSource === 'auto', 'title from the configured mock model');
 
     const cid = (await req(P, 'POST', '/api/turn', { userMessage: 'x', targetModels: [{ provider: 'mock', modelId: 'mock-echo' }] })).body.conversationId;
     r = await req(P, 'POST', `/api/conversation/${cid}/autosave`, {});
     ok(r.status === 403, 'autosave -> 403');
 
+    r = await req(P, 'POST', '/api/turn', { userMessage: 'x', tools: true, targetModels: [{ provider: 'mock', modelId: 'mock-tools' }] });
+    ok(r.status === 200 && r.body.results[0].text === 'No tools offered.' && !r.body.results[0].toolSteps, 'server tools dropped');
+
     // XFF is not trusted for a fresh bucket (trust proxy = 1 hop)
     let codes = [];
     for (let i = 0; i < 6; i++) codes.push((await req(P, 'POST', '/api/turn', { userMessage: 'x', targetModels: [{ provider: 'mock', modelId: 'mock-echo' }] }, { 'X-Forwarded-For': `5.5.5.${i}` })).status);
@@ -106,6 +150,9 @@ async function main() {
     const big = await req(P, 'POST', '/api/turn', { userMessage: 'x', pad: 'y'.repeat(80000), targetModels: [{ provider: 'mock', modelId: 'mock-echo' }] });
     ok(big.status === 413 || big.status === 400, `oversized body rejected (${big.status})`);
     ok(typeof big.body === 'object' && !/node_modules|\/home\//.test(JSON.stringify(big.body)), 'oversized-body error is generic JSON, no filesystem path');
+
+    r = await req(P, 'POST', '/api/turn', { userMessage: 'x', imageAttachments: [{ data: 'iVBORw0KGgo=' }], targetModels: [{ provider: 'mock', modelId: 'mock-echo' }] });
+    ok(r.status === 403 && r.body.error === 'image_attachments_disabled', 'image attachments refused');
   } finally { pub.proc.kill(); }
 
   // ---- Rate double-count + budget exact-fit (dedicated small-limit server) ----
@@ -152,6 +199,582 @@ async function main() {
     ok(r.status !== 400 || (r.body && r.body.error === 'internal_error'), 'allowlist inert (no public 400 rejection)');
     r = await req(B, 'POST', '/api/config', { key: 'k', value: 'v' });
     ok(r.status !== 403, 'config POST not blocked when inert');
+
+    console.log('\nSSE token streaming');
+    r = await req(B, 'POST', '/api/turn', { userMessage: 'stream me', targetModels: [{ provider: 'mock', modelId: 'mock-lorem', agentId: 'a1' }, { provider: 'mock', modelId: 'mock-echo', agentId: 'a2' }] }, { Accept: 'text/event-stream' });
+    const events = sseEvents(r.body);
+    ok(events[0] && events[0].type === 'init' && events[0].conversationId, 'SSE: init event first');
+    ok(events[events.length - 1] && events[events.length - 1].type === 'done', 'SSE: done event last');
+    for (const agentId of ['a1', 'a2']) {
+      const deltas = events.filter(e => e.type === 'delta' && e.agentId === agentId);
+      const result = events.find(e => e.type === 'result' && e.result.agentId === agentId);
+      const resultIdx = events.indexOf(result);
+      ok(deltas.length > 1 && deltas.every(d => events.indexOf(d) < resultIdx), `SSE: ${agentId} deltas precede its result`);
+      ok(result && deltas.map(d => d.delta).join('') === result.result.text, `SSE: ${agentId} deltas reassemble the final text`);
+    }
+
+    console.log('\ncancellation');
+    const slowTurn = req(B, 'POST', '/api/turn', { turnId: 'turn-cancel-1', userMessage: 'slow', targetModels: [{ provider: 'mock', modelId: 'mock-slow', agentId: 's1' }, { provider: 'mock', modelId: 'mock-slow', agentId: 's2' }] }, { Accept: 'text/event-stream' });
+    await sleep(300);
+    r = await req(B, 'POST', '/api/turn/turn-cancel-1/cancel', { agentId: 's1' });
+    ok(r.status === 200 && r.body.cancelled.length === 1 && r.body.cancelled[0] === 's1', 'cancel one agent -> only that agent aborted');
+    const slowEvents = sseEvents((await slowTurn).body);
+    const s1 = slowEvents.find(e => e.type === 'result' && e.result.agentId === 's1');
+    const s2 = slowEvents.find(e => e.type === 'result' && e.result.agentId === 's2');
+    ok(s1 && s1.result.cancelled === true && s1.result.cancelReason === 'user', 'cancelled agent result flagged cancelled');
+    ok(s2 && !s2.result.cancelled && /processed/.test(s2.result.text), 'other agent completed normally');
+    r = await req(B, 'POST', '/api/turn/turn-cancel-1/cancel', {});
+    ok(r.status === 404, 'cancel after the turn finished -> 404');
+    const cancelConv = (await req(B, 'GET', `/api/conversation/${slowEvents[0].conversationId}`)).body;
+    const stored = cancelConv.rounds[0].agents.find(a => a.agentId === 's1');
+    ok(stored && stored.cancelled === true, 'cancelled marker persisted with the round');
+
+    // Client disconnect aborts the in-flight agents
+    const disconnectConv = await new Promise((resolve, reject) => {
+      const payload = JSON.stringify({ userMessage: 'bye', targetModels: [{ provider: 'mock', modelId: 'mock-slow', agentId: 'd1' }] });
+      const dr = http.request({ host: '127.0.0.1', port: B, method: 'POST', path: '/api/turn',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), Accept: 'text/event-stream' } }, (res) => {
+        res.once('data', (chunk) => {
+          const init = sseEvents(chunk.toString())[0];
+          dr.destroy();
+          resolve(init && init.conversationId);
+        });
+      });
+      dr.on('error', () => { });
+      dr.write(payload);
+      dr.end();
+      setTimeout(() => reject(new Error('no init event')), 5000);
+    });
+    await sleep(300);
+    const dc = (await req(B, 'GET', `/api/conversation/${disconnectConv}`)).body;
+    const d1 = dc && dc.rounds && dc.rounds[0] && dc.rounds[0].agents.find(a => a.agentId === 'd1');
+    ok(d1 && d1.cancelled === true && d1.cancelReason === 'client_disconnected', 'client disconnect cancels and persists the marker');
+
+    console.log('\nregenerate one agent');
+    r = await req(B, 'POST', '/api/turn', { userMessage: 'first', targetModels: [{ provider: 'mock', modelId: 'mock-echo', agentId: 'e1' }, { provider: 'mock', modelId: 'mock-error', agentId: 'x1' }] });
+    const regenConv = r.body.conversationId;
+    ok(r.body.round === 1 && r.body.results.find(x => x.agentId === 'x1').error, 'turn reports its round; erroring agent reported');
+    await req(B, 'POST', '/api/turn', { conversationId: regenConv, userMessage: 'second', targetModels: [{ provider: 'mock', modelId: 'mock-echo', agentId: 'e1' }] });
+    r = await req(B, 'POST', `/api/conversation/${regenConv}/rounds/1/regenerate`, { agentId: 'x1', provider: 'mock', modelId: 'mock-echo' });
+    ok(r.status === 200 && r.body.result.text === 'Echo: User: first', 'errored agent regenerated against round 1 view only');
+    r = await req(B, 'POST', `/api/conversation/${regenConv}/rounds/1/regenerate`, { agentId: 'e1', modelId: 'mock-lorem' });
+    ok(r.status === 200 && /Lorem/.test(r.body.result.text) && r.body.result.versions === 1, 'stored agent regenerated with a changed model, previous version kept');
+    let rc = (await req(B, 'GET', `/api/conversation/${regenConv}`)).body;
+    const e1 = rc.rounds[0].agents.find(a => a.agentId === 'e1');
+    ok(e1 && /Lorem/.test(e1.content) && e1.versions[0].content === 'Echo: User: first', 'round 1 reply replaced in place with history');
+    ok(rc.rounds[0].agents.some(a => a.agentId === 'x1') && rc.rounds[1].agents[0].content === 'Echo: User: second', 'recovered reply stored; later rounds untouched');
+    r = await req(B, 'POST', `/api/conversation/${regenConv}/rounds/3/regenerate`, { agentId: 'e1' });
+    ok(r.status === 400 && r.body.error === 'invalid_round', 'regenerate beyond last round -> 400');
+    r = await req(B, 'POST', `/api/conversation/${regenConv}/rounds/1/regenerate`, { agentId: 'nobody' });
+    ok(r.status === 400 && r.body.error === 'provider_required', 'unknown agent without provider -> 400');
+
+    console.log('\nfork / branches');
+    r = await req(B, 'POST', `/api/conversation/${regenConv}/fork`, { round: 1 });
+    const forkId = r.body.conversationId;
+    ok(r.status === 200 && forkId && forkId !== regenConv && r.body.forkedFromRound === 1, 'fork at round 1 -> new conversation');
+    let fc = (await req(B, 'GET', `/api/conversation/${forkId}`)).body;
+    ok(fc.rounds.length === 1 && /Lorem/.test(fc.rounds[0].agents.find(a => a.agentId === 'e1').content) && fc.parentConversationId === regenConv, 'fork holds rounds 1..n with lineage');
+    r = await req(B, 'POST', '/api/turn', { conversationId: forkId, userMessage: 'what if', targetModels: [{ provider: 'mock', modelId: 'mock-echo', agentId: 'e1' }] });
+    ok(r.status === 200 && r.body.round === 2, 'fork continues independently');
+    rc = (await req(B, 'GET', `/api/conversation/${regenConv}`)).body;
+    ok(rc.rounds.length === 2 && rc.rounds[1].user.content === 'second', 'parent untouched by the fork');
+    const nested = (await req(B, 'POST', `/api/conversation/${forkId}/fork`, { round: 2 })).body.conversationId;
+    r = await req(B, 'GET', `/api/conversation/${nested}/branches`);
+    ok(r.status === 200 && r.body.parentConversationId === forkId && r.body.tree.id === regenConv
+      && r.body.tree.branches[0].id === forkId && r.body.tree.branches[0].branches[0].id === nested, 'branch tree rooted at the original');
+    r = await req(B, 'GET', `/api/conversation/${regenConv}/branches`);
+    ok(r.body.branches.length === 1 && r.body.branches[0].forked_from_round === 1, 'direct branches listed');
+    r = await req(B, 'GET', '/api/conversations?limit=200');
+    ok(r.body.conversations.some(c => c.id === forkId && c.parent_conversation_id === regenConv), 'conversation list carries lineage');
+    r = await req(B, 'POST', `/api/conversation/${regenConv}/fork`, { round: 9 });
+    ok(r.status === 400 && r.body.error === 'invalid_round', 'fork beyond last round -> 400');
+
+    console.log('\nedit past user message');
+    let editConv;
+    for (const m of ['alpha', 'beta', 'gamma']) {
+      r = await req(B, 'POST', '/api/turn', { conversationId: editConv, userMessage: m, targetModels: [{ provider: 'mock', modelId: 'mock-echo', agentId: 'ed1' }] });
+      editConv = r.body.conversationId;
+    }
+    r = await req(B, 'POST', `/api/conversation/${editConv}/rounds/1/edit`, { userMessage: 'alpha (fixed typo)' });
+    ok(r.status === 200 && r.body.mode === 'stale' && r.body.stale === 3 && r.body.user.edits[0].content === 'alpha', 'stale edit rewrites round 1 and flags later replies');
+    r = await req(B, 'POST', `/api/conversation/${editConv}/rounds/2/edit`, { userMessage: 'quetzal', mode: 'replay' });
+    ok(r.status === 200 && r.body.replayed.length === 2 && r.body.replayed[0].results[0].text === 'Echo: User: quetzal', 'replay re-runs round 2 onward');
+    let ec = (await req(B, 'GET', `/api/conversation/${editConv}`)).body;
+    ok(ec.rounds[0].agents[0].stale === true && !ec.rounds[1].agents[0].stale && !ec.rounds[2].agents[0].stale, 'replayed replies no longer stale; earlier ones still are');
+    ok(ec.rounds[2].agents[0].content === 'Echo: User: gamma' && ec.rounds[2].agents[0].versions.length === 1, 'later rounds replayed in place with versions');
+    r = await req(B, 'POST', `/api/projects/${ec.projectId}/search`, { query: 'quetzal' });
+    ok(r.status === 200 && r.body.results.some(x => x.content.includes('quetzal')), 'edited message searchable after reindex');
+    r = await req(B, 'POST', `/api/projects/${ec.projectId}/search`, { query: 'beta' });
+    ok(r.status === 200 && !r.body.results.some(x => x.content.includes('User: beta') || x.content === 'beta'), 'old user text no longer in the index');
+    r = await req(B, 'POST', `/api/conversation/${editConv}/rounds/1/edit`, { userMessage: 'x', mode: 'bogus' });
+    ok(r.status === 400 && r.body.error === 'invalid_mode', 'unknown edit mode -> 400');
+
+    console.log('\nsequential / debate turns');
+    const pair = [{ provider: 'mock', modelId: 'mock-echo', agentId: 'q1' }, { provider: 'mock', modelId: 'mock-echo', agentId: 'q2' }];
+    r = await req(B, 'POST', '/api/turn', { userMessage: 'order', targetModels: pair, mode: 'sequential' });
+    const seqConv = r.body.conversationId;
+    ok(r.status === 200 && r.body.results[0].text === 'Echo: User: order', 'sequential: first agent sees only the user');
+    ok(/User: order/.test(r.body.results[1].text) && /\[mock-echo\]: Echo: User: order/.test(r.body.results[1].text), 'sequential: second agent sees the first reply');
+    r = await req(B, 'POST', `/api/conversation/${seqConv}/rounds/1/regenerate`, { agentId: 'q2' });
+    ok(r.status === 200 && /\[mock-echo\]: Echo: User: order/.test(r.body.result.text), 'regenerate keeps the ordered view');
+    r = await req(B, 'POST', '/api/turn', { userMessage: 'argue', targetModels: pair, mode: 'rounds:1' }, { Accept: 'text/event-stream' });
+    const debate = sseEvents(r.body);
+    const debateResults = debate.filter(e => e.type === 'result').map(e => e.result);
+    ok(debate[0].mode === 'rounds:1' && debateResults.length === 4, 'rounds:1: every agent replies twice');
+    ok(debateResults.map(x => `${x.agentId}/${x.pass}`).join(',') === 'q1/1,q2/1,q1/2,q2/2', 'rounds:1: replies ordered by pass, then agent');
+    ok(/^Echo: \[mock-echo\]: Echo: User: argue/.test(debateResults[2].text), 'rebuttal sees only the replies since its last one');
+    ok(debate.filter(e => e.type === 'delta').every(e => e.pass === 1 || e.pass === 2), 'rounds:1: deltas carry the pass');
+    const dc2 = (await req(B, 'GET', `/api/conversation/${debate[0].conversationId}`)).body;
+    ok(dc2.rounds[0].mode === 'rounds:1' && dc2.rounds[0].agents.length === 4 && dc2.rounds[0].agents[3].pass === 2, 'round stores its mode and each pass');
+    r = await req(B, 'POST', `/api/conversation/${debate[0].conversationId}/rounds/1/regenerate`, { agentId: 'q1', pass: 2 });
+    const after = (await req(B, 'GET', `/api/conversation/${debate[0].conversationId}`)).body.rounds[0].agents;
+    ok(r.status === 200 && r.body.result.pass === 2 && after[2].versions && !after[0].versions, 'regenerate targets a single pass');
+    r = await req(B, 'POST', '/api/turn', { userMessage: 'x', targetModels: pair, mode: 'rounds:9' });
+    ok(r.status === 400 && r.body.error === 'invalid_mode', 'unknown turn mode -> 400');
+
+    console.log('\nsynthesizer');
+    const judged = 'compare\n## Disagreements\n- tabs vs spaces';
+    r = await req(B, 'POST', '/api/turn', { userMessage: judged, targetModels: pair, synthesizer: { provider: 'mock', modelId: 'mock-echo', name: 'Judge', includeInViews: true } });
+    const synthConv = r.body.conversationId;
+    ok(r.status === 200 && r.body.results.length === 2 && r.body.synthesis && r.body.synthesis.role === 'synthesizer', 'synthesis returned beside the agent results');
+    ok(/\[mock-echo\]: Echo: User: compare/.test(r.body.synthesis.text), 'synthesizer reads every reply of the round');
+    ok(r.body.synthesis.disagreements.length === 1 && r.body.synthesis.disagreements[0] === 'tabs vs spaces', 'disagreement list parsed from the synthesis');
+    let sc = (await req(B, 'GET', `/api/conversation/${synthConv}`)).body;
+    ok(sc.rounds[0].agents.length === 2 && sc.rounds[0].synthesis && sc.rounds[0].synthesis.speaker.startsWith('synthesizer:'), 'stored as a synthesizer speaker, not an agent');
+    r = await req(B, 'POST', '/api/preview-view', { conversationId: synthConv, provider: 'mock', modelId: 'mock-echo', agentId: 'q1', userMessage: 'next' });
+    ok(r.status === 200 && r.body.view.messages.some(m => /^\[Judge \(synthesis\)\]: /.test(m.content)), 'shared synthesis appears in later views');
+    r = await req(B, 'POST', '/api/turn', { userMessage: 'private', targetModels: pair, synthesizer: { provider: 'mock', modelId: 'mock-echo', agentId: 'judge' } }, { Accept: 'text/event-stream' });
+    const synthEvents = sseEvents(r.body);
+    const synthIdx = synthEvents.findIndex(e => e.type === 'synthesis');
+    ok(synthIdx > 0 && synthEvents[synthIdx + 1].type === 'done' && synthEvents.some(e => e.type === 'delta' && e.role === 'synthesizer'), 'SSE: synthesis streams, then arrives before done');
+    r = await req(B, 'POST', '/api/preview-view', { conversationId: synthEvents[0].conversationId, provider: 'mock', modelId: 'mock-echo', agentId: 'q1', userMessage: 'next' });
+    ok(r.status === 200 && !r.body.view.messages.some(m => /\(synthesis\)\]:/.test(m.content)), 'unshared synthesis stays out of agent views');
+    r = await req(B, 'POST', '/api/turn', { userMessage: 'x', targetModels: pair, synthesizer: { provider: 'mock', agentId: 'q1' } });
+    ok(r.status === 400 && r.body.error === 'invalid_synthesizer', 'synthesizer reusing an agent id -> 400');
+
+    console.log('\nautonomous runs');
+    r = await req(B, 'POST', '/api/turn', { userMessage: 'start', targetModels: pair });
+    const autoConv = r.body.conversationId;
+    r = await req(B, 'POST', `/api/conversation/${autoConv}/autorun`, {});
+    ok(r.status === 200 && r.body.stopReason === 'consensus' && r.body.rounds.length === 1, 'default targets run until every reply carries the consensus marker');
+    ok(/^Echo: Orchestrator: Autonomous round 1 of 3/.test(r.body.rounds[0].results[0].text), 'agents see the orchestrator entry as the round opener');
+    const lorem = [{ provider: 'mock', modelId: 'mock-lorem', agentId: 'q1' }, { provider: 'mock', modelId: 'mock-lorem', agentId: 'q2' }];
+    r = await req(B, 'POST', `/api/conversation/${autoConv}/autorun`, { targetModels: lorem, maxRounds: 2, consensusMarker: '' });
+    ok(r.status === 200 && r.body.stopReason === 'max_rounds' && r.body.rounds.map(x => x.round).join() === '3,4', 'runs up to maxRounds, one stored round each');
+    let ac = (await req(B, 'GET', `/api/conversation/${autoConv}`)).body;
+    ok(ac.rounds.length === 4 && ac.rounds[3].user.speaker === 'orchestrator' && ac.rounds[3].agents.length === 2, 'orchestrator entry persisted with the round');
+    r = await req(B, 'POST', `/api/conversation/${autoConv}/autorun`, { targetModels: lorem.slice(0, 1), maxRounds: 5, consensusMarker: '', tokenBudget: 50 }, { Accept: 'text/event-stream' });
+    const autoEvents = sseEvents(r.body);
+    ok(autoEvents.map(e => e.type).filter((t, i, a) => t !== a[i - 1]).join() === 'init,round_start,delta,result,round_end,round_start,delta,result,round_end,stop,done', 'SSE: per-round events in order');
+    ok(autoEvents.find(e => e.type === 'stop').reason === 'token_budget' && autoEvents.find(e => e.type === 'stop').totalTokens === 60, 'token budget stops the run');
+    const autoTurn = req(B, 'POST', `/api/conversation/${autoConv}/autorun`, { turnId: 'turn-auto-1', targetModels: [{ provider: 'mock', modelId: 'mock-slow', agentId: 'q1' }], consensusMarker: '' });
+    await sleep(300);
+    r = await req(B, 'POST', `/api/conversation/${autoConv}/rounds/1/regenerate`, { agentId: 'q1' });
+    ok(r.status === 409 && r.body.error === 'conversation_busy', 'regenerate during a running turn -> 409');
+    r = await req(B, 'POST', `/api/conversation/${autoConv}/rounds/1/edit`, { userMessage: 'x' });
+    ok(r.status === 409 && r.body.error === 'conversation_busy', 'edit during a running turn -> 409');
+    r = await req(B, 'POST', `/api/conversation/${autoConv}/autorun`, { maxRounds: 1 });
+    ok(r.status === 409 && r.body.error === 'conversation_busy', 'second autorun while one is running -> 409');
+    r = await req(B, 'POST', '/api/turn', { conversationId: autoConv, userMessage: 'me too', targetModels: [{ provider: 'mock', modelId: 'mock-echo' }] });
+    ok(r.status === 409 && r.body.error === 'conversation_busy', 'user turn while an autorun is running -> 409');
+    await req(B, 'POST', '/api/turn/turn-auto-1/cancel', {});
+    r = await autoTurn;
+    ok(r.body.stopReason === 'cancelled' && r.body.rounds.length === 1 && r.body.rounds[0].results[0].cancelled, 'cancel interrupts the run');
+    r = await req(B, 'POST', `/api/conversation/${autoConv}/rounds/2/edit`, { userMessage: 'x' });
+    ok(r.status === 400 && r.body.error === 'orchestrator_round', 'orchestrator entries cannot be edited');
+    r = await req(B, 'POST', `/api/conversation/${autoConv}/autorun`, { maxRounds: 99 });
+    ok(r.status === 400 && r.body.error === 'invalid_max_rounds', 'maxRounds beyond the limit -> 400');
+
+    console.log('\ndirected messages');
+    const named = [{ provider: 'mock', modelId: 'mock-echo', agentId: 'q1', name: 'Alice' }, { provider: 'mock', modelId: 'mock-echo', agentId: 'q2', name: 'Bob' }];
+    r = await req(B, 'POST', '/api/turn', { userMessage: '@Alice what do you think?', targetModels: named });
+    const dmConv = r.body.conversationId;
+    ok(r.status === 200 && r.body.results.length === 1 && r.body.results[0].agentId === 'q1', '@mention: only the addressed agent replies');
+    r = await req(B, 'POST', '/api/turn', { conversationId: dmConv, userMessage: 'psst secret', targetModels: named, visibility: { to: ['Bob'] } });
+    ok(r.status === 200 && r.body.results.length === 1 && r.body.results[0].agentId === 'q2' && r.body.results[0].visibility.to[0] === 'q2', 'whisper: only the recipient replies, privately');
+    r = await req(B, 'POST', '/api/turn', { conversationId: dmConv, userMessage: 'open floor', targetModels: [{ ...named[0], visibility: { hiddenFrom: ['Bob'] } }, named[1]] });
+    ok(r.status === 200 && r.body.results.length === 2, 'hidden reply: everyone still answers');
+    const viewOf = async (agentId, extra = {}) => (await req(B, 'POST', '/api/preview-view', { conversationId: dmConv, provider: 'mock', modelId: 'mock-echo', agentId, userMessage: 'next', targetModels: named, ...extra })).body;
+    const aliceView = JSON.stringify((await viewOf('q1')).view.messages);
+    const bobView = JSON.stringify((await viewOf('q2')).view.messages);
+    ok(!aliceView.includes('secret') && bobView.includes('psst secret'), 'whispered message only in the recipient view');
+    ok(aliceView.includes('open floor') && !bobView.includes('[Alice]: Echo: User: open floor'), 'reply hidden from the listed agent');
+    ok(bobView.includes('[Alice]: Echo: User: @Alice'), 'public replies stay visible');
+    const hiddenPreview = await viewOf('q2', { visibility: { to: ['Alice'] } });
+    ok(hiddenPreview.willReply === false && !JSON.stringify(hiddenPreview.view.messages).includes('next'), 'preview: non-recipient sees history only');
+    r = await req(B, 'POST', '/api/turn', { conversationId: dmConv, userMessage: 'x', targetModels: named, visibility: { to: ['nobody'] } });
+    ok(r.status === 400 && r.body.error === 'no_recipients', 'nobody allowed to see -> 400');
+    r = await req(B, 'POST', '/api/turn', { conversationId: dmConv, userMessage: 'x', targetModels: named, visibility: 'q1' });
+    ok(r.status === 400 && r.body.error === 'invalid_visibility', 'malformed visibility -> 400');
+
+    console.log('\ntool calling');
+    r = await req(B, 'GET', '/api/tools');
+    ok(r.status === 200 && r.body.tools.some(t => t.name === 'current_time' && t.parameters), 'tools listed with their schemas');
+    r = await req(B, 'POST', '/api/turn', { userMessage: 'what time is it?', tools: ['current_time'], targetModels: [{ provider: 'mock', modelId: 'mock-tools', agentId: 't1' }, { provider: 'mock', modelId: 'mock-echo', agentId: 't2', tools: false }] }, { Accept: 'text/event-stream' });
+    const toolEvents = sseEvents(r.body);
+    const toolCall = toolEvents.find(e => e.type === 'tool_call');
+    const toolResult = toolEvents.find(e => e.type === 'tool_result');
+    const t1 = toolEvents.find(e => e.type === 'result' && e.result.agentId === 't1').result;
+    ok(toolCall && toolCall.agentId === 't1' && toolCall.name === 'current_time' && toolCall.step === 1, 'SSE: tool_call event for the calling agent');
+    ok(toolResult && /^\d{4}-\d\d-\d\dT/.test(toolResult.output) && toolEvents.indexOf(toolResult) < toolEvents.indexOf(toolEvents.find(e => e.type === 'result' && e.result.agentId === 't1')), 'SSE: tool_result precedes the reply');
+    ok(t1.text === `Tool results: current_time: ${toolResult.output}` && t1.toolSteps.length === 1 && t1.toolSteps[0].text === 'Calling current_time.', 'final answer uses the tool output; step recorded');
+    ok(t1.tokenUsage.total === 60, 'usage summed over both calls');
+    ok(!toolEvents.some(e => e.type === 'tool_call' && e.agentId === 't2'), 'per-target tools: false opts out');
+    const toolConv = toolEvents[0].conversationId;
+    r = await req(B, 'GET', `/api/conversation/${toolConv}`);
+    const storedTool = r.body.rounds[0].agents.find(a => a.agentId === 't1');
+    ok(storedTool.content === t1.text && storedTool.toolSteps[0].calls[0].output === toolResult.output, 'tool steps kept with the reply');
+    r = await req(B, 'GET', `/api/conversation/${toolConv}/export?format=md`);
+    ok(String(r.body).includes('- Tool `current_time`: {}'), 'transcript lists the tool calls');
+    r = await req(B, 'POST', '/api/turn', { userMessage: 'x', tools: ['nope'], targetModels: [{ provider: 'mock', modelId: 'mock-tools' }] });
+    ok(r.status === 400 && r.body.error === 'unknown_tool', 'unknown tool -> 400');
+    const projectId = (await req(B, 'GET', `/api/conversation/${toolConv}`)).body.projectId;
+    r = await req(B, 'POST', `/api/projects/${projectId}/files`, { path: 'notes/zebra.md', content: 'alpha\nthe zebra crossing\nomega' });
+    ok(r.status === 200 || r.status === 201, 'project file uploaded');
+    r = await req(B, 'POST', '/api/turn', { userMessage: 'search_project {"query":"zebra"}', tools: ['search_project', 'read_file'], targetModels: [{ provider: 'mock', modelId: 'mock-tools' }] });
+    ok(r.status === 200 && r.body.results[0].text.includes('1. notes/zebra.md:1-3'), 'search_project tool answers with path and line range');
+    r = await req(B, 'POST', '/api/turn', { userMessage: 'read_file {"path":"notes/zebra.md","start_line":2,"end_line":2}', tools: ['search_project', 'read_file'], targetModels: [{ provider: 'mock', modelId: 'mock-tools' }] });
+    ok(r.status === 200 && r.body.results[0].text.includes('2| the zebra crossing'), 'read_file tool returns the numbered line');
+    // Tool results count against the window: the follow-up call drops history the first call kept
+    await req(B, 'POST', `/api/projects/${projectId}/files`, { path: 'notes/long.md', content: Array.from({ length: 300 }, (_, i) => `line ${i + 1} of the long notes`).join('\n') });
+    let loopConv;
+    for (const word of ['first', 'second']) {
+      r = await req(B, 'POST', '/api/turn', { conversationId: loopConv, userMessage: `${word} `.repeat(50), retrieval: false, targetModels: [{ provider: 'mock', modelId: 'mock-echo', agentId: 'w1' }] });
+      loopConv = r.body.conversationId;
+    }
+    const loopTarget = { provider: 'mock', modelId: 'mock-tools', agentId: 'w1', options: { maxTokens: 200 }, contextWindow: 1400 };
+    const loopMessage = 'read_file {"path":"notes/long.md"}';
+    r = await req(B, 'POST', '/api/preview-view', { conversationId: loopConv, ...loopTarget, userMessage: loopMessage, retrieval: false });
+    ok(r.status === 200 && !r.body.contextTrim, 'tool loop: history fits the window before any tool result');
+    r = await req(B, 'POST', '/api/turn', { conversationId: loopConv, userMessage: loopMessage, retrieval: false, tools: ['read_file'], targetModels: [loopTarget] });
+    const loopTrim = r.body.results[0].contextTrim;
+    ok(r.status === 200 && r.body.results[0].toolSteps && loopTrim && loopTrim.droppedRounds && loopTrim.droppedRounds.to === 2, 'tool loop: follow-up call refitted with the tool results counted');
+
+    console.log('\nauto retrieval');
+    r = await req(B, 'POST', '/api/turn', { userMessage: 'Where is the zebra?', targetModels: [{ provider: 'mock', modelId: 'mock-echo', agentId: 'r1' }] });
+    const picked = r.body.retrieval;
+    ok(r.status === 200 && picked && picked.chunks[0].path === 'notes/zebra.md' && picked.chunks[0].startLine === 1 && picked.chunks[0].chunkId, 'turn returns the retrieved chunks');
+    const ragConv = r.body.conversationId;
+    r = await req(B, 'GET', `/api/conversation/${ragConv}`);
+    ok(r.body.rounds[0].retrieval && r.body.rounds[0].retrieval.chunks[0].chunkId === picked.chunks[0].chunkId, 'chunk ids kept with the round');
+    r = await req(B, 'POST', '/api/preview-view', { conversationId: ragConv, provider: 'mock', modelId: 'mock-echo', agentId: 'r1', userMessage: 'and the zebra crossing?' });
+    const ragView = r.body.view.messages.map(m => m.content);
+    ok(r.body.retrieval && r.body.retrieval.chunks[0].path === 'notes/zebra.md', 'preview lists the chunks it would inject');
+    ok(ragView[ragView.length - 2].includes('[1] notes/zebra.md:1-3\nalpha\nthe zebra crossing') && ragView[ragView.length - 1] === 'User: and the zebra crossing?', 'cited context block sits before the message');
+    ok(ragView.filter(v => v.startsWith('Project context')).length === 1, 'earlier rounds do not repeat their context');
+    r = await req(B, 'POST', '/api/preview-view', { conversationId: ragConv, provider: 'mock', modelId: 'mock-echo', agentId: 'r1', userMessage: 'zebra', retrieval: false });
+    ok(r.body.retrieval === null && !JSON.stringify(r.body.view).includes('Project context'), 'retrieval: false turns it off');
+    r = await req(B, 'POST', '/api/turn', { userMessage: 'zebra', retrieval: 'lots', targetModels: [{ provider: 'mock', modelId: 'mock-echo' }] });
+    ok(r.status === 400 && r.body.error === 'invalid_retrieval', 'malformed retrieval -> 400');
+
+    console.log('\npinned files');
+    r = await req(B, 'POST', `/api/projects/${projectId}/files`, { path: 'notes/rules.md', content: 'Rule one: be brief.' });
+    const rulesId = r.body.id;
+    const previewSystem = async () => (await req(B, 'POST', '/api/preview-view', { conversationId: ragConv, provider: 'mock', modelId: 'mock-echo', agentId: 'r1', userMessage: 'hi' })).body.system;
+    ok(!(await previewSystem()).includes('Rule one'), 'unpinned file content stays out of the prompt');
+    r = await req(B, 'PATCH', `/api/projects/${projectId}/files/${rulesId}`, { metadata: { always_in_context: true } });
+    ok(r.status === 200 && r.body.metadata.always_in_context === true && r.body.metadata.retrieval_eligible === true, 'PATCH merges the flag into the metadata');
+    ok((await previewSystem()).includes('--- notes/rules.md ---\nRule one: be brief.'), 'pinned file content in the system prompt');
+    r = await req(B, 'GET', `/api/projects/${projectId}/files`);
+    ok(r.body.files.find(f => f.id === rulesId).always_in_context === true, 'file list shows the flag');
+    await req(B, 'POST', `/api/projects/${projectId}/files`, { path: 'notes/rules.md', content: 'Rule one: be very brief.' });
+    ok((await previewSystem()).includes('Rule one: be very brief.'), 're-upload keeps the pin and updates the content');
+    r = await req(B, 'PATCH', `/api/projects/${projectId}/files/${rulesId}`, { metadata: { always_in_context: null } });
+    ok(r.status === 200 && !('always_in_context' in r.body.metadata) && !(await previewSystem()).includes('Rule one'), 'null removes the flag');
+    r = await req(B, 'PATCH', `/api/projects/${projectId}/files/${rulesId}`, { metadata: { always_in_context: 'yes' } });
+    ok(r.status === 400, 'non-boolean flag -> 400');
+    r = await req(B, 'PATCH', `/api/projects/${projectId}/files/nope`, { metadata: { always_in_context: true } });
+    ok(r.status === 404, 'unknown file -> 404');
+
+    console.log('\ncontext budget');
+    const longTarget = { provider: 'mock', modelId: 'mock-echo', agentId: 'long' };
+    let longConv;
+    for (const word of ['apple', 'banana', 'cherry']) {
+      r = await req(B, 'POST', '/api/turn', { conversationId: longConv, userMessage: `${word} `.repeat(300), retrieval: false, targetModels: [longTarget] });
+      longConv = r.body.conversationId;
+    }
+    ok(r.status === 200 && !r.body.results[0].contextTrim, 'full history fits the default window');
+    const budgetPreview = { conversationId: longConv, ...longTarget, userMessage: 'recap', retrieval: false, options: { maxTokens: 200 }, contextWindow: 1600 };
+    r = await req(B, 'POST', '/api/preview-view', budgetPreview);
+    const trim = r.body.contextTrim;
+    ok(trim && trim.window === 1600 && trim.budget === 1400 && trim.droppedRounds.from === 1 && trim.droppedRounds.to >= 1 && trim.replacement === 'references', 'preview reports the dropped rounds');
+    const trimmedView = JSON.stringify(r.body.view.messages.filter(m => m.role !== 'system'));
+    ok(!trimmedView.includes('apple') && trimmedView.includes('cherry'), 'oldest round left out of the view, latest kept');
+    ok(r.body.system.includes('EARLIER ROUNDS\nRounds 1-') && r.body.system.includes('- Round 1 (User): apple apple'), 'system prompt references the dropped rounds');
+    r = await req(B, 'POST', '/api/turn', { conversationId: longConv, userMessage: 'recap', retrieval: false, targetModels: [{ ...longTarget, options: { maxTokens: 200 }, contextWindow: 1600 }] });
+    ok(r.status === 200 && r.body.results[0].contextTrim && r.body.results[0].contextTrim.droppedRounds.from === 1, 'turn result reports the trim');
+
+    console.log('\nrolling summaries');
+    r = await req(B, 'POST', `/api/conversation/${longConv}/summarize`, {});
+    ok(r.status === 200 && r.body.version === 1 && r.body.throughRound === 4 && r.body.provider === 'mock' && r.body.summary.includes('Round 1\nUser: apple'), 'summarize uses the latest agent and reads every round');
+    r = await req(B, 'POST', '/api/preview-view', { ...budgetPreview, contextWindow: undefined });
+    ok(r.body.system.includes('Summary of rounds 1-4: Echo: '), 'summary shown in the system prompt');
+    // The mock summary echoes its whole input, so the window must leave room for it
+    r = await req(B, 'POST', '/api/preview-view', { ...budgetPreview, contextWindow: 3700 });
+    ok(r.body.contextTrim && r.body.contextTrim.replacement === 'summary' && r.body.system.includes('The conversation summary above covers them.'), 'trimmed rounds point at the summary');
+    r = await req(B, 'POST', `/api/conversation/${longConv}/summarize`, {});
+    ok(r.status === 200 && r.body.unchanged === true && r.body.version === 1, 'nothing new -> current summary unchanged');
+    await req(B, 'POST', '/api/turn', { conversationId: longConv, userMessage: 'date night', retrieval: false, targetModels: [longTarget] });
+    r = await req(B, 'POST', `/api/conversation/${longConv}/summarize`, { provider: 'mock', modelId: 'mock-echo' });
+    ok(r.status === 200 && r.body.version === 2 && r.body.throughRound === 5 && r.body.summary.includes('Previous summary (rounds 1-4)') && r.body.summary.includes('\n\nRound 5\nUser: date night') && r.body.summary.split('Round 1\n').length === 2, 'rolls the previous summary forward with the new rounds');
+    r = await req(B, 'POST', `/api/conversation/${longConv}/summarize`, { full: true });
+    ok(r.status === 200 && r.body.version === 3 && !r.body.summary.includes('Previous summary') && r.body.summary.includes('Round 1\n'), 'full: true starts over');
+    r = await req(B, 'GET', `/api/conversation/${longConv}/summaries`);
+    ok(r.status === 200 && r.body.summaries.map(v => v.version).join(',') === '3,2,1', 'every version listed');
+    r = await req(B, 'POST', `/api/conversation/${longConv}/summarize`, { provider: 'nope' });
+    ok(r.status === 400 && r.body.error === 'invalid_provider', 'unknown provider -> 400');
+    r = await req(B, 'POST', '/api/conversation/nope/summarize', {});
+    ok(r.status === 404, 'unknown conversation -> 404');
+    await req(B, 'POST', `/api/conversation/${longConv}/rounds/5/edit`, { userMessage: 'brunch' });
+    r = await req(B, 'GET', `/api/conversation/${longConv}/summaries`);
+    const edited = (await req(B, 'GET', `/api/conversation/${longConv}`)).body;
+    ok(r.body.summaries.map(v => v.version).join(',') === '1' && edited.summaryRound === 4 && !edited.summary.includes('date night'), 'editing round 5 drops the summaries covering it');
+    let bgConv;
+    for (let i = 1; i <= 10; i++) {
+      r = await req(B, 'POST', '/api/turn', { conversationId: bgConv, userMessage: `step ${i}`, retrieval: false, targetModels: [{ provider: 'mock', modelId: 'mock-echo' }] });
+      bgConv = r.body.conversationId;
+    }
+    let bg;
+    for (let i = 0; i < 20 && !(bg && bg.summaryRound); i++) {
+      await sleep(100);
+      bg = (await req(B, 'GET', `/api/conversation/${bgConv}`)).body;
+    }
+    ok(bg.summaryRound === 10 && bg.summary.includes('User: step 10'), 'summary written in the background after 10 rounds');
+
+    console.log('\ntitles and organisation');
+    ok(bg.title === 'Step 1' && bg.titleSource === 'auto', 'title from the first message when no title model is set');
+    r = await req(B, 'PATCH', `/api/conversation/${bgConv}`, { title: '  Ten   steps ', pinned: true, tags: ['demo', ' demo ', 'steps'] });
+    ok(r.status === 200 && r.body.title === 'Ten steps' && r.body.titleSource === 'user' && r.body.pinned === true && r.body.tags.join(',') === 'demo,steps', 'rename, pin and tag');
+    r = await req(B, 'GET', '/api/conversations');
+    ok(r.body.conversations[0].id === bgConv && r.body.conversations[0].pinned === true && r.body.conversations[0].tags.includes('demo'), 'pinned conversation listed first');
+    r = await req(B, 'GET', '/api/conversations?tag=demo');
+    ok(r.body.total === 1 && r.body.conversations[0].id === bgConv, 'tag filter');
+    r = await req(B, 'PATCH', `/api/conversation/${bgConv}`, { archived: true });
+    ok(r.status === 200 && r.body.archived === true && r.body.title === 'Ten steps', 'archive keeps the other fields');
+    r = await req(B, 'GET', '/api/conversations');
+    ok(!r.body.conversations.some(c => c.id === bgConv), 'archived conversations left out by default');
+    r = await req(B, 'GET', '/api/conversations?archived=true');
+    ok(r.body.conversations.length === 1 && r.body.conversations[0].id === bgConv, 'archived=true lists only archived ones');
+    await req(B, 'POST', '/api/turn', { conversationId: bgConv, userMessage: 'one more', retrieval: false, targetModels: [{ provider: 'mock', modelId: 'mock-echo' }] });
+    await sleep(300);
+    r = await req(B, 'GET', `/api/conversation/${bgConv}`);
+    ok(r.body.title === 'Ten steps', 'a chosen title is never replaced');
+    r = await req(B, 'PATCH', `/api/conversation/${bgConv}`, { title: '' });
+    ok(r.status === 400 && r.body.error === 'invalid_title', 'empty title -> 400');
+    r = await req(B, 'PATCH', `/api/conversation/${bgConv}`, { tags: 'demo' });
+    ok(r.status === 400 && r.body.error === 'invalid_tags', 'tags not a list -> 400');
+    r = await req(B, 'PATCH', `/api/conversation/${bgConv}`, { pinned: 'yes' });
+    ok(r.status === 400 && r.body.error === 'invalid_pinned', 'non-boolean pinned -> 400');
+    r = await req(B, 'PATCH', `/api/conversation/${bgConv}`, {});
+    ok(r.status === 400 && r.body.error === 'nothing_to_update', 'empty patch -> 400');
+    r = await req(B, 'PATCH', '/api/conversation/nope', { pinned: true });
+    ok(r.status === 404, 'unknown conversation -> 404');
+
+    console.log('\nconversation history');
+    r = await req(B, 'POST', '/api/turn', { userMessage: 'zucchini recipes', retrieval: false, targetModels: [{ provider: 'mock', modelId: 'mock-cited', name: 'Scout', agentId: 'h1' }, { provider: 'mock', modelId: 'mock-echo', agentId: 'h2' }] });
+    const histConv = r.body.conversationId;
+    const histFork = (await req(B, 'POST', `/api/conversation/${histConv}/fork`, { round: 1 })).body.conversationId;
+    // A second server on the same database sees only what was stored
+    const reload = startServer(3973, false, { DB_PATH: path.join(base.tmp, 'db.sqlite') });
+    try {
+      await waitUp(3973);
+      const stored = (await req(3973, 'GET', `/api/conversation/${histConv}`)).body;
+      const [scout, echo] = stored.rounds[0].agents;
+      ok(scout.name === 'Scout' && scout.citations[0].uri === 'https://example.test/source', 'agent name and citations stored with the reply');
+      ok(echo.tokenUsage && echo.tokenUsage.used === 30 && !echo.citations, 'token usage stored with the reply');
+    } finally { reload.proc.kill(); }
+    r = await req(B, 'POST', `/api/projects/${projectId}/search`, { query: 'zucchini', filters: { source_type: 'conversation_message' } });
+    ok(r.status === 200 && r.body.results.length && r.body.results.every(x => x.conversation_id === histConv || x.conversation_id === histFork), 'message hits name their conversation');
+    r = await req(B, 'DELETE', `/api/conversation/${histConv}`);
+    ok(r.status === 200 && r.body.deleted === true, 'delete conversation');
+    r = await req(B, 'GET', `/api/conversation/${histConv}`);
+    ok(r.status === 404, 'deleted conversation -> 404');
+    r = await req(B, 'GET', '/api/conversations?archived=all');
+    ok(!r.body.conversations.some(c => c.id === histConv), 'deleted conversation no longer listed');
+    r = await req(B, 'POST', `/api/projects/${projectId}/search`, { query: 'zucchini', filters: { source_type: 'conversation_message' } });
+    ok(!r.body.results.some(x => x.conversation_id === histConv), 'its messages leave the search index');
+    r = await req(B, 'GET', `/api/conversation/${histFork}`);
+    ok(r.status === 200 && !r.body.parentConversationId && r.body.rounds.length === 1, 'forks survive without the parent link');
+    r = await req(B, 'DELETE', `/api/conversation/${histConv}`);
+    ok(r.status === 404, 'delete twice -> 404');
+
+    console.log('\nprojects');
+    r = await req(B, 'POST', '/api/projects', {
+      name: '  Field   notes ',
+      description: 'Walrus research',
+      settings: { default_agents: [{ provider: 'mock', modelId: 'mock-echo', agentId: 'd1', name: 'Echo' }], system_prompts: { common: 'Project rule: be terse.' }, retrieval: false }
+    });
+    ok(r.status === 201 && r.body.name === 'Field notes' && r.body.settings.default_agents.length === 1 && r.body.is_default === false, 'create project with settings');
+    const projId = r.body.id;
+    r = await req(B, 'POST', '/api/projects', { description: 'no name' });
+    ok(r.status === 400 && r.body.error === 'invalid_name', 'project without a name -> 400');
+    r = await req(B, 'POST', '/api/projects', { name: 'bad', settings: { default_agents: [] } });
+    ok(r.status === 400 && r.body.error === 'invalid_settings' && r.body.message.includes('default_agents'), 'malformed settings -> 400');
+    r = await req(B, 'POST', '/api/turn', { projectId: projId, userMessage: 'walrus tusks' });
+    const projConv = r.body.conversationId;
+    ok(r.status === 200 && r.body.results.length === 1 && r.body.results[0].name === 'Echo' && r.body.retrieval === undefined, 'turn without targets uses the project\'s default agents');
+    r = await req(B, 'GET', `/api/conversation/${projConv}`);
+    ok(r.body.projectId === projId && r.body.projectName === 'Field notes', 'new conversation created in the requested project');
+    r = await req(B, 'GET', `/api/conversations?project_id=${projId}`);
+    ok(r.body.total === 1 && r.body.conversations[0].id === projConv, 'listed under its project');
+    r = await req(B, 'POST', '/api/preview-view', { conversationId: projConv, provider: 'mock', modelId: 'mock-echo', agentId: 'd1', userMessage: 'next' });
+    ok(JSON.stringify(r.body.view).includes('Project rule: be terse.'), 'project prompt reaches the agents');
+    r = await req(B, 'POST', '/api/preview-view', { conversationId: projConv, provider: 'mock', modelId: 'mock-echo', agentId: 'd1', userMessage: 'next', systemPrompts: { common: 'Request rule.' } });
+    ok(JSON.stringify(r.body.view).includes('Request rule.') && !JSON.stringify(r.body.view).includes('Project rule'), 'request prompts override the project\'s');
+    r = await req(B, 'POST', '/api/turn', { projectId: 'proj_nope', userMessage: 'x', targetModels: [{ provider: 'mock', modelId: 'mock-echo' }] });
+    ok(r.status === 404 && r.body.error === 'project_not_found', 'unknown project -> 404');
+    r = await req(B, 'GET', '/api/projects');
+    const listed = r.body.projects.find(p => p.id === projId);
+    ok(r.body.projects[0].is_default && listed && listed.conversation_count === 1 && listed.file_count === 0, 'projects listed with counts, default first');
+    r = await req(B, 'PATCH', `/api/projects/${projId}`, { name: 'Walruses', settings: { retrieval: null } });
+    ok(r.status === 200 && r.body.name === 'Walruses' && !('retrieval' in r.body.settings) && r.body.settings.system_prompts.common === 'Project rule: be terse.', 'rename; settings merged, null removes a key');
+    r = await req(B, 'GET', `/api/conversation/${projConv}`);
+    ok(r.body.projectName === 'Walruses', 'open conversations see the new name');
+    r = await req(B, 'PATCH', `/api/projects/${projId}`, {});
+    ok(r.status === 400 && r.body.error === 'nothing_to_update', 'empty project patch -> 400');
+    const defaultId = (await req(B, 'GET', '/api/projects')).body.defaultProjectId;
+    r = await req(B, 'PATCH', `/api/conversation/${projConv}`, { projectId: defaultId });
+    ok(r.status === 200 && r.body.projectId === defaultId, 'move conversation to another project');
+    r = await req(B, 'POST', `/api/projects/${defaultId}/search`, { query: 'walrus', filters: { source_type: 'conversation_message' } });
+    const movedHits = r.body.results.filter(x => x.conversation_id === projConv).length;
+    r = await req(B, 'POST', `/api/projects/${projId}/search`, { query: 'walrus', filters: { source_type: 'conversation_message' } });
+    ok(movedHits === 2 && r.body.results.length === 0, 'its messages are searched in the new project');
+    r = await req(B, 'PATCH', `/api/conversation/${projConv}`, { projectId: 'proj_nope' });
+    ok(r.status === 404 && r.body.error === 'project_not_found', 'move to unknown project -> 404');
+    r = await req(B, 'DELETE', `/api/projects/${defaultId}`);
+    ok(r.status === 400 && r.body.error === 'default_project', 'default project cannot be deleted');
+    await req(B, 'PATCH', `/api/conversation/${projConv}`, { projectId: projId });
+    r = await req(B, 'DELETE', `/api/projects/${projId}`);
+    ok(r.status === 200 && r.body.conversations === 1, 'delete project');
+    r = await req(B, 'GET', `/api/conversation/${projConv}`);
+    const gone = r.status === 404;
+    r = await req(B, 'GET', `/api/projects/${projId}`);
+    ok(gone && r.status === 404, 'its conversations go with it');
+
+    console.log('\ndeleting and trash');
+    const okapiPair = [{ provider: 'mock', modelId: 'mock-echo', agentId: 'k1' }, { provider: 'mock', modelId: 'mock-echo', agentId: 'k2' }];
+    r = await req(B, 'POST', '/api/turn', { userMessage: 'okapi first', retrieval: false, targetModels: okapiPair });
+    const delConv = r.body.conversationId;
+    for (const text of ['okapi second', 'okapi third']) {
+      await req(B, 'POST', '/api/turn', { conversationId: delConv, userMessage: text, retrieval: false, targetModels: okapiPair });
+    }
+    await req(B, 'POST', `/api/conversation/${delConv}/autosave`, { enabled: true, format: 'md' });
+    await sleep(200);
+    const transcript = path.join(base.tmp, 'tx', `conversation-${delConv}.md`);
+    r = await req(B, 'DELETE', `/api/conversation/${delConv}/rounds/2`);
+    ok(r.status === 200 && r.body.rounds === 2, 'delete a round');
+    r = await req(B, 'GET', `/api/conversation/${delConv}`);
+    ok(r.body.rounds.length === 2 && r.body.rounds[1].user.content === 'okapi third' && r.body.rounds[1].agents.length === 2, 'later rounds move up');
+    r = await req(B, 'POST', `/api/projects/${defaultId}/search`, { query: 'okapi', filters: { source_type: 'conversation_message' } });
+    const delHits = r.body.results.filter(x => x.conversation_id === delConv);
+    ok(delHits.length === 6 && !delHits.some(x => x.content.includes('second')) && delHits.filter(x => x.content.includes('third')).every(x => x.round_number === 2), 'search index follows the renumbering');
+    r = await req(B, 'DELETE', `/api/conversation/${delConv}/rounds/1/agents/k2`);
+    ok(r.status === 200 && r.body.deleted === true, 'delete one reply');
+    r = await req(B, 'GET', `/api/conversation/${delConv}`);
+    ok(r.body.rounds[0].agents.length === 1 && r.body.rounds[0].agents[0].agentId === 'k1', 'other replies kept');
+    r = await req(B, 'DELETE', `/api/conversation/${delConv}/rounds/1/agents/k2`);
+    ok(r.status === 404 && r.body.error === 'reply_not_found', 'delete a missing reply -> 404');
+    r = await req(B, 'DELETE', `/api/conversation/${delConv}/rounds/9`);
+    ok(r.status === 400 && r.body.error === 'invalid_round', 'delete a missing round -> 400');
+    r = await req(B, 'DELETE', `/api/conversation/${delConv}?trash=1`);
+    ok(r.status === 200 && r.body.trashed === true, 'move to trash');
+    r = await req(B, 'GET', `/api/conversation/${delConv}`);
+    const trashedHidden = r.status === 404;
+    r = await req(B, 'GET', '/api/conversations?archived=all');
+    ok(trashedHidden && !r.body.conversations.some(c => c.id === delConv), 'trashed conversation hidden');
+    r = await req(B, 'GET', '/api/trash');
+    ok(r.status === 200 && r.body.conversations.some(c => c.id === delConv && c.deleted_at), 'listed in the trash');
+    r = await req(B, 'POST', `/api/projects/${defaultId}/search`, { query: 'okapi', filters: { source_type: 'conversation_message' } });
+    ok(!r.body.results.some(x => x.conversation_id === delConv), 'trashed messages leave the search index');
+    r = await req(B, 'POST', `/api/conversation/${delConv}/restore`, {});
+    ok(r.status === 200 && r.body.restored === true, 'restore from trash');
+    r = await req(B, 'GET', `/api/conversation/${delConv}`);
+    const restoredRounds = r.body.rounds && r.body.rounds.length;
+    r = await req(B, 'POST', `/api/projects/${defaultId}/search`, { query: 'okapi', filters: { source_type: 'conversation_message' } });
+    ok(restoredRounds === 2 && r.body.results.filter(x => x.conversation_id === delConv).length === 5, 'restored with its rounds and search index');
+    r = await req(B, 'POST', `/api/conversation/${delConv}/restore`, {});
+    ok(r.status === 404 && r.body.error === 'not_in_trash', 'restore twice -> 404');
+    ok(fs.existsSync(transcript), 'autosaved transcript written');
+    await req(B, 'DELETE', `/api/conversation/${delConv}?trash=1`);
+    r = await req(B, 'DELETE', '/api/trash');
+    ok(r.status === 200 && r.body.conversationIds.includes(delConv), 'empty the trash');
+    r = await req(B, 'GET', '/api/trash');
+    ok(!r.body.conversations.length && !fs.existsSync(transcript), 'trash empty and transcript removed');
+
+    console.log('\nbinary files');
+    const binProject = (await req(B, 'GET', '/api/projects')).body.defaultProjectId;
+    const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(64, 0), Buffer.from([0xff, 0xfe])]);
+    r = await req(B, 'POST', `/api/projects/${binProject}/files`, { path: 'img/dot.png', content: png.toString('base64'), encoding: 'base64' });
+    ok(r.status === 201 && r.body.encoding === 'binary' && r.body.mime_type === 'image/png' && r.body.size_bytes === png.length, 'base64 upload stored as binary');
+    const pngId = r.body.id;
+    r = await req(B, 'POST', `/api/projects/${binProject}/files`, { path: 'img/bad.png', content: 'not base64!', encoding: 'base64' });
+    ok(r.status === 400, 'invalid base64 -> 400');
+    r = await req(B, 'GET', `/api/projects/${binProject}/files/${pngId}`);
+    ok(r.body.content === null && r.body.encoding === 'binary' && r.body.raw_url.endsWith(`/files/${pngId}/raw`), 'binary file metadata without text content');
+    r = await req(B, 'GET', `/api/projects/${binProject}/files/${pngId}?encoding=base64`);
+    ok(Buffer.from(r.body.content, 'base64').equals(png), 'content as base64 on request');
+    r = await getRaw(B, `/api/projects/${binProject}/files/${pngId}/raw`);
+    ok(r.status === 200 && r.headers['content-type'] === 'image/png' && r.body.equals(png), 'raw download is byte-exact with its Content-Type');
+    r = await getRaw(B, `/api/projects/${binProject}/files/${pngId}/raw?download=1`);
+    ok(/^attachment; filename="dot.png"$/.test(r.headers['content-disposition']) && r.headers['x-content-type-options'] === 'nosniff', 'download as attachment');
+    r = await req(B, 'POST', `/api/projects/${binProject}/files`, { path: 'notes/b64.md', content: Buffer.from('# héllo\n').toString('base64'), encoding: 'base64' });
+    ok(r.body.encoding === 'utf8', 'base64 text stays text');
+    r = await getRaw(B, `/api/projects/${binProject}/files/${r.body.id}/raw`);
+    ok(r.headers['content-type'] === 'text/markdown; charset=utf-8' && r.body.toString('utf8') === '# héllo\n', 'text served with a charset');
+    r = await req(B, 'POST', '/api/turn', { userMessage: 'read_file {"path": "img/dot.png"}', tools: ['read_file'], targetModels: [{ provider: 'mock', modelId: 'mock-tools', agentId: 'b1' }] });
+    ok(r.body.results[0].toolSteps[0].calls[0].error && r.body.results[0].text.includes('binary file (image/png'), 'read_file refuses binary files');
+
+    console.log('\nimage attachments');
+    const vision = [{ provider: 'mock', modelId: 'mock-vision', agentId: 'v1' }];
+    r = await req(B, 'POST', '/api/turn', { userMessage: 'what is this?', imageAttachments: [{ data: `data:image/png;base64,${png.toString('base64')}`, name: 'shot one.png' }], targetModels: vision });
+    const visionConv = r.body.conversationId;
+    ok(r.status === 200 && r.body.results[0].text === `Saw 1 image(s): image/png ${png.length}B`, 'uploaded image sent to the model');
+    r = await req(B, 'GET', `/api/conversation/${visionConv}`);
+    const storedImages = r.body.rounds[0].user.images;
+    ok(storedImages && storedImages.length === 1 && /^attachments\/.+-1-shot_one\.png$/.test(storedImages[0].path) && storedImages[0].mimeType === 'image/png', 'round keeps a reference to the stored image');
+    r = storedImages && await getRaw(B, `/api/projects/${binProject}/files/${storedImages[0].fileId}/raw`);
+    ok(r && r.body.equals(png), 'upload saved as a project file byte for byte');
+    r = await req(B, 'POST', '/api/turn', { conversationId: visionConv, userMessage: 'and this one?', imageAttachments: [{ fileId: pngId }], targetModels: vision });
+    ok(r.status === 200 && r.body.results[0].text.startsWith('Saw 2 image(s)'), 'project image by fileId, earlier image replayed from history');
+    r = await req(B, 'POST', '/api/turn', { userMessage: 'x', imageAttachments: [{ data: Buffer.from('plain text').toString('base64') }], targetModels: vision });
+    ok(r.status === 400 && r.body.error === 'invalid_image_attachments', 'data that is not an image -> 400');
+    const mdFile = (await req(B, 'GET', `/api/projects/${binProject}/files`)).body.files.find(f => f.path === 'notes/b64.md');
+    r = await req(B, 'POST', '/api/turn', { userMessage: 'x', imageAttachments: [{ fileId: mdFile.id }], targetModels: vision });
+    ok(r.status === 400 && /not a PNG/.test(r.body.message), 'non-image fileId -> 400');
+    r = await req(B, 'GET', `/api/conversation/${visionConv}/export?format=md`);
+    ok(r.body.includes('Images: attachments/'), 'images named in the markdown export');
+
+    console.log('\ncode execution');
+    r = await req(B, 'GET', '/api/tools');
+    ok(!r.body.tools.some(t => t.name === 'bash'), 'bash not offered unless EXECUTION_ENABLED');
+    const X = 3974;
+    const exec = startServer(X, false, { EXECUTION_ENABLED: '1', EXECUTION_TIMEOUT_MS: '2000' });
+    try {
+      await waitUp(X);
+      r = await req(X, 'GET', '/api/tools');
+      ok(r.body.tools.some(t => t.name === 'bash' && t.maxCallsPerTurn), 'bash listed when enabled');
+      const execProject = (await req(X, 'GET', '/api/projects')).body.defaultProjectId;
+      await req(X, 'POST', `/api/projects/${execProject}/files`, { path: 'data/nums.txt', content: '4\n5\n6\n' });
+      const bashTurn = (command, conversationId) => req(X, 'POST', '/api/turn', { conversationId, userMessage: `bash ${JSON.stringify({ command })}`, tools: ['bash'], targetModels: [{ provider: 'mock', modelId: 'mock-tools', agentId: 'x1' }] });
+      r = await bashTurn("awk '{s+=$1} END {print s}' data/nums.txt > total.txt; cat total.txt");
+      const execConv = r.body.conversationId;
+      ok(r.status === 200 && r.body.results[0].text.includes('exit code 0') && r.body.results[0].text.includes('[stdout]\n15'), 'command runs on the project files');
+      ok(r.body.results[0].toolSteps[0].calls[0].name === 'bash', 'recorded as a tool step');
+      ok(r.body.results[0].text.includes('created total.txt (saved to the project)') && r.body.results[0].filesChanged[0].path === 'total.txt', 'new file reported in the result and filesChanged');
+      const totalFile = (await req(X, 'GET', `/api/projects/${execProject}/files`)).body.files.find(f => f.path === 'total.txt');
+      r = totalFile && await req(X, 'GET', `/api/projects/${execProject}/files/${totalFile.id}`);
+      ok(r && r.body.content === '15\n' && r.body.metadata.provenance.agentId === 'x1' && r.body.metadata.provenance.round === 1, 'written back with provenance');
+      r = await req(X, 'GET', `/api/conversation/${execConv}`);
+      ok(r.body.rounds[0].agents[0].filesChanged[0].fileId === totalFile.id, 'filesChanged kept on the stored reply');
+      r = await bashTurn('cat total.txt', execConv);
+      ok(r.body.results[0].text.includes('[stdout]\n15'), 'working directory kept across turns');
+      r = await bashTurn('node -e "console.log(process.env.OPENAI_API_KEY || \'no key\')"; python3 -c "print(6 * 7)"', execConv);
+      ok(r.body.results[0].text.includes('no key\n42'), 'python and node run without the server\'s secrets');
+      r = await bashTurn('sleep 10', execConv);
+      ok(r.body.results[0].text.includes('killed after 2s (time limit)'), 'wall-clock limit');
+      r = await bashTurn('echo nope >&2; exit 4', execConv);
+      ok(r.body.results[0].text.includes('exit code 4') && r.body.results[0].text.includes('[stderr]\nnope'), 'exit code and stderr returned');
+    } finally { exec.proc.kill(); }
   } finally { base.proc.kill(); }
 
   console.log(`\n----------------------------------------\nResults: ${passed} passed, ${failed} failed`);
@@ -302,7 +302,8 @@ db.prepare(`INSERT INTO conversation_messages (id, conversation_id, round_number
 delete require.cache[require.resolve('./publicGuard')];
 const guard6 = require('./publicGuard');
 
-await guard6.wipeOldConversations();
+let reportedIds = null;
+const wipedIds = await guard6.wipeOldConversations((ids) => { reportedIds = ids; });
 
 const freshStillExists = db.prepare('SELECT id FROM conversations WHERE id = ?').get(freshId);
 assert(freshStillExists, 'fresh conversation survives wipe');
@@ -312,6 +313,8 @@ assert(!oldGone, 'old conversation is deleted by wipe');
 
 const msgGone = db.prepare('SELECT id FROM conversation_messages WHERE id = ?').get(msgId);
 assert(!msgGone, 'old conversation messages are deleted by wipe');
+assert(wipedIds.includes(oldId) && !wipedIds.includes(freshId), 'wipe returns the deleted conversation ids');
+assert(reportedIds === wipedIds, 'wipe reports the deleted ids to its callback');
 
 console.log();
 
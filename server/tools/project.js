@@ -0,0 +1,129 @@
+const fs = require('fs');
+const { db } = require('../db/index');
+const { readFileBytes, TOOL_HIDDEN_CLAUSE } = require('../db/project-files');
+const { search, citeLocation } = require('../indexing/search');
+const { getExtractor, extractText } = require('../indexing/extractors');
+const { registerTool } = require('./registry');
+
+/**
+ * Project tools: full-text search over the project's indexed files and
+ * reading a file (or a line range of it) by path. Both act on the project of
+ * the conversation that calls them (ctx.projectId). PDF and DOCX files are
+ * read as the text the indexer extracts from them; files flagged
+ * tool_accessible: false are not read.
+ */
+
+const SEARCH_MAX_CALLS = parseInt(process.env.TOOL_SEARCH_MAX_CALLS || '8', 10);
+const READ_FILE_MAX_CALLS = parseInt(process.env.TOOL_READ_FILE_MAX_CALLS || '12', 10);
+
+// Default and maximum results per search call
+const SEARCH_DEFAULT_LIMIT = 5;
+const SEARCH_MAX_LIMIT = 20;
+// Lines returned by one read_file call
+const READ_MAX_LINES = 400;
+
+function toInt(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.floor(n) : undefined;
+}
+
+function searchProject({ query, limit }, ctx) {
+  if (typeof query !== 'string' || !query.trim()) throw new Error('query is required');
+  const max = Math.min(Math.max(toInt(limit) || SEARCH_DEFAULT_LIMIT, 1), SEARCH_MAX_LIMIT);
+  // Files only: conversation chunks could expose messages hidden from the caller
+  const found = search(ctx.projectId, query, { limit: max, filters: { source_type: 'file' } });
+  if (!found.results.length) return `No results for "${query}".`;
+  const lines = [`Found ${found.total_results} result(s) for "${query}" (showing ${found.results.length}):`, ''];
+  found.results.forEach((r, i) => {
+    lines.push(`${i + 1}. ${citeLocation(r.location)}`);
+    const snippet = String(r.highlighted || r.content || '').replace(/\s+/g, ' ').trim();
+    if (snippet) lines.push(`   ${snippet}`);
+  });
+  lines.push('', 'Use read_file with a path (and start_line/end_line) to see more.');
+  return lines.join('\n');
+}
+
+// The text of a binary file with an extractor, as lines; each PDF page
+// starts with a "[page N]" line so the model can match search citations
+async function extractedLines(file) {
+  const bytes = await readFileBytes(file);
+  if (!bytes) throw new Error(`${file.path} is missing from storage`);
+  let extracted;
+  try {
+    extracted = await extractText(file.mime_type, bytes);
+  } catch (err) {
+    throw new Error(`text extraction from ${file.path} failed: ${err.message}`);
+  }
+  if (!extracted.text.trim()) throw new Error(`${file.path} has no extractable text (${file.mime_type})`);
+  if (!extracted.pages) return extracted.text.split('\n');
+  return extracted.pages.flatMap((p, i) => [...(i ? [''] : []), `[page ${p.page}]`, ...p.text.split('\n')]);
+}
+
+async function readFile({ path, start_line: startArg, end_line: endArg }, ctx) {
+  if (typeof path !== 'string' || !path.trim()) throw new Error('path is required');
+  const file = db.prepare(`
+    SELECT path, content, content_location, encoding, mime_type, size_bytes, COALESCE(${TOOL_HIDDEN_CLAUSE}, 0) AS hidden
+    FROM project_files
+    WHERE project_id = ? AND path = ?
+  `).get(ctx.projectId, path.trim().replace(/^\/+/, ''));
+  if (!file) throw new Error(`file not found: ${path}`);
+  if (file.hidden) throw new Error(`${file.path} is not accessible to tools`);
+  const extractor = file.encoding === 'binary' ? getExtractor(file.mime_type) : null;
+  if (file.encoding === 'binary' && !extractor) throw new Error(`${file.path} is a binary file (${file.mime_type}, ${file.size_bytes} bytes) and cannot be read as text`);
+
+  let lines;
+  if (extractor) {
+    lines = await extractedLines(file);
+  } else {
+    let content = file.content;
+    if (!content && file.content_location) {
+      content = await fs.promises.readFile(file.content_location, 'utf8');
+    }
+    lines = String(content || '').split('\n');
+  }
+  const start = Math.max(toInt(startArg) || 1, 1);
+  if (start > lines.length) throw new Error(`start_line ${start} is past the end of ${file.path} (${lines.length} lines)`);
+  const wanted = Math.max(toInt(endArg) || lines.length, start);
+  const end = Math.min(wanted, lines.length, start + READ_MAX_LINES - 1);
+
+  const width = String(end).length;
+  const body = lines.slice(start - 1, end).map((line, i) => `${String(start + i).padStart(width)}| ${line}`);
+  const source = extractor ? `text extracted from ${extractor.name.toUpperCase()}, ` : '';
+  const header = `${file.path} (${source}lines ${start}-${end} of ${lines.length})`;
+  const more = end < lines.length ? `\n[${lines.length - end} more line(s); continue with start_line ${end + 1}]` : '';
+  return `${header}\n${body.join('\n')}${more}`;
+}
+
+function registerProjectTools() {
+  registerTool({
+    name: 'search_project',
+    description: 'Full-text search over the files in the current project. Returns matching passages as path:start-end line ranges (pages for PDFs) with a snippet.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Words or phrase to search for' },
+        limit: { type: 'integer', description: `Maximum results (1-${SEARCH_MAX_LIMIT}, default ${SEARCH_DEFAULT_LIMIT})` },
+      },
+      required: ['query'],
+    },
+    maxCallsPerTurn: SEARCH_MAX_CALLS,
+    handler: searchProject,
+  });
+  registerTool({
+    name: 'read_file',
+    description: `Read a project file by path, optionally a line range. Lines are numbered; at most ${READ_MAX_LINES} lines per call. PDF and DOCX files are read as their text, PDF pages marked [page N].`,
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path as listed in the project, e.g. docs/guide.md' },
+        start_line: { type: 'integer', description: 'First line to read (1-based, default 1)' },
+        end_line: { type: 'integer', description: 'Last line to read (default: end of file)' },
+      },
+      required: ['path'],
+    },
+    maxCallsPerTurn: READ_FILE_MAX_CALLS,
+    handler: readFile,
+  });
+}
+
+module.exports = { registerProjectTools };
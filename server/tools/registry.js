@@ -0,0 +1,136 @@
+/**
+ * Server-side tool registry. A tool is { name, description, parameters,
+ * handler, maxCallsPerTurn? }: parameters is a JSON Schema object, and
+ * handler(args, ctx) returns (or resolves to) a string or any
+ * JSON-serializable value. ctx carries { conversationId, projectId, agentId,
+ * round, signal, callCounts, filesChanged }, where callCounts (a Map of tool
+ * name to calls made) is shared by one agent's calls within a turn, and tools
+ * that write project files push { path, status, ... } onto filesChanged.
+ *
+ * The tool-calling loop in /api/turn offers registered tools to the models,
+ * executes the calls they make and feeds the results back.
+ */
+
+const tools = new Map();
+
+const TOOL_NAME_RE = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// Tool output fed back to a model is cut at this length
+const MAX_TOOL_OUTPUT_CHARS = parseInt(process.env.TOOL_MAX_OUTPUT_CHARS || '20000', 10);
+
+function registerTool(tool) {
+  if (!tool || typeof tool.name !== 'string' || !TOOL_NAME_RE.test(tool.name)) {
+    throw new Error(`Invalid tool name: ${tool && tool.name}`);
+  }
+  if (typeof tool.handler !== 'function') {
+    throw new Error(`Tool ${tool.name} needs a handler`);
+  }
+  tools.set(tool.name, {
+    name: tool.name,
+    description: tool.description || '',
+    parameters: tool.parameters || { type: 'object', properties: {} },
+    maxCallsPerTurn: Number.isFinite(tool.maxCallsPerTurn) && tool.maxCallsPerTurn > 0 ? tool.maxCallsPerTurn : undefined,
+    handler: tool.handler,
+  });
+}
+
+function unregisterTool(name) {
+  return tools.delete(name);
+}
+
+function getTool(name) {
+  return tools.get(name);
+}
+
+// Public descriptions (no handlers), sorted by name
+function listTools() {
+  return Array.from(tools.values())
+    .map(({ name, description, parameters, maxCallsPerTurn }) => ({ name, description, parameters, ...(maxCallsPerTurn ? { maxCallsPerTurn } : {}) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Resolve a request's tool selection: true means every registered tool, an
+ * array names specific ones. Returns { names } or { unknown } listing the
+ * names that are not registered.
+ */
+function resolveToolNames(spec) {
+  if (spec === undefined || spec === null || spec === false) return { names: [] };
+  if (spec === true) return { names: listTools().map((t) => t.name) };
+  if (!Array.isArray(spec)) return { unknown: [String(spec)] };
+  const unknown = spec.filter((name) => typeof name !== 'string' || !tools.has(name)).map(String);
+  if (unknown.length) return { unknown };
+  return { names: Array.from(new Set(spec)) };
+}
+
+/**
+ * Tool definitions in a provider's native format, ready to append to the
+ * request's tools array.
+ */
+function toProviderTools(provider, names) {
+  const defs = (names || []).map((name) => tools.get(name)).filter(Boolean);
+  if (!defs.length) return [];
+  switch (provider) {
+    case 'openai':
+      return defs.map((t) => ({ type: 'function', name: t.name, description: t.description, parameters: t.parameters }));
+    case 'anthropic':
+      return defs.map((t) => ({ name: t.name, description: t.description, input_schema: t.parameters }));
+    case 'google':
+      return [{ functionDeclarations: defs.map((t) => ({ name: t.name, description: t.description, parameters: t.parameters })) }];
+    case 'xai':
+      return defs.map((t) => ({ type: 'function', function: { name: t.name, description: t.description, parameters: t.parameters } }));
+    case 'mock':
+      return defs.map((t) => ({ name: t.name, description: t.description, parameters: t.parameters }));
+    default:
+      return [];
+  }
+}
+
+/**
+ * Run one tool call. Unknown tools, bad arguments and handler errors come
+ * back as { output, error: true } so the model can see what went wrong and
+ * carry on; only an aborted ctx.signal rejects.
+ */
+async function executeToolCall(call, ctx = {}) {
+  const tool = tools.get(call && call.name);
+  if (!tool) return { output: `Error: unknown tool "${call && call.name}"`, error: true };
+  if (!call.arguments || typeof call.arguments !== 'object' || Array.isArray(call.arguments)) {
+    return { output: 'Error: tool arguments must be a JSON object', error: true };
+  }
+  if (tool.maxCallsPerTurn && ctx.callCounts) {
+    const made = ctx.callCounts.get(tool.name) || 0;
+    if (made >= tool.maxCallsPerTurn) {
+      return { output: `Error: ${tool.name} can be called at most ${tool.maxCallsPerTurn} times per turn; answer with what you have`, error: true };
+    }
+    ctx.callCounts.set(tool.name, made + 1);
+  }
+  try {
+    const value = await tool.handler(call.arguments, ctx);
+    let output = typeof value === 'string' ? value : JSON.stringify(value === undefined ? null : value);
+    if (output.length > MAX_TOOL_OUTPUT_CHARS) {
+      output = `${output.slice(0, MAX_TOOL_OUTPUT_CHARS)}\n[truncated ${output.length - MAX_TOOL_OUTPUT_CHARS} chars]`;
+    }
+    return { output };
+  } catch (err) {
+    if (ctx.signal && ctx.signal.aborted) throw err;
+    return { output: `Error: ${err && err.message ? err.message : String(err)}`, error: true };
+  }
+}
+
+// Built-in tools
+registerTool({
+  name: 'current_time',
+  description: 'Current date and time on the server, as an ISO 8601 UTC timestamp.',
+  parameters: { type: 'object', properties: {} },
+  handler: () => new Date().toISOString(),
+});
+
+module.exports = {
+  registerTool,
+  unregisterTool,
+  getTool,
+  listTools,
+  resolveToolNames,
+  toProviderTools,
+  executeToolCall,
+};
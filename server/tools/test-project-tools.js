@@ -0,0 +1,113 @@
+/**
+ * Test the project tools offered to models: search_project formats hits as
+ * path:start-end ranges from content_chunks.location and only searches the
+ * caller's project files; read_file returns numbered lines and pages long
+ * files, and refuses files flagged tool_accessible: false; both stop at their per-turn call limits, and the prompt's files
+ * section mentions them only when they are offered.
+ *
+ * Usage: node server/tools/test-project-tools.js
+ */
+
+const { check, done, useTempDatabase, removeTempDatabase } = require('../test-helpers');
+useTempDatabase('project-tools');
+process.env.TOOL_SEARCH_MAX_CALLS = '2';
+
+const crypto = require('crypto');
+const { runMigrations } = require('../db/migrate');
+runMigrations();
+
+const { db, newId } = require('../db/index');
+const { indexFile, indexMessage } = require('../indexing/indexer');
+const { executeToolCall, toProviderTools } = require('./registry');
+const { registerProjectTools } = require('./project');
+const { buildFilesSection } = require('../prompts/files');
+
+const now = Date.now();
+
+function addProject(name) {
+  const id = newId('proj');
+  db.prepare('INSERT INTO projects (id, name, created_at, updated_at) VALUES (?, ?, ?, ?)').run(id, name, now, now);
+  return id;
+}
+
+async function addFile(projectId, path, content) {
+  const id = newId('file');
+  db.prepare(`
+    INSERT INTO project_files (id, project_id, path, content, content_hash, mime_type, size_bytes, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, projectId, path, content, crypto.createHash('sha256').update(content).digest('hex'), 'text/plain', Buffer.byteLength(content), now, now);
+  await indexFile(id);
+  return id;
+}
+
+async function main() {
+  registerProjectTools();
+  const projectId = addProject('Tools Test');
+  const otherId = addProject('Other');
+
+  // 120 lines; the marker sits on line 75, i.e. in the second 50-line chunk
+  const lines = Array.from({ length: 120 }, (_, i) => `line ${i + 1}`);
+  lines[74] = 'the quokka protocol lives here';
+  await addFile(projectId, 'docs/guide.md', lines.join('\n'));
+  await addFile(otherId, 'secret.md', 'quokka in another project');
+
+  // A conversation message mentioning the same word must not show up
+  const convId = newId('conv');
+  db.prepare('INSERT INTO conversations (id, project_id, title, created_at, updated_at) VALUES (?, ?, ?, ?, ?)').run(convId, projectId, 't', now, now);
+  const msgId = newId('msg');
+  db.prepare('INSERT INTO conversation_messages (id, conversation_id, round_number, speaker, content, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(msgId, convId, 1, 'user', 'a private quokka whisper', now);
+  indexMessage(msgId);
+
+  const ctx = () => ({ projectId, callCounts: new Map() });
+  const search = (args, c = ctx()) => executeToolCall({ id: 's', name: 'search_project', arguments: args }, c);
+  const read = (args, c = ctx()) => executeToolCall({ id: 'r', name: 'read_file', arguments: args }, c);
+
+  let r = await search({ query: 'quokka' });
+  check('search: hit reported with its line range', !r.error && r.output.includes('1. docs/guide.md:51-100'));
+  check('search: snippet included', r.output.includes('**quokka**'));
+  check('search: other projects and conversation messages excluded', !r.output.includes('secret.md') && !r.output.includes('whisper') && /Found 1 result/.test(r.output));
+  r = await search({ query: 'no such words anywhere' });
+  check('search: no hits is a plain answer', !r.error && /^No results/.test(r.output));
+  r = await search({});
+  check('search: missing query is an error result', r.error === true && /query is required/.test(r.output));
+
+  r = await read({ path: 'docs/guide.md', start_line: 74, end_line: 76 });
+  check('read_file: numbered line range', !r.error && r.output.startsWith('docs/guide.md (lines 74-76 of 120)') && r.output.includes('75| the quokka protocol lives here'));
+  check('read_file: says how to continue', r.output.includes('continue with start_line 77'));
+  r = await read({ path: '/docs/guide.md' });
+  check('read_file: whole file by default, leading slash ignored', !r.error && r.output.includes('(lines 1-120 of 120)') && !r.output.includes('more line'));
+  r = await read({ path: 'secret.md' });
+  check('read_file: other projects are not readable', r.error === true && /not found/.test(r.output));
+  r = await read({ path: 'docs/guide.md', start_line: 500 });
+  check('read_file: start past the end is an error result', r.error === true && /past the end/.test(r.output));
+  const privateId = await addFile(projectId, 'notes/private.md', 'keep this from the models');
+  db.prepare('UPDATE project_files SET metadata = ? WHERE id = ?').run(JSON.stringify({ tool_accessible: false }), privateId);
+  r = await read({ path: 'notes/private.md' });
+  check('read_file: files flagged tool_accessible: false are refused', r.error === true && /not accessible to tools/.test(r.output) && !r.output.includes('keep this'));
+
+  const shared = ctx();
+  await search({ query: 'quokka' }, shared);
+  await search({ query: 'quokka' }, shared);
+  r = await search({ query: 'quokka' }, shared);
+  check('limit: third search in a turn is refused', r.error === true && /at most 2 times per turn/.test(r.output));
+  r = await read({ path: 'docs/guide.md', start_line: 1, end_line: 1 }, shared);
+  check('limit: counted per tool', !r.error);
+  r = await search({ query: 'quokka' });
+  check('limit: a new turn starts from zero', !r.error);
+
+  check('prompt: files section points at the tools when offered', buildFilesSection(projectId, { tools: ['search_project', 'read_file'] }).includes('Call search_project'));
+  check('prompt: no tool hint without tools', !buildFilesSection(projectId).includes('search_project'));
+
+  const anthropicTools = toProviderTools('anthropic', ['search_project', 'read_file']);
+  check('tools: offered with schemas', anthropicTools.length === 2 && anthropicTools[1].input_schema.required[0] === 'path');
+
+  removeTempDatabase();
+
+  done('project tool');
+}
+
+main().catch(err => {
+  console.error('Test crashed:', err);
+  process.exit(1);
+});
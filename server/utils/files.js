@@ -50,10 +50,39 @@ function detectMimeType(filePath) {
     '.jpeg': 'image/jpeg',
     '.png': 'image/png',
     '.gif': 'image/gif',
+    '.webp': 'image/webp',
     '.pdf': 'application/pdf',
     '.zip': 'application/zip',
+    '.gz': 'application/gzip',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
   };
   return mimeTypes[ext] || 'application/octet-stream';
 }
 
-module.exports = { validatePath, computeHash, detectMimeType };
+/**
+ * Whether files of this MIME type are stored as bytes rather than text.
+ * application/octet-stream is not: it is also what unknown extensions get.
+ */
+function isBinaryMimeType(mimeType) {
+  const type = String(mimeType || '');
+  if (type === 'image/svg+xml') return false;
+  return /^(image|audio|video)\//.test(type) ||
+    ['application/pdf', 'application/zip', 'application/gzip'].includes(type) ||
+    type.startsWith('application/vnd.openxmlformats-officedocument.');
+}
+
+/**
+ * Decode a buffer as UTF-8 text; null when it holds binary content (a NUL
+ * byte or invalid UTF-8)
+ */
+function decodeText(buffer) {
+  if (buffer.includes(0)) return null;
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { validatePath, computeHash, detectMimeType, isBinaryMimeType, decodeText };
@@ -0,0 +1,49 @@
+/**
+ * Token estimates for budgeting prompts without a provider tokenizer. Closer
+ * to BPE tokenizers than chars / 4 on prose and code alike: a short word is
+ * one token and longer ones split every ~6 letters, numbers split every 3
+ * digits, punctuation and non-Latin characters count one each, and line
+ * breaks and runs of indentation are not free. Errs on the high side.
+ */
+
+// Overhead providers add around each chat message (role markers etc.)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// Rough prompt cost of one attached image (providers bill ~1-2k for a
+// typical screenshot)
+const IMAGE_TOKENS = 1500;
+
+const PIECE_RE = /[A-Za-z]+|[0-9]+|\s+|[^\sA-Za-z0-9]/gu;
+
+function estimateTokens(text) {
+  if (!text || typeof text !== 'string') return 0;
+  let tokens = 0;
+  for (const [piece] of text.matchAll(PIECE_RE)) {
+    const c = piece.charCodeAt(0);
+    if ((c >= 65 && c <= 90) || (c >= 97 && c <= 122)) {
+      tokens += Math.ceil(piece.length / 6);
+    } else if (c >= 48 && c <= 57) {
+      tokens += Math.ceil(piece.length / 3);
+    } else if (/^\s/.test(piece)) {
+      if (piece.includes('\n')) tokens += 1;
+      else if (piece.length > 1) tokens += Math.ceil(piece.length / 4);
+    } else {
+      tokens += 1;
+    }
+  }
+  return tokens;
+}
+
+// Chat messages ({ role, content, images?, toolCalls? }) including
+// per-message overhead
+function estimateMessagesTokens(messages) {
+  let tokens = 0;
+  for (const m of messages || []) {
+    if (!m) continue;
+    tokens += MESSAGE_OVERHEAD_TOKENS + estimateTokens(typeof m.content === 'string' ? m.content : JSON.stringify(m.content || ''));
+    if (Array.isArray(m.images)) tokens += m.images.length * IMAGE_TOKENS;
+    if (Array.isArray(m.toolCalls)) tokens += estimateTokens(JSON.stringify(m.toolCalls.map((c) => ({ name: c.name, arguments: c.arguments }))));
+  }
+  return tokens;
+}
+
+module.exports = { estimateTokens, estimateMessagesTokens, MESSAGE_OVERHEAD_TOKENS, IMAGE_TOKENS };
@@ -24,6 +24,21 @@ const downloadMdBtn = q('#downloadMd');
 const autoSaveToggle = q('#autoSaveToggle');
 const autoSaveNote = q('#autoSaveNote');
 const previewOut = q('#previewOut');
+const forkRoundEl = q('#forkRound');
+const forkBtn = q('#forkBtn');
+const refreshBranchesBtn = q('#refreshBranches');
+const branchTreeEl = q('#branchTree');
+const turnModeEl = q('#turnMode');
+const synthProviderEl = q('#synthProvider');
+const synthModelEl = q('#synthModel');
+const synthShareEl = q('#synthShare');
+const autoRoundsEl = q('#autoRounds');
+const autoBudgetEl = q('#autoBudget');
+const autoRunBtn = q('#autoRunBtn');
+const whisperToEl = q('#whisperTo');
+const useToolsEl = q('#useTools');
+const toolListEl = q('#toolList');
+const autoContextEl = q('#autoContext');
 
 let pendingEnableAutosave = false;
 let attachedFiles = [];
@@ -44,6 +59,17 @@ function addLog(html, type = 'agent') {
   div.innerHTML = html;
   log.appendChild(div);
   log.scrollTop = log.scrollHeight;
+  return div;
+}
+
+// Safe in element content and in quoted attribute values
+function escapeHtml(s) {
+  return String(s == null ? '' : s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
 }
 
 function formatTokenUsage(info) {
@@ -68,6 +94,969 @@ function formatTokenUsage(info) {
   return `<span class='tokens'>${pieces.join(' ')}</span>`;
 }
 
+// "to …" / "hidden from …" label for a directed message
+function visibilityTag(visibility) {
+  if (!visibility) return '';
+  const parts = [];
+  if (Array.isArray(visibility.to)) parts.push(`to ${visibility.to.map(escapeHtml).join(', ')}`);
+  if (Array.isArray(visibility.hiddenFrom)) parts.push(`hidden from ${visibility.hiddenFrom.map(escapeHtml).join(', ')}`);
+  return ` <span class='small visibility' title='Only these agents see this message'>🔒 ${parts.join('; ')}</span>`;
+}
+
+// Visibility for the next message: whisper to the agents named in the field
+function readVisibility() {
+  const names = (whisperToEl ? whisperToEl.value : '').split(',').map(n => n.trim()).filter(Boolean);
+  return names.length ? { to: names } : undefined;
+}
+
+// One line per server tool call: name, arguments and (shortened) output
+function toolCallLine(call) {
+  const args = call.arguments && Object.keys(call.arguments).length ? JSON.stringify(call.arguments) : '';
+  const out = call.output === undefined ? '…' : String(call.output);
+  const short = out.length > 160 ? `${out.slice(0, 160)}…` : out;
+  return `<div class="tool-call${call.error ? ' failed' : ''}" title="${escapeHtml(out)}">⚙ <b>${escapeHtml(call.name)}</b>(${escapeHtml(args)}) → ${escapeHtml(short)}</div>`;
+}
+
+function renderToolSteps(steps) {
+  if (!Array.isArray(steps) || !steps.length) return '';
+  return `<div class="tool-steps">${steps.flatMap(step => step.calls || []).map(toolCallLine).join('')}</div>`;
+}
+
+// Project files the agent's commands saved this turn (or could not save)
+function renderFilesChanged(files) {
+  if (!Array.isArray(files) || !files.length) return '';
+  const items = files.map(f => {
+    const label = f.status === 'created' ? 'new' : 'modified';
+    const note = f.skipped ? ` <span class='small'>not saved: ${escapeHtml(f.skipped)}</span>` : '';
+    return `<li${f.skipped ? ' class="failed"' : ''} title="${escapeHtml(f.command || '')}"><code>${escapeHtml(f.path)}</code> <span class='small'>${label}</span>${note}</li>`;
+  });
+  return `<div class="files-changed"><b>Files changed this turn</b><ul>${items.join('')}</ul></div>`;
+}
+
+function renderResult(r) {
+  const headerName = r.name ? `${r.name} <span class='small'>(${r.modelId})</span>` : r.modelId;
+  const from = r.requestedModelId && r.requestedModelId !== r.modelId ? ` <span class='small'>(from ${r.requestedModelId})</span>` : '';
+  const tokensText = formatTokenUsage(r.tokenUsage);
+  const stopped = r.cancelled ? ` <span class='small stopped'>stopped</span>` : '';
+  const stale = r.stale ? ` <span class='small stale' title='An earlier user message was edited after this reply'>stale</span>` : '';
+  const pass = r.pass ? ` <span class='small pass'>pass ${r.pass}</span>` : '';
+  const shown = visibilityTag(r.visibility);
+  const headerExtras = `${pass}${shown}${from}${tokensText ? ` ${tokensText}` : ''}${stopped}${stale}`;
+
+  if (r.error) {
+    return {
+      type: 'error',
+      html: `
+        <div class="msg-header"><b>${headerName}</b> ${headerExtras}</div>
+        <div class="msg-content">Error: ${r.error}</div>
+      `,
+    };
+  }
+
+  const text = (r.text || '');
+  const toolsHtml = renderToolSteps(r.toolSteps);
+  // Live results carry citations in meta; stored replies keep them on the message
+  const citations = Array.isArray(r?.meta?.citations) ? r.meta.citations : (Array.isArray(r.citations) ? r.citations : []);
+  let citsHtml = '';
+  if (citations.length) {
+    const items = citations.slice(0, 6).map(c => {
+      const url = (c.uri || '').replace(/\"/g, '&quot;');
+      const label = (c.title || url || '').replace(/</g, '&lt;');
+      return `<a href="${url}" target="_blank" rel="nofollow noopener">${label}</a>`;
+    });
+    citsHtml = `<div class='small' style='margin-top:6px; opacity:0.7;'>Citations: ${items.join(' • ')}</div>`;
+  }
+
+  return {
+    type: 'agent',
+    html: `
+      <div class="msg-header"><b>${headerName}</b> ${headerExtras}</div>
+      ${toolsHtml}
+      <div class="msg-content">${text.replace(/</g, '&lt;')}</div>
+      ${renderFilesChanged(r.filesChanged)}
+      ${citsHtml}
+    `,
+  };
+}
+
+// Synthesizer output: the merged answer plus its disagreement list
+function renderSynthesis(r) {
+  const label = r.name || r.modelId || 'Synthesizer';
+  const shared = r.includeInViews ? ` <span class='small'>shown to agents</span>` : '';
+  const stale = r.stale ? ` <span class='small stale'>stale</span>` : '';
+  const header = `<div class="msg-header"><b>Synthesis</b> <span class='small'>${escapeHtml(label)}</span>${shared}${stale}</div>`;
+  if (r.error || r.cancelled) {
+    return `${header}<div class="msg-content">${escapeHtml(r.error || 'Stopped')}</div>`;
+  }
+  const disagreements = Array.isArray(r.disagreements) ? r.disagreements : [];
+  const list = disagreements.length
+    ? `<div class='disagreements'><b>Disagreements</b><ul>${disagreements.map(d => `<li>${escapeHtml(d)}</li>`).join('')}</ul></div>`
+    : '';
+  return `${header}<div class="msg-content">${escapeHtml(r.text || '')}</div>${list}`;
+}
+
+function readSynthesizer() {
+  if (!synthProviderEl || !synthProviderEl.value) return undefined;
+  const synthesizer = { provider: synthProviderEl.value, includeInViews: !!(synthShareEl && synthShareEl.checked) };
+  const modelId = synthModelEl ? synthModelEl.value.trim() : '';
+  if (modelId) synthesizer.modelId = modelId;
+  return synthesizer;
+}
+
+async function cancelTurn(turnId, agentId) {
+  if (!turnId) return;
+  try {
+    const resp = await fetch(`/api/turn/${encodeURIComponent(turnId)}/cancel`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(agentId ? { agentId } : {})
+    });
+    // 404 just means the turn already finished
+    if (!resp.ok && resp.status !== 404) {
+      const json = await resp.json().catch(() => ({}));
+      throw new Error(json && json.error || resp.statusText);
+    }
+  } catch (e) {
+    addLog(`<b>Stop failed</b>: <code>${escapeHtml(e.message)}</code>`, 'error');
+  }
+}
+
+// Multi-pass turns hold one reply per agent and pass
+function bubbleKey(agentId, pass) {
+  return pass ? `${agentId}#${pass}` : agentId;
+}
+
+// Pending bubble for an agent (with a Stop button) until its result arrives.
+// Deltas stream into it; the final 'result' event replaces it with the full render.
+function ensureBubble(bubbles, targetModels, agentId, turnId, pass) {
+  const key = bubbleKey(agentId, pass);
+  let bubble = bubbles.get(key);
+  if (bubble) return bubble;
+  const target = (targetModels || []).find(t => t.agentId === agentId) || {};
+  const label = target.name || target.modelId || agentId;
+  const passTag = pass ? ` <span class='small pass'>pass ${pass}</span>` : '';
+  bubble = addLog(`
+    <div class="msg-header"><b>${escapeHtml(label)}</b>${passTag} <button type="button" class="stop-agent" title="Stop this agent">■ Stop</button></div>
+    <div class="msg-content"></div>
+  `, 'agent streaming');
+  const stopBtn = q('.stop-agent', bubble);
+  if (stopBtn) {
+    stopBtn.onclick = () => {
+      stopBtn.disabled = true;
+      stopBtn.textContent = 'Stopping…';
+      cancelTurn(turnId, agentId);
+    };
+  }
+  bubbles.set(key, bubble);
+  return bubble;
+}
+
+function appendDelta(bubbles, targetModels, agentId, delta, turnId, pass) {
+  if (!agentId || !delta) return;
+  const bubble = ensureBubble(bubbles, targetModels, agentId, turnId, pass);
+  const content = q('.msg-content', bubble);
+  if (content) content.appendChild(document.createTextNode(delta));
+  log.scrollTop = log.scrollHeight;
+}
+
+// tool_call adds a pending line to the agent's streaming bubble; the matching
+// tool_result fills in its output
+function appendToolEvent(bubbles, targetModels, data, turnId) {
+  const bubble = ensureBubble(bubbles, targetModels, data.agentId, turnId, data.pass);
+  const content = q('.msg-content', bubble);
+  if (!content) return;
+  if (data.type === 'tool_call') {
+    const line = document.createElement('div');
+    line.innerHTML = toolCallLine({ name: data.name, arguments: data.arguments });
+    const el = line.firstChild;
+    el.dataset.callId = data.id;
+    content.appendChild(el);
+  } else {
+    const el = Array.from(content.querySelectorAll('.tool-call')).find(n => n.dataset.callId === data.id);
+    const line = document.createElement('div');
+    line.innerHTML = toolCallLine(data);
+    if (el) el.replaceWith(line.firstChild); else content.appendChild(line.firstChild);
+  }
+  log.scrollTop = log.scrollHeight;
+}
+
+async function loadTools() {
+  if (!useToolsEl) return;
+  try {
+    const json = await (await fetch('/api/tools')).json();
+    const names = (json.tools || []).map(t => t.name);
+    useToolsEl.disabled = !names.length;
+    if (toolListEl) toolListEl.textContent = names.length ? names.join(', ') : '(none available)';
+  } catch (e) {
+    useToolsEl.disabled = true;
+  }
+}
+
+// "Retry" control on a finished agent bubble: re-runs just that agent for the
+// bubble's round and swaps in the new reply (the server keeps the old one).
+function addRetryControl(bubble, ctx) {
+  const header = q('.msg-header', bubble);
+  if (!header || !ctx.conversationId || !ctx.round || !ctx.result || !ctx.result.provider || ctx.result.provider === 'unknown') return;
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'retry-agent';
+  btn.title = 'Regenerate this reply';
+  btn.textContent = '↻ Retry';
+  btn.onclick = () => regenerateAgent(bubble, ctx);
+  header.appendChild(btn);
+}
+
+async function regenerateAgent(bubble, ctx) {
+  const { conversationId, round, result, target, systemPrompts } = ctx;
+  const btn = q('.retry-agent', bubble);
+  if (btn) { btn.disabled = true; btn.textContent = 'Retrying…'; }
+  bubble.classList.add('streaming');
+  const body = {
+    agentId: result.agentId,
+    provider: result.provider,
+    modelId: (target && target.modelId) || result.requestedModelId || result.modelId,
+    systemPrompts,
+  };
+  if (result.pass) body.pass = result.pass;
+  if (result.name) body.name = result.name;
+  if (target && target.options) body.options = target.options;
+  try {
+    const resp = await fetch(`/api/conversation/${encodeURIComponent(conversationId)}/rounds/${round}/regenerate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const json = await resp.json();
+    if (!resp.ok) throw new Error(json && json.error || resp.statusText);
+    const { html, type } = renderResult(json.result);
+    bubble.className = `msg ${type}`;
+    bubble.innerHTML = html;
+    addRetryControl(bubble, { ...ctx, result: json.result });
+  } catch (e) {
+    bubble.classList.remove('streaming');
+    if (btn) { btn.disabled = false; btn.textContent = '↻ Retry'; }
+    addLog(`<b>Retry failed</b>: <code>${escapeHtml(e.message)}</code>`, 'error');
+  }
+}
+
+// "Edit" control on a user bubble: rewrites that round's message, then either
+// marks later replies stale or replays them, and redraws the conversation.
+function addEditControl(bubble, conversationId, round) {
+  const header = q('.msg-header', bubble);
+  if (!header || !conversationId || !round) return;
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'edit-user';
+  btn.title = 'Edit this message';
+  btn.textContent = '✎ Edit';
+  btn.onclick = async () => {
+    const current = q('.msg-content', bubble)?.textContent || '';
+    const userMessage = prompt(`Edit round ${round} message`, current.trim());
+    if (userMessage === null || !userMessage.trim() || userMessage.trim() === current.trim()) return;
+    const replay = confirm('Re-run the agents for this and every later round now?\n\nOK = replay, Cancel = just mark their replies stale');
+    btn.disabled = true;
+    btn.textContent = replay ? 'Replaying…' : 'Saving…';
+    try {
+      const resp = await fetch(`/api/conversation/${encodeURIComponent(conversationId)}/rounds/${round}/edit`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userMessage: userMessage.trim(), mode: replay ? 'replay' : 'stale', targetModels: readModels(), systemPrompts: readSystemPrompts() })
+      });
+      const json = await resp.json();
+      if (!resp.ok) throw new Error(json && json.error || resp.statusText);
+      await openConversation(conversationId);
+    } catch (e) {
+      btn.disabled = false;
+      btn.textContent = '✎ Edit';
+      addLog(`<b>Edit failed</b>: <code>${escapeHtml(e.message)}</code>`, 'error');
+    }
+  };
+  header.appendChild(btn);
+}
+
+// "Delete" control on a stored bubble: removes one reply (agentId, with its
+// pass), a round's synthesis (synthesis: true) or, on a user bubble, the
+// whole round; later rounds move up, so the conversation is redrawn.
+function addDeleteControl(bubble, ctx) {
+  const header = q('.msg-header', bubble);
+  if (!header || !ctx.conversationId || !ctx.round) return;
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'delete-message';
+  const what = ctx.synthesis ? 'this synthesis' : ctx.agentId ? 'this reply' : `round ${ctx.round} with every reply`;
+  btn.title = `Delete ${what}`;
+  btn.textContent = '✕';
+  btn.onclick = async () => {
+    if (!confirm(`Delete ${what}? This cannot be undone.`)) return;
+    const base = `/api/conversation/${encodeURIComponent(ctx.conversationId)}/rounds/${ctx.round}`;
+    const url = ctx.synthesis ? `${base}/synthesis`
+      : ctx.agentId ? `${base}/agents/${encodeURIComponent(ctx.agentId)}${ctx.pass ? `?pass=${ctx.pass}` : ''}`
+      : base;
+    btn.disabled = true;
+    try {
+      await conversationRequest('DELETE', url);
+      await openConversation(ctx.conversationId);
+      if (!ctx.agentId && !ctx.synthesis) loadConversationList();
+    } catch (e) {
+      btn.disabled = false;
+      addLog(`<b>Delete failed</b>: <code>${escapeHtml(e.message)}</code>`, 'error');
+    }
+  };
+  header.appendChild(btn);
+}
+
+// --- Conversations & branches ---
+
+// Project passages the server injected for a round, as path:start-end or path, page N
+function retrievalLine(retrieval) {
+  const sources = (retrieval.chunks || []).map(c => (c.page ? `${c.path}, page ${c.page}` : c.startLine ? `${c.path}:${c.startLine}-${c.endLine}` : c.path));
+  return `<div class='small'>Context: ${sources.map(escapeHtml).join(', ')} <span class='small'>(~${retrieval.tokens} tokens)</span></div>`;
+}
+
+// Replace the log with a stored conversation (e.g. after switching branch)
+function renderConversation(conv) {
+  log.innerHTML = '';
+  const rounds = Array.isArray(conv.rounds) ? conv.rounds : [];
+  rounds.forEach((round, i) => {
+    if (!round) return;
+    if (round.user && round.user.speaker === 'orchestrator') {
+      addOrchestratorBubble(round.user, i + 1);
+    } else if (round.user) {
+      const edited = Array.isArray(round.user.edits) && round.user.edits.length ? ` <span class='small'>(edited)</span>` : '';
+      const addressed = Array.isArray(round.user.addressedTo) ? ` <span class='small'>@ ${round.user.addressedTo.map(escapeHtml).join(', ')}</span>` : '';
+      const images = (round.user.images || []).map(img => `/api/projects/${encodeURIComponent(conv.projectId)}/files/${encodeURIComponent(img.fileId)}/raw`);
+      const userBubble = addLog(`
+      <div class="msg-header"><b>User</b> <span class='small'>round ${i + 1}</span>${addressed}${visibilityTag(round.user.visibility)}${edited}</div>
+        ${imageThumbs(images)}
+        <div class="msg-content">${escapeHtml(round.user.content)}</div>
+    `, 'user');
+      addEditControl(userBubble, conv.id, i + 1);
+      addDeleteControl(userBubble, { conversationId: conv.id, round: i + 1 });
+    }
+    if (Array.isArray(round.attachments) && round.attachments.length) {
+      const names = round.attachments.map(a => (a.title || '').trim() || 'untitled');
+      addLog(`<div class='small'>Attachments: ${names.map(escapeHtml).join(', ')}</div>`, 'user');
+    }
+    if (round.retrieval) addLog(retrievalLine(round.retrieval), 'user');
+    for (const a of round.agents || []) {
+      const result = { ...a, text: a.content };
+      const { html, type } = renderResult(result);
+      const bubble = addLog(html, type);
+      addRetryControl(bubble, { conversationId: conv.id, round: i + 1, result, systemPrompts: readSystemPrompts() });
+      addDeleteControl(bubble, { conversationId: conv.id, round: i + 1, agentId: a.agentId, pass: a.pass });
+    }
+    if (round.synthesis) {
+      const synthBubble = addLog(renderSynthesis({ ...round.synthesis, text: round.synthesis.content }), 'synthesis');
+      addDeleteControl(synthBubble, { conversationId: conv.id, round: i + 1, synthesis: true });
+    }
+  });
+}
+
+async function openConversation(id) {
+  try {
+    const resp = await fetch(`/api/conversation/${encodeURIComponent(id)}`);
+    const conv = await resp.json();
+    if (!resp.ok) throw new Error(conv && conv.error || resp.statusText);
+    convIdEl.value = conv.id;
+    rememberConversation(conv.id);
+    renderConversation(conv);
+    if (conv.projectId && conv.projectId !== currentProjectId && projectList.some(p => p.id === conv.projectId)) {
+      await switchProject(conv.projectId, { keepConversation: true });
+    } else {
+      renderConversationList();
+    }
+    await loadBranches(conv.id);
+  } catch (e) {
+    addLog(`<b>Open failed</b>: <code>${escapeHtml(e.message)}</code>`, 'error');
+  }
+}
+
+function renderBranchNode(node, currentId) {
+  const li = document.createElement('li');
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = node.id === currentId ? 'branch-node current' : 'branch-node';
+  const fork = node.forked_from_round ? ` · from round ${node.forked_from_round}` : '';
+  btn.textContent = `${node.title || node.id} (${node.round_count || 0} rounds${fork})${node.trashed ? ' — in trash' : ''}`;
+  btn.title = node.id;
+  // Trashed forks stay in the tree to keep it connected but cannot be opened
+  if (node.trashed) btn.disabled = true;
+  else btn.onclick = () => openConversation(node.id);
+  li.appendChild(btn);
+  if (node.branches && node.branches.length) {
+    const ul = document.createElement('ul');
+    for (const child of node.branches) ul.appendChild(renderBranchNode(child, currentId));
+    li.appendChild(ul);
+  }
+  return li;
+}
+
+async function loadBranches(id) {
+  if (!branchTreeEl) return;
+  branchTreeEl.innerHTML = '';
+  if (!id) return;
+  try {
+    const resp = await fetch(`/api/conversation/${encodeURIComponent(id)}/branches`);
+    const json = await resp.json();
+    if (!resp.ok) throw new Error(json && json.error || resp.statusText);
+    // A lone conversation has no tree worth drawing
+    if (!json.tree || !json.tree.branches.length) return;
+    const ul = document.createElement('ul');
+    ul.appendChild(renderBranchNode(json.tree, id));
+    branchTreeEl.appendChild(ul);
+  } catch (e) {
+    branchTreeEl.textContent = `Branches unavailable: ${e.message}`;
+  }
+}
+
+if (forkBtn) {
+  forkBtn.onclick = async () => {
+    const id = convIdEl.value.trim();
+    if (!id) { alert('No conversation to fork yet.'); return; }
+    const round = parseInt(forkRoundEl && forkRoundEl.value, 10);
+    try {
+      const resp = await fetch(`/api/conversation/${encodeURIComponent(id)}/fork`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(Number.isFinite(round) ? { round } : {})
+      });
+      const json = await resp.json();
+      if (!resp.ok) throw new Error(json && json.error || resp.statusText);
+      if (forkRoundEl) forkRoundEl.value = '';
+      await openConversation(json.conversationId);
+    } catch (e) {
+      addLog(`<b>Fork failed</b>: <code>${escapeHtml(e.message)}</code>`, 'error');
+    }
+  };
+}
+
+if (refreshBranchesBtn) refreshBranchesBtn.onclick = () => loadBranches(convIdEl.value.trim());
+
+// --- Conversation history ---
+
+const convListEl = q('#convList');
+const convSearchEl = q('#convSearch');
+const newConvBtn = q('#newConvBtn');
+const trashBtn = q('#trashBtn');
+const LAST_CONVERSATION_KEY = 'mmc.lastConversation';
+let conversationList = [];
+// Ids of conversations whose messages match the search box (null = none yet)
+let messageMatches = null;
+let convSearchTimer = null;
+// The sidebar lists the project's trash instead of its conversations
+let showingTrash = false;
+let trashList = [];
+
+// The open conversation survives a reload (private windows may refuse storage)
+function rememberConversation(id) {
+  try {
+    if (id) localStorage.setItem(LAST_CONVERSATION_KEY, id);
+    else localStorage.removeItem(LAST_CONVERSATION_KEY);
+  } catch { }
+}
+
+function lastConversation() {
+  try { return localStorage.getItem(LAST_CONVERSATION_KEY); } catch { return null; }
+}
+
+function formatUpdated(ts) {
+  if (!ts) return '';
+  const d = new Date(ts);
+  return d.toDateString() === new Date().toDateString()
+    ? d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : d.toLocaleDateString();
+}
+
+function renderConversationList() {
+  if (!convListEl) return;
+  const term = convSearchEl ? convSearchEl.value.trim().toLowerCase() : '';
+  if (showingTrash) return renderTrashList(term);
+  const currentId = convIdEl.value.trim();
+  const shown = conversationList.filter(c => !term || (c.title || '').toLowerCase().includes(term) || (messageMatches && messageMatches.has(c.id)));
+  convListEl.innerHTML = '';
+  if (!shown.length) {
+    convListEl.innerHTML = `<li class='small conv-empty'>${term ? 'No matches' : 'No conversations yet'}</li>`;
+    return;
+  }
+  for (const c of shown) {
+    const li = document.createElement('li');
+    li.className = c.id === currentId ? 'conv-item current' : 'conv-item';
+    li.title = c.id;
+    const rounds = c.round_count || 0;
+    li.innerHTML = `
+      <div class="conv-title">${c.pinned ? '📌 ' : ''}${escapeHtml(c.title || c.id)}</div>
+      <div class="conv-meta small">${rounds} round${rounds === 1 ? '' : 's'} · ${escapeHtml(formatUpdated(c.updated_at))}</div>
+      <div class="conv-actions">
+        <button type="button" class="conv-rename" title="Rename">✎</button>
+        <button type="button" class="conv-move" title="Move to another project">⇄</button>
+        <button type="button" class="conv-delete" title="Move to trash">🗑</button>
+      </div>
+    `;
+    li.onclick = () => openConversation(c.id);
+    q('.conv-rename', li).onclick = (e) => { e.stopPropagation(); renameConversation(c); };
+    q('.conv-move', li).onclick = (e) => { e.stopPropagation(); moveConversation(c); };
+    q('.conv-delete', li).onclick = (e) => { e.stopPropagation(); deleteConversation(c); };
+    convListEl.appendChild(li);
+  }
+}
+
+// Trashed conversations can only be restored or deleted for good
+function renderTrashList(term) {
+  const shown = trashList.filter(c => !term || (c.title || '').toLowerCase().includes(term));
+  convListEl.innerHTML = '';
+  if (!shown.length) {
+    convListEl.innerHTML = `<li class='small conv-empty'>${term ? 'No matches' : 'Trash is empty'}</li>`;
+    return;
+  }
+  const top = document.createElement('li');
+  top.className = 'conv-empty';
+  top.innerHTML = `<button type="button" class="trash-empty">Empty trash</button>`;
+  q('.trash-empty', top).onclick = emptyTrash;
+  convListEl.appendChild(top);
+  for (const c of shown) {
+    const li = document.createElement('li');
+    li.className = 'conv-item trashed';
+    li.title = c.id;
+    li.innerHTML = `
+      <div class="conv-title">${escapeHtml(c.title || c.id)}</div>
+      <div class="conv-meta small">deleted ${escapeHtml(formatUpdated(c.deleted_at))}</div>
+      <div class="conv-actions">
+        <button type="button" class="conv-restore" title="Restore">↩</button>
+        <button type="button" class="conv-purge" title="Delete forever">✕</button>
+      </div>
+    `;
+    q('.conv-restore', li).onclick = () => restoreConversation(c);
+    q('.conv-purge', li).onclick = () => purgeConversation(c);
+    convListEl.appendChild(li);
+  }
+}
+
+async function conversationRequest(method, url) {
+  const resp = await fetch(url, { method });
+  const json = await resp.json();
+  if (!resp.ok) throw new Error(json && (json.message || json.error) || resp.statusText);
+  return json;
+}
+
+async function loadConversationList() {
+  if (!convListEl) return;
+  try {
+    if (showingTrash) {
+      const inProject = currentProjectId ? `?project_id=${encodeURIComponent(currentProjectId)}` : '';
+      trashList = (await conversationRequest('GET', `/api/trash${inProject}`)).conversations || [];
+      renderConversationList();
+      return;
+    }
+    const project = currentProjectId ? `&project_id=${encodeURIComponent(currentProjectId)}` : '';
+    const resp = await fetch(`/api/conversations?limit=200${project}`);
+    const json = await resp.json();
+    if (!resp.ok) throw new Error(json && json.error || resp.statusText);
+    conversationList = json.conversations || [];
+    renderConversationList();
+  } catch (e) {
+    convListEl.innerHTML = `<li class='small conv-empty'>Conversations unavailable: ${escapeHtml(e.message)}</li>`;
+  }
+}
+
+function startNewConversation() {
+  convIdEl.value = '';
+  log.innerHTML = '';
+  rememberConversation(null);
+  loadBranches(null);
+  renderConversationList();
+}
+
+async function renameConversation(c) {
+  const title = prompt('Rename conversation', c.title || '');
+  if (title === null || !title.trim()) return;
+  try {
+    const resp = await fetch(`/api/conversation/${encodeURIComponent(c.id)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title })
+    });
+    const json = await resp.json();
+    if (!resp.ok) throw new Error(json && (json.message || json.error) || resp.statusText);
+    c.title = json.title;
+    renderConversationList();
+  } catch (e) {
+    addLog(`<b>Rename failed</b>: <code>${escapeHtml(e.message)}</code>`, 'error');
+  }
+}
+
+async function deleteConversation(c) {
+  try {
+    await conversationRequest('DELETE', `/api/conversation/${encodeURIComponent(c.id)}?trash=1`);
+    if (convIdEl.value.trim() === c.id) startNewConversation();
+    await loadConversationList();
+  } catch (e) {
+    addLog(`<b>Delete failed</b>: <code>${escapeHtml(e.message)}</code>`, 'error');
+  }
+}
+
+async function restoreConversation(c) {
+  try {
+    await conversationRequest('POST', `/api/conversation/${encodeURIComponent(c.id)}/restore`);
+    await loadConversationList();
+  } catch (e) {
+    addLog(`<b>Restore failed</b>: <code>${escapeHtml(e.message)}</code>`, 'error');
+  }
+}
+
+async function purgeConversation(c) {
+  if (!confirm(`Delete "${c.title || c.id}" forever? This cannot be undone.`)) return;
+  try {
+    await conversationRequest('DELETE', `/api/conversation/${encodeURIComponent(c.id)}`);
+    await loadConversationList();
+  } catch (e) {
+    addLog(`<b>Delete failed</b>: <code>${escapeHtml(e.message)}</code>`, 'error');
+  }
+}
+
+async function emptyTrash() {
+  if (!confirm(`Delete ${trashList.length} conversation(s) in the trash forever? This cannot be undone.`)) return;
+  try {
+    const project = currentProjectId ? `?project_id=${encodeURIComponent(currentProjectId)}` : '';
+    await conversationRequest('DELETE', `/api/trash${project}`);
+    await loadConversationList();
+  } catch (e) {
+    addLog(`<b>Empty trash failed</b>: <code>${escapeHtml(e.message)}</code>`, 'error');
+  }
+}
+
+async function moveConversation(c) {
+  const others = projectList.filter(p => p.id !== currentProjectId);
+  if (!others.length) { alert('Create another project first.'); return; }
+  const choice = prompt(`Move "${c.title || c.id}" to which project?\n${others.map((p, i) => `${i + 1}. ${p.name}`).join('\n')}`, '1');
+  if (choice === null) return;
+  const target = others[parseInt(choice, 10) - 1] || others.find(p => p.name === choice.trim());
+  if (!target) { alert('No such project.'); return; }
+  try {
+    const resp = await fetch(`/api/conversation/${encodeURIComponent(c.id)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ projectId: target.id })
+    });
+    const json = await resp.json();
+    if (!resp.ok) throw new Error(json && (json.message || json.error) || resp.statusText);
+    if (convIdEl.value.trim() === c.id) startNewConversation();
+    await loadConversationList();
+  } catch (e) {
+    addLog(`<b>Move failed</b>: <code>${escapeHtml(e.message)}</code>`, 'error');
+  }
+}
+
+// Titles are matched as you type; message text goes through the project search
+async function searchConversationMessages(term) {
+  if (!term || !currentProjectId) return null;
+  try {
+    const resp = await fetch(`/api/projects/${encodeURIComponent(currentProjectId)}/search`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query: term, filters: { source_type: 'conversation_message' }, limit: 100 })
+    });
+    const json = await resp.json();
+    if (!resp.ok) throw new Error(json && json.error || resp.statusText);
+    return new Set((json.results || []).map(r => r.conversation_id).filter(Boolean));
+  } catch (e) {
+    console.warn('conversation search failed:', e);
+    return null;
+  }
+}
+
+if (convSearchEl) {
+  convSearchEl.addEventListener('input', () => {
+    messageMatches = null;
+    renderConversationList();
+    clearTimeout(convSearchTimer);
+    convSearchTimer = setTimeout(async () => {
+      const term = convSearchEl.value.trim();
+      const matches = await searchConversationMessages(term);
+      // Ignore answers for a term that has since been edited
+      if (term !== convSearchEl.value.trim()) return;
+      messageMatches = matches;
+      renderConversationList();
+    }, 300);
+  });
+}
+
+if (newConvBtn) newConvBtn.onclick = startNewConversation;
+
+if (trashBtn) {
+  trashBtn.onclick = () => {
+    showingTrash = !showingTrash;
+    trashBtn.textContent = showingTrash ? '← Back' : 'Trash';
+    trashBtn.title = showingTrash ? 'Back to the conversations' : 'Show conversations in the trash';
+    loadConversationList();
+  };
+}
+
+// --- Projects ---
+
+const projectSelectEl = q('#projectSelect');
+const newProjectBtn = q('#newProjectBtn');
+const renameProjectBtn = q('#renameProjectBtn');
+const deleteProjectBtn = q('#deleteProjectBtn');
+const saveProjectDefaultsBtn = q('#saveProjectDefaultsBtn');
+const PROJECT_KEY = 'mmc.project';
+let projectList = [];
+let currentProjectId = null;
+
+function currentProject() {
+  return projectList.find(p => p.id === currentProjectId) || null;
+}
+
+function renderProjectSelect() {
+  if (!projectSelectEl) return;
+  projectSelectEl.innerHTML = '';
+  for (const p of projectList) {
+    const o = document.createElement('option');
+    o.value = p.id;
+    o.textContent = p.name;
+    projectSelectEl.appendChild(o);
+  }
+  projectSelectEl.value = currentProjectId || '';
+  const project = currentProject();
+  const locked = IS_PUBLIC || !project || project.is_default;
+  if (renameProjectBtn) renameProjectBtn.disabled = IS_PUBLIC || !project;
+  if (deleteProjectBtn) deleteProjectBtn.disabled = locked;
+  if (newProjectBtn) newProjectBtn.disabled = IS_PUBLIC;
+  if (saveProjectDefaultsBtn) saveProjectDefaultsBtn.disabled = IS_PUBLIC || !project;
+}
+
+// Keeps the current project when it still exists, else the remembered one,
+// else the default
+async function loadProjects() {
+  try {
+    const resp = await fetch('/api/projects');
+    const json = await resp.json();
+    if (!resp.ok) throw new Error(json && json.error || resp.statusText);
+    projectList = json.projects || [];
+    let stored = null;
+    try { stored = localStorage.getItem(PROJECT_KEY); } catch { }
+    const known = (id) => id && projectList.some(p => p.id === id);
+    currentProjectId = known(currentProjectId) ? currentProjectId : known(stored) ? stored : json.defaultProjectId;
+  } catch (e) {
+    console.warn('projects unavailable:', e);
+  }
+  renderProjectSelect();
+}
+
+// Model rows and prompts from the project's default_agents / system_prompts
+function applyProjectDefaults(project) {
+  const settings = (project && project.settings) || {};
+  const agents = Array.isArray(settings.default_agents) ? settings.default_agents : [];
+  if (agents.length) {
+    for (const row of getModelRows()) {
+      removePromptField(row);
+      row.remove();
+    }
+    const container = q('.models-list');
+    for (const agent of agents) container.appendChild(makeModelRow(agent));
+    syncCountToRows();
+    populatePreviewModel();
+  }
+  const prompts = settings.system_prompts || {};
+  if (promptCommonEl && typeof prompts.common === 'string') {
+    promptCommonEl.value = prompts.common;
+    promptCommonEl.dataset.dirty = 'true';
+  }
+  for (const [agentId, text] of Object.entries(prompts.perAgent || {})) {
+    const textarea = modelPromptList && modelPromptList.querySelector(`textarea.modelPrompt[data-agent-id="${agentId}"]`);
+    if (textarea) {
+      textarea.value = text;
+      textarea.dataset.dirty = 'true';
+    }
+  }
+}
+
+async function switchProject(id, { keepConversation = false } = {}) {
+  currentProjectId = id;
+  try { localStorage.setItem(PROJECT_KEY, id); } catch { }
+  renderProjectSelect();
+  if (!keepConversation) {
+    startNewConversation();
+    applyProjectDefaults(currentProject());
+  }
+  if (convSearchEl) convSearchEl.value = '';
+  messageMatches = null;
+  await loadConversationList();
+}
+
+async function sendProject(method, url, body) {
+  const resp = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const json = await resp.json();
+  if (!resp.ok) throw new Error(json && (json.message || json.error) || resp.statusText);
+  return json;
+}
+
+if (projectSelectEl) projectSelectEl.addEventListener('change', () => switchProject(projectSelectEl.value));
+
+if (newProjectBtn) {
+  newProjectBtn.onclick = async () => {
+    const name = prompt('New project name');
+    if (name === null || !name.trim()) return;
+    try {
+      const project = await sendProject('POST', '/api/projects', { name });
+      await loadProjects();
+      await switchProject(project.id);
+    } catch (e) {
+      addLog(`<b>Project not created</b>: <code>${escapeHtml(e.message)}</code>`, 'error');
+    }
+  };
+}
+
+if (renameProjectBtn) {
+  renameProjectBtn.onclick = async () => {
+    const project = currentProject();
+    if (!project) return;
+    const name = prompt('Rename project', project.name);
+    if (name === null || !name.trim()) return;
+    try {
+      await sendProject('PATCH', `/api/projects/${encodeURIComponent(project.id)}`, { name });
+      await loadProjects();
+    } catch (e) {
+      addLog(`<b>Rename failed</b>: <code>${escapeHtml(e.message)}</code>`, 'error');
+    }
+  };
+}
+
+if (deleteProjectBtn) {
+  deleteProjectBtn.onclick = async () => {
+    const project = currentProject();
+    if (!project || project.is_default) return;
+    const count = project.conversation_count || 0;
+    if (!confirm(`Delete project "${project.name}" with its ${count} conversation(s) and all its files? This cannot be undone.`)) return;
+    try {
+      await sendProject('DELETE', `/api/projects/${encodeURIComponent(project.id)}`);
+      currentProjectId = null;
+      try { localStorage.removeItem(PROJECT_KEY); } catch { }
+      await loadProjects();
+      await switchProject(currentProjectId);
+    } catch (e) {
+      addLog(`<b>Delete failed</b>: <code>${escapeHtml(e.message)}</code>`, 'error');
+    }
+  };
+}
+
+// The model rows and prompts on screen become the project's defaults
+if (saveProjectDefaultsBtn) {
+  saveProjectDefaultsBtn.onclick = async () => {
+    const project = currentProject();
+    if (!project) return;
+    try {
+      await sendProject('PATCH', `/api/projects/${encodeURIComponent(project.id)}`, {
+        settings: { default_agents: readModels(), system_prompts: readSystemPrompts() }
+      });
+      await loadProjects();
+      addLog(`<div class='small'>Saved the models and prompts as defaults for ${escapeHtml(project.name)}</div>`, 'agent');
+    } catch (e) {
+      addLog(`<b>Save failed</b>: <code>${escapeHtml(e.message)}</code>`, 'error');
+    }
+  };
+}
+
+// --- Autonomous runs ---
+
+// Synthetic entry opening an autonomous round
+function addOrchestratorBubble(user, round) {
+  return addLog(`
+    <div class="msg-header"><b>Orchestrator</b> <span class='small'>round ${round}</span></div>
+    <div class="msg-content">${escapeHtml(user.content)}</div>
+  `, 'user orchestrator');
+}
+
+// Read an SSE response body, calling onEvent for each data event
+async function readEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+    for (const line of lines) {
+      if (line.startsWith('data: ')) onEvent(JSON.parse(line.slice(6)));
+    }
+  }
+}
+
+const STOP_REASONS = {
+  max_rounds: 'reached the round limit',
+  token_budget: 'token budget spent',
+  consensus: 'the agents reached consensus',
+  cancelled: 'stopped',
+  no_replies: 'no agent replied',
+};
+
+// Run autonomous rounds on the open conversation; the button turns into Stop
+async function startAutoRun() {
+  const id = convIdEl.value.trim();
+  if (!id) { alert('Send a message first; autonomous rounds continue an existing conversation.'); return; }
+  const body = { targetModels: readModels(), systemPrompts: readSystemPrompts() };
+  const maxRounds = parseInt(autoRoundsEl && autoRoundsEl.value, 10);
+  if (Number.isFinite(maxRounds)) body.maxRounds = maxRounds;
+  const tokenBudget = parseInt(autoBudgetEl && autoBudgetEl.value, 10);
+  if (Number.isFinite(tokenBudget) && tokenBudget > 0) body.tokenBudget = tokenBudget;
+
+  let turnId = null;
+  let bubbles = new Map();
+  autoRunBtn.textContent = '■ Stop';
+  autoRunBtn.onclick = () => { if (turnId) cancelTurn(turnId); };
+  try {
+    const response = await fetch(`/api/conversation/${encodeURIComponent(id)}/autorun`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+      const json = await response.json();
+      throw new Error(json && (json.message || json.error) || response.statusText);
+    }
+    await readEvents(response, (data) => {
+      if (data.type === 'init') {
+        turnId = data.turnId;
+      } else if (data.type === 'round_start') {
+        bubbles = new Map();
+        addOrchestratorBubble(data.user, data.round);
+      } else if (data.type === 'delta') {
+        appendDelta(bubbles, body.targetModels, data.agentId, data.delta, turnId);
+      } else if (data.type === 'result') {
+        const r = data.result;
+        const { html, type } = renderResult(r);
+        let bubble = bubbles.get(r.agentId);
+        if (bubble) {
+          bubble.className = `msg ${type}`;
+          bubble.innerHTML = html;
+        } else {
+          bubble = addLog(html, type);
+        }
+        addRetryControl(bubble, { conversationId: id, round: data.round, result: r, target: body.targetModels.find(t => t.agentId === r.agentId), systemPrompts: body.systemPrompts });
+        addDeleteControl(bubble, { conversationId: id, round: data.round, agentId: r.agentId, pass: r.pass });
+      } else if (data.type === 'stop') {
+        addLog(`<div class='small'>Autonomous run ended after ${data.rounds} round(s): ${escapeHtml(STOP_REASONS[data.reason] || data.reason)} (${data.totalTokens} tokens)</div>`, 'user orchestrator');
+      } else if (data.type === 'error') {
+        addLog(`<b>Autonomous run failed</b>: <code>${escapeHtml(data.detail || data.error)}</code>`, 'error');
+      }
+    });
+  } catch (e) {
+    addLog(`<b>Autonomous run failed</b>: <code>${escapeHtml(e.message)}</code>`, 'error');
+  } finally {
+    autoRunBtn.textContent = '▶ Auto-run';
+    autoRunBtn.onclick = startAutoRun;
+    loadBranches(id);
+    loadConversationList();
+  }
+}
+
+if (autoRunBtn) autoRunBtn.onclick = startAutoRun;
+
 // --- Toggles ---
 
 function setupToggle(btnId, panelId) {
@@ -105,13 +1094,29 @@ function readFileAsText(file) {
   });
 }
 
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result || ''));
+    reader.onerror = () => reject(reader.error || new Error('read failed'));
+    reader.readAsDataURL(file);
+  });
+}
+
+// Image thumbnails shown in a user bubble (data: URLs or raw file URLs)
+function imageThumbs(srcs) {
+  if (!srcs.length) return '';
+  return `<div class="msg-images">${srcs.map(src => `<img src="${escapeHtml(src)}" alt="" loading="lazy">`).join('')}</div>`;
+}
+
 function renderAttachments() {
   attachmentsPreview.innerHTML = '';
   attachedFiles.forEach((fileData, index) => {
     const chip = document.createElement('div');
     chip.className = 'attachment-chip';
     chip.innerHTML = `
-      <span>📄 ${fileData.name}</span>
+      ${fileData.image ? `<img class="attachment-thumb" src="${fileData.image}" alt="">` : ''}
+      <span>${fileData.image ? '' : '📄 '}${escapeHtml(fileData.name)}</span>
       <button class="attachment-remove" data-index="${index}">×</button>
     `;
     attachmentsPreview.appendChild(chip);
@@ -132,8 +1137,12 @@ if (attachBtn && attachmentFileInput) {
     const files = Array.from(e.currentTarget.files || []);
     for (const f of files) {
       try {
-        const text = await readFileAsText(f);
-        attachedFiles.push({ name: f.name, content: text });
+        if (f.type.startsWith('image/')) {
+          attachedFiles.push({ name: f.name, image: await readFileAsDataUrl(f) });
+        } else {
+          const text = await readFileAsText(f);
+          attachedFiles.push({ name: f.name, content: text });
+        }
       } catch (err) {
         addLog(`<b>Attachment error</b>: <code>${err.message}</code>`, 'error');
       }
@@ -144,12 +1153,18 @@ if (attachBtn && attachmentFileInput) {
 }
 
 function readTextAttachments() {
-  return attachedFiles.map(f => ({
+  return attachedFiles.filter(f => !f.image).map(f => ({
     title: f.name,
     content: f.content
   }));
 }
 
+// Images go to the server as uploads; it stores them in the project
+function readImageAttachments() {
+  const images = attachedFiles.filter(f => f.image).map(f => ({ name: f.name, data: f.image }));
+  return images.length ? images : undefined;
+}
+
 // --- Prompts ---
 
 function markPromptDirty(event) {
@@ -421,10 +1436,12 @@ function wireRowEvents(row) {
   }
 }
 
-function makeModelRow() {
+// preset: { provider, modelId, name, agentId } from a project's default
+// agents (their options are not restored here)
+function makeModelRow(preset) {
   const row = document.createElement('div');
   row.className = 'model-row';
-  row.dataset.agentId = `agent-${Math.random().toString(36).slice(2, 10)}`;
+  row.dataset.agentId = (preset && preset.agentId) || `agent-${Math.random().toString(36).slice(2, 10)}`;
 
   row.innerHTML = `
     <div class="control-group" style="margin-bottom: 0.5rem;">
@@ -457,8 +1474,26 @@ function makeModelRow() {
     }
   }
 
+  if (preset) {
+    const providerSel = q('.provider', row);
+    if (Array.from(providerSel.options).some(o => o.value === preset.provider)) providerSel.value = preset.provider;
+    if (preset.name) q('.agentName', row).value = preset.name;
+  }
+
   wireRowEvents(row);
   populateModelSelect(row);
+  if (preset && preset.modelId) {
+    const sel = q('select.modelSelect', row);
+    if (Array.from(sel.options).some(o => o.value === preset.modelId)) {
+      sel.value = preset.modelId;
+    } else if (!IS_PUBLIC) {
+      sel.value = '__custom__';
+      q('input.modelId', row).style.display = '';
+      q('input.modelId', row).value = preset.modelId;
+    }
+    renderOptionsPanel(row);
+    updateModelPromptLabel(row);
+  }
   return row;
 }
 
@@ -818,7 +1853,7 @@ if (refreshModelsBtn) {
   });
 }
 
-q('#reset').onclick = () => { convIdEl.value = ''; log.innerHTML = ''; };
+q('#reset').onclick = startNewConversation;
 
 q('#send').onclick = async () => {
   const userMessage = userMsgEl.value.trim();
@@ -827,8 +1862,11 @@ q('#send').onclick = async () => {
   const targetModels = readModels();
   if (!targetModels.length) { alert('Add at least one model'); return; }
 
-  addLog(`
-      <div class="msg-header"><b>User</b></div>
+  const visibility = readVisibility();
+  const imageAttachments = readImageAttachments();
+  const userBubble = addLog(`
+      <div class="msg-header"><b>User</b>${visibilityTag(visibility)}</div>
+        ${imageThumbs((imageAttachments || []).map(img => img.data))}
         <div class="msg-content">${userMessage.replace(/</g, '&lt;')}</div>
     `, 'user');
 
@@ -849,18 +1887,27 @@ q('#send').onclick = async () => {
           <span></span>
           <span></span>
         </div>
+        <button type="button" class="stop-all" title="Stop all agents" disabled>■ Stop all</button>
     `;
   log.appendChild(loadingMsg);
+  const stopAllBtn = q('.stop-all', loadingMsg);
   log.scrollTop = log.scrollHeight;
 
   userMsgEl.value = '';
 
   const body = {
     conversationId: convIdEl.value.trim() || undefined,
+    projectId: currentProjectId || undefined,
     userMessage,
     targetModels,
     systemPrompts: readSystemPrompts(),
     textAttachments: readTextAttachments(),
+    imageAttachments,
+    mode: turnModeEl ? turnModeEl.value : undefined,
+    synthesizer: readSynthesizer(),
+    visibility,
+    tools: useToolsEl && useToolsEl.checked ? true : undefined,
+    retrieval: autoContextEl && !autoContextEl.checked ? false : undefined,
   };
 
   try {
@@ -881,7 +1928,11 @@ q('#send').onclick = async () => {
       throw new Error(json && json.error || response.statusText);
     }
 
-    // Parse SSE stream
+    // Parse SSE stream; agentId -> bubble element until its result arrives
+    const streamingBubbles = new Map();
+    let turnId = null;
+    let round = null;
+    let synthBubble = null;
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
     let buffer = '';
@@ -902,6 +1953,24 @@ q('#send').onclick = async () => {
 
               if (data.type === 'init') {
                 convIdEl.value = data.conversationId;
+                turnId = data.turnId;
+                round = data.round;
+                addEditControl(userBubble, data.conversationId, round);
+                addDeleteControl(userBubble, { conversationId: data.conversationId, round });
+                if (data.retrieval) userBubble.insertAdjacentHTML('afterend', retrievalLine(data.retrieval));
+                // Ordered modes open each bubble when that agent starts streaming
+                if (!data.mode || data.mode === 'parallel') {
+                  for (const t of targetModels) {
+                    if (t.agentId) ensureBubble(streamingBubbles, targetModels, t.agentId, turnId);
+                  }
+                }
+                if (stopAllBtn) {
+                  stopAllBtn.disabled = false;
+                  stopAllBtn.onclick = () => {
+                    stopAllBtn.disabled = true;
+                    cancelTurn(turnId);
+                  };
+                }
 
                 // Handle pending autosave
                 if (pendingEnableAutosave && data.conversationId) {
@@ -922,37 +1991,44 @@ q('#send').onclick = async () => {
                     autoSaveNote.textContent = `Auto‑save failed: ${e.message}`;
                   }
                 }
+              } else if (data.type === 'delta' && data.role === 'synthesizer') {
+                if (!synthBubble) synthBubble = addLog(renderSynthesis({ name: body.synthesizer.modelId || body.synthesizer.provider }), 'synthesis streaming');
+                const content = q('.msg-content', synthBubble);
+                if (content) content.appendChild(document.createTextNode(data.delta));
+                log.scrollTop = log.scrollHeight;
+              } else if (data.type === 'synthesis') {
+                const html = renderSynthesis(data.result);
+                if (synthBubble) {
+                  synthBubble.className = 'msg synthesis';
+                  synthBubble.innerHTML = html;
+                } else {
+                  synthBubble = addLog(html, 'synthesis');
+                }
+              } else if (data.type === 'delta') {
+                appendDelta(streamingBubbles, targetModels, data.agentId, data.delta, turnId, data.pass);
+              } else if (data.type === 'tool_call' || data.type === 'tool_result') {
+                appendToolEvent(streamingBubbles, targetModels, data, turnId);
               } else if (data.type === 'result') {
                 const r = data.result;
-                const headerName = r.name ? `${r.name} <span class='small'>(${r.modelId})</span>` : r.modelId;
-                const from = r.requestedModelId && r.requestedModelId !== r.modelId ? ` <span class='small'>(from ${r.requestedModelId})</span>` : '';
-                const tokensText = formatTokenUsage(r.tokenUsage);
-                const headerExtras = `${from}${tokensText ? ` ${tokensText}` : ''}`;
-
-                if (r.error) {
-                  addLog(`
-                    <div class="msg-header"><b>${headerName}</b> ${headerExtras}</div>
-                    <div class="msg-content">Error: ${r.error}</div>
-                  `, 'error');
+                const { html, type } = renderResult(r);
+                const key = bubbleKey(r.agentId, r.pass);
+                let bubble = streamingBubbles.get(key);
+                if (bubble) {
+                  // Replace the progressively-built text with the final render
+                  bubble.className = `msg ${type}`;
+                  bubble.innerHTML = html;
+                  streamingBubbles.delete(key);
                 } else {
-                  const text = (r.text || '');
-                  const citations = Array.isArray(r?.meta?.citations) ? r.meta.citations : [];
-                  let citsHtml = '';
-                  if (citations.length) {
-                    const items = citations.slice(0, 6).map(c => {
-                      const url = (c.uri || '').replace(/\"/g, '&quot;');
-                      const label = (c.title || url || '').replace(/</g, '&lt;');
-                      return `<a href="${url}" target="_blank" rel="nofollow noopener">${label}</a>`;
-                    });
-                    citsHtml = `<div class='small' style='margin-top:6px; opacity:0.7;'>Citations: ${items.join(' • ')}</div>`;
-                  }
-
-                  addLog(`
-                    <div class="msg-header"><b>${headerName}</b> ${headerExtras}</div>
-                    <div class="msg-content">${text.replace(/</g, '&lt;')}</div>
-                    ${citsHtml}
-                  `, 'agent');
+                  bubble = addLog(html, type);
                 }
+                addRetryControl(bubble, {
+                  conversationId: convIdEl.value.trim(),
+                  round,
+                  result: r,
+                  target: targetModels.find(t => t.agentId === r.agentId),
+                  systemPrompts: body.systemPrompts,
+                });
+                addDeleteControl(bubble, { conversationId: convIdEl.value.trim(), round, agentId: r.agentId, pass: r.pass });
               } else if (data.type === 'done') {
                 // All responses received
                 attachedFiles = [];
@@ -961,6 +2037,9 @@ q('#send').onclick = async () => {
                 // Remove loading indicator
                 const loadingIndicator = q('#loading-indicator');
                 if (loadingIndicator) loadingIndicator.remove();
+                loadBranches(convIdEl.value.trim());
+                rememberConversation(convIdEl.value.trim());
+                loadConversationList();
               }
             }
           }
@@ -990,12 +2069,17 @@ if (previewBtn && previewProviderEl && previewModelEl) {
     const previewModel = previewModelEl.value;
     const body = {
       conversationId: convIdEl.value.trim() || undefined,
+      projectId: currentProjectId || undefined,
       provider,
       modelId: previewModel,
       agentId: findPreviewAgentId(provider, previewModel),
       userMessage: userMsgEl.value || '',
       systemPrompts: readSystemPrompts(),
       textAttachments: readTextAttachments(),
+      mode: turnModeEl ? turnModeEl.value : undefined,
+      visibility: readVisibility(),
+      targetModels: readModels(),
+      retrieval: autoContextEl && !autoContextEl.checked ? false : undefined,
     };
     try {
       const resp = await fetch('/api/preview-view', {
@@ -1081,6 +2165,7 @@ userMsgEl.addEventListener('keypress', (e) => {
   } catch (e) { console.warn('health check failed:', e); }
 
   await loadModelsIndex();
+  await loadTools();
   const container = q('.models-list');
   container.appendChild(makeModelRow());
   container.appendChild(makeModelRow());
@@ -1109,6 +2194,13 @@ userMsgEl.addEventListener('keypress', (e) => {
     console.warn('Failed to check public mode:', e);
   }
 
+  // Reopen the project and conversation that were open before the reload
+  await loadProjects();
+  applyProjectDefaults(currentProject());
+  await loadConversationList();
+  const last = lastConversation();
+  if (last && conversationList.some(c => c.id === last)) await openConversation(last);
+
   // Expose for testing
   window.MODEL_INDEX = MODEL_INDEX;
   window.populatePreviewModel = populatePreviewModel;